@@ -0,0 +1,83 @@
+/**
+ * Languages quizzes can be generated in.
+ *
+ * Adding a language only needs an entry here: schemas validate against these
+ * codes, OCR loads `ocr`, detection uses `scriptRange`, and prompts use
+ * `instructions` (or a generic instruction built from `name`/`nativeName`).
+ *
+ * - locale: BCP 47 locale used for formatting
+ * - script: writing system; scriptRange is its Unicode range as a regex
+ *   character class body (omit for Latin-script languages: they cannot be
+ *   told apart by script and must be chosen explicitly)
+ * - detect: false keeps a language out of auto-detection when it shares a
+ *   script with an earlier entry (Urdu and Arabic)
+ * - ocr: Tesseract traineddata name; ocrByDefault languages are loaded when
+ *   the document's language is not known in advance
+ * - instructions: prompt text per template kind ('quiz', 'quiz-stream')
+ */
+module.exports = {
+  defaultLanguage: 'en',
+  languages: [
+    {
+      code: 'en',
+      name: 'English',
+      nativeName: 'English',
+      locale: 'en-US',
+      script: 'Latin',
+      direction: 'ltr',
+      ocr: 'eng',
+      ocrByDefault: true,
+      instructions: {
+        quiz: 'Generate the quiz in English language. All questions, options, explanations, title, and description MUST be in English.',
+        'quiz-stream': 'English language. ALL content MUST be in English.',
+      },
+    },
+    {
+      code: 'bn',
+      name: 'Bengali',
+      nativeName: 'বাংলা',
+      promptName: 'Bengali/Bangla, বাংলা',
+      locale: 'bn-BD',
+      script: 'Bengali',
+      scriptRange: '\\u0980-\\u09FF',
+      direction: 'ltr',
+      ocr: 'ben',
+      ocrByDefault: true,
+      instructions: {
+        quiz: 'Generate the quiz in Bengali/Bangla language (বাংলা ভাষায়). All questions, options, explanations, title, and description MUST be in Bengali script (বাংলা).',
+        'quiz-stream': 'বাংলা ভাষায় তৈরি করো (Bengali/Bangla). ALL content MUST be in Bengali script (বাংলা).',
+      },
+    },
+    {
+      code: 'hi',
+      name: 'Hindi',
+      nativeName: 'हिन्दी',
+      locale: 'hi-IN',
+      script: 'Devanagari',
+      scriptRange: '\\u0900-\\u097F',
+      direction: 'ltr',
+      ocr: 'hin',
+    },
+    {
+      code: 'ar',
+      name: 'Arabic',
+      nativeName: 'العربية',
+      locale: 'ar-SA',
+      script: 'Arabic',
+      scriptRange: '\\u0600-\\u06FF\\u0750-\\u077F',
+      direction: 'rtl',
+      ocr: 'ara',
+    },
+    {
+      code: 'ur',
+      name: 'Urdu',
+      nativeName: 'اردو',
+      locale: 'ur-PK',
+      script: 'Arabic',
+      scriptRange: '\\u0600-\\u06FF\\u0750-\\u077F',
+      direction: 'rtl',
+      detect: false,
+      ocr: 'urd',
+    },
+  ],
+};
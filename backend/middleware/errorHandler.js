@@ -24,6 +24,11 @@ const errorHandler = (err, req, res, next) => {
     error = { statusCode: 400, message };
   }
 
+  // Upload errors (file too large, too many files, ...)
+  if (err.name === 'MulterError') {
+    error = { statusCode: 400, message: err.code === 'LIMIT_UNEXPECTED_FILE' ? `Unexpected or too many files in "${err.field}"` : err.message };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     error = { statusCode: 401, message: 'Invalid token' };
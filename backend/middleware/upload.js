@@ -19,17 +19,33 @@ const storage = multer.diskStorage({
   }
 });
 
+// Accepted uploads. This is only a first filter on the name and the client's
+// MIME type; textExtractor detects the real type from the file's content.
+const ALLOWED_EXTENSIONS = [
+  '.jpeg', '.jpg', '.png', '.gif', '.bmp', '.tiff', '.tif',
+  '.pdf', '.txt', '.docx', '.pptx', '.epub', '.md', '.markdown', '.html', '.htm'
+];
+const ALLOWED_MIME_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/x-markdown',
+  'text/html',
+  'application/xhtml+xml',
+  'application/epub+zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Allowed file types
-  const allowedTypes = /jpeg|jpg|png|pdf|txt|doc|docx/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = allowedTypes.test(file.mimetype);
+  const extname = ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+  const mimetype = /^image\/(jpeg|png|gif|bmp|tiff)$/.test(file.mimetype) || ALLOWED_MIME_TYPES.includes(file.mimetype);
 
-  if (mimetype && extname) {
+  if (mimetype || extname) {
     return cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only images, PDFs, and text documents are allowed.'));
+    cb(new Error('Invalid file type. Only images, PDFs, Word, PowerPoint, EPUB, Markdown, HTML and text files are allowed.'));
   }
 };
 
@@ -42,4 +58,49 @@ const upload = multer({
   fileFilter: fileFilter
 });
 
+// Most files one quiz can be generated from
+const MAX_SOURCE_FILES = parseInt(process.env.MAX_SOURCE_FILES || '10');
+
+const sourceFields = upload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_SOURCE_FILES }
+]);
+
+/**
+ * Source files for quiz generation, sent as `file` (one) and/or `files`
+ * (several). Sets req.files to all of them in upload order and req.file to
+ * the first.
+ */
+upload.sources = (req, res, next) => {
+  sourceFields(req, res, (err) => {
+    if (err) return next(err);
+    const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+    if (files.length > MAX_SOURCE_FILES) {
+      return next(Object.assign(new Error(`At most ${MAX_SOURCE_FILES} files can be uploaded at once`), { statusCode: 400 }));
+    }
+    req.files = files;
+    req.file = files[0];
+    next();
+  });
+};
+
+upload.MAX_SOURCE_FILES = MAX_SOURCE_FILES;
+
+/**
+ * One image or audio attachment for a question, sent as `file`.
+ * mediaService checks the real type from the file's content.
+ */
+upload.media = multer({
+  storage: storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_MEDIA_SIZE) || 10 * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (/^(image|audio)\//.test(file.mimetype) && file.mimetype !== 'image/svg+xml') {
+      return cb(null, true);
+    }
+    cb(Object.assign(new Error('Only image and audio files can be attached to questions'), { statusCode: 400 }));
+  }
+}).single('file');
+
 module.exports = upload;
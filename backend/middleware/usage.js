@@ -0,0 +1,8 @@
+const usageService = require('../services/usageService');
+
+// Attribute every AI call made while handling this request to the signed-in user.
+// Mount after upload middleware: multer resumes the chain from stream events,
+// which would lose the tracking scope if it were entered earlier.
+exports.trackUsage = (req, res, next) => {
+  usageService.track({ user: req.user?._id }, () => next());
+};
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const USAGE_OPERATIONS = ['generate', 'stream', 'repair', 'regenerate', 'rewrite', 'flashcards', 'study-guide', 'grading', 'essay-grading', 'summary', 'topics', 'embedding'];
+
+// One document per AI call
+const aiUsageSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GenerationJob'
+  },
+  operation: {
+    type: String,
+    enum: USAGE_OPERATIONS,
+    required: true
+  },
+  provider: String,
+  model: String,
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // True when the provider reported no counts and they were estimated from text length
+  estimated: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  collection: 'aiusage',
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ user: 1, createdAt: -1 });
+aiUsageSchema.index({ quiz: 1 });
+
+aiUsageSchema.statics.OPERATIONS = USAGE_OPERATIONS;
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const CACHE_KINDS = ['extraction', 'embedding'];
+
+// Entries not read for this long are removed by MongoDB
+const CACHE_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+// Results of expensive, deterministic work keyed by a SHA-256 of its input
+const contentCacheSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: CACHE_KINDS,
+    required: true
+  },
+  // Hash of the uploaded file (extraction) or of the text (embedding)
+  hash: {
+    type: String,
+    required: true
+  },
+  // What produced the value (extractor version, embedding model); a change is a cache miss
+  producer: {
+    type: String,
+    required: true
+  },
+  text: String,
+  // OCR summary for extractions that needed OCR (see textExtractor.extractDocument)
+  ocr: mongoose.Schema.Types.Mixed,
+  embedding: [Number],
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'contentcache',
+  timestamps: true
+});
+
+contentCacheSchema.index({ kind: 1, hash: 1, producer: 1 }, { unique: true });
+contentCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: CACHE_TTL_SECONDS });
+
+contentCacheSchema.statics.KINDS = CACHE_KINDS;
+
+module.exports = mongoose.model('ContentCache', contentCacheSchema);
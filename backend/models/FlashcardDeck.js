@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { languages, defaultLanguage } = require('../config/languages');
+
+const cardSchema = new mongoose.Schema({
+  front: {
+    type: String,
+    required: [true, 'Card front is required'],
+    maxlength: [1000, 'Card front cannot exceed 1000 characters']
+  },
+  back: {
+    type: String,
+    required: [true, 'Card back is required'],
+    maxlength: [2000, 'Card back cannot exceed 2000 characters']
+  },
+  // Where in the source text the card comes from (same shape as a quiz question's source)
+  source: {
+    page: Number,
+    start: Number,
+    end: Number,
+    excerpt: String,
+    section: Number,
+    file: Number // index into sourceContent.files
+  },
+  tags: [String],
+  // Question of the linked quiz the card was made from
+  question: mongoose.Schema.Types.ObjectId
+});
+
+const flashcardDeckSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Deck title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  creator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Quiz the deck is shown with; its class students can see the deck when both have the same creator
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  },
+  cards: [cardSchema],
+  // Kept in sync on save, so deck lists can leave the cards out
+  cardCount: {
+    type: Number,
+    default: 0
+  },
+  tags: [String],
+  language: {
+    type: String,
+    enum: languages.map((language) => language.code),
+    default: defaultLanguage
+  },
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  sharedWith: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, enum: ['view', 'edit'], default: 'view' }
+  }],
+  // How the cards were made: generated from uploaded text, copied from a quiz, or written by hand
+  origin: {
+    type: String,
+    enum: ['generated', 'quiz', 'manual'],
+    default: 'manual'
+  },
+  // Files the cards' source references point into (generated decks only)
+  sourceContent: {
+    files: [{
+      _id: false,
+      filename: String,
+      fileType: String,
+      firstPage: Number,
+      pages: Number
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+flashcardDeckSchema.index({ creator: 1, createdAt: -1 });
+flashcardDeckSchema.index({ quiz: 1 });
+flashcardDeckSchema.index({ 'sharedWith.user': 1 });
+flashcardDeckSchema.index({ isPublic: 1 });
+
+flashcardDeckSchema.pre('save', function (next) {
+  this.cardCount = this.cards.length;
+  next();
+});
+
+module.exports = mongoose.model('FlashcardDeck', flashcardDeckSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'extracting', 'generating', 'embedding', 'done', 'failed'];
+const ACTIVE_STATUSES = ['extracting', 'generating', 'embedding'];
+
+const fileSchema = new mongoose.Schema({
+  filename: String,
+  originalname: String,
+  mimetype: String,
+  size: Number,
+  path: String
+}, { _id: false });
+
+const generationJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  source: {
+    type: String,
+    enum: ['file', 'text'],
+    required: true
+  },
+  // Raw text for text jobs; uploaded file info for file jobs (the first file, and all of them in upload order)
+  text: {
+    type: String,
+    select: false
+  },
+  file: fileSchema,
+  files: [fileSchema],
+  // Parsed quiz settings (see quizGenerationService.parseQuizSettings)
+  options: {
+    numQuestions: Number,
+    quizType: String,
+    typeDistribution: mongoose.Schema.Types.Mixed,
+    bloomDistribution: mongoose.Schema.Types.Mixed,
+    difficulty: String,
+    language: String,
+    category: String,
+    timeLimit: Number,
+    passingScore: Number,
+    isPublic: Boolean,
+    reuseExisting: Boolean,
+    sources: [{ _id: false, weight: Number, order: Number }]
+  },
+  language: String,
+  extractedLength: Number,
+  // OCR progress while extracting scanned pages (file is the position of the file being read)
+  progress: {
+    done: Number,
+    pages: Number,
+    page: Number,
+    file: Number,
+    filename: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  lockedBy: String,
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  error: String,
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+generationJobSchema.index({ status: 1, runAfter: 1, createdAt: 1 });
+generationJobSchema.index({ user: 1, createdAt: -1 });
+
+generationJobSchema.statics.STATUSES = JOB_STATUSES;
+generationJobSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+// Shape returned to clients (no internal lock fields or raw text)
+generationJobSchema.methods.toClient = function () {
+  return {
+    id: this._id,
+    status: this.status,
+    source: this.source,
+    filename: this.files?.length > 1 ? this.files.map((file) => file.originalname).join(', ') : this.file?.originalname,
+    options: this.options,
+    language: this.language,
+    progress: this.status === 'extracting' && this.progress?.pages ? this.progress : undefined,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    error: this.error,
+    quizId: this.quiz,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+module.exports = mongoose.model('GenerationJob', generationJobSchema);
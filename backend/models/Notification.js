@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['quiz_shared', 'comment', 'achievement', 'leaderboard', 'system', 'quiz_attempt', 'subscription'],
+    enum: ['quiz_shared', 'comment', 'achievement', 'leaderboard', 'system', 'quiz_attempt', 'subscription', 'grades_released'],
     required: true
   },
   title: {
@@ -6,7 +6,7 @@ const paymentSchema = new mongoose.Schema({
   currency: { type: String, default: 'USD' },
   provider: { type: String, enum: ['stripe','paypal','manual','other'], default: 'manual' },
   status: { type: String, enum: ['pending','succeeded','failed','refunded'], default: 'pending' },
-  subscriptionPlan: { type: String, enum: ['free','premium','institutional'] },
+  subscriptionPlan: { type: String, enum: ['free','basic','premium','institutional'] },
   transactionId: { type: String },
   meta: { type: Object }
 }, { collection: 'payments', timestamps: true });
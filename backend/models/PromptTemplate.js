@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { languages } = require('../config/languages');
+
+const TEMPLATE_KINDS = ['quiz', 'quiz-stream'];
+
+// One document per version. Editing a template saves a new version and
+// retires the previous one, so quizzes can always point at the exact text used.
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // quiz: JSON generation prompt; quiz-stream: NDJSON streaming prompt
+  kind: {
+    type: String,
+    enum: TEMPLATE_KINDS,
+    required: true
+  },
+  // 'any' applies to every language without a variant of its own
+  language: {
+    type: String,
+    enum: ['any', ...languages.map((language) => language.code)],
+    default: 'any'
+  },
+  // A/B variant label; active variants for the same kind and language split traffic by weight
+  variant: {
+    type: String,
+    trim: true,
+    default: 'A'
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative'],
+    default: 100
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Template text with {{variables}} (see quizPrompts.TEMPLATE_VARIABLES)
+  body: {
+    type: String,
+    required: [true, 'Template body is required']
+  },
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promptTemplateSchema.index({ kind: 1, language: 1, isActive: 1 });
+promptTemplateSchema.index({ kind: 1, language: 1, variant: 1, version: -1 });
+
+promptTemplateSchema.statics.KINDS = TEMPLATE_KINDS;
+
+const PromptTemplate = mongoose.model('PromptTemplate', promptTemplateSchema);
+
+module.exports = PromptTemplate;
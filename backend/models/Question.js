@@ -3,10 +3,17 @@ const mongoose = require('mongoose');
 const questionSchema = new mongoose.Schema({
   quizId: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz', index: true },
   questionText: { type: String, required: true },
-  type: { type: String, enum: ['mcq','true-false','short-answer'], default: 'mcq' },
+  type: { type: String, enum: ['mcq','true-false','short-answer','fill-blank','multi-select','matching','ordering','numeric','essay'], default: 'mcq' },
+  blanks: [{ answers: [String] }],
+  pairs: [{ left: String, right: String }],
+  numericAnswer: { value: Number, tolerance: Number, unit: String },
   correctAnswer: String,
+  acceptedAnswers: [String],
+  essayRubric: [{ criterion: String, description: String, levels: [{ label: String, description: String, points: Number }] }],
   explanation: String,
+  source: { page: Number, start: Number, end: Number, excerpt: String, section: Number, file: Number },
   difficulty: { type: String, enum: ['easy','medium','hard'], default: 'medium' },
+  bloomLevel: { type: String, enum: ['remember','understand','apply','analyze','evaluate','create'] },
   points: { type: Number, default: 1 }
 }, { collection: 'questions', timestamps: true });
 
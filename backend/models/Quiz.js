@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { languages, defaultLanguage } = require('../config/languages');
 
 const questionSchema = new mongoose.Schema({
   questionText: {
@@ -7,15 +8,80 @@ const questionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['mcq', 'true-false', 'short-answer'],
+    enum: ['mcq', 'true-false', 'short-answer', 'fill-blank', 'multi-select', 'matching', 'ordering', 'numeric', 'essay'],
     default: 'mcq'
   },
+  // Choices for mcq/true-false/multi-select; items in their correct order for ordering
   options: [{
     text: String,
     isCorrect: Boolean
   }],
+  // Accepted answers for each "_____" in a fill-blank question, in order
+  blanks: [{
+    answers: [String]
+  }],
+  // Matching pairs (left item -> right item)
+  pairs: [{
+    left: String,
+    right: String
+  }],
+  // Numeric answer; responses within +/- tolerance are accepted
+  numericAnswer: {
+    value: Number,
+    tolerance: Number,
+    unit: String
+  },
   correctAnswer: String,
+  // Other phrasings of a short answer that earn full marks
+  acceptedAnswers: [String],
+  // What a full-credit short answer must contain; when set, answers that don't
+  // match any accepted phrasing are scored against it by the AI (partial credit)
+  rubric: {
+    type: String,
+    maxlength: [2000, 'Rubric cannot exceed 2000 characters']
+  },
+  // Scoring rubric for an essay: a teacher picks one level per criterion and the
+  // levels' points add up to the essay's score (points is then the top total)
+  essayRubric: [{
+    criterion: { type: String, required: true },
+    description: String,
+    levels: [{
+      label: { type: String, required: true },
+      description: String,
+      points: { type: Number, required: true, min: 0 }
+    }]
+  }],
   explanation: String,
+  // Images and audio shown with the question, served by GET /api/quiz/:id/media/:mediaId
+  media: [{
+    kind: {
+      type: String,
+      enum: ['image', 'audio'],
+      required: true
+    },
+    filename: { type: String, required: true }, // name in MEDIA_PATH
+    mimetype: String,
+    size: Number,
+    alt: String, // required for images
+    caption: String,
+    width: Number,
+    height: Number,
+    origin: {
+      type: String,
+      enum: ['upload', 'pdf-figure'],
+      default: 'upload'
+    },
+    page: Number // source page of a pdf-figure
+  }],
+  // Where in the uploaded source the question comes from (creators and post-submission review only)
+  source: {
+    page: Number,
+    start: Number, // character offsets into the extracted text
+    end: Number,
+    excerpt: String,
+    section: Number,
+    file: Number // index into sourceContent.files; page is then counted from the start of that file
+  },
   points: {
     type: Number,
     default: 1
@@ -24,7 +90,23 @@ const questionSchema = new mongoose.Schema({
     type: String,
     enum: ['easy', 'medium', 'hard'],
     default: 'medium'
-  }
+  },
+  // Bloom's taxonomy level the question tests (see services/bloomTaxonomy)
+  bloomLevel: {
+    type: String,
+    enum: ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create']
+  },
+  // Earlier versions of the question, oldest first (creators only)
+  editHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['regenerate', 'harder', 'easier', 'clearer', 'distractors']
+    },
+    previous: mongoose.Schema.Types.Mixed,
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    editedAt: { type: Date, default: Date.now }
+  }]
 });
 
 const quizSchema = new mongoose.Schema({
@@ -49,10 +131,11 @@ const quizSchema = new mongoose.Schema({
     trim: true
   },
   tags: [String],
+  // Any code in the language registry (config/languages.js)
   language: {
     type: String,
-    enum: ['en', 'bn'],
-    default: 'en'
+    enum: languages.map((language) => language.code),
+    default: defaultLanguage
   },
   difficulty: {
     type: String,
@@ -67,6 +150,12 @@ const quizSchema = new mongoose.Schema({
     type: Number,
     default: 60 // percentage
   },
+  // Score short answers that match no accepted phrasing with the AI, even
+  // without a rubric (questions with a rubric always are)
+  aiGrading: {
+    type: Boolean,
+    default: false
+  },
   isPublic: {
     type: Boolean,
     default: false
@@ -79,7 +168,25 @@ const quizSchema = new mongoose.Schema({
   sourceContent: {
     text: String,
     filename: String,
-    fileType: String
+    fileType: String,
+    // Every uploaded file, in the order they were combined
+    files: [{
+      _id: false,
+      filename: String,
+      fileType: String,
+      size: Number,
+      start: Number, // character range in the combined text
+      end: Number,
+      firstPage: Number,
+      pages: Number,
+      weight: Number,
+      text: String,
+      ocr: {
+        ocrPages: Number,
+        confidence: Number,
+        lowConfidence: Boolean
+      }
+    }]
   },
   analytics: {
     totalAttempts: {
@@ -100,6 +207,70 @@ const quizSchema = new mongoose.Schema({
     select: false // Optional local cache of embedding if desired (not required)
   },
   embeddingId: String, // Vector reference document ID (MongoDB),
+  // How the AI generation went (only set for generated quizzes)
+  generation: {
+    typeBreakdown: {
+      requested: mongoose.Schema.Types.Mixed,
+      produced: mongoose.Schema.Types.Mixed,
+      missing: mongoose.Schema.Types.Mixed
+    },
+    // Requested vs. produced Bloom's levels, and labels corrected after checking the question wording
+    bloomBreakdown: {
+      requested: mongoose.Schema.Types.Mixed,
+      produced: mongoose.Schema.Types.Mixed,
+      missing: mongoose.Schema.Types.Mixed,
+      relabeled: [{ _id: false, questionText: String, claimed: String, level: String }]
+    },
+    // Questions generated per document section (long documents are generated section by section)
+    coverage: [{
+      _id: false,
+      section: Number,
+      title: String,
+      file: Number, // index into sourceContent.files, for multi-file quizzes
+      startPage: Number,
+      endPage: Number,
+      chars: Number,
+      requested: Number,
+      generated: Number
+    }],
+    // Validation results: counts plus one entry per question that was fixed, repaired or dropped
+    quality: {
+      checked: Number,
+      valid: Number,
+      fixed: Number,
+      repaired: Number,
+      dropped: Number,
+      issues: [mongoose.Schema.Types.Mixed]
+    },
+    // Prompt template version that generated the quiz (no template = built-in prompt)
+    prompt: {
+      template: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate' },
+      name: String,
+      kind: String,
+      language: String,
+      variant: String,
+      version: Number
+    },
+    // Same source text, options and model; a later identical request may copy this quiz
+    reuseKey: {
+      contentHash: String,
+      optionsHash: String,
+      model: String
+    },
+    // Set when the quiz was copied from an earlier generation instead of calling the AI
+    reusedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
+    // Pages of the source that were read with OCR, and how confidently
+    ocr: {
+      languages: String,
+      ocrPages: Number,
+      totalPages: Number,
+      confidence: Number,
+      lowConfidence: Boolean,
+      pages: [{ _id: false, page: Number, confidence: Number }]
+    },
+    // Shown with the quiz, e.g. when its source came from low-confidence OCR
+    warnings: [String]
+  },
   status: {
     type: String,
     enum: ['draft', 'published', 'archived'],
@@ -108,6 +279,12 @@ const quizSchema = new mongoose.Schema({
   viewCount: {
     type: Number,
     default: 0
+  },
+  // Bumped by every change to the quiz's content; edits name the version they
+  // were made against and are refused once someone else has saved
+  version: {
+    type: Number,
+    default: 1
   }
 }, {
   timestamps: true
@@ -120,6 +297,7 @@ quizSchema.index({ category: 1 });
 quizSchema.index({ category: 1, difficulty: 1 }); // Compound index for filtering
 quizSchema.index({ isPublic: 1 });
 quizSchema.index({ classCode: 1 });
+quizSchema.index({ 'generation.reuseKey.contentHash': 1, 'generation.reuseKey.optionsHash': 1 });
 
 // Virtual for total points
 quizSchema.virtual('totalPoints').get(function () {
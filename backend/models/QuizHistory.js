@@ -2,9 +2,56 @@ const mongoose = require('mongoose');
 
 const answerSchema = new mongoose.Schema({
   questionId: mongoose.Schema.Types.ObjectId,
-  userAnswer: String,
+  userAnswer: mongoose.Schema.Types.Mixed, // string, or array/object for multi-part types
   isCorrect: Boolean,
   pointsEarned: Number,
+  credit: Number, // share of the question's points the automatic grading gave (0-1)
+  // How a short answer or essay was graded (see services/gradingService);
+  // essays stay 'pending' until a teacher grades them
+  grading: {
+    method: {
+      type: String,
+      enum: ['empty', 'exact', 'normalized', 'alternative', 'fuzzy', 'semantic', 'ai-rubric', 'no-match', 'pending']
+    },
+    reasoning: String,
+    matched: String, // reference or accepted answer it matched
+    similarity: Number, // closest edit-distance or embedding similarity (0-1)
+    model: String, // model that scored it (ai-rubric only)
+    gradedAt: Date
+  },
+  // Teacher's grade, replacing pointsEarned/isCorrect; `previous` is the automatic grade
+  override: {
+    pointsEarned: Number,
+    reason: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date,
+    previous: {
+      pointsEarned: Number,
+      isCorrect: Boolean
+    },
+    // Level picked for each rubric criterion of an essay; their points add up to pointsEarned
+    rubricScores: [{
+      _id: false,
+      criterionId: mongoose.Schema.Types.ObjectId,
+      criterion: String,
+      level: String,
+      points: Number
+    }]
+  },
+  // AI-suggested essay grade for the teacher to accept or change (never counted by itself)
+  suggestion: {
+    pointsEarned: Number,
+    rubricScores: [{
+      _id: false,
+      criterionId: mongoose.Schema.Types.ObjectId,
+      criterion: String,
+      level: String,
+      points: Number
+    }],
+    comment: String,
+    model: String,
+    at: Date
+  },
   timeTaken: Number // in seconds
 });
 
@@ -19,6 +66,12 @@ const quizHistorySchema = new mongoose.Schema({
     ref: 'Quiz',
     required: true
   },
+  // Version of the quiz the attempt was taken against; grading and reviews use that revision
+  quizVersion: Number,
+  revision: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizRevision'
+  },
   answers: [answerSchema],
   score: {
     type: Number,
@@ -61,6 +114,14 @@ const quizHistorySchema = new mongoose.Schema({
     ref: 'Class',
     default: null
   },
+  // 'pending' while essays wait for a teacher, 'graded' once they are all graded
+  // and 'released' when the student has been given the grades
+  gradingStatus: {
+    type: String,
+    enum: ['complete', 'pending', 'graded', 'released'],
+    default: 'complete'
+  },
+  gradesReleasedAt: Date,
   feedback: {
     strengths: [String],
     weaknesses: [String],
@@ -111,6 +172,7 @@ const quizHistorySchema = new mongoose.Schema({
 // Indexes
 quizHistorySchema.index({ user: 1, createdAt: -1 });
 quizHistorySchema.index({ quiz: 1 });
+quizHistorySchema.index({ gradingStatus: 1, quiz: 1, completedAt: 1 });
 quizHistorySchema.index({ score: -1 });
 
 // Static method to get user statistics
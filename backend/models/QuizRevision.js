@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One saved state of a quiz's content. Revisions are written once and never
+// changed (see services/revisionService); attempts point at the revision they
+// were taken against, so later edits don't change what an old attempt meant.
+const quizRevisionSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  // quiz.version this revision holds
+  version: {
+    type: Number,
+    required: true
+  },
+  // Who saved it (unset for revisions recorded from a quiz saved before revisions existed)
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: [
+      'create', 'edit', 'add-question', 'update-question', 'delete-question', 'duplicate-question',
+      'reorder', 'regenerate', 'rewrite', 'media', 'rollback', 'snapshot'
+    ],
+    required: true
+  },
+  // Version whose content a rollback restored
+  restoredFrom: Number,
+  // Quiz content: title, settings and questions (with their ids)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Changes from the previous revision (see revisionService.diffSnapshots); null for the first
+  diff: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  summary: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+quizRevisionSchema.index({ quiz: 1, version: -1 }, { unique: true });
+
+quizRevisionSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Quiz revisions cannot be changed'));
+});
+
+quizRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function (next) {
+  next(new Error('Quiz revisions cannot be changed'));
+});
+
+module.exports = mongoose.model('QuizRevision', quizRevisionSchema);
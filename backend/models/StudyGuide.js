@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { languages, defaultLanguage } = require('../config/languages');
+
+// Ids of the quiz questions (subdocuments of quiz.questions) an entry is tested by
+const linkedQuestions = [mongoose.Schema.Types.ObjectId];
+
+const studyGuideSchema = new mongoose.Schema({
+  // One guide per quiz; regenerating replaces its content
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+    unique: true
+  },
+  // User whose request produced the current version
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  summary: {
+    type: String,
+    maxlength: [5000, 'Summary cannot exceed 5000 characters']
+  },
+  keyConcepts: [{
+    title: { type: String, required: true },
+    explanation: String,
+    questions: linkedQuestions
+  }],
+  definitions: [{
+    term: { type: String, required: true },
+    definition: { type: String, required: true },
+    questions: linkedQuestions
+  }],
+  outline: [{
+    title: { type: String, required: true },
+    points: [String],
+    questions: linkedQuestions
+  }],
+  language: {
+    type: String,
+    enum: languages.map((language) => language.code),
+    default: defaultLanguage
+  },
+  // Bumped on every regeneration
+  version: {
+    type: Number,
+    default: 1
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Model that wrote the guide (see geminiService.modelId)
+  aiModel: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('StudyGuide', studyGuideSchema);
@@ -8,7 +8,7 @@ const subscriptionSchema = new mongoose.Schema({
   },
   plan: {
     type: String,
-    enum: ['free', 'premium', 'institutional'],
+    enum: ['free', 'basic', 'premium', 'institutional'],
     required: true
   },
   status: {
@@ -1,13 +1,19 @@
 const mongoose = require('mongoose');
 
 const systemSettingsSchema = new mongoose.Schema({
-  freemium: {
-    freeQuizLimit: { type: Number, default: 10 },
-    premiumQuizLimit: { type: Number, default: 1000 }
-  },
   ai: {
-    quizModel: { type: String, default: 'gemini-1.5-pro' },
-    embeddingModel: { type: String, default: 'gemini-embedding-001' }
+    // Which provider serves generation/embeddings (see services/providers); unset uses AI_PROVIDER
+    provider: { type: String, enum: ['gemini', 'openai', 'offline'] },
+    // Models chosen by an admin, per provider. No defaults: anything unset falls back to the
+    // provider's env vars (GEMINI_MODEL, OPENAI_MODEL, ...) and then its built-in default.
+    // (The old top-level ai.quizModel/ai.embeddingModel only ever held schema defaults and are ignored.)
+    models: {
+      gemini: { quizModel: String, embeddingModel: String },
+      openai: { quizModel: String, embeddingModel: String }
+    },
+    // Base URL for OpenAI-compatible servers (e.g. http://localhost:11434/v1 for Ollama)
+    baseUrl: String,
+    temperature: { type: Number, default: 0.7 }
   },
   vector: {
     collection: { type: String, default: 'quizembeddings' },
@@ -15,31 +21,38 @@ const systemSettingsSchema = new mongoose.Schema({
     similarity: { type: String, default: 'cosine' },
     dimensions: { type: Number, default: 768 }
   },
-  // Admin app settings (for mobile dashboard UI)
+  // Monthly limits per plan (-1 = unlimited); tokens count input + output tokens of every AI call.
+  // These replace freemium.freeQuizLimit/premiumQuizLimit and the FREE_QUIZ_LIMIT/PREMIUM_QUIZ_LIMIT env vars.
   apiLimits: {
     free: {
       quizzes: { type: Number, default: 5 },
-      questions: { type: Number, default: 50 }
+      questions: { type: Number, default: 50 },
+      tokens: { type: Number, default: 200000 }
     },
     student_basic: {
       quizzes: { type: Number, default: 50 },
-      questions: { type: Number, default: 500 }
+      questions: { type: Number, default: 500 },
+      tokens: { type: Number, default: 2000000 }
     },
     student_premium: {
       quizzes: { type: Number, default: -1 },
-      questions: { type: Number, default: -1 }
+      questions: { type: Number, default: -1 },
+      tokens: { type: Number, default: -1 }
     },
     teacher_basic: {
       quizzes: { type: Number, default: 100 },
-      questions: { type: Number, default: 1000 }
+      questions: { type: Number, default: 1000 },
+      tokens: { type: Number, default: 5000000 }
     },
     teacher_premium: {
       quizzes: { type: Number, default: -1 },
-      questions: { type: Number, default: -1 }
+      questions: { type: Number, default: -1 },
+      tokens: { type: Number, default: -1 }
     },
     teacher_institutional: {
       quizzes: { type: Number, default: -1 },
-      questions: { type: Number, default: -1 }
+      questions: { type: Number, default: -1 },
+      tokens: { type: Number, default: -1 }
     }
   },
   features: {
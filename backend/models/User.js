@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { languages, defaultLanguage } = require('../config/languages');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -50,7 +51,7 @@ const userSchema = new mongoose.Schema({
   subscription: {
     plan: {
       type: String,
-      enum: ['free', 'premium', 'institutional'],
+      enum: ['free', 'basic', 'premium', 'institutional'],
       default: 'free'
     },
     startDate: Date,
@@ -74,8 +75,8 @@ const userSchema = new mongoose.Schema({
   preferences: {
     language: {
       type: String,
-      enum: ['en', 'bn'],
-      default: 'en'
+      enum: languages.map((language) => language.code),
+      default: defaultLanguage
     },
     defaultQuizType: {
       type: String,
@@ -195,22 +196,6 @@ userSchema.methods.generateAdminLoginCode = function() {
   return code;
 };
 
-// Check if user can still generate quizzes based on plan limits
-userSchema.methods.canGenerateQuiz = function() {
-  if (this.role === 'admin') return true;
-
-  // Robust defaults so local/dev environments don't get locked out
-  const freeLimitEnv = parseInt(process.env.FREE_QUIZ_LIMIT, 10);
-  const premiumLimitEnv = parseInt(process.env.PREMIUM_QUIZ_LIMIT, 10);
-
-  const freeLimit = Number.isFinite(freeLimitEnv) ? freeLimitEnv : 10; // sensible default
-  const premiumLimit = Number.isFinite(premiumLimitEnv) ? premiumLimitEnv : 1000;
-
-  const limit = this.subscription?.plan === 'free' ? freeLimit : premiumLimit;
-
-  return this.usage.quizzesGenerated < limit;
-};
-
 // Increment usage counters and persist in DB
 userSchema.methods.incrementUsage = async function(type) {
   if (type === 'generated') {
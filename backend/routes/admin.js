@@ -1,14 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { trackUsage } = require('../middleware/usage');
 const User = require('../models/User');
 const Quiz = require('../models/Quiz');
 const QuizHistory = require('../models/QuizHistory');
 const upload = require('../middleware/upload');
-const textExtractor = require('../services/textExtractor');
 const geminiService = require('../services/geminiService');
 const embeddingService = require('../services/embeddingService');
+const {
+  parseQuizSettings,
+  extractSources,
+  resolveLanguage,
+  generateQuizContent,
+  saveGeneratedQuiz,
+} = require('../services/quizGenerationService');
+const usageService = require('../services/usageService');
+const contentCacheService = require('../services/contentCacheService');
+const ContentCache = require('../models/ContentCache');
 const Package = require('../models/Package');
+const PromptTemplate = require('../models/PromptTemplate');
+const promptTemplateService = require('../services/promptTemplateService');
+const { TEMPLATE_VARIABLES, DEFAULT_TEMPLATES } = require('../services/quizPrompts');
+const { clearProviderCache, getAIConfig } = require('../services/providers');
 
 /**
  * @route   POST /api/admin/upload
@@ -20,6 +34,7 @@ router.post(
   protect,
   authorize('admin'),
   upload.single('file'),
+  trackUsage,
   async (req, res) => {
     try {
       if (!req.file) {
@@ -29,40 +44,41 @@ router.post(
         });
       }
 
-      const {
-        numQuestions = 10,
-        quizType = 'mcq',
-        difficulty = 'medium',
-        language = 'en',
-      } = req.body;
+      // Admin uploads default to English and public quizzes
+      const settings = parseQuizSettings({ language: 'en', isPublic: true, ...req.body });
+      const { text: cleanedText, ocr, sources } = await extractSources([req.file], settings.language);
+      const language = resolveLanguage(settings.language, cleanedText);
 
-      // Extract text
-      const extractedText = await textExtractor.extractText(req.file.path, req.file.mimetype);
-      const cleanedText = textExtractor.cleanText(extractedText);
-      textExtractor.validateText(cleanedText, 100);
-
-      // Generate quiz via Gemini
-      const result = await geminiService.generateQuiz({
+      // Same pipeline as user uploads: validation and repair, type and Bloom targets, question documents
+      const result = await generateQuizContent({
         content: cleanedText,
-        numQuestions: parseInt(numQuestions),
-        quizType,
-        difficulty,
+        numQuestions: settings.numQuestions,
+        quizType: settings.quizType,
+        typeDistribution: settings.typeDistribution,
+        bloomDistribution: settings.bloomDistribution,
+        difficulty: settings.difficulty,
         language,
+        category: settings.category,
+        sources
       });
       if (!result.success) return res.status(500).json({ success: false, message: 'AI generation failed' });
 
-      const quizData = result.data;
-      const quiz = await Quiz.create({
-        title: quizData.title || 'Generated Quiz',
-        description: quizData.description || '',
-        creator: req.user._id,
-        questions: quizData.questions,
-        category: quizData.category || 'General',
-        tags: await geminiService.extractTopics(cleanedText),
+      const quiz = await saveGeneratedQuiz({
+        userId: req.user._id,
+        quizData: { ...result.data, tags: await geminiService.extractTopics(cleanedText) },
+        settings,
         language,
-        difficulty: 'mixed',
-        sourceContent: { text: cleanedText.substring(0, 5000), filename: req.file.originalname, fileType: req.file.mimetype },
-        isPublic: true
+        sourceText: cleanedText,
+        file: req.file,
+        sources,
+        generation: {
+          typeBreakdown: result.typeBreakdown,
+          bloomBreakdown: result.bloomBreakdown,
+          coverage: result.coverage,
+          quality: result.quality,
+          prompt: result.prompt,
+          ocr
+        }
       });
 
       try { await embeddingService.createQuizChunks(quiz); } catch (e) { console.warn('Embedding chunk error:', e); }
@@ -494,6 +510,12 @@ router.get('/analytics', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// Provider and models actually used once env vars and defaults fill in what settings leave unset
+async function aiInEffect() {
+  const { provider, quizModel, embeddingModel, baseUrl } = await getAIConfig();
+  return { provider, quizModel, embeddingModel, baseUrl };
+}
+
 /**
  * @route   GET /api/admin/settings
  * @desc    Get admin-manageable system settings
@@ -512,6 +534,8 @@ router.get('/settings', protect, authorize('admin'), async (req, res) => {
       success: true, data: {
         apiLimits: settings.apiLimits,
         features: settings.features,
+        ai: settings.ai,
+        aiInEffect: await aiInEffect(),
       }
     });
   } catch (error) {
@@ -528,18 +552,45 @@ router.get('/settings', protect, authorize('admin'), async (req, res) => {
 router.put('/settings', protect, authorize('admin'), async (req, res) => {
   try {
     const SystemSettings = require('../models/SystemSettings');
-    const { apiLimits, features } = req.body || {};
+    const { apiLimits, features, ai } = req.body || {};
 
     const update = {};
     if (apiLimits) update.apiLimits = apiLimits;
     if (typeof features === 'object') update.features = features;
+    const unset = {};
+    // '' or null clears a setting, so the env var (or default) applies again
+    const setOrClear = (path, value) => {
+      if (value === undefined) return;
+      if (value === null || value === '') unset[path] = '';
+      else update[path] = value;
+    };
+    if (ai && typeof ai === 'object') {
+      for (const key of ['provider', 'baseUrl', 'temperature']) setOrClear(`ai.${key}`, ai[key]);
+
+      // Models are kept per provider; a bare quizModel/embeddingModel is for the provider being set or in use
+      const models = { ...(ai.models || {}) };
+      if (ai.quizModel !== undefined || ai.embeddingModel !== undefined) {
+        const provider = ai.provider || (await getAIConfig()).provider;
+        models[provider] = { quizModel: ai.quizModel, embeddingModel: ai.embeddingModel, ...models[provider] };
+      }
+      for (const [provider, fields] of Object.entries(models)) {
+        if (!['gemini', 'openai'].includes(provider) || !fields || typeof fields !== 'object') continue;
+        for (const key of ['quizModel', 'embeddingModel']) setOrClear(`ai.models.${provider}.${key}`, fields[key]);
+      }
+    }
+    if (Object.keys(unset).length > 0) update.$unset = unset;
 
-    const saved = await SystemSettings.findOneAndUpdate({}, update, { new: true, upsert: true, setDefaultsOnInsert: true });
+    const saved = await SystemSettings.findOneAndUpdate({}, update, { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true });
+
+    // Apply AI provider changes on the next request
+    clearProviderCache();
 
     res.json({
       success: true, message: 'Settings updated', data: {
         apiLimits: saved.apiLimits,
         features: saved.features,
+        ai: saved.ai,
+        aiInEffect: await aiInEffect(),
       }
     });
   } catch (error) {
@@ -719,4 +770,248 @@ router.delete('/packages/:id', protect, authorize('admin'), async (req, res) =>
   }
 });
 
+/**
+ * @route   GET /api/admin/prompt-templates
+ * @desc    List prompt templates (active versions unless includeInactive=true) with quiz counts per version,
+ *          the available variables and the built-in defaults
+ * @access  Private/Admin
+ */
+router.get('/prompt-templates', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { kind, language, includeInactive } = req.query;
+
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (language) filter.language = language;
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const templates = await PromptTemplate.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ kind: 1, language: 1, variant: 1, version: -1 })
+      .lean();
+
+    // Quizzes generated by each version, to compare A/B variants
+    const usage = await Quiz.aggregate([
+      { $match: { 'generation.prompt.template': { $in: templates.map((t) => t._id) } } },
+      {
+        $group: {
+          _id: '$generation.prompt.template',
+          quizzes: { $sum: 1 },
+          averageScore: { $avg: '$analytics.averageScore' }
+        }
+      }
+    ]);
+    const usageById = new Map(usage.map((u) => [String(u._id), u]));
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map((t) => ({
+          ...t,
+          usage: {
+            quizzes: usageById.get(String(t._id))?.quizzes || 0,
+            averageScore: usageById.get(String(t._id))?.averageScore ?? null
+          }
+        })),
+        variables: TEMPLATE_VARIABLES,
+        defaults: DEFAULT_TEMPLATES,
+        kinds: PromptTemplate.KINDS
+      }
+    });
+  } catch (error) {
+    console.error('Admin prompt templates fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prompt templates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/prompt-templates/preview
+ * @desc    Render a template (or the built-in one for `kind`) with sample content
+ * @access  Private/Admin
+ */
+router.post('/prompt-templates/preview', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { kind = 'quiz', body, options } = req.body;
+
+    if (!PromptTemplate.KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of: ${PromptTemplate.KINDS.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promptTemplateService.previewTemplate({ kind, body, options })
+    });
+  } catch (error) {
+    console.error('Admin prompt template preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview prompt template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/prompt-templates
+ * @desc    Create a prompt template (saved as the next version of its kind/language/variant)
+ * @access  Private/Admin
+ */
+router.post('/prompt-templates', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { name, kind, language, variant, weight, body, notes } = req.body;
+
+    if (!PromptTemplate.KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `kind must be one of: ${PromptTemplate.KINDS.join(', ')}`
+      });
+    }
+
+    const errors = promptTemplateService.validateTemplateBody(body);
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: errors.join('. '),
+        data: { errors }
+      });
+    }
+
+    const template = await promptTemplateService.saveTemplateVersion(
+      { name, kind, language, variant, weight, body, notes },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Prompt template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Admin prompt template create error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to create prompt template'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/prompt-templates/:id
+ * @desc    Edit a template. Changing the name, body or notes saves a new version;
+ *          weight and isActive (activate to roll back to this version) change in place
+ * @access  Private/Admin
+ */
+router.put('/prompt-templates/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { name, body, notes, weight, isActive } = req.body;
+
+    let template = await PromptTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template not found'
+      });
+    }
+
+    const changesText = [name, body, notes].some((value) => value !== undefined);
+    if (changesText) {
+      const errors = promptTemplateService.validateTemplateBody(body ?? template.body);
+      if (errors.length) {
+        return res.status(400).json({
+          success: false,
+          message: errors.join('. '),
+          data: { errors }
+        });
+      }
+
+      template = await promptTemplateService.saveTemplateVersion({
+        name: name ?? template.name,
+        kind: template.kind,
+        language: template.language,
+        variant: template.variant,
+        weight: weight ?? template.weight,
+        body: body ?? template.body,
+        notes: notes ?? template.notes
+      }, req.user._id);
+    } else {
+      if (weight !== undefined) {
+        template.weight = weight;
+        await template.save();
+        promptTemplateService.clearTemplateCache();
+      }
+      if (isActive !== undefined) {
+        template = await promptTemplateService.setTemplateActive(template._id, isActive);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: changesText ? `Saved as version ${template.version}` : 'Prompt template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('Admin prompt template update error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to update prompt template'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/content-cache
+ * @desc    Cached text extractions and embeddings (entries and hits per kind)
+ * @access  Private/Admin
+ */
+router.get('/content-cache', protect, authorize('admin'), async (req, res) => {
+  try {
+    const stats = await contentCacheService.getCacheStats();
+    res.json({
+      success: true,
+      data: { stats, extractorVersion: contentCacheService.EXTRACTOR_VERSION }
+    });
+  } catch (error) {
+    console.error('Admin content cache error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch content cache stats'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/content-cache
+ * @desc    Clear the content cache (?kind=extraction|embedding for one kind)
+ * @access  Private/Admin
+ */
+router.delete('/content-cache', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { kind } = req.query;
+    if (kind && !ContentCache.KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid kind. Use one of: ${ContentCache.KINDS.join(', ')}`
+      });
+    }
+
+    const removed = await contentCacheService.clearCache(kind);
+    res.json({
+      success: true,
+      message: `Removed ${removed} cached ${removed === 1 ? 'entry' : 'entries'}`,
+      data: { removed }
+    });
+  } catch (error) {
+    console.error('Admin content cache clear error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear content cache'
+    });
+  }
+});
+
 module.exports = router;
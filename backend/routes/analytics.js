@@ -3,6 +3,7 @@ const router = express.Router();
 const { protect } = require('../middleware/auth');
 const QuizHistory = require('../models/QuizHistory');
 const Quiz = require('../models/Quiz');
+const { BLOOM_LEVELS } = require('../services/bloomTaxonomy');
 
 /**
  * @route   GET /api/analytics/my-stats
@@ -112,11 +113,28 @@ router.get('/quiz/:id/analytics', protect, async (req, res) => {
       return {
         questionText: question.questionText,
         difficulty: question.difficulty,
+        bloomLevel: question.bloomLevel,
         correctRate: (correctCount / questionAttempts.length * 100) || 0,
-        totalAttempts: questionAttempts.length
+        totalAttempts: questionAttempts.length,
+        correctCount
       };
     });
 
+    // Scores by Bloom's level (questions without a level are left out)
+    const bloomAnalytics = BLOOM_LEVELS
+      .map((level) => {
+        const questions = questionAnalytics.filter((q) => q.bloomLevel === level);
+        const answers = questions.reduce((sum, q) => sum + q.totalAttempts, 0);
+        const correct = questions.reduce((sum, q) => sum + q.correctCount, 0);
+        return {
+          level,
+          questions: questions.length,
+          totalAttempts: answers,
+          correctRate: (correct / answers * 100) || 0
+        };
+      })
+      .filter((entry) => entry.questions > 0);
+
     // Score distribution
     const scoreRanges = {
       '0-20': 0,
@@ -146,6 +164,7 @@ router.get('/quiz/:id/analytics', protect, async (req, res) => {
         },
         scoreDistribution: scoreRanges,
         questionAnalytics,
+        bloomAnalytics,
         recentAttempts: attempts.slice(0, 10)
       }
     });
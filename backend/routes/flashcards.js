@@ -0,0 +1,570 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { protect, optionalAuth } = require('../middleware/auth');
+const { trackUsage } = require('../middleware/usage');
+const upload = require('../middleware/upload');
+const FlashcardDeck = require('../models/FlashcardDeck');
+const Quiz = require('../models/Quiz');
+const User = require('../models/User');
+const usageService = require('../services/usageService');
+const { canViewQuiz, canSeeAnswers, canViewDeck, canEditDeck } = require('../services/accessService');
+const { extractSources, resolveLanguage } = require('../services/quizGenerationService');
+const {
+  parseDeckSettings,
+  generateDeckContent,
+  saveGeneratedDeck,
+  createDeckFromQuiz,
+  sanitizeCards
+} = require('../services/flashcardService');
+
+/**
+ * Load the quiz a deck should be linked to. The user must be able to see it.
+ * Sends the error response itself and returns null when the link can't be made;
+ * returns undefined when no quiz was asked for.
+ */
+async function loadQuizToLink(quizId, req, res) {
+  if (!quizId) return undefined;
+  const quiz = mongoose.isValidObjectId(quizId) ? await Quiz.findById(quizId) : null;
+
+  if (!quiz) {
+    res.status(404).json({
+      success: false,
+      message: 'Quiz not found'
+    });
+    return null;
+  }
+
+  if (!(await canViewQuiz(quiz, req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return quiz;
+}
+
+/**
+ * Check the user's monthly AI limits before generating a deck.
+ * Sends the 403 response itself and returns false when over a limit.
+ */
+async function checkDeckQuota(req, res) {
+  const quota = await usageService.checkQuota(req.user);
+  if (!quota.allowed) {
+    res.status(403).json({
+      success: false,
+      message: quota.message,
+      data: { quota }
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @route   POST /api/flashcards/generate-from-text
+ * @desc    Generate a flashcard deck from text (`numCards`, optional `quiz` to link it to)
+ * @access  Private
+ */
+router.post('/generate-from-text', protect, trackUsage, async (req, res) => {
+  try {
+    const { text } = req.body;
+    const settings = parseDeckSettings(req.body);
+
+    if (!text || text.trim().length < 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Text must be at least 100 characters long'
+      });
+    }
+
+    if (!(await checkDeckQuota(req, res))) return;
+    const quiz = await loadQuizToLink(settings.quiz, req, res);
+    if (quiz === null) return;
+
+    const language = resolveLanguage(settings.language, text);
+    const result = await generateDeckContent({ content: text, numCards: settings.numCards, language });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate flashcards',
+        error: result.error
+      });
+    }
+
+    const deck = await saveGeneratedDeck({ userId: req.user._id, deckData: result.data, settings, language, quiz });
+
+    res.status(201).json({
+      success: true,
+      message: 'Flashcards generated successfully',
+      data: { deck }
+    });
+  } catch (error) {
+    console.error('Flashcard generation error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate flashcards'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/flashcards/upload-and-generate
+ * @desc    Upload one file (`file`) or several (`files`) and generate one deck from them.
+ *          Optional `sources` JSON sets each file's weight and order, as for quizzes
+ * @access  Private
+ */
+router.post('/upload-and-generate', protect, upload.sources, trackUsage, async (req, res) => {
+  try {
+    const settings = parseDeckSettings(req.body);
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    if (!(await checkDeckQuota(req, res))) return;
+    const quiz = await loadQuizToLink(settings.quiz, req, res);
+    if (quiz === null) return;
+
+    const { text, sources } = await extractSources(req.files, settings.language, { sources: settings.sources });
+    const language = resolveLanguage(settings.language, text);
+    const result = await generateDeckContent({ content: text, numCards: settings.numCards, language, sources });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to generate flashcards',
+        error: result.error
+      });
+    }
+
+    const deck = await saveGeneratedDeck({ userId: req.user._id, deckData: result.data, settings, language, sources, quiz });
+
+    res.status(201).json({
+      success: true,
+      message: 'Flashcards generated successfully',
+      data: { deck }
+    });
+  } catch (error) {
+    console.error('Flashcard upload error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message || 'Failed to generate flashcards'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/flashcards/from-quiz/:quizId
+ * @desc    Create a deck from a quiz's questions (question on the front, answer and explanation on the back), linked to the quiz
+ * @access  Private (Creator, or users who finished the quiz)
+ */
+router.post('/from-quiz/:quizId', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizToLink(req.params.quizId, req, res);
+    if (!quiz) return;
+
+    // The backs of the cards are the quiz's answer key
+    if (!(await canSeeAnswers(quiz, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Flashcards from a quiz are available after you finish it'
+      });
+    }
+
+    const deck = await createDeckFromQuiz({
+      quiz,
+      userId: req.user._id,
+      title: typeof req.body.title === 'string' ? req.body.title.trim() : '',
+      isPublic: req.body.isPublic === true || req.body.isPublic === 'true'
+    });
+
+    if (!deck) {
+      return res.status(400).json({
+        success: false,
+        message: 'This quiz has no questions with answers to turn into flashcards'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Flashcards created from quiz',
+      data: { deck }
+    });
+  } catch (error) {
+    console.error('Create deck from quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create flashcards'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/flashcards
+ * @desc    Create a deck from cards written by hand
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+  try {
+    const { title, description, cards, tags, isPublic } = req.body;
+    const quiz = await loadQuizToLink(req.body.quiz, req, res);
+    if (quiz === null) return;
+
+    const deck = await FlashcardDeck.create({
+      title,
+      description,
+      creator: req.user._id,
+      quiz: quiz?._id,
+      cards: sanitizeCards(cards),
+      tags: Array.isArray(tags) ? tags : [],
+      language: quiz?.language,
+      isPublic: isPublic === true,
+      origin: 'manual'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Deck created successfully',
+      data: { deck }
+    });
+  } catch (error) {
+    console.error('Create deck error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to create deck'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/flashcards
+ * @desc    Decks the user can see: public ones, their own and those shared with them.
+ *          With `?quiz=` only the decks linked to that quiz (including class decks)
+ * @access  Public/Private
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { quiz, page = 1, limit = 20 } = req.query;
+
+    if (quiz) {
+      if (!mongoose.isValidObjectId(quiz)) {
+        return res.json({ success: true, data: { decks: [] } });
+      }
+      const linked = await FlashcardDeck.find({ quiz })
+        .select('-cards')
+        .populate('creator', 'name')
+        .sort({ createdAt: -1 })
+        .limit(50);
+      const decks = [];
+      for (const deck of linked) {
+        if (await canViewDeck(deck, req.user)) decks.push(deck);
+      }
+      return res.json({ success: true, data: { decks } });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const filter = req.user
+      ? { $or: [{ isPublic: true }, { creator: req.user._id }, { 'sharedWith.user': req.user._id }] }
+      : { isPublic: true };
+
+    const [decks, total] = await Promise.all([
+      FlashcardDeck.find(filter)
+        .select('-cards')
+        .populate('creator', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      FlashcardDeck.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        decks,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Fetch decks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch decks'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/flashcards/my/decks
+ * @desc    Decks the user created or that are shared with them
+ * @access  Private
+ */
+router.get('/my/decks', protect, async (req, res) => {
+  try {
+    const decks = await FlashcardDeck.find({ $or: [{ creator: req.user._id }, { 'sharedWith.user': req.user._id }] })
+      .select('-cards')
+      .populate('creator', 'name')
+      .populate('quiz', 'title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { decks, total: decks.length }
+    });
+  } catch (error) {
+    console.error('Fetch my decks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch decks'
+    });
+  }
+});
+
+/**
+ * Load a deck by id, sending a 404 and returning null when it doesn't exist
+ */
+async function loadDeck(req, res) {
+  const deck = mongoose.isValidObjectId(req.params.id) ? await FlashcardDeck.findById(req.params.id) : null;
+  if (!deck) {
+    res.status(404).json({
+      success: false,
+      message: 'Deck not found'
+    });
+    return null;
+  }
+  return deck;
+}
+
+/**
+ * @route   GET /api/flashcards/:id
+ * @desc    Get a deck with its cards (sharing details for the creator only)
+ * @access  Public/Private
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const deck = await loadDeck(req, res);
+    if (!deck) return;
+
+    if (!(await canViewDeck(deck, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await deck.populate([
+      { path: 'creator', select: 'name email' },
+      { path: 'quiz', select: 'title' },
+      { path: 'sharedWith.user', select: 'name email' }
+    ]);
+    const isCreator = req.user && deck.creator._id.toString() === req.user._id.toString();
+    const deckData = deck.toObject();
+    deckData.canEdit = canEditDeck(deck, req.user);
+    if (!isCreator) delete deckData.sharedWith;
+
+    res.json({
+      success: true,
+      data: { deck: deckData }
+    });
+  } catch (error) {
+    console.error('Fetch deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deck'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/flashcards/:id
+ * @desc    Update a deck's details and cards. Visibility and the linked quiz (`quiz`, or null to unlink) are creator-only
+ * @access  Private (Creator or shared editors)
+ */
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const deck = await loadDeck(req, res);
+    if (!deck) return;
+
+    if (!canEditDeck(deck, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this deck'
+      });
+    }
+
+    const { title, description, cards, tags, isPublic } = req.body;
+    const isCreator = deck.creator.toString() === req.user._id.toString();
+
+    if (title !== undefined) deck.title = title;
+    if (description !== undefined) deck.description = description;
+    if (cards !== undefined) deck.cards = sanitizeCards(cards, deck);
+    if (Array.isArray(tags)) deck.tags = tags;
+    if (isCreator && typeof isPublic === 'boolean') deck.isPublic = isPublic;
+    if (isCreator && req.body.quiz !== undefined) {
+      const quiz = await loadQuizToLink(req.body.quiz, req, res);
+      if (quiz === null) return;
+      deck.quiz = quiz?._id;
+    }
+
+    await deck.save();
+
+    res.json({
+      success: true,
+      message: 'Deck updated successfully',
+      data: { deck }
+    });
+  } catch (error) {
+    console.error('Update deck error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Failed to update deck'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/flashcards/:id/share
+ * @desc    Share a deck with a user (`email` or `userId`) to view or edit (`role`)
+ * @access  Private (Creator only)
+ */
+router.post('/:id/share', protect, async (req, res) => {
+  try {
+    const deck = await loadDeck(req, res);
+    if (!deck) return;
+
+    if (deck.creator.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to share this deck'
+      });
+    }
+
+    const { email, userId, role = 'view' } = req.body;
+    if (!['view', 'edit'].includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role must be view or edit'
+      });
+    }
+
+    let user = null;
+    if (userId && mongoose.isValidObjectId(userId)) {
+      user = await User.findById(userId).select('name email');
+    } else if (email) {
+      user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('name email');
+    }
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (user._id.equals(deck.creator)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this deck'
+      });
+    }
+
+    const existing = deck.sharedWith.find((share) => share.user.equals(user._id));
+    if (existing) {
+      existing.role = role;
+    } else {
+      deck.sharedWith.push({ user: user._id, role });
+    }
+    await deck.save();
+
+    res.json({
+      success: true,
+      message: `Deck shared with ${user.name || user.email}`,
+      data: { sharedWith: deck.sharedWith }
+    });
+  } catch (error) {
+    console.error('Share deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to share deck'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/flashcards/:id/share/:userId
+ * @desc    Stop sharing a deck with a user (the creator, or users removing themselves)
+ * @access  Private
+ */
+router.delete('/:id/share/:userId', protect, async (req, res) => {
+  try {
+    const deck = await loadDeck(req, res);
+    if (!deck) return;
+
+    const isCreator = deck.creator.toString() === req.user._id.toString();
+    if (!isCreator && req.params.userId !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change sharing for this deck'
+      });
+    }
+
+    deck.sharedWith = deck.sharedWith.filter((share) => share.user.toString() !== req.params.userId);
+    await deck.save();
+
+    res.json({
+      success: true,
+      message: 'Sharing removed',
+      data: { sharedWith: isCreator ? deck.sharedWith : undefined }
+    });
+  } catch (error) {
+    console.error('Unshare deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update sharing'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/flashcards/:id
+ * @desc    Delete a deck
+ * @access  Private (Creator or admin)
+ */
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const deck = await loadDeck(req, res);
+    if (!deck) return;
+
+    if (deck.creator.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this deck'
+      });
+    }
+
+    await deck.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Deck deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete deck error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete deck'
+    });
+  }
+});
+
+module.exports = router;
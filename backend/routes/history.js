@@ -1,11 +1,38 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { trackUsage } = require('../middleware/usage');
 const Quiz = require('../models/Quiz');
 const QuizHistory = require('../models/QuizHistory');
 const LegacyQuizHistory = require('../models/LegacyQuizHistory');
+const User = require('../models/User');
+const Class = require('../models/Class');
+const gradingService = require('../services/gradingService');
+const usageService = require('../services/usageService');
+const revisionService = require('../services/revisionService');
+const { canGradeAttempt } = require('../services/accessService');
+
+// Filter for the attempts a user may grade: every attempt for the quiz's creator and admins,
+// their classes' attempts for class teachers. Without a quiz, covers all the user's quizzes
+// and classes. Returns null when the user may grade none of them.
+async function gradableAttempts(user, { quiz, classId } = {}) {
+  const isAdmin = user.role === 'admin';
+  const ownsQuiz = quiz && quiz.creator.toString() === user._id.toString();
+  const filter = quiz ? { quiz: quiz._id } : {};
+
+  if (classId) {
+    if (!isAdmin && !ownsQuiz && !(await Class.exists({ _id: classId, teacher: user._id }))) return null;
+    return { ...filter, classId };
+  }
+  if (isAdmin || ownsQuiz) return filter;
+
+  const classIds = await Class.find({ teacher: user._id, ...(quiz && { quizzes: quiz._id }) }).distinct('_id');
+  if (quiz) return classIds.length > 0 ? { ...filter, classId: { $in: classIds } } : null;
+  const quizIds = await Quiz.find({ creator: user._id }).distinct('_id');
+  return { $or: [{ quiz: { $in: quizIds } }, { classId: { $in: classIds } }] };
+}
 
-// GET /api/history - current user's quiz history (new collection primary, legacy readable)
 // GET /api/history - current user's quiz history (new collection primary, legacy readable)
 router.get('/', protect, async (req, res) => {
   try {
@@ -38,6 +65,7 @@ router.get('/', protect, async (req, res) => {
                 score: 1,
                 percentage: 1,
                 passed: 1,
+                gradingStatus: 1,
                 createdAt: 1,
                 quiz: {
                   _id: '$quizInfo._id',
@@ -55,6 +83,20 @@ router.get('/', protect, async (req, res) => {
     const history = result[0].data;
     const total = result[0].metadata[0] ? result[0].metadata[0].total : 0;
 
+    // Students see essay grades once their teacher releases them, as on the attempt itself
+    const unreleased = history.filter((entry) => ['pending', 'graded'].includes(entry.gradingStatus));
+    if (unreleased.length > 0) {
+      const attempts = await QuizHistory.find({ _id: { $in: unreleased.map((entry) => entry._id) } })
+        .select('quiz quizVersion answers score percentage correctAnswers gradingStatus')
+        .populate('quiz', 'questions version');
+      for (const attempt of attempts) {
+        const quiz = await revisionService.quizForAttempt(attempt, attempt.quiz);
+        if (!quiz) continue;
+        const { score, percentage, passed } = gradingService.hideUnreleasedGrades(attempt.toObject(), quiz);
+        Object.assign(history.find((entry) => entry._id.equals(attempt._id)), { score, percentage, passed });
+      }
+    }
+
     // Optionally include legacy latest entries if any (kept simple for compatibility)
     const legacy = await LegacyQuizHistory.find({ user: req.user._id })
       .sort({ createdAt: -1 })
@@ -79,11 +121,71 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// GET /api/history/grading-queue - attempts waiting for a teacher, oldest first; ?quizId= and
+// ?classId= narrow it, ?status= picks pending (default), graded (not yet released) or released
+router.get('/grading-queue', protect, async (req, res) => {
+  try {
+    const { quizId, classId, status = 'pending' } = req.query;
+    if (!['pending', 'graded', 'released'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'status must be pending, graded or released' });
+    }
+    if ((quizId && !mongoose.isValidObjectId(quizId)) || (classId && !mongoose.isValidObjectId(classId))) {
+      return res.status(400).json({ success: false, message: 'Invalid quizId or classId' });
+    }
+
+    let quiz = null;
+    if (quizId) {
+      quiz = await Quiz.findById(quizId).select('title creator');
+      if (!quiz) return res.status(404).json({ success: false, message: 'Quiz not found' });
+    }
+    const filter = await gradableAttempts(req.user, { quiz, classId });
+    if (!filter) return res.status(403).json({ success: false, message: 'Not authorized' });
+
+    const [attempts, pending, graded] = await Promise.all([
+      QuizHistory.find({ ...filter, gradingStatus: status })
+        .sort({ completedAt: 1 })
+        .limit(200)
+        .populate('user', 'name email')
+        .populate('quiz', 'title')
+        .populate('classId', 'name')
+        .select('user quiz classId answers score percentage gradingStatus completedAt gradesReleasedAt'),
+      QuizHistory.countDocuments({ ...filter, gradingStatus: 'pending' }),
+      QuizHistory.countDocuments({ ...filter, gradingStatus: 'graded' })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        counts: { pending, graded },
+        attempts: attempts.map((attempt) => {
+          const essays = attempt.answers.filter((a) => a.grading?.method === 'pending');
+          return {
+            _id: attempt._id,
+            user: attempt.user,
+            quiz: attempt.quiz,
+            class: attempt.classId,
+            score: attempt.score,
+            percentage: attempt.percentage,
+            gradingStatus: attempt.gradingStatus,
+            completedAt: attempt.completedAt,
+            gradesReleasedAt: attempt.gradesReleasedAt,
+            essays: essays.length,
+            ungraded: essays.filter((a) => !a.override?.at).length
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Grading queue error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch grading queue' });
+  }
+});
+
 // GET /api/history/:id - get specific history by ID
 router.get('/:id', protect, async (req, res) => {
   try {
     const history = await QuizHistory.findById(req.params.id)
-      .populate('quiz', 'title description category questions timeLimit passingScore')
+      .populate('quiz', 'title description category questions timeLimit passingScore creator version')
       .populate('user', 'name email');
 
     if (!history) {
@@ -93,8 +195,9 @@ router.get('/:id', protect, async (req, res) => {
       });
     }
 
-    // Check ownership
-    if (history.user._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check ownership (graders may open any attempt they can grade)
+    const canGrade = Boolean(history.quiz && await canGradeAttempt(history, history.quiz, req.user));
+    if (history.user._id.toString() !== req.user._id.toString() && !canGrade) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized'
@@ -102,8 +205,13 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // ------ Explanation visibility logic ------
-    const quiz = history.quiz;
+    // The quiz as it was when the attempt was taken
+    const quiz = await revisionService.quizForAttempt(history, history.quiz);
     const historyObj = history.toObject({ virtuals: true });
+    if (quiz && quiz !== history.quiz) {
+      historyObj.quiz = quiz.toObject({ virtuals: true });
+      historyObj.quizEditedSince = true;
+    }
 
     let canViewExplanations = true;
     let explanationsUnlockAt = null;
@@ -149,6 +257,10 @@ router.get('/:id', protect, async (req, res) => {
       console.log('   ❌ SKIPPED - No quiz data');
     }
 
+    // Students see essay grades once their teacher releases them
+    if (!canGrade && quiz) gradingService.hideUnreleasedGrades(historyObj, quiz);
+    historyObj.canGrade = canGrade;
+
     historyObj.canViewExplanations = canViewExplanations;
     historyObj.explanationsUnlockAt = explanationsUnlockAt;
     console.log('   Final: canView =', canViewExplanations, ', unlockAt =', explanationsUnlockAt ? explanationsUnlockAt.toISOString() : 'null');
@@ -168,53 +280,32 @@ router.get('/:id', protect, async (req, res) => {
 });
 
 // POST /api/history - save quiz attempt
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, trackUsage, async (req, res) => {
   try {
-    const { quizId, answers, timeTaken = 0 } = req.body;
+    const { quizId, answers, timeTaken = 0, attemptTicket } = req.body;
     const quiz = await Quiz.findById(quizId);
     if (!quiz) return res.status(404).json({ success: false, message: 'Quiz not found' });
 
-    // Grade answers
-    let correctAnswers = 0;
-    let score = 0;
-    const detailedAnswers = [];
-
-    quiz.questions.forEach((question, index) => {
-      const userAnswer = answers?.[index];
-      let isCorrect = false;
-      if (question.type === 'mcq') {
-        const correctOption = question.options.find(o => o.isCorrect);
-        isCorrect = userAnswer === correctOption?.text;
-      } else if (question.type === 'true-false') {
-        isCorrect = userAnswer === question.correctAnswer;
-      } else {
-        isCorrect = userAnswer?.toLowerCase().trim() === question.correctAnswer?.toLowerCase().trim();
-      }
-      if (isCorrect) { correctAnswers++; score += question.points; }
-      detailedAnswers.push({
-        questionId: question._id,
-        userAnswer,
-        isCorrect,
-        pointsEarned: isCorrect ? question.points : 0,
-        correctAnswer: question.correctAnswer,
-        explanation: question.explanation
-      });
-    });
-
-    const percentage = (correctAnswers / quiz.questions.length) * 100;
-    const passed = percentage >= quiz.passingScore;
+    // Grade answers against the version the student was given (see GET /api/quiz/:id)
+    const revision = await revisionService.revisionForAttempt(quiz, { ticket: attemptTicket, user: req.user });
+    const takenQuiz = revisionService.quizAtRevision(quiz, revision);
+    const { detailedAnswers, score, correctAnswers, percentage, gradingStatus } = await gradingService.gradeSubmission(takenQuiz, answers);
+    const passed = percentage >= takenQuiz.passingScore;
 
     const history = await QuizHistory.create({
       user: req.user._id,
       quiz: quiz._id,
+      quizVersion: revision.version,
+      revision: revision._id,
       answers: detailedAnswers,
       score,
       percentage,
-      totalQuestions: quiz.questions.length,
+      totalQuestions: takenQuiz.questions.length,
       correctAnswers,
-      incorrectAnswers: quiz.questions.length - correctAnswers,
+      incorrectAnswers: takenQuiz.questions.length - correctAnswers,
       timeTaken,
-      passed
+      passed,
+      gradingStatus
     });
 
     await req.user.incrementUsage('taken');
@@ -231,4 +322,250 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+// GET /api/history/quiz/:quizId/answers - every attempt's answers to one question type (default
+// short-answer) with how they were graded, for the quiz's creator, admins and the teachers of its
+// classes (their classes' attempts only); ?method= keeps answers graded one way (e.g. no-match).
+// Each attempt is matched against the questions of the version it was taken on: a question whose
+// answer key was edited since is listed once per distinct key, and answers point at theirs by `questionKey`.
+router.get('/quiz/:quizId/answers', protect, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.quizId).select('title creator questions version');
+    if (!quiz) return res.status(404).json({ success: false, message: 'Quiz not found' });
+
+    const filter = await gradableAttempts(req.user, { quiz });
+    if (!filter) return res.status(403).json({ success: false, message: 'Not authorized' });
+
+    const attempts = await QuizHistory.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('user', 'name email')
+      .select('user answers score percentage passed completedAt classId quizVersion');
+
+    const type = req.query.type || 'short-answer';
+    const questions = [];
+    const keys = new Map(); // question id and content -> key
+    // Questions of `type` in one version of the quiz, by id, adding each new variant to `questions`
+    const questionsOf = (version) => {
+      const byId = new Map();
+      version.questions.forEach((q, index) => {
+        if (q.type !== type) return;
+        const question = {
+          _id: q._id,
+          number: index + 1,
+          questionText: q.questionText,
+          correctAnswer: q.correctAnswer,
+          acceptedAnswers: q.acceptedAnswers,
+          rubric: q.rubric,
+          essayRubric: q.essayRubric,
+          points: q.points ?? 1
+        };
+        const signature = JSON.stringify({ ...question, number: undefined });
+        if (!keys.has(signature)) {
+          // An earlier variant of a listed question is keyed (and labelled) by its version
+          const variant = questions.some((other) => String(other._id) === String(q._id));
+          const key = variant ? `${q._id}@${version.version}` : String(q._id);
+          keys.set(signature, key);
+          questions.push({ ...question, key, quizVersion: variant ? version.version : undefined });
+        }
+        byId.set(String(q._id), keys.get(signature));
+      });
+      return byId;
+    };
+
+    // The current version first, so its questions are listed even before anyone answered them
+    const versions = new Map([[quiz.version, questionsOf(quiz)]]);
+    const attemptQuestions = async (attempt) => {
+      const version = attempt.quizVersion || quiz.version;
+      if (!versions.has(version)) {
+        versions.set(version, questionsOf(await revisionService.quizForAttempt(attempt, quiz)));
+      }
+      return versions.get(version);
+    };
+
+    const results = [];
+    for (const attempt of attempts) {
+      const byId = await attemptQuestions(attempt);
+      const answers = attempt.answers
+        .filter((a) => byId.has(String(a.questionId)) && (!req.query.method || a.grading?.method === req.query.method))
+        .map((a) => ({ ...a.toObject(), questionKey: byId.get(String(a.questionId)) }));
+      if (answers.length === 0) continue;
+      results.push({
+        _id: attempt._id,
+        user: attempt.user,
+        score: attempt.score,
+        percentage: attempt.percentage,
+        passed: attempt.passed,
+        completedAt: attempt.completedAt,
+        quizVersion: attempt.quizVersion,
+        answers
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        quiz: { _id: quiz._id, title: quiz.title, version: quiz.version },
+        questions,
+        attempts: results
+      }
+    });
+  } catch (error) {
+    console.error('History answers GET error:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch answers' });
+  }
+});
+
+// Load an attempt and its quiz (as it was when the attempt was taken) for grading, checking the
+// user may grade it. Sends the error response itself and returns null when grading can't go ahead.
+async function loadAttemptForGrading(req, res) {
+  const history = mongoose.isValidObjectId(req.params.id) ? await QuizHistory.findById(req.params.id) : null;
+  if (!history) {
+    res.status(404).json({ success: false, message: 'History not found' });
+    return null;
+  }
+  const quiz = await Quiz.findById(history.quiz);
+  if (!quiz) {
+    res.status(404).json({ success: false, message: 'Quiz not found' });
+    return null;
+  }
+  if (!(await canGradeAttempt(history, quiz, req.user))) {
+    res.status(403).json({ success: false, message: 'Not authorized to grade this attempt' });
+    return null;
+  }
+  return { history, quiz: await revisionService.quizForAttempt(history, quiz) };
+}
+
+// Set (pointsEarned or, for rubric essays, rubricScores) or remove (null) a teacher's grade for
+// one answer, then update the attempt's score, the student's points and the quiz's average score
+// (essay grades count towards the last two when they are released)
+async function applyGrade(req, res, pointsEarned) {
+  const target = await loadAttemptForGrading(req, res);
+  if (!target) return;
+  const { history, quiz } = target;
+
+  const result = gradingService.overrideGrade(history, quiz, req.params.questionId, {
+    pointsEarned,
+    rubricScores: pointsEarned === null ? undefined : req.body?.rubricScores,
+    reason: req.body?.reason,
+    userId: req.user._id
+  });
+  if (!result.success) return res.status(result.status).json({ success: false, message: result.error });
+
+  await history.save();
+  if (result.scoreChange) await User.updateOne({ _id: history.user }, { $inc: { points: result.scoreChange } });
+  if (result.percentageChange && quiz.analytics.totalAttempts > 0) {
+    await Quiz.updateOne(
+      { _id: quiz._id },
+      { $inc: { 'analytics.averageScore': result.percentageChange / quiz.analytics.totalAttempts } }
+    );
+  }
+
+  res.json({
+    success: true,
+    message: pointsEarned === null ? 'Automatic grade restored' : 'Grade updated',
+    data: {
+      answer: result.answer,
+      score: history.score,
+      percentage: history.percentage,
+      correctAnswers: history.correctAnswers,
+      passed: history.passed,
+      gradingStatus: history.gradingStatus
+    }
+  });
+}
+
+// PUT /api/history/:id/answers/:questionId/grade - teacher's grade for one answer
+// { pointsEarned, reason } or, for essays with a rubric, { rubricScores: [{ criterionId, levelId }], reason }
+router.put('/:id/answers/:questionId/grade', protect, async (req, res) => {
+  try {
+    if ((req.body?.pointsEarned === undefined || req.body.pointsEarned === null) && !Array.isArray(req.body?.rubricScores)) {
+      return res.status(400).json({ success: false, message: 'pointsEarned or rubricScores is required' });
+    }
+    await applyGrade(req, res, req.body.pointsEarned);
+  } catch (error) {
+    console.error('Grade override error:', error);
+    res.status(500).json({ success: false, message: 'Failed to update grade' });
+  }
+});
+
+// DELETE /api/history/:id/answers/:questionId/grade - drop the teacher's grade, back to the automatic one
+router.delete('/:id/answers/:questionId/grade', protect, async (req, res) => {
+  try {
+    await applyGrade(req, res, null);
+  } catch (error) {
+    console.error('Grade override error:', error);
+    res.status(500).json({ success: false, message: 'Failed to restore grade' });
+  }
+});
+
+// POST /api/history/:id/answers/:questionId/suggest - AI-suggested rubric scores and comment for one
+// essay, saved on the answer for the grader to accept or change
+router.post('/:id/answers/:questionId/suggest', protect, trackUsage, async (req, res) => {
+  try {
+    const target = await loadAttemptForGrading(req, res);
+    if (!target) return;
+
+    const quota = await usageService.checkQuota(req.user);
+    if (!quota.allowed) return res.status(403).json({ success: false, message: quota.message, data: { quota } });
+
+    const result = await gradingService.suggestGrade(target.history, target.quiz, req.params.questionId);
+    if (!result.success) return res.status(result.status).json({ success: false, message: result.error });
+    await target.history.save();
+
+    res.json({ success: true, message: 'Suggested grade ready', data: { answer: result.answer } });
+  } catch (error) {
+    console.error('Grade suggestion error:', error);
+    res.status(500).json({ success: false, message: 'Failed to suggest a grade' });
+  }
+});
+
+// POST /api/history/:id/release - release a graded attempt's essay grades to its student
+router.post('/:id/release', protect, async (req, res) => {
+  try {
+    const target = await loadAttemptForGrading(req, res);
+    if (!target) return;
+    const { history, quiz } = target;
+
+    if (history.gradingStatus !== 'graded') {
+      const message = {
+        pending: 'Grade every essay before releasing the grades',
+        released: 'These grades have already been released',
+      }[history.gradingStatus] || 'This attempt has no essays to grade';
+      return res.status(400).json({ success: false, message });
+    }
+
+    await gradingService.releaseGrades(quiz, { _id: history._id });
+    res.json({ success: true, message: 'Grades released', data: { released: 1 } });
+  } catch (error) {
+    console.error('Grade release error:', error);
+    res.status(500).json({ success: false, message: 'Failed to release grades' });
+  }
+});
+
+// POST /api/history/quiz/:quizId/release - release every graded attempt of a quiz the user may
+// grade ({ classId } limits it to one class) and notify the students
+router.post('/quiz/:quizId/release', protect, async (req, res) => {
+  try {
+    const { classId } = req.body || {};
+    if (!mongoose.isValidObjectId(req.params.quizId) || (classId && !mongoose.isValidObjectId(classId))) {
+      return res.status(400).json({ success: false, message: 'Invalid quiz or class id' });
+    }
+    const quiz = await Quiz.findById(req.params.quizId).select('title creator analytics.totalAttempts');
+    if (!quiz) return res.status(404).json({ success: false, message: 'Quiz not found' });
+
+    const filter = await gradableAttempts(req.user, { quiz, classId });
+    if (!filter) return res.status(403).json({ success: false, message: 'Not authorized' });
+
+    const released = await gradingService.releaseGrades(quiz, filter);
+    res.json({
+      success: true,
+      message: released ? `Released grades for ${released} attempt${released === 1 ? '' : 's'}` : 'No graded attempts to release',
+      data: { released }
+    });
+  } catch (error) {
+    console.error('Grade release error:', error);
+    res.status(500).json({ success: false, message: 'Failed to release grades' });
+  }
+});
+
 module.exports = router;
@@ -5,7 +5,7 @@ const textExtractor = require('../services/textExtractor');
 router.post('/pdf', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) return res.status(400).json({ success: false, message: 'No file uploaded' });
-    const text = await textExtractor.extractText(req.file.path, 'pdf');
+    const text = await textExtractor.extractText(req.file.path);
     const cleaned = textExtractor.cleanText(text);
     textExtractor.validateText(cleaned, 50);
     res.json({ success: true, data: { text: cleaned } });
@@ -1,35 +1,58 @@
 const express = require('express');
+const fs = require('fs');
 const mongoose = require('mongoose');
 const router = express.Router();
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { trackUsage } = require('../middleware/usage');
 const upload = require('../middleware/upload');
 const Quiz = require('../models/Quiz');
 const QuizHistory = require('../models/QuizHistory');
 const User = require('../models/User');
-const textExtractor = require('../services/textExtractor');
+const GenerationJob = require('../models/GenerationJob');
+const FlashcardDeck = require('../models/FlashcardDeck');
+const StudyGuide = require('../models/StudyGuide');
+const QuizRevision = require('../models/QuizRevision');
 const geminiService = require('../services/geminiService');
 const embeddingService = require('../services/embeddingService');
-const QuestionDoc = require('../models/Question');
-const AnswerOption = require('../models/AnswerOption');
-const FileDoc = require('../models/File');
-const Class = require('../models/Class');
+const generationQueue = require('../services/generationQueue');
+const questionEditService = require('../services/questionEditService');
+const quizEditService = require('../services/quizEditService');
+const revisionService = require('../services/revisionService');
+const usageService = require('../services/usageService');
+const streamSessions = require('../services/streamSessions');
+const mediaService = require('../services/mediaService');
+const studyGuideService = require('../services/studyGuideService');
+const gradingService = require('../services/gradingService');
+const {
+  parseQuizSettings,
+  extractSources,
+  resolveLanguage,
+  generateQuizContent,
+  streamQuizContent,
+  saveGeneratedQuiz,
+  reuseGeneratedQuiz
+} = require('../services/quizGenerationService');
+const { summarizeTypeBreakdown } = require('../services/quizPrompts');
+const { toPublicQuestion } = require('../services/questionTypes');
+const { canViewQuiz, canSeeAnswers } = require('../services/accessService');
 
 /**
  * @route   POST /api/quiz/upload-and-generate
- * @desc    Upload file and generate quiz
+ * @desc    Upload one file (`file`) or several (`files`) and generate one quiz from them.
+ *          Optional `sources` JSON sets each file's weight and order, in upload order
  * @access  Private
  */
-router.post('/upload-and-generate', protect, upload.single('file'), async (req, res) => {
+router.post('/upload-and-generate', protect, upload.sources, trackUsage, async (req, res) => {
   try {
-    const { numQuestions, quizType, difficulty, language, category, timeLimit, passingScore, isPublic } = req.body;
+    const settings = parseQuizSettings(req.body);
 
-    // Check if user can generate quiz
-    if (!req.user.canGenerateQuiz()) {
+    // Check the user's monthly plan limits
+    const quota = await usageService.checkQuota(req.user, { questions: settings.numQuestions });
+    if (!quota.allowed) {
       return res.status(403).json({
         success: false,
-        message: 'Quiz generation limit reached. Please upgrade your plan.',
-        currentUsage: req.user.usage.quizzesGenerated,
-        limit: req.user.subscription.plan === 'free' ? process.env.FREE_QUIZ_LIMIT : process.env.PREMIUM_QUIZ_LIMIT
+        message: quota.message,
+        data: { quota }
       });
     }
 
@@ -40,27 +63,63 @@ router.post('/upload-and-generate', protect, upload.single('file'), async (req,
       });
     }
 
-    // Extract text from uploaded file
-    console.log('📄 Extracting text from file...');
-    const extractedText = await textExtractor.extractText(req.file.path, req.file.mimetype);
-    const cleanedText = textExtractor.cleanText(extractedText);
-
-    // Validate text length
-    textExtractor.validateText(cleanedText, 100);
+    // Extract text from the uploaded files
+    console.log(`📄 Extracting text from ${req.files.length} file(s)...`);
+    const { text: cleanedText, ocr, sources } = await extractSources(req.files, settings.language, { sources: settings.sources });
 
     // Auto-detect language from content if not explicitly provided or if 'auto'
-    const detectedLanguage = (language && language !== 'auto') ? language : textExtractor.detectLanguage(cleanedText);
+    const detectedLanguage = resolveLanguage(settings.language, cleanedText);
     console.log(`🌐 Detected language: ${detectedLanguage}`);
 
-    // Generate quiz using Gemini AI
+    // Copy a quiz generated earlier from the same content, when asked to
+    const reused = settings.reuseExisting && await reuseGeneratedQuiz({
+      userId: req.user._id,
+      settings,
+      language: detectedLanguage,
+      sourceText: cleanedText,
+      file: req.file,
+      files: req.files,
+      sources
+    });
+    if (reused) {
+      await req.user.incrementUsage('generated');
+      const { typeBreakdown, bloomBreakdown, coverage, quality, reusedFrom, warnings } = reused.generation;
+      return res.status(201).json({
+        success: true,
+        message: 'Reused a quiz generated from the same content',
+        data: {
+          quiz: {
+            id: reused._id,
+            title: reused.title,
+            description: reused.description,
+            questions: reused.questions,
+            category: reused.category,
+            tags: reused.tags,
+            totalQuestions: reused.questions.length,
+            createdAt: reused.createdAt
+          },
+          reusedFrom,
+          typeBreakdown,
+          bloomBreakdown,
+          coverage,
+          quality,
+          warnings
+        }
+      });
+    }
+
+    // Generate quiz using the configured AI provider
     console.log('🤖 Generating quiz with AI...');
-    const quizResult = await geminiService.generateQuiz({
+    const quizResult = await generateQuizContent({
       content: cleanedText,
-      numQuestions: parseInt(numQuestions) || 10,
-      quizType: quizType || 'mcq',
-      difficulty: difficulty || 'medium',
+      numQuestions: settings.numQuestions,
+      quizType: settings.quizType,
+      typeDistribution: settings.typeDistribution,
+      bloomDistribution: settings.bloomDistribution,
+      difficulty: settings.difficulty,
       language: detectedLanguage,
-      category: category || ''
+      category: settings.category,
+      sources
     });
 
     if (!quizResult.success) {
@@ -71,60 +130,24 @@ router.post('/upload-and-generate', protect, upload.single('file'), async (req,
       });
     }
 
-    const quizData = quizResult.data;
-
-    // Create quiz in database
-    const timeLimitParsed = Number.parseInt(timeLimit, 10);
-    const passingScoreParsed = Number.parseInt(passingScore, 10);
-    const timeLimitValue = Number.isFinite(timeLimitParsed) && timeLimitParsed > 0 ? Math.min(timeLimitParsed, 300) : 30;
-    const passingScoreValue = Number.isFinite(passingScoreParsed) ? Math.min(Math.max(passingScoreParsed, 1), 100) : 60;
-
-    const quiz = await Quiz.create({
-      title: quizData.title || 'Generated Quiz',
-      description: quizData.description || '',
-      creator: req.user._id,
-      questions: quizData.questions,
-      category: quizData.category || category || 'General',
-      tags: await geminiService.extractTopics(cleanedText),
+    const quiz = await saveGeneratedQuiz({
+      userId: req.user._id,
+      quizData: { ...quizResult.data, tags: await geminiService.extractTopics(cleanedText) },
+      settings,
       language: detectedLanguage,
-      difficulty: difficulty || 'mixed',
-      timeLimit: timeLimitValue,
-      passingScore: passingScoreValue,
-      sourceContent: {
-        text: cleanedText.substring(0, 5000),
-        filename: req.file.originalname,
-        fileType: req.file.mimetype
-      },
-      isPublic: isPublic === 'true' || isPublic === true
-    });
-
-    // Save file metadata
-    try {
-      await FileDoc.create({ filename: req.file.filename, originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size, path: req.file.path, uploadedBy: req.user._id });
-    } catch (e) { /* ignore */ }
-
-    // Persist questions and answers into required collections
-    try {
-      for (const q of quiz.questions) {
-        const qDoc = await QuestionDoc.create({ quizId: quiz._id, questionText: q.questionText, type: q.type, correctAnswer: q.correctAnswer, explanation: q.explanation, difficulty: q.difficulty, points: q.points });
-        if (q.options?.length) {
-          const optionsToInsert = q.options.map(o => ({ questionId: qDoc._id, text: o.text, isCorrect: !!o.isCorrect }));
-          if (optionsToInsert.length) await AnswerOption.insertMany(optionsToInsert);
-        }
-      }
-    } catch (e) { console.warn('Failed to persist questions/answers:', e.message); }
-
-    // Generate and store embedding for vector search
-    try {
-      const embeddingId = await embeddingService.createQuizEmbedding(quiz);
-      if (embeddingId) {
-        quiz.embeddingId = embeddingId;
-        await quiz.save();
+      sourceText: cleanedText,
+      file: req.file,
+      files: req.files,
+      sources,
+      generation: {
+        typeBreakdown: quizResult.typeBreakdown,
+        bloomBreakdown: quizResult.bloomBreakdown,
+        coverage: quizResult.coverage,
+        quality: quizResult.quality,
+        prompt: quizResult.prompt,
+        ocr
       }
-    } catch (embedError) {
-      console.error('Embedding generation error:', embedError);
-      // Continue without embedding - quiz still created successfully
-    }
+    });
 
     // Increment user usage
     await req.user.incrementUsage('generated');
@@ -143,11 +166,15 @@ router.post('/upload-and-generate', protect, upload.single('file'), async (req,
           totalQuestions: quiz.questions.length,
           createdAt: quiz.createdAt
         },
+        typeBreakdown: quizResult.typeBreakdown,
+        bloomBreakdown: quizResult.bloomBreakdown,
+        coverage: quizResult.coverage,
+        quality: quizResult.quality,
+        warnings: quiz.generation.warnings,
         usage: {
           quizzesGenerated: req.user.usage.quizzesGenerated,
-          remaining: req.user.subscription.plan === 'free'
-            ? process.env.FREE_QUIZ_LIMIT - req.user.usage.quizzesGenerated
-            : process.env.PREMIUM_QUIZ_LIMIT - req.user.usage.quizzesGenerated
+          // null when the plan has no monthly quiz limit
+          remaining: quota.remaining?.quizzes == null ? null : Math.max(0, quota.remaining.quizzes - 1)
         }
       }
     });
@@ -160,23 +187,36 @@ router.post('/upload-and-generate', protect, upload.single('file'), async (req,
   }
 });
 
+/**
+ * Report a streaming failure: as a final event once the stream has started,
+ * otherwise as a normal JSON error
+ */
+function failStream(res, session, message) {
+  if (session) {
+    session.push({ event: 'error', message });
+    session.finish();
+  } else if (!res.headersSent) {
+    res.status(500).json({ success: false, message });
+  }
+}
+
 /**
  * @route   POST /api/quiz/stream-upload-and-generate
- * @desc    Upload file and stream quiz generation (SSE)
+ * @desc    Upload one or more files (as for upload-and-generate) and stream quiz generation
+ *          (NDJSON, or SSE with ?transport=sse).
+ *          Events are numbered; reconnect with GET /api/quiz/stream/:sessionId
  * @access  Private
  */
-router.post('/stream-upload-and-generate', protect, upload.single('file'), async (req, res) => {
+router.post('/stream-upload-and-generate', protect, upload.sources, trackUsage, async (req, res) => {
+  let session = null;
   try {
-    const { numQuestions, quizType, difficulty, language, category, timeLimit, passingScore, isPublic } = req.body;
+    const settings = parseQuizSettings(req.body);
 
-    if (!req.user.canGenerateQuiz()) {
+    const quota = await usageService.checkQuota(req.user, { questions: settings.numQuestions });
+    if (!quota.allowed) {
       res.status(403);
       res.setHeader('Content-Type', 'application/json');
-      return res.end(JSON.stringify({
-        success: false,
-        message: 'Quiz generation limit reached. Please upgrade your plan.',
-        currentUsage: req.user.usage.quizzesGenerated
-      }));
+      return res.end(JSON.stringify({ success: false, message: quota.message, data: { quota } }));
     }
 
     if (!req.file) {
@@ -185,54 +225,72 @@ router.post('/stream-upload-and-generate', protect, upload.single('file'), async
       return res.end(JSON.stringify({ success: false, message: 'No file uploaded' }));
     }
 
-    // SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders?.();
-
-    const send = (obj) => {
-      res.write(`data: ${JSON.stringify(obj)}\n\n`);
-    };
-
-    const hb = setInterval(() => res.write(': ping\n\n'), 15000);
+    // Events go to a buffered session; this response is its first follower
+    session = streamSessions.createSession(req.user._id);
+    streamSessions.pipeToResponse(session, req, res);
+    const send = (obj) => session.push(obj);
 
-    send({ event: 'ready' });
+    send({ event: 'ready', sessionId: session.id });
 
     // Extract text
     send({ event: 'extracting' });
-    const extractedText = await textExtractor.extractText(req.file.path, req.file.mimetype);
-    const cleanedText = textExtractor.cleanText(extractedText);
-    textExtractor.validateText(cleanedText, 100);
-    send({ event: 'extracted', length: cleanedText.length });
+    const { text: cleanedText, ocr, sources } = await extractSources(req.files, settings.language, {
+      sources: settings.sources,
+      onProgress: ({ page, done, pages, confidence, file, filename }) => send({
+        event: 'ocr', page, done, pages, confidence: Math.round(confidence),
+        ...(req.files.length > 1 && { file, filename })
+      })
+    });
+    send({
+      event: 'extracted',
+      length: cleanedText.length,
+      ocr,
+      files: sources.length > 1 ? sources.map(({ filename, pages, weight }) => ({ filename, pages, weight })) : undefined
+    });
 
     // Auto-detect language from content if not provided or if 'auto'
-    const detectedLanguage = (language && language !== 'auto') ? language : textExtractor.detectLanguage(cleanedText);
+    const detectedLanguage = resolveLanguage(settings.language, cleanedText);
     console.log(`🌐 Detected language: ${detectedLanguage}`);
     send({ event: 'language-detected', language: detectedLanguage });
 
-    const timeLimitParsed = Number.parseInt(timeLimit, 10);
-    const passingScoreParsed = Number.parseInt(passingScore, 10);
-    const timeLimitValue = Number.isFinite(timeLimitParsed) && timeLimitParsed > 0 ? Math.min(timeLimitParsed, 300) : 30;
-    const passingScoreValue = Number.isFinite(passingScoreParsed) ? Math.min(Math.max(passingScoreParsed, 1), 100) : 60;
+    const reused = settings.reuseExisting && await reuseGeneratedQuiz({
+      userId: req.user._id,
+      settings,
+      language: detectedLanguage,
+      sourceText: cleanedText,
+      file: req.file,
+      files: req.files,
+      sources
+    });
+    if (reused) {
+      await req.user.incrementUsage('generated');
+      const { typeBreakdown, bloomBreakdown, coverage, quality, reusedFrom, warnings } = reused.generation;
+      send({ event: 'completed', data: { quiz: { id: reused._id, title: reused.title, totalQuestions: reused.questions.length }, reusedFrom, typeBreakdown, bloomBreakdown, coverage, quality, warnings } });
+      return session.finish();
+    }
 
     const collected = { meta: null, questions: [] };
 
     // Stream quiz generation
-    await geminiService.streamQuizNDJSON(
+    const { coverage, quality, prompt, bloomBreakdown } = await streamQuizContent(
       {
         content: cleanedText,
-        numQuestions: parseInt(numQuestions) || 10,
-        quizType: quizType || 'mcq',
-        difficulty: difficulty || 'medium',
+        numQuestions: settings.numQuestions,
+        quizType: settings.quizType,
+        typeDistribution: settings.typeDistribution,
+        bloomDistribution: settings.bloomDistribution,
+        difficulty: settings.difficulty,
         language: detectedLanguage,
-        category: category || ''
+        category: settings.category,
+        sources
       },
       (evt) => {
         if (!evt || !evt.event) return;
         if (evt.event === 'meta') {
           collected.meta = evt;
           send({ event: 'meta', data: evt });
+        } else if (evt.event === 'section') {
+          send({ event: 'section', data: evt });
         } else if (evt.event === 'question') {
           collected.questions.push(evt.question);
           send({ event: 'question', index: evt.index, data: evt.question, received: collected.questions.length });
@@ -247,57 +305,31 @@ router.post('/stream-upload-and-generate', protect, upload.single('file'), async
     // Persist quiz
     if (collected.questions.length > 0) {
       try {
-        const title = collected.meta?.title || 'Generated Quiz';
-        const description = collected.meta?.description || '';
-        const cat = collected.meta?.category || category || 'General';
-
-        const quiz = await Quiz.create({
-          title,
-          description,
-          creator: req.user._id,
-          questions: collected.questions,
-          category: cat,
-          tags: await geminiService.extractTopics(cleanedText),
-          language: detectedLanguage,
-          difficulty: difficulty || 'mixed',
-          timeLimit: timeLimitValue,
-          passingScore: passingScoreValue,
-          sourceContent: {
-            text: cleanedText.substring(0, 5000),
-            filename: req.file.originalname,
-            fileType: req.file.mimetype
+        const typeBreakdown = summarizeTypeBreakdown(
+          settings.typeDistribution || { [settings.quizType]: settings.numQuestions },
+          collected.questions
+        );
+        const quiz = await saveGeneratedQuiz({
+          userId: req.user._id,
+          quizData: {
+            title: collected.meta?.title,
+            description: collected.meta?.description,
+            category: collected.meta?.category,
+            questions: collected.questions,
+            tags: await geminiService.extractTopics(cleanedText)
           },
-          isPublic: isPublic === 'true' || isPublic === true
+          settings,
+          language: detectedLanguage,
+          sourceText: cleanedText,
+          file: req.file,
+          files: req.files,
+          sources,
+          generation: { typeBreakdown, bloomBreakdown, coverage, quality, prompt, ocr }
         });
 
-        // File metadata
-        try {
-          await FileDoc.create({ filename: req.file.filename, originalname: req.file.originalname, mimetype: req.file.mimetype, size: req.file.size, path: req.file.path, uploadedBy: req.user._id });
-        } catch (_) { /* ignore */ }
-
-        // Persist Q/A
-        try {
-          for (const q of quiz.questions) {
-            const qDoc = await QuestionDoc.create({ quizId: quiz._id, questionText: q.questionText, type: q.type, correctAnswer: q.correctAnswer, explanation: q.explanation, difficulty: q.difficulty, points: q.points });
-            if (q.options?.length) {
-              const optionsToInsert = q.options.map(o => ({ questionId: qDoc._id, text: o.text, isCorrect: !!o.isCorrect }));
-              if (optionsToInsert.length) await AnswerOption.insertMany(optionsToInsert);
-            }
-          }
-        } catch (_) { /* non-fatal */ }
-
-        // Embedding
-        try {
-          const embeddingId = await embeddingService.createQuizEmbedding(quiz);
-          if (embeddingId) {
-            quiz.embeddingId = embeddingId;
-            await quiz.save();
-          }
-        } catch (_) { /* non-fatal */ }
-
         await req.user.incrementUsage('generated');
 
-        send({ event: 'completed', data: { quiz: { id: quiz._id, title: quiz.title, totalQuestions: quiz.questions.length } } });
+        send({ event: 'completed', data: { quiz: { id: quiz._id, title: quiz.title, totalQuestions: quiz.questions.length }, typeBreakdown, bloomBreakdown, coverage, quality, warnings: quiz.generation.warnings } });
       } catch (persistErr) {
         send({ event: 'error', message: persistErr.message || 'Failed to save quiz' });
       }
@@ -305,13 +337,9 @@ router.post('/stream-upload-and-generate', protect, upload.single('file'), async
       send({ event: 'error', message: 'No questions generated' });
     }
 
-    clearInterval(hb);
-    res.end();
+    session.finish();
   } catch (err) {
-    try {
-      res.write(`data: ${JSON.stringify({ event: 'error', message: err.message || 'Upload/streaming failed' })}\n\n`);
-      res.end();
-    } catch (_) { /* ignore */ }
+    failStream(res, session, err.message || 'Upload/streaming failed');
   }
 });
 
@@ -320,9 +348,10 @@ router.post('/stream-upload-and-generate', protect, upload.single('file'), async
  * @desc    Generate quiz from plain text
  * @access  Private
  */
-router.post('/generate-from-text', protect, async (req, res) => {
+router.post('/generate-from-text', protect, trackUsage, async (req, res) => {
   try {
-    const { text, numQuestions, quizType, difficulty, language, category, timeLimit, passingScore, isPublic } = req.body;
+    const { text } = req.body;
+    const settings = parseQuizSettings(req.body);
 
     if (!text || text.trim().length < 100) {
       return res.status(400).json({
@@ -332,25 +361,46 @@ router.post('/generate-from-text', protect, async (req, res) => {
     }
 
     // Check limit
-    if (!req.user.canGenerateQuiz()) {
+    const quota = await usageService.checkQuota(req.user, { questions: settings.numQuestions });
+    if (!quota.allowed) {
       return res.status(403).json({
         success: false,
-        message: 'Quiz generation limit reached. Please upgrade your plan.'
+        message: quota.message,
+        data: { quota }
       });
     }
 
     // Auto-detect language from content if not provided or if 'auto'
-    const detectedLanguage = (language && language !== 'auto') ? language : textExtractor.detectLanguage(text);
+    const detectedLanguage = resolveLanguage(settings.language, text);
     console.log(`🌐 Detected language: ${detectedLanguage}`);
 
+    // Copy a quiz generated earlier from the same content, when asked to
+    const reused = settings.reuseExisting && await reuseGeneratedQuiz({
+      userId: req.user._id,
+      settings,
+      language: detectedLanguage,
+      sourceText: text
+    });
+    if (reused) {
+      await req.user.incrementUsage('generated');
+      const { typeBreakdown, bloomBreakdown, coverage, quality, reusedFrom } = reused.generation;
+      return res.status(201).json({
+        success: true,
+        message: 'Reused a quiz generated from the same content',
+        data: { quiz: reused, reusedFrom, typeBreakdown, bloomBreakdown, coverage, quality }
+      });
+    }
+
     // Generate quiz
-    const quizResult = await geminiService.generateQuiz({
+    const quizResult = await generateQuizContent({
       content: text,
-      numQuestions: parseInt(numQuestions) || 10,
-      quizType: quizType || 'mcq',
-      difficulty: difficulty || 'medium',
+      numQuestions: settings.numQuestions,
+      quizType: settings.quizType,
+      typeDistribution: settings.typeDistribution,
+      bloomDistribution: settings.bloomDistribution,
+      difficulty: settings.difficulty,
       language: detectedLanguage,
-      category: category || ''
+      category: settings.category
     });
 
     if (!quizResult.success) {
@@ -360,61 +410,33 @@ router.post('/generate-from-text', protect, async (req, res) => {
       });
     }
 
-    const quizData = quizResult.data;
-
-    // Save quiz
-    const timeLimitParsed = Number.parseInt(timeLimit, 10);
-    const passingScoreParsed = Number.parseInt(passingScore, 10);
-    const timeLimitValue = Number.isFinite(timeLimitParsed) && timeLimitParsed > 0 ? Math.min(timeLimitParsed, 300) : 30;
-    const passingScoreValue = Number.isFinite(passingScoreParsed) ? Math.min(Math.max(passingScoreParsed, 1), 100) : 60;
-
-    const quiz = await Quiz.create({
-      title: quizData.title || 'Generated Quiz',
-      description: quizData.description || '',
-      creator: req.user._id,
-      questions: quizData.questions,
-      category: quizData.category || category || 'General',
-      tags: await geminiService.extractTopics(text),
+    const quiz = await saveGeneratedQuiz({
+      userId: req.user._id,
+      quizData: { ...quizResult.data, tags: await geminiService.extractTopics(text) },
+      settings,
       language: detectedLanguage,
-      difficulty: difficulty || 'mixed',
-      timeLimit: timeLimitValue,
-      passingScore: passingScoreValue,
-      sourceContent: {
-        text: text.substring(0, 5000),
-        fileType: 'text/plain'
-      },
-      isPublic: isPublic === 'true' || isPublic === true
-    });
-
-    // Persist questions and answers into required collections
-    try {
-      for (const q of quiz.questions) {
-        const qDoc = await QuestionDoc.create({ quizId: quiz._id, questionText: q.questionText, type: q.type, correctAnswer: q.correctAnswer, explanation: q.explanation, difficulty: q.difficulty, points: q.points });
-        if (q.options?.length) {
-          const optionsToInsert = q.options.map(o => ({ questionId: qDoc._id, text: o.text, isCorrect: !!o.isCorrect }));
-          if (optionsToInsert.length) await AnswerOption.insertMany(optionsToInsert);
-        }
+      sourceText: text,
+      generation: {
+        typeBreakdown: quizResult.typeBreakdown,
+        bloomBreakdown: quizResult.bloomBreakdown,
+        coverage: quizResult.coverage,
+        quality: quizResult.quality,
+        prompt: quizResult.prompt
       }
-    } catch (e) { console.warn('Failed to persist questions/answers:', e.message); }
-
-    // Generate and store embedding
-    try {
-      const embeddingId = await embeddingService.createQuizEmbedding(quiz);
-      if (embeddingId) {
-        quiz.embeddingId = embeddingId;
-        await quiz.save();
-      }
-    } catch (embedError) {
-      console.error('Embedding generation error:', embedError);
-      // Continue without embedding
-    }
+    });
 
     await req.user.incrementUsage('generated');
 
     res.status(201).json({
       success: true,
       message: 'Quiz generated successfully',
-      data: { quiz }
+      data: {
+        quiz,
+        typeBreakdown: quizResult.typeBreakdown,
+        bloomBreakdown: quizResult.bloomBreakdown,
+        coverage: quizResult.coverage,
+        quality: quizResult.quality
+      }
     });
   } catch (error) {
     console.error('Quiz generation error:', error);
@@ -427,65 +449,73 @@ router.post('/generate-from-text', protect, async (req, res) => {
 
 /**
  * @route   POST /api/quiz/stream-from-text
- * @desc    Stream quiz generation (SSE + NDJSON from Gemini)
+ * @desc    Stream quiz generation (NDJSON, or SSE with ?transport=sse).
+ *          Events are numbered; reconnect with GET /api/quiz/stream/:sessionId
  * @access  Private
  */
-router.post('/stream-from-text', protect, async (req, res) => {
+router.post('/stream-from-text', protect, trackUsage, async (req, res) => {
+  let session = null;
   try {
-    const { text, numQuestions, quizType, difficulty, language, category, timeLimit, passingScore, isPublic } = req.body;
+    const { text } = req.body;
+    const settings = parseQuizSettings(req.body);
 
     if (!text || text.trim().length < 100) {
       res.status(400);
       res.setHeader('Content-Type', 'application/json');
       return res.end(JSON.stringify({ success: false, message: 'Text must be at least 100 characters long' }));
     }
-    if (!req.user.canGenerateQuiz()) {
+    const quota = await usageService.checkQuota(req.user, { questions: settings.numQuestions });
+    if (!quota.allowed) {
       res.status(403);
       res.setHeader('Content-Type', 'application/json');
-      return res.end(JSON.stringify({ success: false, message: 'Quiz generation limit reached. Please upgrade your plan.' }));
+      return res.end(JSON.stringify({ success: false, message: quota.message, data: { quota } }));
     }
 
-    // SSE headers
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache, no-transform');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders?.();
+    // Events go to a buffered session; this response is its first follower
+    session = streamSessions.createSession(req.user._id);
+    streamSessions.pipeToResponse(session, req, res);
+    const send = (obj) => session.push(obj);
 
-    const send = (obj) => {
-      res.write(`data: ${JSON.stringify(obj)}\n\n`);
-    };
-
-    // Heartbeat to keep connection open
-    const hb = setInterval(() => res.write(': ping\n\n'), 15000);
-
-    send({ event: 'ready' });
+    send({ event: 'ready', sessionId: session.id });
 
     // Auto-detect language from content if not provided or if 'auto'
-    const detectedLanguage = (language && language !== 'auto') ? language : textExtractor.detectLanguage(text);
+    const detectedLanguage = resolveLanguage(settings.language, text);
     console.log(`🌐 Detected language: ${detectedLanguage}`);
     send({ event: 'language-detected', language: detectedLanguage });
 
-    const timeLimitParsed = Number.parseInt(timeLimit, 10);
-    const passingScoreParsed = Number.parseInt(passingScore, 10);
-    const timeLimitValue = Number.isFinite(timeLimitParsed) && timeLimitParsed > 0 ? Math.min(timeLimitParsed, 300) : 30;
-    const passingScoreValue = Number.isFinite(passingScoreParsed) ? Math.min(Math.max(passingScoreParsed, 1), 100) : 60;
+    const reused = settings.reuseExisting && await reuseGeneratedQuiz({
+      userId: req.user._id,
+      settings,
+      language: detectedLanguage,
+      sourceText: text
+    });
+    if (reused) {
+      await req.user.incrementUsage('generated');
+      const { typeBreakdown, bloomBreakdown, coverage, quality, reusedFrom } = reused.generation;
+      send({ event: 'completed', data: { quiz: { id: reused._id, title: reused.title, totalQuestions: reused.questions.length }, reusedFrom, typeBreakdown, bloomBreakdown, coverage, quality } });
+      return session.finish();
+    }
 
     const collected = { meta: null, questions: [] };
 
-    await geminiService.streamQuizNDJSON(
+    const { coverage, quality, prompt, bloomBreakdown } = await streamQuizContent(
       {
         content: text,
-        numQuestions: parseInt(numQuestions) || 10,
-        quizType: quizType || 'mcq',
-        difficulty: difficulty || 'medium',
+        numQuestions: settings.numQuestions,
+        quizType: settings.quizType,
+        typeDistribution: settings.typeDistribution,
+        bloomDistribution: settings.bloomDistribution,
+        difficulty: settings.difficulty,
         language: detectedLanguage,
-        category: category || ''
+        category: settings.category
       },
       (evt) => {
         if (!evt || !evt.event) return;
         if (evt.event === 'meta') {
           collected.meta = evt;
           send({ event: 'meta', data: evt });
+        } else if (evt.event === 'section') {
+          send({ event: 'section', data: evt });
         } else if (evt.event === 'question') {
           collected.questions.push(evt.question);
           send({ event: 'question', index: evt.index, data: evt.question, received: collected.questions.length });
@@ -500,48 +530,28 @@ router.post('/stream-from-text', protect, async (req, res) => {
     // After stream, persist quiz if we have enough questions
     if (collected.questions.length > 0) {
       try {
-        const title = collected.meta?.title || 'Generated Quiz';
-        const description = collected.meta?.description || '';
-        const cat = collected.meta?.category || category || 'General';
-
-        const quiz = await Quiz.create({
-          title,
-          description,
-          creator: req.user._id,
-          questions: collected.questions,
-          category: cat,
-          tags: await geminiService.extractTopics(text),
+        const typeBreakdown = summarizeTypeBreakdown(
+          settings.typeDistribution || { [settings.quizType]: settings.numQuestions },
+          collected.questions
+        );
+        const quiz = await saveGeneratedQuiz({
+          userId: req.user._id,
+          quizData: {
+            title: collected.meta?.title,
+            description: collected.meta?.description,
+            category: collected.meta?.category,
+            questions: collected.questions,
+            tags: await geminiService.extractTopics(text)
+          },
+          settings,
           language: detectedLanguage,
-          difficulty: difficulty || 'mixed',
-          timeLimit: timeLimitValue,
-          passingScore: passingScoreValue,
-          sourceContent: { text: text.substring(0, 5000), fileType: 'text/plain' },
-          isPublic: isPublic === 'true' || isPublic === true
+          sourceText: text,
+          generation: { typeBreakdown, bloomBreakdown, coverage, quality, prompt }
         });
 
-        // Persist Q/A documents (best-effort)
-        try {
-          for (const q of quiz.questions) {
-            const qDoc = await QuestionDoc.create({ quizId: quiz._id, questionText: q.questionText, type: q.type, correctAnswer: q.correctAnswer, explanation: q.explanation, difficulty: q.difficulty, points: q.points });
-            if (q.options?.length) {
-              const optionsToInsert = q.options.map(o => ({ questionId: qDoc._id, text: o.text, isCorrect: !!o.isCorrect }));
-              if (optionsToInsert.length) await AnswerOption.insertMany(optionsToInsert);
-            }
-          }
-        } catch (_) { /* non-fatal */ }
-
-        // Embedding (best-effort)
-        try {
-          const embeddingId = await embeddingService.createQuizEmbedding(quiz);
-          if (embeddingId) {
-            quiz.embeddingId = embeddingId;
-            await quiz.save();
-          }
-        } catch (_) { /* non-fatal */ }
-
         await req.user.incrementUsage('generated');
 
-        send({ event: 'completed', data: { quiz: { id: quiz._id, title: quiz.title, totalQuestions: quiz.questions.length } } });
+        send({ event: 'completed', data: { quiz: { id: quiz._id, title: quiz.title, totalQuestions: quiz.questions.length }, typeBreakdown, bloomBreakdown, coverage, quality } });
       } catch (persistErr) {
         send({ event: 'error', message: persistErr.message || 'Failed to save quiz' });
       }
@@ -549,15 +559,154 @@ router.post('/stream-from-text', protect, async (req, res) => {
       send({ event: 'error', message: 'No questions generated' });
     }
 
-    clearInterval(hb);
-    res.end();
+    session.finish();
   } catch (err) {
-    try {
-      res.write(`data: ${JSON.stringify({ event: 'error', message: err.message || 'Streaming failed' })}\n\n`);
-      res.end();
-    } catch (_) {
-      // ignore
+    failStream(res, session, err.message || 'Streaming failed');
+  }
+});
+
+/**
+ * @route   GET /api/quiz/stream/:sessionId
+ * @desc    Reconnect to a streaming generation: replays the events after
+ *          ?lastEventId (or the Last-Event-ID header), then follows it live.
+ *          Only the process running the generation has the session; a `reset`
+ *          event first means some of the missed events are no longer kept
+ * @access  Private
+ */
+router.get('/stream/:sessionId', protect, (req, res) => {
+  const session = streamSessions.getSession(req.params.sessionId);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Stream not found or expired'
+    });
+  }
+  if (session.userId !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to follow this stream'
+    });
+  }
+
+  const lastEventId = parseInt(req.query.lastEventId ?? req.headers['last-event-id'], 10) || 0;
+  streamSessions.pipeToResponse(session, req, res, { lastEventId });
+});
+
+/**
+ * @route   POST /api/quiz/jobs
+ * @desc    Queue a background generation job (multipart with `file`/`files` and optional `sources`, or JSON with `text`)
+ * @access  Private
+ */
+router.post('/jobs', protect, upload.sources, async (req, res) => {
+  try {
+    const { text } = req.body;
+    const settings = parseQuizSettings(req.body);
+
+    const quota = await usageService.checkQuota(req.user, { questions: settings.numQuestions });
+    if (!quota.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: quota.message,
+        data: { quota }
+      });
+    }
+
+    if (!req.file && (!text || text.trim().length < 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or provide at least 100 characters of text'
+      });
+    }
+
+    const job = await generationQueue.enqueue({
+      userId: req.user._id,
+      source: req.file ? 'file' : 'text',
+      text,
+      file: req.file,
+      files: req.files,
+      options: settings
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Quiz generation queued',
+      data: { job: job.toClient() }
+    });
+  } catch (error) {
+    console.error('Queue generation job error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to queue quiz generation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/jobs
+ * @desc    List the current user's generation jobs (newest first)
+ * @access  Private
+ */
+router.get('/jobs', protect, async (req, res) => {
+  try {
+    const { status, limit = 20 } = req.query;
+
+    const query = { user: req.user._id };
+    if (status === 'active') {
+      query.status = { $in: ['queued', ...GenerationJob.ACTIVE_STATUSES] };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const jobs = await GenerationJob.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.json({
+      success: true,
+      data: { jobs: jobs.map(job => job.toClient()), total: jobs.length }
+    });
+  } catch (error) {
+    console.error('Fetch generation jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generation jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/jobs/:id
+ * @desc    Get status of a generation job
+ * @access  Private (Owner or admin)
+ */
+router.get('/jobs/:id', protect, async (req, res) => {
+  try {
+    const job = await GenerationJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (job.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
+
+    res.json({
+      success: true,
+      data: { job: job.toClient() }
+    });
+  } catch (error) {
+    console.error('Fetch generation job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generation job'
+    });
   }
 });
 
@@ -700,21 +849,7 @@ router.get('/:id', optionalAuth, async (req, res) => {
       });
     }
 
-    // Check access permissions
-    let hasAccess = quiz.isPublic || (req.user && (quiz.creator._id.toString() === req.user._id.toString() || req.user.role === 'admin'));
-
-    if (!hasAccess && req.user) {
-      // Check if student is in a class that has this quiz
-      const studentClass = await Class.findOne({
-        students: req.user._id,
-        quizzes: quiz._id
-      });
-      if (studentClass) {
-        hasAccess = true;
-      }
-    }
-
-    if (!hasAccess) {
+    if (!(await canViewQuiz(quiz, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -729,17 +864,17 @@ router.get('/:id', optionalAuth, async (req, res) => {
     const quizData = quiz.toObject();
 
     if (!isCreator) {
-      quizData.questions = quizData.questions.map(q => ({
-        ...q,
-        correctAnswer: undefined,
-        explanation: undefined,
-        options: q.options?.map(o => ({ ...o, isCorrect: undefined }))
-      }));
+      quizData.questions = quizData.questions.map(toPublicQuestion);
+      delete quizData.generation;
     }
 
     res.json({
       success: true,
-      data: { quiz: quizData }
+      data: {
+        quiz: quizData,
+        // Sent back on submit, so the attempt is graded against this version
+        attemptTicket: req.user ? revisionService.attemptTicket(quiz, req.user) : undefined
+      }
     });
   } catch (error) {
     console.error('Fetch quiz error:', error);
@@ -784,75 +919,51 @@ router.post('/:id/log-violation', protect, async (req, res) => {
 
 /**
  * @route   POST /api/quiz/:id/submit
- * @desc    Submit quiz answers and get results
+ * @desc    Submit quiz answers and get results; `attemptTicket` (from GET /api/quiz/:id) pins the attempt to the version that was loaded
  * @access  Private
  */
-router.post('/:id/submit', protect, async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+router.post('/:id/submit', protect, trackUsage, async (req, res) => {
+  let session = null;
 
   try {
-    const { answers, timeTaken, proctoring, classId } = req.body;
+    const { answers, timeTaken, proctoring, classId, attemptTicket } = req.body;
 
-    const quiz = await Quiz.findById(req.params.id).session(session);
+    const quiz = await Quiz.findById(req.params.id);
     if (!quiz) {
-      await session.abortTransaction();
-      session.endSession();
       return res.status(404).json({
         success: false,
         message: 'Quiz not found'
       });
     }
 
-    // Calculate score
-    let correctAnswers = 0;
-    let score = 0;
-    const detailedAnswers = [];
-
-    quiz.questions.forEach((question, index) => {
-      const userAnswer = answers[index];
-      let isCorrect = false;
-
-      if (question.type === 'mcq') {
-        const correctOption = question.options.find(o => o.isCorrect);
-        isCorrect = userAnswer === correctOption?.text;
-      } else if (question.type === 'true-false') {
-        isCorrect = userAnswer === question.correctAnswer;
-      } else {
-        // Short answer - simple comparison (can be improved)
-        isCorrect = userAnswer?.toLowerCase().trim() === question.correctAnswer?.toLowerCase().trim();
-      }
-
-      if (isCorrect) {
-        correctAnswers++;
-        score += question.points;
-      }
+    // Grade against the version the student was shown, even if the quiz was edited meanwhile
+    const revision = await revisionService.revisionForAttempt(quiz, { ticket: attemptTicket, user: req.user });
+    const takenQuiz = revisionService.quizAtRevision(quiz, revision);
 
-      detailedAnswers.push({
-        questionId: question._id,
-        userAnswer,
-        isCorrect,
-        pointsEarned: isCorrect ? question.points : 0,
-        correctAnswer: question.correctAnswer,
-        explanation: question.explanation
-      });
-    });
+    // Calculate score (multi-part types and AI-graded short answers can earn partial credit).
+    // Done before the transaction starts, as short answers may need embedding and AI calls.
+    // Essays are left pending for a teacher (gradingStatus 'pending').
+    const { detailedAnswers, score, correctAnswers, percentage, gradingStatus } = await gradingService.gradeSubmission(takenQuiz, answers);
+    const passed = percentage >= takenQuiz.passingScore;
 
-    const percentage = (correctAnswers / quiz.questions.length) * 100;
-    const passed = percentage >= quiz.passingScore;
+    session = await mongoose.startSession();
+    session.startTransaction();
 
     // Save to history with proctoring data and classroom context
     const historyData = {
       user: req.user._id,
       quiz: quiz._id,
+      quizVersion: revision.version,
+      revision: revision._id,
       answers: detailedAnswers,
       score,
       percentage,
-      totalQuestions: quiz.questions.length,
+      totalQuestions: takenQuiz.questions.length,
       correctAnswers,
-      incorrectAnswers: quiz.questions.length - correctAnswers,
+      incorrectAnswers: takenQuiz.questions.length - correctAnswers,
       timeTaken: timeTaken || 0,
       passed,
+      gradingStatus,
       classId: classId || null // Store classroom context if provided
     };
 
@@ -896,15 +1007,19 @@ router.post('/:id/submit', protect, async (req, res) => {
 
     res.json({
       success: true,
-      message: passed ? 'Congratulations! You passed!' : 'Keep practicing!',
+      message: gradingStatus === 'pending'
+        ? 'Submitted! Your teacher will grade your written answers.'
+        : passed ? 'Congratulations! You passed!' : 'Keep practicing!',
       data: {
         results: {
           score,
           percentage: percentage.toFixed(2),
           correctAnswers,
-          incorrectAnswers: quiz.questions.length - correctAnswers,
-          totalQuestions: quiz.questions.length,
+          incorrectAnswers: takenQuiz.questions.length - correctAnswers,
+          totalQuestions: takenQuiz.questions.length,
           passed,
+          gradingStatus,
+          quizVersion: revision.version,
           timeTaken,
           detailedAnswers
         },
@@ -912,8 +1027,10 @@ router.post('/:id/submit', protect, async (req, res) => {
       }
     });
   } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
+    if (session) {
+      await session.abortTransaction();
+      session.endSession();
+    }
     console.error('Submit quiz error:', error);
     res.status(500).json({
       success: false,
@@ -924,7 +1041,7 @@ router.post('/:id/submit', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/quiz/:id
- * @desc    Update quiz
+ * @desc    Update quiz; `version` (required with `questions`) makes the update fail with 409 if the quiz has changed since
  * @access  Private (Creator only)
  */
 router.put('/:id', protect, async (req, res) => {
@@ -946,13 +1063,52 @@ router.put('/:id', protect, async (req, res) => {
       });
     }
 
-    const { title, description, questions, isPublic, status } = req.body;
+    const { title, description, isPublic, status, aiGrading } = req.body;
+    const version = requestedVersion(req);
+    // Replacing the questions must not overwrite edits the client hasn't seen
+    if (req.body.questions !== undefined && !Number.isInteger(version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'version must be the quiz version the questions were edited from'
+      });
+    }
+    if (version !== undefined && version !== quiz.version) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quiz was changed by someone else. Reload it and try again.',
+        data: { version: quiz.version }
+      });
+    }
+    await revisionService.currentRevision(quiz);
+
+    // New questions are checked like single-question edits and saved with the other fields
+    if (req.body.questions !== undefined) {
+      const previousMedia = quiz.questions.flatMap((q) => q.media.map((m) => m.filename));
+      const result = await quizEditService.replaceQuestions(quiz, version, req.body.questions, {
+        userId: req.user._id,
+        fields: { title, description, isPublic, status, aiGrading }
+      });
+      if (result.success) await mediaService.removeUnreferenced(previousMedia);
+      return sendQuestionEdit(res, result, 'Quiz updated successfully', { quiz: result.quiz, issues: result.issues });
+    }
 
-    quiz = await Quiz.findByIdAndUpdate(
-      req.params.id,
-      { title, description, questions, isPublic, status },
+    // Visibility, status and grading settings aren't content, so only a new title or description makes a new version
+    const contentChanged = (title !== undefined && title !== quiz.title)
+      || (description !== undefined && description !== quiz.description);
+    const updated = await Quiz.findOneAndUpdate(
+      { _id: quiz._id, version: quizEditService.versionFilter(quiz.version) },
+      { title, description, isPublic, status, aiGrading, ...(contentChanged && { version: quiz.version + 1 }) },
       { new: true, runValidators: true }
     );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'This quiz was changed by someone else. Reload it and try again.',
+        data: { version: (await Quiz.findById(quiz._id).select('version'))?.version }
+      });
+    }
+    quiz = updated;
+    if (contentChanged) await revisionService.recordSave(quiz, { author: req.user._id, action: 'edit' });
 
     res.json({
       success: true,
@@ -968,6 +1124,764 @@ router.put('/:id', protect, async (req, res) => {
   }
 });
 
+/**
+ * Load a quiz for an edit, checking ownership, and make sure its current
+ * content has a revision to diff the edit against. Sends the error response
+ * itself and returns null when the edit can't go ahead.
+ */
+async function loadQuizForEdit(req, res) {
+  const quiz = mongoose.isValidObjectId(req.params.id) ? await Quiz.findById(req.params.id) : null;
+
+  if (!quiz) {
+    res.status(404).json({
+      success: false,
+      message: 'Quiz not found'
+    });
+    return null;
+  }
+
+  if (quiz.creator.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this quiz'
+    });
+    return null;
+  }
+
+  await revisionService.currentRevision(quiz);
+  return quiz;
+}
+
+/**
+ * Load a quiz for a single-question edit, checking ownership, the index and
+ * the quiz version the edit is made against (`version` in the body or query;
+ * older clients that send none edit the quiz as loaded here). Sends the error
+ * response itself and returns null when the edit can't go ahead.
+ * @returns {Promise<Object|null>} { quiz, index, version }
+ */
+async function loadQuestionForEdit(req, res) {
+  const quiz = await loadQuizForEdit(req, res);
+  if (!quiz) return null;
+
+  const version = requestedVersion(req) ?? quiz.version;
+  if (version !== quiz.version) {
+    res.status(409).json({
+      success: false,
+      message: 'This quiz was changed by someone else. Reload it and try again.',
+      data: { version: quiz.version }
+    });
+    return null;
+  }
+
+  const index = Number(req.params.index);
+  if (!Number.isInteger(index) || index < 0 || index >= quiz.questions.length) {
+    res.status(404).json({
+      success: false,
+      message: 'Question not found'
+    });
+    return null;
+  }
+
+  return { quiz, index, version };
+}
+
+/**
+ * @route   POST /api/quiz/:id/questions/:index/regenerate
+ * @desc    Replace one question (0-based index) with a new one of the same type, generated from the quiz's stored source content; body: { version }
+ * @access  Private (Creator only)
+ */
+router.post('/:id/questions/:index/regenerate', protect, trackUsage, async (req, res) => {
+  try {
+    const target = await loadQuestionForEdit(req, res);
+    if (!target) return;
+
+    const result = await questionEditService.regenerateQuestion(target.quiz, target.index, {
+      userId: req.user._id,
+      version: target.version
+    });
+    if (!result.success) {
+      return res.status(result.status || 422).json({
+        success: false,
+        message: result.error,
+        data: result.status === 409 ? { version: result.version } : { issues: result.issues }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Question regenerated successfully',
+      data: { question: result.question, index: target.index, issues: result.issues, version: result.version }
+    });
+  } catch (error) {
+    console.error('Regenerate question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate question'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quiz/:id/questions/:index/rewrite
+ * @desc    Rewrite one question (0-based index); body: { mode: 'harder' | 'easier' | 'clearer' | 'distractors', version }
+ * @access  Private (Creator only)
+ */
+router.post('/:id/questions/:index/rewrite', protect, trackUsage, async (req, res) => {
+  try {
+    const { mode } = req.body;
+    if (!questionEditService.REWRITE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of: ${questionEditService.REWRITE_MODES.join(', ')}`
+      });
+    }
+
+    const target = await loadQuestionForEdit(req, res);
+    if (!target) return;
+
+    const result = await questionEditService.rewriteQuestion(target.quiz, target.index, mode, {
+      userId: req.user._id,
+      version: target.version
+    });
+    if (!result.success) {
+      return res.status(result.status || 422).json({
+        success: false,
+        message: result.error,
+        data: result.status === 409 ? { version: result.version } : { issues: result.issues }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Question rewritten successfully',
+      data: { question: result.question, index: target.index, issues: result.issues, version: result.version }
+    });
+  } catch (error) {
+    console.error('Rewrite question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rewrite question'
+    });
+  }
+});
+
+/**
+ * Send the outcome of a quizEditService edit; a stale version gets 409 with
+ * the quiz's current version
+ */
+function sendQuestionEdit(res, result, message, data, status = 200) {
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.error,
+      data: result.status === 409 ? { version: result.version } : { issues: result.issues }
+    });
+  }
+  res.status(status).json({
+    success: true,
+    message,
+    data: { ...data, version: result.quiz.version }
+  });
+}
+
+/**
+ * Version an edit was made against: `version` in the body, or the query for DELETE
+ */
+function requestedVersion(req) {
+  const version = req.body?.version ?? req.query.version;
+  return version === undefined || version === '' ? undefined : Number(version);
+}
+
+/**
+ * @route   POST /api/quiz/:id/questions
+ * @desc    Add a question; body: { question, position? (0-based, default last), version }
+ * @access  Private (Creator only)
+ */
+router.post('/:id/questions', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const position = req.body.position === undefined ? undefined : Number(req.body.position);
+    const result = await quizEditService.addQuestion(quiz, requestedVersion(req), req.body.question, position, {
+      userId: req.user._id
+    });
+    sendQuestionEdit(res, result, 'Question added successfully', {
+      question: result.question, index: result.index, issues: result.issues
+    }, 201);
+  } catch (error) {
+    console.error('Add question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add question'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/quiz/:id/questions/order
+ * @desc    Reorder the questions; body: { order: [questionId, ...] (every question once), version }
+ * @access  Private (Creator only)
+ */
+router.put('/:id/questions/order', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const result = await quizEditService.reorderQuestions(quiz, requestedVersion(req), req.body.order, {
+      userId: req.user._id
+    });
+    sendQuestionEdit(res, result, 'Questions reordered successfully', {
+      order: result.quiz?.questions.map((q) => q._id)
+    });
+  } catch (error) {
+    console.error('Reorder questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder questions'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/quiz/:id/questions/:questionId
+ * @desc    Change some fields of one question; body: { question: { ...fields }, version }
+ * @access  Private (Creator only)
+ */
+router.patch('/:id/questions/:questionId', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const result = await quizEditService.updateQuestion(quiz, requestedVersion(req), req.params.questionId, req.body.question, {
+      userId: req.user._id
+    });
+    sendQuestionEdit(res, result, 'Question updated successfully', {
+      question: result.question, index: result.index, issues: result.issues
+    });
+  } catch (error) {
+    console.error('Update question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/quiz/:id/questions/:questionId?version=
+ * @desc    Delete one question (a quiz keeps at least one)
+ * @access  Private (Creator only)
+ */
+router.delete('/:id/questions/:questionId', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const result = await quizEditService.deleteQuestion(quiz, requestedVersion(req), req.params.questionId, {
+      userId: req.user._id
+    });
+    sendQuestionEdit(res, result, 'Question deleted successfully', { index: result.index });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete question'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quiz/:id/questions/:questionId/duplicate
+ * @desc    Insert a copy of one question right after it; body: { version }
+ * @access  Private (Creator only)
+ */
+router.post('/:id/questions/:questionId/duplicate', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const result = await quizEditService.duplicateQuestion(quiz, requestedVersion(req), req.params.questionId, {
+      userId: req.user._id
+    });
+    sendQuestionEdit(res, result, 'Question duplicated successfully', {
+      question: result.question, index: result.index
+    }, 201);
+  } catch (error) {
+    console.error('Duplicate question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to duplicate question'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/:id/revisions
+ * @desc    List the quiz's revisions, newest first, with their authors, diff summaries and attempt counts
+ * @access  Private (Creator only)
+ */
+router.get('/:id/revisions', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const [revisions, attempts] = await Promise.all([
+      QuizRevision.find({ quiz: quiz._id })
+        .sort({ version: -1 })
+        .select('version author action restoredFrom summary diff.answerKeyChanged createdAt')
+        .populate('author', 'name'),
+      QuizHistory.aggregate([
+        { $match: { quiz: quiz._id } },
+        { $group: { _id: '$quizVersion', count: { $sum: 1 } } }
+      ])
+    ]);
+    const attemptCounts = new Map(attempts.map((entry) => [entry._id, entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        version: quiz.version,
+        revisions: revisions.map((revision) => ({
+          ...revision.toObject(),
+          answerKeyChanged: Boolean(revision.diff?.answerKeyChanged),
+          diff: undefined,
+          attempts: attemptCounts.get(revision.version) || 0
+        })),
+        // Attempts taken before revisions were recorded
+        unversionedAttempts: attemptCounts.get(null) || 0
+      }
+    });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revisions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/:id/revisions/compare?from=&to=
+ * @desc    Diff between two revisions (`to` defaults to the current version)
+ * @access  Private (Creator only)
+ */
+router.get('/:id/revisions/compare', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const from = Number(req.query.from);
+    const to = req.query.to === undefined ? quiz.version : Number(req.query.to);
+    const revisions = Number.isInteger(from) && Number.isInteger(to)
+      ? await QuizRevision.find({ quiz: quiz._id, version: { $in: [from, to] } }).select('version snapshot')
+      : [];
+    const before = revisions.find((revision) => revision.version === from);
+    const after = revisions.find((revision) => revision.version === to);
+    if (!before || !after) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const diff = revisionService.diffSnapshots(before.snapshot, after.snapshot);
+    res.json({
+      success: true,
+      data: { from, to, diff, summary: revisionService.summarizeDiff(diff) }
+    });
+  } catch (error) {
+    console.error('Compare revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare revisions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/:id/revisions/:version
+ * @desc    One revision with its full content and the diff from the revision before it
+ * @access  Private (Creator only)
+ */
+router.get('/:id/revisions/:version', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const version = Number(req.params.version);
+    const revision = Number.isInteger(version)
+      ? await QuizRevision.findOne({ quiz: quiz._id, version }).populate('author', 'name')
+      : null;
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { revision, current: revision.version === quiz.version }
+    });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revision'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quiz/:id/revisions/:version/rollback
+ * @desc    Restore an earlier revision's content as a new version; body: { version (current quiz version) }
+ * @access  Private (Creator only)
+ */
+router.post('/:id/revisions/:version/rollback', protect, async (req, res) => {
+  try {
+    const quiz = await loadQuizForEdit(req, res);
+    if (!quiz) return;
+
+    const result = await quizEditService.restoreRevision(quiz, requestedVersion(req), Number(req.params.version), {
+      userId: req.user._id
+    });
+    sendQuestionEdit(res, result, `Quiz rolled back to version ${req.params.version}`, {
+      quiz: result.quiz, revision: result.revision
+    });
+  } catch (error) {
+    console.error('Rollback quiz error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back quiz'
+    });
+  }
+});
+
+/**
+ * Load a quiz for its study guide. The creator and admins always have access;
+ * other users once they have finished the quiz. Sends the error response
+ * itself and returns null when the guide is off limits.
+ * @returns {Promise<Object|null>} { quiz, isOwner }
+ */
+async function loadQuizForGuide(req, res) {
+  const quiz = await Quiz.findById(req.params.id);
+  if (!quiz) {
+    res.status(404).json({
+      success: false,
+      message: 'Quiz not found'
+    });
+    return null;
+  }
+
+  const isOwner = quiz.creator.toString() === req.user._id.toString() || req.user.role === 'admin';
+  if (!isOwner && !(await canSeeAnswers(quiz, req.user))) {
+    res.status(403).json({
+      success: false,
+      message: 'The study guide is available after you finish the quiz'
+    });
+    return null;
+  }
+  return { quiz, isOwner };
+}
+
+/**
+ * @route   GET /api/quiz/:id/study-guide
+ * @desc    Get the quiz's study guide (summary, key concepts, definitions, outline linked to question numbers)
+ * @access  Private (Creator, or users who finished the quiz)
+ */
+router.get('/:id/study-guide', protect, async (req, res) => {
+  try {
+    const target = await loadQuizForGuide(req, res);
+    if (!target) return;
+
+    const guide = await StudyGuide.findOne({ quiz: target.quiz._id });
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'This quiz has no study guide yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { studyGuide: studyGuideService.presentGuide(guide, target.quiz) }
+    });
+  } catch (error) {
+    console.error('Get study guide error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch study guide'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quiz/:id/study-guide
+ * @desc    Generate the quiz's study guide from its stored source text, replacing the current one.
+ *          Users who finished the quiz may generate it when none exists yet.
+ * @access  Private (Creator, or users who finished the quiz)
+ */
+router.post('/:id/study-guide', protect, trackUsage, async (req, res) => {
+  try {
+    const target = await loadQuizForGuide(req, res);
+    if (!target) return;
+
+    if (!target.isOwner && await StudyGuide.exists({ quiz: target.quiz._id })) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the quiz creator can regenerate its study guide'
+      });
+    }
+
+    const quota = await usageService.checkQuota(req.user);
+    if (!quota.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: quota.message,
+        data: { quota }
+      });
+    }
+
+    const result = await studyGuideService.generateStudyGuide(target.quiz, { userId: req.user._id });
+    if (!result.success) {
+      return res.status(422).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Study guide generated successfully',
+      data: { studyGuide: studyGuideService.presentGuide(result.guide, target.quiz) }
+    });
+  } catch (error) {
+    console.error('Generate study guide error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate study guide'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/:id/study-guide/export
+ * @desc    Download the quiz's study guide; query: { format: 'md' | 'html' } (default md)
+ * @access  Private (Creator, or users who finished the quiz)
+ */
+router.get('/:id/study-guide/export', protect, async (req, res) => {
+  try {
+    const format = req.query.format || 'md';
+    if (!studyGuideService.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${studyGuideService.EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const target = await loadQuizForGuide(req, res);
+    if (!target) return;
+
+    const guide = await StudyGuide.findOne({ quiz: target.quiz._id });
+    if (!guide) {
+      return res.status(404).json({
+        success: false,
+        message: 'This quiz has no study guide yet'
+      });
+    }
+
+    const { content, contentType, extension } = studyGuideService.exportGuide(
+      studyGuideService.presentGuide(guide, target.quiz),
+      target.quiz,
+      format
+    );
+    const filename = `${target.quiz.title.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'quiz'}-study-guide.${extension}`;
+    res.type(contentType);
+    res.attachment(filename);
+    res.send(content);
+  } catch (error) {
+    console.error('Export study guide error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export study guide'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quiz/:id/media/:mediaId
+ * @desc    Image or audio attached to one of the quiz's questions, now or in an earlier version (same access as the quiz)
+ * @access  Public (public quizzes) / Private
+ */
+router.get('/:id/media/:mediaId', optionalAuth, async (req, res) => {
+  try {
+    const quiz = await Quiz.findById(req.params.id).select('creator isPublic questions.media');
+    const isRequested = (m) => String(m._id) === req.params.mediaId;
+    let media = quiz?.questions.flatMap((q) => q.media).find(isRequested);
+
+    // Media since removed from the quiz is still served for the versions that had it (attempts taken on them)
+    if (quiz && !media) {
+      const revision = await QuizRevision.findOne({ quiz: quiz._id, 'snapshot.questions.media._id': req.params.mediaId })
+        .select('snapshot.questions.media')
+        .lean();
+      media = revision?.snapshot.questions.flatMap((q) => q.media || []).find(isRequested);
+    }
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    if (!(await canViewQuiz(quiz, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // sendFile handles Range requests, so audio can be seeked
+    res.sendFile(mediaService.mediaPath(media.filename), {
+      headers: { 'Cache-Control': quiz.isPublic ? 'public, max-age=86400' : 'private, max-age=3600' }
+    }, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ success: false, message: 'Media not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Fetch media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch media'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quiz/:id/questions/:index/media
+ * @desc    Attach an image or audio clip (multipart `file`) to one question; images need `alt` text, `caption` is optional; `version` as for other edits
+ * @access  Private (Creator only)
+ */
+router.post('/:id/questions/:index/media', protect, upload.media, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const target = await loadQuestionForEdit(req, res);
+    if (!target) {
+      await fs.promises.rm(req.file.path, { force: true });
+      return;
+    }
+
+    const entry = await mediaService.storeUpload(req.file, { alt: req.body.alt, caption: req.body.caption });
+    const questionId = target.quiz.questions[target.index]._id;
+    const result = await quizEditService.updateQuestionMedia(target.quiz, target.version, questionId, (media) => {
+      media.push(entry);
+      return {};
+    }, { userId: req.user._id });
+    if (!result.success) await mediaService.removeUnreferenced([entry.filename]);
+
+    const saved = result.quiz?.questions[result.index].media;
+    sendQuestionEdit(res, result, 'Media attached successfully', {
+      media: saved?.[saved.length - 1], index: result.index
+    }, 201);
+  } catch (error) {
+    console.error('Attach media error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to attach media'
+    });
+  }
+});
+
+/**
+ * Find one media entry of the question loaded by loadQuestionForEdit.
+ * Sends the 404 itself and returns null when it doesn't exist.
+ */
+function findQuestionMedia(target, req, res) {
+  const media = target.quiz.questions[target.index].media.id(req.params.mediaId);
+  if (!media) {
+    res.status(404).json({
+      success: false,
+      message: 'Media not found'
+    });
+  }
+  return media;
+}
+
+/**
+ * @route   PATCH /api/quiz/:id/questions/:index/media/:mediaId
+ * @desc    Update the alt text or caption of a question's attachment
+ * @access  Private (Creator only)
+ */
+router.patch('/:id/questions/:index/media/:mediaId', protect, async (req, res) => {
+  try {
+    const target = await loadQuestionForEdit(req, res);
+    if (!target) return;
+    const media = findQuestionMedia(target, req, res);
+    if (!media) return;
+
+    const { alt, caption } = req.body;
+    if (alt !== undefined && media.kind === 'image' && !String(alt).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Images need alt text describing them'
+      });
+    }
+
+    const result = await quizEditService.updateQuestionMedia(target.quiz, target.version, target.quiz.questions[target.index]._id, (entries) => {
+      const entry = entries.find((m) => String(m._id) === String(media._id));
+      if (alt !== undefined) entry.alt = String(alt).trim() || undefined;
+      if (caption !== undefined) entry.caption = String(caption).trim() || undefined;
+      return {};
+    }, { userId: req.user._id });
+
+    sendQuestionEdit(res, result, 'Media updated successfully', {
+      media: result.quiz?.questions[result.index].media.id(media._id), index: result.index
+    });
+  } catch (error) {
+    console.error('Update media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update media'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/quiz/:id/questions/:index/media/:mediaId
+ * @desc    Remove an attachment from a question
+ * @access  Private (Creator only)
+ */
+router.delete('/:id/questions/:index/media/:mediaId', protect, async (req, res) => {
+  try {
+    const target = await loadQuestionForEdit(req, res);
+    if (!target) return;
+    const media = findQuestionMedia(target, req, res);
+    if (!media) return;
+
+    const result = await quizEditService.updateQuestionMedia(target.quiz, target.version, target.quiz.questions[target.index]._id, (entries) => {
+      entries.splice(entries.findIndex((m) => String(m._id) === String(media._id)), 1);
+      return {};
+    }, { userId: req.user._id });
+    if (result.success) await mediaService.removeUnreferenced([media.filename]);
+
+    sendQuestionEdit(res, result, 'Media removed successfully', { index: result.index });
+  } catch (error) {
+    console.error('Remove media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove media'
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/quiz/:id
  * @desc    Delete quiz
@@ -999,7 +1913,12 @@ router.delete('/:id', protect, async (req, res) => {
       console.warn('Failed to delete quiz embedding (non-fatal):', e?.message || e);
     }
 
+    const revisionMedia = await QuizRevision.distinct('snapshot.questions.media.filename', { quiz: quiz._id });
     await quiz.deleteOne();
+    await FlashcardDeck.updateMany({ quiz: quiz._id }, { $unset: { quiz: 1 } });
+    await StudyGuide.deleteOne({ quiz: quiz._id });
+    await QuizRevision.deleteMany({ quiz: quiz._id });
+    await mediaService.removeUnreferenced([...quiz.questions.flatMap((q) => q.media.map((m) => m.filename)), ...revisionMedia]);
 
     res.json({
       success: true,
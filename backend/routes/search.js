@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { optionalAuth } = require('../middleware/auth');
+const { trackUsage } = require('../middleware/usage');
 const Quiz = require('../models/Quiz');
 const embeddingService = require('../services/embeddingService');
 
@@ -9,7 +10,7 @@ const embeddingService = require('../services/embeddingService');
  * @desc    Vector search for quizzes
  * @access  Public
  */
-router.post('/vector', async (req, res) => {
+router.post('/vector', optionalAuth, trackUsage, async (req, res) => {
   try {
     const { query, limit = 10 } = req.body;
 
@@ -68,7 +69,7 @@ router.post('/vector', async (req, res) => {
  * @desc    Hybrid search combining vector and text search
  * @access  Public
  */
-router.post('/hybrid', async (req, res) => {
+router.post('/hybrid', optionalAuth, trackUsage, async (req, res) => {
   try {
     const { query, limit = 15, vectorWeight = 0.7, textWeight = 0.3 } = req.body;
 
@@ -160,7 +161,7 @@ router.post('/hybrid', async (req, res) => {
  * @desc    Search for similar quizzes using vector search
  * @access  Public/Private
  */
-router.get('/similar', optionalAuth, async (req, res) => {
+router.get('/similar', optionalAuth, trackUsage, async (req, res) => {
   try {
     const { query, limit = 10 } = req.query;
 
@@ -236,7 +237,7 @@ router.get('/similar', optionalAuth, async (req, res) => {
  * @desc    Find quizzes similar to a specific quiz
  * @access  Public/Private
  */
-router.get('/quiz/:id/similar', optionalAuth, async (req, res) => {
+router.get('/quiz/:id/similar', optionalAuth, trackUsage, async (req, res) => {
   try {
     const quiz = await Quiz.findById(req.params.id);
 
@@ -2,20 +2,14 @@ const express = require('express');
 const router = express.Router();
 
 const SystemSettings = require('../models/SystemSettings');
+const { getAIConfig } = require('../services/providers');
+const { DEFAULT_LANGUAGE, listLanguages } = require('../services/languageRegistry');
 
 router.get('/', async (req, res) => {
   try {
-    let settings = await SystemSettings.findOne({});
+    let settings = await SystemSettings.findOne({}).lean();
     if (!settings) {
       settings = {
-        freemium: {
-          freeQuizLimit: parseInt(process.env.FREE_QUIZ_LIMIT || '10'),
-          premiumQuizLimit: parseInt(process.env.PREMIUM_QUIZ_LIMIT || '1000')
-        },
-        ai: {
-          quizModel: process.env.GEMINI_MODEL || 'gemini-1.5-pro',
-          embeddingModel: 'gemini-embedding-001'
-        },
         vector: {
           collection: 'quizembeddings',
           index: (process.env.ATLAS_VECTOR_INDEX || 'quizembeddings_vector_index').trim(),
@@ -24,11 +18,28 @@ router.get('/', async (req, res) => {
         }
       };
     }
-    res.json({ success: true, data: settings });
+    // The provider and models in use, whether chosen by an admin or from env vars/defaults
+    const { provider, quizModel, embeddingModel } = await getAIConfig();
+    // Quiz limits now come from the plan limits (apiLimits); freemium shows them to older clients
+    const apiLimits = { ...new SystemSettings().toObject().apiLimits, ...settings.apiLimits };
+    const freemium = {
+      freeQuizLimit: apiLimits.free.quizzes,
+      premiumQuizLimit: apiLimits.student_premium.quizzes
+    };
+    res.json({ success: true, data: { ...settings, freemium, ai: { provider, quizModel, embeddingModel } } });
   } catch (error) {
     console.error('Settings error:', error);
     res.status(500).json({ success: false, message: 'Failed to fetch settings' });
   }
 });
 
+/**
+ * @route   GET /api/settings/languages
+ * @desc    Languages quizzes can be generated in (codes accepted as `language`)
+ * @access  Public
+ */
+router.get('/languages', (req, res) => {
+  res.json({ success: true, data: { defaultLanguage: DEFAULT_LANGUAGE, languages: listLanguages() } });
+});
+
 module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const { protect } = require('../middleware/auth');
 const User = require('../models/User');
 const upload = require('../middleware/upload');
+const usageService = require('../services/usageService');
 
 /**
  * @route   POST /api/users/upgrade-subscription
@@ -13,7 +14,7 @@ router.post('/upgrade-subscription', protect, async (req, res) => {
   try {
     const { plan } = req.body;
 
-    if (!['premium', 'institutional'].includes(plan)) {
+    if (!['basic', 'premium', 'institutional'].includes(plan)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid subscription plan'
@@ -52,35 +53,42 @@ router.post('/upgrade-subscription', protect, async (req, res) => {
 
 /**
  * @route   GET /api/users/usage-stats
- * @desc    Get user's usage statistics
+ * @desc    Get user's AI usage this month: quizzes, questions and tokens against
+ *          the plan limits, broken down by operation, quiz and day
  * @access  Private
  */
 router.get('/usage-stats', protect, async (req, res) => {
   try {
     const user = await User.findById(req.user._id);
 
-    const freeLimitEnv = parseInt(process.env.FREE_QUIZ_LIMIT, 10);
-    const premiumLimitEnv = parseInt(process.env.PREMIUM_QUIZ_LIMIT, 10);
+    const stats = await usageService.getUsageStats(user);
+    const quota = await usageService.checkQuota(user);
 
-    const freeLimit = Number.isFinite(freeLimitEnv) ? freeLimitEnv : 10;
-    const premiumLimit = Number.isFinite(premiumLimitEnv) ? premiumLimitEnv : 1000;
-
-    const limit = user.subscription?.plan === 'free' ? freeLimit : premiumLimit;
+    // Share of each monthly limit used (null when unlimited)
+    const percentUsed = {};
+    for (const key of ['quizzes', 'questions', 'tokens']) {
+      const limit = stats.limits?.[key];
+      percentUsed[key] = limit > 0 ? Number(Math.min(100, (stats.used[key] / limit) * 100).toFixed(2)) : null;
+    }
 
-    const remaining = Math.max(0, limit - user.usage.quizzesGenerated);
-    const usagePercentage = limit > 0 ? (user.usage.quizzesGenerated / limit) * 100 : 0;
+    // The quiz limit in the shape clients of the old quiz-count quota read
+    // (limits.total/remaining/usagePercentage; -1 = unlimited)
+    const quizLimit = stats.limits?.quizzes ?? -1;
 
     res.json({
       success: true,
       data: {
         usage: user.usage,
+        subscription: user.subscription,
+        canGenerateMore: quota.allowed,
+        ...stats,
         limits: {
-          total: limit,
-          remaining,
-          usagePercentage: usagePercentage.toFixed(2)
+          ...stats.limits,
+          total: quizLimit,
+          remaining: stats.remaining?.quizzes ?? null,
+          usagePercentage: (percentUsed.quizzes ?? 0).toFixed(2)
         },
-        subscription: user.subscription,
-        canGenerateMore: user.canGenerateQuiz()
+        percentUsed
       }
     });
   } catch (error) {
@@ -0,0 +1,73 @@
+/**
+ * Checks for turning a quiz into flashcards (POST /api/flashcards/from-quiz/:quizId):
+ * the cards carry the answer key, so only the quiz's creator, admins and users
+ * who finished the quiz may make them. Models are stubbed, so no MongoDB is needed.
+ *
+ *   node scripts/checkFlashcards.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizHistory = require('../models/QuizHistory');
+const Class = require('../models/Class');
+const FlashcardDeck = require('../models/FlashcardDeck');
+const router = require('../routes/flashcards');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const quiz = new Quiz({
+  title: 'Capitals',
+  creator: id(),
+  isPublic: true,
+  questions: [
+    { type: 'mcq', questionText: 'Capital of France?', options: [{ text: 'Paris', isCorrect: true }, { text: 'Rome' }], correctAnswer: 'Paris' },
+  ],
+});
+
+// Attempts as [userId, quizId] pairs
+let attempts = [];
+const decks = [];
+
+Quiz.findById = async (quizId) => (String(quizId) === String(quiz._id) ? quiz : null);
+QuizHistory.exists = async ({ user, quiz: quizId }) =>
+  attempts.some(([u, q]) => String(u) === String(user) && String(q) === String(quizId)) || null;
+Class.exists = async () => null;
+FlashcardDeck.create = async (doc) => {
+  decks.push(doc);
+  return doc;
+};
+
+const handler = router.stack.find((layer) => layer.route?.path === '/from-quiz/:quizId').route.stack.at(-1).handle;
+
+async function createFromQuiz(user) {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ params: { quizId: String(quiz._id) }, body: {}, user }, res);
+  return res;
+}
+
+test('a user who has not finished someone else\'s quiz gets 403 and no deck', async () => {
+  attempts = [];
+  decks.length = 0;
+  const res = await createFromQuiz({ _id: id(), role: 'student' });
+  assert.equal(res.statusCode, 403);
+  assert.equal(decks.length, 0);
+});
+
+test('the creator, admins and users who finished the quiz get a deck', async () => {
+  attempts = [];
+  decks.length = 0;
+  const student = { _id: id(), role: 'student' };
+  attempts.push([student._id, quiz._id]);
+
+  for (const user of [{ _id: quiz.creator, role: 'teacher' }, { _id: id(), role: 'admin' }, student]) {
+    const res = await createFromQuiz(user);
+    assert.equal(res.statusCode, 201);
+  }
+  assert.equal(decks.length, 3);
+  assert.equal(decks[2].cards[0].back.startsWith('Paris'), true);
+});
@@ -0,0 +1,90 @@
+/**
+ * Checks for the quiz generation queue (services/generationQueue): a job that
+ * fails after its quiz was saved is retried without generating a second quiz,
+ * and a worker that lost a job's lock leaves it to the worker that holds it.
+ * Jobs are saved in memory and generation is stubbed, so no MongoDB or AI
+ * provider is needed.
+ *
+ *   node scripts/checkGenerationQueue.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const GenerationJob = require('../models/GenerationJob');
+const Quiz = require('../models/Quiz');
+const User = require('../models/User');
+const queue = require('../services/generationQueue');
+
+const id = () => new mongoose.Types.ObjectId();
+
+let quizzes = [];
+Quiz.findById = (quizId) => ({ select: async () => quizzes.find((q) => String(q._id) === String(quizId)) || null });
+queue.generate = async () => {
+  const quiz = { _id: id() };
+  quizzes.push(quiz);
+  return quiz;
+};
+
+function makeJob() {
+  const job = new GenerationJob({
+    user: id(),
+    source: 'text',
+    text: 'Photosynthesis turns light, water and carbon dioxide into glucose and oxygen. '.repeat(3),
+    options: { numQuestions: 5 },
+    status: 'extracting',
+    attempts: 1,
+    maxAttempts: 3,
+  });
+  job.save = async () => job;
+  return job;
+}
+
+test('a retry after the quiz was saved finishes the job with that quiz', async () => {
+  quizzes = [];
+  const job = makeJob();
+
+  User.findById = async () => { throw new Error('connection reset'); };
+  await queue.process(job);
+  assert.equal(job.status, 'queued');
+  assert.equal(quizzes.length, 1);
+  assert.equal(String(job.quiz), String(quizzes[0]._id));
+
+  User.findById = async () => null;
+  job.attempts += 1;
+  await queue.process(job);
+  assert.equal(job.status, 'done');
+  assert.equal(quizzes.length, 1);
+  assert.equal(String(job.quiz), String(quizzes[0]._id));
+});
+
+test('a retry whose quiz was deleted generates it again', async () => {
+  quizzes = [];
+  const job = makeJob();
+  job.quiz = id();
+  User.findById = async () => null;
+
+  await queue.process(job);
+  assert.equal(job.status, 'done');
+  assert.equal(quizzes.length, 1);
+  assert.equal(String(job.quiz), String(quizzes[0]._id));
+});
+
+test('a worker whose job was requeued as stale neither finishes nor requeues it', async () => {
+  quizzes = [];
+  const job = makeJob();
+  User.findById = async () => null;
+  // The job has been claimed by another worker since this one locked it
+  job.save = async () => {
+    assert.deepEqual(job.$where, { lockedBy: queue.workerId });
+    throw new mongoose.Error.DocumentNotFoundError({ _id: job._id, ...job.$where }, 'GenerationJob', 0, job);
+  };
+  let requeued = false;
+  const handleFailure = queue.handleFailure;
+  queue.handleFailure = async () => { requeued = true; };
+
+  await queue.process(job);
+  queue.handleFailure = handleFailure;
+  assert.equal(requeued, false);
+  assert.notEqual(job.status, 'done');
+});
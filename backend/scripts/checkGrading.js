@@ -0,0 +1,289 @@
+/**
+ * Checks for automatic grading (services/questionTypes gradeAnswer) of every
+ * question type, including the short-answer matching steps, and for teacher
+ * grading of essays (services/gradingService, routes/history). Needs no
+ * database or AI provider: the models the routes use are stubbed.
+ *
+ *   node scripts/checkGrading.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizHistory = require('../models/QuizHistory');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const historyRouter = require('../routes/history');
+const { gradeAnswer, gradeQuiz, normalizeQuestionFields } = require('../services/questionTypes');
+const { overrideGrade, hideUnreleasedGrades } = require('../services/gradingService');
+
+// Questions go through the same normalisation as saved ones
+const question = (fields) => normalizeQuestionFields(fields);
+
+test('mcq: only the correct option earns the point', () => {
+  const q = question({
+    type: 'mcq',
+    questionText: 'Capital of France?',
+    options: [{ text: 'Paris', isCorrect: true }, { text: 'Rome' }, { text: 'Madrid' }],
+  });
+  assert.deepEqual(gradeAnswer(q, 'Paris'), { isCorrect: true, credit: 1, pointsEarned: 1 });
+  assert.equal(gradeAnswer(q, 'Rome').pointsEarned, 0);
+  assert.equal(gradeAnswer(q, undefined).isCorrect, false);
+});
+
+test('true-false compares with the correct answer', () => {
+  const q = question({
+    type: 'true-false',
+    questionText: 'Water boils at 100 °C at sea level.',
+    options: [{ text: 'True', isCorrect: true }, { text: 'False' }],
+    correctAnswer: 'True',
+  });
+  assert.equal(gradeAnswer(q, 'True').isCorrect, true);
+  assert.equal(gradeAnswer(q, 'False').isCorrect, false);
+});
+
+test('fill-blank gives a share per blank, ignoring case', () => {
+  const q = question({
+    type: 'fill-blank',
+    questionText: '___ is the powerhouse of the ___.',
+    blanks: [{ answers: ['Mitochondria', 'mitochondrion'] }, { answers: ['cell'] }],
+    points: 2,
+  });
+  assert.equal(gradeAnswer(q, ['mitochondrion', 'CELL']).pointsEarned, 2);
+  assert.deepEqual(gradeAnswer(q, ['mitochondria', 'nucleus']), { isCorrect: false, credit: 0.5, pointsEarned: 1 });
+});
+
+test('multi-select takes a share back for each wrong pick', () => {
+  const q = question({
+    type: 'multi-select',
+    questionText: 'Which are primes?',
+    options: [{ text: '2', isCorrect: true }, { text: '3', isCorrect: true }, { text: '4' }, { text: '6' }],
+  });
+  assert.equal(gradeAnswer(q, ['2', '3']).credit, 1);
+  assert.equal(gradeAnswer(q, ['2']).credit, 0.5);
+  assert.equal(gradeAnswer(q, ['2', '4']).credit, 0);
+  assert.equal(gradeAnswer(q, ['4', '6']).credit, 0);
+});
+
+test('matching accepts an object or an array of answers', () => {
+  const q = question({
+    type: 'matching',
+    questionText: 'Match the capitals',
+    pairs: [{ left: 'France', right: 'Paris' }, { left: 'Italy', right: 'Rome' }],
+  });
+  assert.equal(gradeAnswer(q, { France: 'Paris', Italy: 'Rome' }).credit, 1);
+  assert.equal(gradeAnswer(q, ['paris', 'Madrid']).credit, 0.5);
+});
+
+test('ordering gives a share per item in place', () => {
+  const q = question({
+    type: 'ordering',
+    questionText: 'Order the planets from the sun',
+    options: ['Mercury', 'Venus', 'Earth', 'Mars'],
+  });
+  assert.equal(gradeAnswer(q, ['Mercury', 'Venus', 'Earth', 'Mars']).credit, 1);
+  assert.equal(gradeAnswer(q, ['Mercury', 'Earth', 'Venus', 'Mars']).credit, 0.5);
+});
+
+test('numeric accepts answers within the tolerance', () => {
+  const q = question({
+    type: 'numeric',
+    questionText: 'g in m/s²?',
+    numericAnswer: { value: 9.81, tolerance: 0.05, unit: 'm/s²' },
+  });
+  assert.equal(gradeAnswer(q, '9.8').isCorrect, true);
+  assert.equal(gradeAnswer(q, 9.9).isCorrect, false);
+  assert.equal(gradeAnswer(q, 'about ten').isCorrect, false);
+});
+
+test('short-answer records how each answer matched', () => {
+  const q = question({
+    type: 'short-answer',
+    questionText: 'Which data structure do databases index with?',
+    correctAnswer: 'B+ tree',
+    acceptedAnswers: ['balanced tree'],
+  });
+  const method = (answer) => gradeAnswer(q, answer).grading.method;
+
+  assert.equal(method('b+ tree'), 'exact');
+  assert.equal(method('B+-tree'), 'normalized');
+  assert.equal(method('Balanced tree'), 'alternative');
+  assert.equal(method('balanced tre'), 'fuzzy');
+  assert.equal(method('B tree'), 'no-match');
+  assert.equal(method('  '), 'empty');
+  assert.equal(gradeAnswer(q, 'balanced tre').isCorrect, true);
+  assert.equal(gradeAnswer(q, 'B tree').pointsEarned, 0);
+});
+
+test('short-answer never fuzzily accepts a negated or renumbered answer', () => {
+  const q = question({ type: 'short-answer', questionText: '?', correctAnswer: 'is reversible' });
+  assert.equal(gradeAnswer(q, 'is not reversible').grading.method, 'no-match');
+
+  const numbered = question({ type: 'short-answer', questionText: '?', correctAnswer: 'Windows 10' });
+  assert.equal(gradeAnswer(numbered, 'Windows 11').grading.method, 'no-match');
+});
+
+test('gradeQuiz totals points across types', () => {
+  const quiz = {
+    questions: [
+      question({ type: 'mcq', questionText: 'a', options: [{ text: 'x', isCorrect: true }, { text: 'y' }] }),
+      question({ type: 'numeric', questionText: 'b', numericAnswer: { value: 4 }, points: 3 }),
+    ],
+  };
+  const result = gradeQuiz(quiz, ['x', '5']);
+  assert.equal(result.score, 1);
+  assert.equal(result.totalPoints, 4);
+  assert.equal(result.correctAnswers, 1);
+  assert.equal(result.percentage, 25);
+});
+
+test('essays wait for a teacher unless empty', () => {
+  const q = question({ type: 'essay', questionText: 'Discuss.', points: 5 });
+  assert.deepEqual(gradeAnswer(q, 'An answer').grading.method, 'pending');
+  assert.equal(gradeAnswer(q, 'An answer').pointsEarned, 0);
+  assert.equal(gradeAnswer(q, '').grading.method, 'empty');
+});
+
+// Saved essay quiz (one essay with a two-criterion rubric, one mcq) and an attempt at it
+function essayAttempt() {
+  const quiz = new Quiz({
+    title: 'Essay quiz',
+    creator: new mongoose.Types.ObjectId(),
+    passingScore: 50,
+    analytics: { totalAttempts: 1 },
+    questions: [
+      question({
+        type: 'essay',
+        questionText: 'Explain photosynthesis.',
+        essayRubric: [
+          { criterion: 'Accuracy', levels: [{ label: 'Good', points: 3 }, { label: 'Poor', points: 0 }] },
+          { criterion: 'Clarity', levels: [{ label: 'Clear', points: 2 }, { label: 'Unclear', points: 1 }] },
+        ],
+      }),
+      question({ type: 'mcq', questionText: '2 + 2?', options: [{ text: '4', isCorrect: true }, { text: '5' }] }),
+    ],
+  });
+  const { detailedAnswers, score, correctAnswers, percentage } = gradeQuiz(quiz, ['Plants use light...', '4']);
+  const history = new QuizHistory({
+    user: new mongoose.Types.ObjectId(),
+    quiz: quiz._id,
+    answers: detailedAnswers,
+    score,
+    percentage,
+    correctAnswers,
+    totalQuestions: 2,
+    gradingStatus: 'pending',
+  });
+  return { quiz, history, essay: quiz.questions[0] };
+}
+
+test('rubric grades score the essay and complete the attempt', () => {
+  const { quiz, history, essay } = essayAttempt();
+  assert.equal(essay.points, 5);
+  assert.equal(history.score, 1);
+
+  const [accuracy, clarity] = essay.essayRubric;
+  const missing = overrideGrade(history, quiz, essay._id, {
+    rubricScores: [{ criterionId: accuracy._id, levelId: accuracy.levels[0]._id }],
+  });
+  assert.equal(missing.status, 400);
+
+  const graded = overrideGrade(history, quiz, essay._id, {
+    rubricScores: [
+      { criterionId: accuracy._id, levelId: accuracy.levels[0]._id },
+      { criterionId: clarity._id, levelId: clarity.levels[1]._id },
+    ],
+    reason: 'Accurate but hard to follow',
+  });
+  assert.equal(graded.success, true);
+  assert.equal(graded.answer.pointsEarned, 4);
+  assert.equal(history.score, 5);
+  assert.equal(history.gradingStatus, 'graded');
+  assert.equal(history.passed, true);
+
+  const undone = overrideGrade(history, quiz, essay._id, { pointsEarned: null });
+  assert.equal(undone.success, true);
+  assert.equal(history.score, 1);
+  assert.equal(history.gradingStatus, 'pending');
+});
+
+test('points outside the question\'s range are refused', () => {
+  const { quiz, history, essay } = essayAttempt();
+  assert.equal(overrideGrade(history, quiz, essay._id, { pointsEarned: 6 }).status, 400);
+  assert.equal(overrideGrade(history, quiz, essay._id, { pointsEarned: -1 }).status, 400);
+});
+
+test('students don\'t see essay grades before they are released', () => {
+  const { quiz, history, essay } = essayAttempt();
+  overrideGrade(history, quiz, essay._id, { pointsEarned: 5 });
+  assert.equal(history.score, 6);
+
+  const seen = hideUnreleasedGrades(history.toObject(), quiz);
+  assert.equal(seen.answers[0].pointsEarned, null);
+  assert.equal(seen.score, 1);
+  assert.equal(seen.passed, null);
+
+  history.gradesReleasedAt = new Date();
+  history.gradingStatus = 'released';
+  assert.equal(hideUnreleasedGrades(history.toObject(), quiz).score, 6);
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Call a routes/history handler as `user`
+async function callHistoryRoute(method, path, { params, body, user }) {
+  const layer = historyRouter.stack.find((l) => l.route?.path === path && l.route.methods[method]);
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await layer.route.stack.at(-1).handle({ params, body, user }, res);
+  return res;
+}
+
+test('essay grades count towards the student\'s points and the quiz average only once released', async () => {
+  const { quiz, history, essay } = essayAttempt();
+  const teacher = { _id: quiz.creator, role: 'teacher' };
+  const points = new Map([[String(history.user), 1]]);
+  let averageScore = history.percentage;
+
+  QuizHistory.findById = async () => history;
+  QuizHistory.find = () => ({ select: async () => (history.gradingStatus === 'graded' ? [history] : []) });
+  QuizHistory.updateMany = async (filter, { $set }) => { Object.assign(history, $set); };
+  history.save = async () => history;
+  Quiz.findById = async () => quiz;
+  Quiz.updateOne = async (filter, { $inc }) => { averageScore += $inc['analytics.averageScore']; };
+  const credit = ({ filter, update }) => points.set(String(filter._id), points.get(String(filter._id)) + update.$inc.points);
+  User.updateOne = async (filter, update) => credit({ filter, update });
+  User.bulkWrite = async (ops) => ops.forEach((op) => credit(op.updateOne));
+  Notification.insertMany = async () => [];
+
+  const graded = await callHistoryRoute('put', '/:id/answers/:questionId/grade', {
+    params: { id: String(history._id), questionId: String(essay._id) },
+    body: { pointsEarned: 4 },
+    user: teacher,
+  });
+  assert.equal(graded.statusCode, undefined);
+  assert.equal(graded.body.data.gradingStatus, 'graded');
+  assert.equal(history.score, 5);
+  assert.equal(points.get(String(history.user)), 1);
+  assert.equal(round(averageScore), round(1 / 6 * 100));
+
+  const released = await callHistoryRoute('post', '/:id/release', {
+    params: { id: String(history._id) },
+    user: teacher,
+  });
+  assert.equal(released.body.success, true);
+  assert.equal(history.gradingStatus, 'released');
+  assert.equal(points.get(String(history.user)), 5);
+  assert.equal(round(averageScore), round(5 / 6 * 100));
+
+  // Once released, a regrade shows (and counts) straight away
+  await callHistoryRoute('put', '/:id/answers/:questionId/grade', {
+    params: { id: String(history._id), questionId: String(essay._id) },
+    body: { pointsEarned: 5 },
+    user: teacher,
+  });
+  assert.equal(points.get(String(history.user)), 6);
+});
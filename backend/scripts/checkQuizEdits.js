@@ -0,0 +1,199 @@
+/**
+ * Checks for quiz edits (services/quizEditService and PUT /api/quiz/:id):
+ * every edit names the version it was made against, bumps it, and is refused
+ * with 409 once someone else has saved the quiz. The database is replaced by
+ * one in-memory quiz, so no MongoDB is needed.
+ *
+ *   node scripts/checkQuizEdits.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuestionDoc = require('../models/Question');
+const AnswerOption = require('../models/AnswerOption');
+const revisionService = require('../services/revisionService');
+const mediaService = require('../services/mediaService');
+const quizEditService = require('../services/quizEditService');
+const quizRouter = require('../routes/quiz');
+
+// The one stored quiz; findOneAndUpdate applies an update only when the version filter matches
+let stored;
+
+Quiz.findOneAndUpdate = async (filter, update) => {
+  const matches = typeof filter.version === 'object'
+    ? filter.version.$in.includes(stored.version ?? null)
+    : filter.version === stored.version;
+  if (String(filter._id) !== String(stored._id) || !matches) return null;
+  // Like Mongoose, leave out fields set to undefined
+  const set = Object.fromEntries(Object.entries(update.$set || update).filter(([, value]) => value !== undefined));
+  const next = new Quiz({ ...stored.toObject(), ...set });
+  const error = next.validateSync();
+  if (error) throw error;
+  stored = next;
+  return stored;
+};
+Quiz.findById = () => {
+  const query = Promise.resolve(stored);
+  query.select = async () => stored;
+  return query;
+};
+QuestionDoc.find = () => ({ select: async () => [] });
+QuestionDoc.deleteMany = async () => {};
+QuestionDoc.create = async () => ({ _id: new mongoose.Types.ObjectId() });
+AnswerOption.deleteMany = async () => {};
+AnswerOption.insertMany = async () => {};
+revisionService.recordSave = async () => null;
+revisionService.currentRevision = async () => null;
+mediaService.removeUnreferenced = async () => {};
+
+// A fresh copy of the stored quiz, as a request would load it
+const load = () => new Quiz(stored.toObject());
+
+function reset() {
+  stored = new Quiz({
+    title: 'Capitals',
+    creator: new mongoose.Types.ObjectId(),
+    questions: [
+      {
+        type: 'mcq',
+        questionText: 'Capital of France?',
+        options: [{ text: 'Paris', isCorrect: true }, { text: 'Rome' }, { text: 'Oslo' }],
+        correctAnswer: 'Paris',
+      },
+      {
+        type: 'true-false',
+        questionText: 'Rome is in Italy.',
+        options: [{ text: 'True', isCorrect: true }, { text: 'False' }],
+        correctAnswer: 'True',
+      },
+    ],
+  });
+}
+
+test('an edit at the current version is saved and bumps it', async () => {
+  reset();
+  const [first] = stored.questions;
+  const result = await quizEditService.updateQuestion(load(), 1, first._id, { questionText: 'Capital of France, please?' });
+  assert.equal(result.success, true);
+  assert.equal(result.quiz.version, 2);
+  assert.equal(String(result.question._id), String(first._id));
+  assert.equal(stored.questions[0].questionText, 'Capital of France, please?');
+});
+
+test('an edit against an older version is refused with 409 and the current version', async () => {
+  reset();
+  await quizEditService.addQuestion(load(), 1, { type: 'numeric', questionText: '2 + 2?', numericAnswer: { value: 4 } });
+
+  const stale = await quizEditService.deleteQuestion(load(), 1, stored.questions[0]._id);
+  assert.equal(stale.success, false);
+  assert.equal(stale.status, 409);
+  assert.equal(stale.version, 2);
+  assert.equal(stored.questions.length, 3);
+});
+
+test('of two edits loaded at the same version, the second gets 409 instead of overwriting', async () => {
+  reset();
+  const mine = load();
+  const theirs = load();
+  const [first, second] = stored.questions.map((q) => q._id);
+
+  const saved = await quizEditService.reorderQuestions(theirs, 1, [second, first]);
+  assert.equal(saved.success, true);
+
+  const lost = await quizEditService.updateQuestion(mine, 1, first, { questionText: 'Changed' });
+  assert.equal(lost.status, 409);
+  assert.equal(lost.version, 2);
+  assert.equal(stored.questions[1].questionText, 'Capital of France?');
+  assert.equal(String(stored.questions[0]._id), String(second));
+});
+
+test('attachment changes are version-checked too', async () => {
+  reset();
+  const quiz = load();
+  await quizEditService.duplicateQuestion(load(), 1, stored.questions[1]._id);
+
+  const stale = await quizEditService.updateQuestionMedia(quiz, 1, quiz.questions[0]._id, () => ({}));
+  assert.equal(stale.status, 409);
+});
+
+test('quizzes saved before versioning count as version 1', async () => {
+  reset();
+  stored.version = undefined;
+  const result = await quizEditService.duplicateQuestion(load(), 1, stored.questions[0]._id);
+  assert.equal(result.success, true);
+  assert.equal(stored.version, 2);
+  assert.equal(stored.questions.length, 3);
+});
+
+test('edits without a usable version, or that break the question, change nothing', async () => {
+  reset();
+  const [first] = stored.questions;
+  assert.equal((await quizEditService.updateQuestion(load(), undefined, first._id, { points: 2 })).status, 400);
+  assert.equal((await quizEditService.updateQuestion(load(), 1, first._id, { points: 0 })).status, 400);
+  assert.equal((await quizEditService.reorderQuestions(load(), 1, [first._id])).status, 400);
+  assert.equal((await quizEditService.deleteQuestion(load(), 1, new mongoose.Types.ObjectId())).status, 404);
+  assert.equal(stored.version, 1);
+});
+
+// PUT /api/quiz/:id by the quiz's creator
+async function putQuiz(body) {
+  const handler = quizRouter.stack.find((l) => l.route?.path === '/:id' && l.route.methods.put).route.stack.at(-1).handle;
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  await handler({ params: { id: String(stored._id) }, query: {}, body, user: { _id: stored.creator } }, res);
+  return res;
+}
+
+test('replacing the questions needs the version they were edited from', async () => {
+  reset();
+  const questions = stored.toObject().questions;
+  questions[0].questionText = 'Capital city of France?';
+
+  assert.equal((await putQuiz({ questions })).statusCode, 400);
+  assert.equal((await putQuiz({ questions, version: 2 })).statusCode, 409);
+  assert.equal(stored.questions[0].questionText, 'Capital of France?');
+
+  const saved = await putQuiz({ questions, version: 1 });
+  assert.equal(saved.statusCode, 200);
+  assert.equal(stored.questions[0].questionText, 'Capital city of France?');
+  assert.equal(stored.version, 2);
+});
+
+test('replaced questions are checked like single edits and keep their ids', async () => {
+  reset();
+  const questions = stored.toObject().questions;
+  const ids = questions.map((q) => String(q._id));
+
+  const broken = await putQuiz({
+    version: 1,
+    questions: [...questions, { type: 'mcq', questionText: 'Which?', options: [{ text: 'A' }, { text: 'B' }] }],
+  });
+  assert.equal(broken.statusCode, 400);
+  assert.equal(broken.body.data.issues.some((issue) => issue.index === 2), true);
+  assert.equal(stored.version, 1);
+  assert.equal(stored.questions.length, 2);
+
+  const saved = await putQuiz({
+    version: 1,
+    questions: [questions[1], { type: 'numeric', questionText: '2 + 2?', numericAnswer: { value: 4 } }],
+  });
+  assert.equal(saved.statusCode, 200);
+  assert.equal(String(stored.questions[0]._id), ids[1]);
+  assert.equal(ids.includes(String(stored.questions[1]._id)), false);
+  assert.equal(stored.version, 2);
+});
+
+test('only content changes make a new version', async () => {
+  reset();
+  assert.equal((await putQuiz({ isPublic: true, status: 'published', title: 'Capitals' })).statusCode, 200);
+  assert.equal(stored.isPublic, true);
+  assert.equal(stored.version, 1);
+
+  assert.equal((await putQuiz({ description: 'European capitals' })).statusCode, 200);
+  assert.equal(stored.version, 2);
+});
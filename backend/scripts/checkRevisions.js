@@ -0,0 +1,150 @@
+/**
+ * Checks for quiz revisions (services/revisionService): the diffs between
+ * versions, the revisions recorded on save, and which version an attempt is
+ * graded against. Revisions are kept in memory, so no MongoDB is needed.
+ *
+ *   node scripts/checkRevisions.js
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'check-revisions';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizRevision = require('../models/QuizRevision');
+const revisionService = require('../services/revisionService');
+
+// Stored revisions; findOne supports the { quiz, version } lookups revisionService makes
+let revisions = [];
+
+QuizRevision.findOne = (filter) => {
+  const matching = revisions
+    .filter((r) => String(r.quiz) === String(filter.quiz))
+    .filter((r) => (typeof filter.version === 'object' ? r.version < filter.version.$lt : r.version === filter.version))
+    .sort((a, b) => b.version - a.version);
+  const query = Promise.resolve(matching[0] || null);
+  query.sort = () => query;
+  return query;
+};
+QuizRevision.create = async (doc) => {
+  if (revisions.some((r) => String(r.quiz) === String(doc.quiz) && r.version === doc.version)) {
+    throw Object.assign(new Error('duplicate key'), { code: 11000 });
+  }
+  revisions.push(doc);
+  return doc;
+};
+
+const id = () => new mongoose.Types.ObjectId();
+
+function makeQuiz() {
+  return new Quiz({
+    title: 'Capitals',
+    creator: id(),
+    passingScore: 60,
+    questions: [
+      { type: 'mcq', questionText: 'Capital of France?', options: [{ text: 'Paris', isCorrect: true }, { text: 'Rome' }], correctAnswer: 'Paris' },
+      { type: 'short-answer', questionText: 'Capital of Italy?', correctAnswer: 'Rome' },
+      { type: 'true-false', questionText: 'Oslo is in Norway.', options: [{ text: 'True', isCorrect: true }, { text: 'False' }], correctAnswer: 'True' },
+    ],
+  });
+}
+
+test('diffSnapshots reports changed fields and questions', () => {
+  const before = revisionService.snapshotQuiz(makeQuiz());
+  const after = JSON.parse(JSON.stringify(before));
+  after.title = 'European capitals';
+  after.questions[0].questionText = 'What is the capital of France?';
+  after.questions[1].acceptedAnswers = ['Roma'];
+  after.questions.splice(2, 1);
+  after.questions.unshift({ _id: String(id()), type: 'numeric', questionText: '2 + 2?', numericAnswer: { value: 4 } });
+
+  const diff = revisionService.diffSnapshots(before, after);
+  assert.deepEqual(diff.fields, [{ field: 'title', before: 'Capitals', after: 'European capitals' }]);
+  assert.deepEqual(diff.questions.added.map((q) => q.index), [0]);
+  assert.deepEqual(diff.questions.removed.map((q) => q.questionText), ['Oslo is in Norway.']);
+  assert.deepEqual(
+    diff.questions.changed.map((q) => [q.index, q.answerKeyChanged, q.fields.map((f) => f.field)]),
+    [[1, false, ['questionText']], [2, true, ['acceptedAnswers']]]
+  );
+  // Shifted by the added question, but still in the same order among the kept ones
+  assert.deepEqual(diff.questions.moved, []);
+  assert.equal(diff.answerKeyChanged, true);
+  assert.equal(
+    revisionService.summarizeDiff(diff),
+    'title changed, 2 questions changed (1 answer key), 1 question added, 1 question removed'
+  );
+});
+
+test('diffSnapshots ignores sub-document ids and empty values, and sees reordering', () => {
+  const before = revisionService.snapshotQuiz(makeQuiz());
+  const same = JSON.parse(JSON.stringify(before));
+  same.questions[0].options = same.questions[0].options.map(({ _id, ...option }) => ({ ...option, _id: String(id()) }));
+  same.questions[1].acceptedAnswers = undefined;
+  const unchanged = revisionService.diffSnapshots(before, same);
+  assert.equal(revisionService.summarizeDiff(unchanged), 'No content changes');
+  assert.equal(unchanged.answerKeyChanged, false);
+
+  const reordered = JSON.parse(JSON.stringify(before));
+  reordered.questions.reverse();
+  const diff = revisionService.diffSnapshots(before, reordered);
+  assert.deepEqual(diff.questions.moved.map((m) => [m.from, m.to]), [[2, 0], [0, 2]]);
+  assert.equal(diff.answerKeyChanged, false);
+});
+
+test('a passing score change counts as an answer key change', () => {
+  const before = revisionService.snapshotQuiz(makeQuiz());
+  const diff = revisionService.diffSnapshots(before, { ...before, passingScore: 80 });
+  assert.equal(diff.answerKeyChanged, true);
+});
+
+test('each save is recorded once, with its diff from the previous revision', async () => {
+  revisions = [];
+  const quiz = makeQuiz();
+  const first = await revisionService.currentRevision(quiz);
+  assert.equal(first.action, 'create');
+  assert.equal(first.diff, null);
+
+  quiz.version = 2;
+  quiz.questions[1].correctAnswer = 'Roma';
+  const second = await revisionService.recordRevision(quiz, { action: 'update-question' });
+  assert.equal(second.summary, '1 question changed (1 answer key)');
+  assert.equal(await revisionService.recordRevision(quiz, { action: 'edit' }), second);
+  assert.equal(revisions.length, 2);
+});
+
+test('attempts are graded against the version their ticket was issued for', async () => {
+  revisions = [];
+  const student = { _id: id() };
+  const quiz = makeQuiz();
+  await revisionService.currentRevision(quiz);
+  const ticket = revisionService.attemptTicket(quiz, student);
+
+  quiz.version = 2;
+  quiz.questions[1].correctAnswer = 'Roma';
+  await revisionService.recordRevision(quiz, { action: 'update-question' });
+
+  const pinned = await revisionService.revisionForAttempt(quiz, { ticket, user: student });
+  assert.equal(pinned.version, 1);
+  assert.equal(revisionService.quizAtRevision(quiz, pinned).questions[1].correctAnswer, 'Rome');
+
+  // Someone else's ticket, a forged one or none: the current version
+  assert.equal((await revisionService.revisionForAttempt(quiz, { ticket, user: { _id: id() } })).version, 2);
+  assert.equal((await revisionService.revisionForAttempt(quiz, { ticket: 'not-a-ticket', user: student })).version, 2);
+  assert.equal((await revisionService.revisionForAttempt(quiz, { user: student })).version, 2);
+});
+
+test('an attempt is reviewed with the quiz as it was taken', async () => {
+  revisions = [];
+  const quiz = makeQuiz();
+  await revisionService.currentRevision(quiz);
+  quiz.version = 2;
+  quiz.questions[0].questionText = 'Edited';
+  await revisionService.recordRevision(quiz, { action: 'update-question' });
+
+  const old = await revisionService.quizForAttempt({ quizVersion: 1 }, quiz);
+  assert.equal(old.questions[0].questionText, 'Capital of France?');
+  assert.equal(String(old.questions[0]._id), String(quiz.questions[0]._id));
+  assert.equal(await revisionService.quizForAttempt({ quizVersion: 2 }, quiz), quiz);
+  assert.equal(await revisionService.quizForAttempt({}, quiz), quiz);
+});
@@ -20,6 +20,9 @@ const app = express();
 // Connect to MongoDB
 connectDB();
 
+// Background quiz generation worker (polls once MongoDB is connected)
+require('./services/generationQueue').start();
+
 // Middleware
 app.use(helmet()); // Security headers
 app.use(cors({
@@ -40,6 +43,7 @@ app.use('/uploads', express.static('uploads'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/quiz', require('./routes/quiz'));
+app.use('/api/flashcards', require('./routes/flashcards'));
 app.use('/api/search', require('./routes/search'));
 app.use('/api/ingest', require('./routes/ingest'));
 app.use('/api/history', require('./routes/history'));
@@ -105,7 +109,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 QuizCraft Server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV}`);
   console.log(`🗄️  Database: Connected to MongoDB`);
-  console.log(`🤖 AI: Google Gemini ${process.env.GEMINI_MODEL}`);
+  console.log(`🤖 AI: provider from system settings (default: ${process.env.AI_PROVIDER || 'gemini'})`);
   console.log(`🌐 Server accessible at:`);
   console.log(`   - http://localhost:${PORT}`);
   console.log(`   - http://${SERVER_IP}:${PORT} 📱 (Your Network IP)`);
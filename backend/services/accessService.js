@@ -0,0 +1,83 @@
+const Class = require('../models/Class');
+const Quiz = require('../models/Quiz');
+const QuizHistory = require('../models/QuizHistory');
+
+function idOf(ref) {
+  return (ref?._id || ref).toString();
+}
+
+/**
+ * Whether a user (or an anonymous visitor) may see a quiz: public quizzes,
+ * the creator's and admins' own, and quizzes assigned to the student's class
+ */
+async function canViewQuiz(quiz, user) {
+  if (quiz.isPublic) return true;
+  if (!user) return false;
+  if (idOf(quiz.creator) === user._id.toString() || user.role === 'admin') return true;
+  // Check if student is in a class that has this quiz
+  return Boolean(await Class.exists({
+    students: user._id,
+    quizzes: quiz._id
+  }));
+}
+
+/**
+ * Whether a user may see a quiz's answer key: its creator and admins, and
+ * users who can see the quiz and have finished it
+ */
+async function canSeeAnswers(quiz, user) {
+  if (!user) return false;
+  if (idOf(quiz.creator) === user._id.toString() || user.role === 'admin') return true;
+  return await canViewQuiz(quiz, user)
+    && Boolean(await QuizHistory.exists({ user: user._id, quiz: quiz._id }));
+}
+
+/**
+ * Whether a user may see a flashcard deck. Same rules as quizzes, plus the
+ * users it is shared with; a deck linked to a quiz by the quiz's creator is
+ * visible to the classes that quiz is assigned to.
+ */
+async function canViewDeck(deck, user) {
+  if (deck.isPublic) return true;
+  if (!user) return false;
+  const creatorId = idOf(deck.creator);
+  if (creatorId === user._id.toString() || user.role === 'admin') return true;
+  if (deck.sharedWith.some((share) => idOf(share.user) === user._id.toString())) return true;
+  if (!deck.quiz) return false;
+
+  const quiz = await Quiz.findById(idOf(deck.quiz)).select('creator');
+  if (!quiz || quiz.creator.toString() !== creatorId) return false;
+  return Boolean(await Class.exists({
+    students: user._id,
+    quizzes: quiz._id
+  }));
+}
+
+/**
+ * Whether a user may change a deck's cards and details: its creator and
+ * users it is shared with for editing
+ */
+function canEditDeck(deck, user) {
+  if (!user) return false;
+  if (idOf(deck.creator) === user._id.toString()) return true;
+  return deck.sharedWith.some((share) => share.role === 'edit' && idOf(share.user) === user._id.toString());
+}
+
+/**
+ * Whether a user may grade (and see) another user's attempt: admins, the
+ * quiz's creator and the teacher of the class it was taken for
+ */
+async function canGradeAttempt(history, quiz, user) {
+  if (!user) return false;
+  if (user.role === 'admin' || idOf(quiz.creator) === user._id.toString()) return true;
+  if (!history.classId) return false;
+  return Boolean(await Class.exists({ _id: idOf(history.classId), teacher: user._id }));
+}
+
+module.exports = {
+  canViewQuiz,
+  canSeeAnswers,
+  canGradeAttempt,
+  canViewDeck,
+  canEditDeck,
+};
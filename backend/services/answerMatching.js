@@ -0,0 +1,152 @@
+/**
+ * Deterministic matching of free-text answers against a question's reference
+ * answer and accepted alternatives: exact, normalised (case, punctuation,
+ * hyphens, articles) and fuzzy (edit distance). Used by gradeAnswer for
+ * short-answer questions; gradingService adds the embedding and AI steps.
+ */
+
+// Share of the reference's length that may be misspelt before a fuzzy match is rejected
+const FUZZY_TOLERANCE = 0.15;
+// Answers shorter than this (after compacting) must match exactly
+const MIN_FUZZY_LENGTH = 5;
+
+const ARTICLES = /^(?:a|an|the)\s+/;
+const NEGATIONS = /\b(?:not|no|never|none|cannot|can't|isn't|aren't|doesn't|don't|won't|wasn't|weren't)\b|(?:^|\s)(?:না|নয়|নেই)(?=[\s।,.]|$)/u;
+
+/**
+ * Lowercase, Unicode-normalised text with hyphens, slashes and underscores
+ * as spaces and other punctuation removed; '+' and '#' are kept so "C++" and
+ * "B+ tree" stay distinct from "C" and "B tree"
+ */
+function normalizeAnswer(value) {
+  return String(value ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[-‐‑–—_/\\]+/g, ' ')
+    .replace(/[^\p{L}\p{M}\p{N}\s+#.]/gu, '')
+    .replace(/\.(?!\d)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(ARTICLES, '');
+}
+
+// Normalised answer without spaces, so "B+ tree", "B+-tree" and "B+tree" compare equal
+function compactAnswer(value) {
+  return normalizeAnswer(value).replace(/\s+/g, '');
+}
+
+// Numbers and the symbols that change a term's meaning ("B+ tree", "C#")
+function markersIn(text) {
+  return (String(text ?? '').match(/\d+(?:\.\d+)?|[+#]/g) || []).sort().join(',');
+}
+
+/**
+ * Whether two answers can be compared loosely (fuzzily or by meaning): they
+ * must contain the same numbers and symbols and agree on negation
+ */
+function compatibleAnswers(a, b) {
+  return markersIn(a) === markersIn(b) && NEGATIONS.test(a.toLowerCase()) === NEGATIONS.test(b.toLowerCase());
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Reference answer followed by the accepted alternatives, without blanks
+ */
+function referenceAnswers(question) {
+  const answers = [question.correctAnswer, ...(question.acceptedAnswers || [])]
+    .map((answer) => String(answer ?? '').trim())
+    .filter(Boolean);
+  return [...new Set(answers)];
+}
+
+/**
+ * Match a free-text answer without any AI
+ * @param {Object} question - Question with correctAnswer and optional acceptedAnswers
+ * @param {*} userAnswer
+ * @returns {Object} { credit, method, reasoning, matched?, similarity? }; method is
+ *   'empty', 'exact', 'normalized', 'alternative', 'fuzzy' or 'no-match'
+ */
+function matchShortAnswer(question, userAnswer) {
+  const given = typeof userAnswer === 'string' ? userAnswer.trim() : '';
+  if (!given) {
+    return { credit: 0, method: 'empty', reasoning: 'No answer was given.' };
+  }
+
+  const references = referenceAnswers(question);
+  if (references.length === 0) {
+    return { credit: 0, method: 'no-match', reasoning: 'The question has no reference answer to compare with.' };
+  }
+
+  const [reference] = references;
+  const describe = (answer) => (answer === reference ? 'the reference answer' : `the accepted answer "${answer}"`);
+
+  const exact = references.find((answer) => answer.toLowerCase() === given.toLowerCase());
+  if (exact) {
+    return { credit: 1, method: exact === reference ? 'exact' : 'alternative', matched: exact, reasoning: `Matches ${describe(exact)}.` };
+  }
+
+  const compact = compactAnswer(given);
+  const normalized = references.find((answer) => compactAnswer(answer) === compact && compact !== '');
+  if (normalized) {
+    return {
+      credit: 1,
+      method: normalized === reference ? 'normalized' : 'alternative',
+      matched: normalized,
+      reasoning: `Matches ${describe(normalized)} once case, spacing and punctuation are ignored.`,
+    };
+  }
+
+  let best = { similarity: 0 };
+  for (const answer of references) {
+    const target = compactAnswer(answer);
+    const longest = Math.max(target.length, compact.length);
+    if (!longest) continue;
+    const distance = levenshtein(compact, target);
+    const similarity = 1 - distance / longest;
+    if (similarity > best.similarity) best = { answer, distance, similarity, length: target.length };
+  }
+
+  const allowed = Math.max(1, Math.floor(best.length * FUZZY_TOLERANCE));
+  if (best.answer
+    && best.length >= MIN_FUZZY_LENGTH
+    && best.distance <= allowed
+    && compatibleAnswers(given, best.answer)) {
+    return {
+      credit: 1,
+      method: 'fuzzy',
+      matched: best.answer,
+      similarity: Math.round(best.similarity * 100) / 100,
+      reasoning: `Within ${best.distance} character${best.distance === 1 ? '' : 's'} of ${describe(best.answer)}; treated as a spelling difference.`,
+    };
+  }
+
+  return {
+    credit: 0,
+    method: 'no-match',
+    similarity: Math.round(best.similarity * 100) / 100,
+    reasoning: `Does not match the reference answer "${reference}"${references.length > 1 ? ` or ${references.length - 1} accepted alternative${references.length > 2 ? 's' : ''}` : ''}.`,
+  };
+}
+
+module.exports = {
+  normalizeAnswer,
+  compatibleAnswers,
+  referenceAnswers,
+  matchShortAnswer,
+};
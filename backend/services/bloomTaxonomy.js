@@ -0,0 +1,175 @@
+/**
+ * Bloom's taxonomy levels for questions: requested level distributions,
+ * prompt wording, and a check of the level the model says a question tests
+ * against the cues in its wording.
+ */
+
+const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+const LEVEL_DESCRIPTIONS = {
+  remember: 'recall facts, terms or definitions',
+  understand: 'explain, interpret or summarise an idea',
+  apply: 'use a rule, method or formula in a new situation',
+  analyze: 'break something down, compare parts or find causes',
+  evaluate: 'judge or justify a choice against criteria',
+  create: 'design, propose or put together something new',
+};
+
+// Wording that marks a level, checked from the highest level down. Only
+// English cues exist, so other languages keep the model's label.
+const LEVEL_CUES = [
+  ['create', /(^|\b(how would you|you would|you are asked to)\s+)(design|devise|propose|formulate|compose|invent|construct|develop|plan|write)\b/i],
+  ['evaluate', /\b(justify|evaluate|assess|critique|judge|defend|recommend|argue|best (approach|choice|option|justification)|most (appropriate|effective|suitable|convincing)|strongest (argument|evidence))\b/i],
+  ['analyze', /\b(compare|contrast|distinguish|differentiate|analy[sz]e|infer|relationship between|what (causes|caused)|why (does|did|is|are|would)|which (factor|assumption)|difference between)\b/i],
+  ['apply', /\b(calculate|compute|solve|apply|estimate|predict|what (would|will) happen|how (many|much|long|far)|determine the (value|result|output)|given that|suppose|if .{3,60}, (what|which|how))\b/i],
+  ['understand', /\b(explain|describe|summari[sz]e|interpret|paraphrase|classify|means?|best describes|an example of|main idea|purpose of|in other words)\b/i],
+  ['remember', /^(what|who|when|where|which) (is|was|are|were)\b|\b(define|definition of|name the|list the|identify the|recall|stands for|in (what|which) year)\b/i],
+];
+
+// Labels this many levels away from the cue are treated as wrong
+const MAX_LEVEL_GAP = 1;
+
+function levelIndex(level) {
+  return BLOOM_LEVELS.indexOf(level);
+}
+
+/**
+ * A level name, or undefined when it isn't one ("Analysis" -> analyze)
+ */
+function normalizeLevel(level) {
+  const value = String(level ?? '').toLowerCase().trim();
+  if (BLOOM_LEVELS.includes(value)) return value;
+  const stems = { remem: 'remember', knowl: 'remember', recall: 'remember', compre: 'understand', unders: 'understand', appl: 'apply', analy: 'analyze', evalu: 'evaluate', creat: 'create', synth: 'create' };
+  const stem = Object.keys(stems).find((prefix) => value.startsWith(prefix));
+  return stem ? stems[stem] : undefined;
+}
+
+/**
+ * Normalise a requested level distribution to `numQuestions` questions.
+ * Accepts counts or percentages as an object ({ apply: 4, analyze: 3 }) or its
+ * JSON string; totals other than numQuestions are scaled (largest remainder).
+ * @returns {Object|null} e.g. { remember: 2, apply: 5, analyze: 3 }, or null when nothing valid was given
+ */
+function normalizeBloomDistribution(distribution, numQuestions = 10) {
+  let parsed = distribution;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (_) {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object') return null;
+
+  const weights = BLOOM_LEVELS
+    .map((level) => [level, Number(parsed[level])])
+    .filter(([, weight]) => Number.isFinite(weight) && weight > 0);
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) return null;
+
+  const shares = weights.map(([level, weight]) => {
+    const exact = (weight / total) * numQuestions;
+    return { level, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let left = numQuestions - shares.reduce((sum, s) => sum + s.count, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (left <= 0) break;
+    share.count++;
+    left--;
+  }
+
+  const result = {};
+  for (const { level, count } of shares) {
+    if (count > 0) result[level] = count;
+  }
+  return result;
+}
+
+/**
+ * Count questions per level
+ */
+function countLevels(questions = []) {
+  return questions.reduce((acc, q) => {
+    if (q.bloomLevel) acc[q.bloomLevel] = (acc[q.bloomLevel] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+/**
+ * Prompt line asking for a "bloomLevel" on every question, steering towards
+ * the requested levels when there are any
+ * @param {Object} [distribution] - Output of normalizeBloomDistribution
+ */
+function describeLevels(distribution) {
+  const definitions = BLOOM_LEVELS.map((level) => `${level} = ${LEVEL_DESCRIPTIONS[level]}`).join('; ');
+  const entries = Object.entries(distribution || {});
+  if (entries.length === 0) {
+    return `Set each question's "bloomLevel" to the Bloom's taxonomy level it tests (${definitions}). Prefer questions that test understanding, application and analysis over plain recall.`;
+  }
+  const counts = entries.map(([level, count]) => `${count} at "${level}"`).join(', ');
+  return `Target these Bloom's taxonomy levels: ${counts}. Set each question's "bloomLevel" to the level it actually tests (${definitions}); the wording must match the level, e.g. an "apply" question gives a new situation to work through.`;
+}
+
+/**
+ * The level a question's wording points to, or null when there is no clear cue
+ */
+function estimateBloomLevel(question) {
+  const text = String(question?.questionText || '').trim();
+  for (const [level, pattern] of LEVEL_CUES) {
+    if (pattern.test(text)) return level;
+  }
+  return null;
+}
+
+// Level for an unlabelled question without cues
+function fallbackLevel(question) {
+  if (question.type === 'numeric') return 'apply';
+  if (['true-false', 'fill-blank', 'matching'].includes(question.type)) return 'remember';
+  return 'understand';
+}
+
+/**
+ * Check the model's label against the question's wording. A label more than
+ * one level away from a clear cue is replaced by the cued level; a missing
+ * label is filled in.
+ * @returns {{ level: string, claimed: string|undefined, corrected: boolean }}
+ */
+function verifyBloomLevel(question) {
+  const claimed = normalizeLevel(question.bloomLevel);
+  const estimate = estimateBloomLevel(question);
+  if (!claimed) {
+    return { level: estimate || fallbackLevel(question), claimed: undefined, corrected: false };
+  }
+  if (!estimate || Math.abs(levelIndex(claimed) - levelIndex(estimate)) <= MAX_LEVEL_GAP) {
+    return { level: claimed, claimed, corrected: false };
+  }
+  return { level: estimate, claimed, corrected: true };
+}
+
+/**
+ * Requested vs. produced levels, with the shortfall per level and the
+ * questions whose label was corrected
+ * @param {Object|null} requested - Output of normalizeBloomDistribution
+ * @param {Object[]} questions - Questions with verified `bloomLevel`
+ * @param {Object[]} [relabeled] - { questionText, claimed, level } per corrected label
+ */
+function summarizeBloomBreakdown(requested, questions, relabeled = []) {
+  const produced = countLevels(questions);
+  const missing = {};
+  for (const [level, count] of Object.entries(requested || {})) {
+    if ((produced[level] || 0) < count) missing[level] = count - (produced[level] || 0);
+  }
+  return { requested: requested || undefined, produced, missing, relabeled };
+}
+
+module.exports = {
+  BLOOM_LEVELS,
+  LEVEL_DESCRIPTIONS,
+  normalizeLevel,
+  normalizeBloomDistribution,
+  countLevels,
+  describeLevels,
+  estimateBloomLevel,
+  verifyBloomLevel,
+  summarizeBloomBreakdown,
+};
@@ -0,0 +1,157 @@
+/**
+ * Content-hash caching of expensive, repeatable work: the text extracted from
+ * an uploaded file (PDF parsing, OCR) and embeddings. Entries are keyed by a
+ * SHA-256 of the input plus what produced them, so a new extractor version or
+ * embedding model simply misses instead of returning stale results.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const ContentCache = require('../models/ContentCache');
+
+// Bump when textExtractor/cleanText output changes so earlier extractions are ignored
+const EXTRACTOR_VERSION = 'extractor-v2';
+
+// Documents are capped at 16 MB; larger extractions are simply not cached
+const MAX_CACHED_TEXT = 4 * 1024 * 1024;
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text || ''), 'utf8').digest('hex');
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+async function lookup(kind, hash, producer) {
+  // Nothing to read from in scripts and offline runs without Mongo
+  if (mongoose.connection.readyState !== 1) return null;
+  try {
+    return await ContentCache.findOneAndUpdate(
+      { kind, hash, producer },
+      { $inc: { hits: 1 }, $set: { lastUsedAt: new Date() } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    console.warn(`Content cache lookup failed (${kind}):`, error.message);
+    return null;
+  }
+}
+
+async function store(kind, hash, producer, value) {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    await ContentCache.updateOne(
+      { kind, hash, producer },
+      { $set: { ...value, lastUsedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.warn(`Content cache write failed (${kind}):`, error.message);
+  }
+}
+
+function extractionProducer(variant) {
+  return variant ? `${EXTRACTOR_VERSION}:${variant}` : EXTRACTOR_VERSION;
+}
+
+/**
+ * Cleaned text previously extracted from a file with this hash
+ * @param {string} fileHash
+ * @param {string} [variant] - Extraction setting that changes the output (e.g. OCR languages)
+ * @returns {Promise<Object|null>} { text, ocr }
+ */
+async function getExtraction(fileHash, variant) {
+  const entry = await lookup('extraction', fileHash, extractionProducer(variant));
+  return typeof entry?.text === 'string' ? { text: entry.text, ocr: entry.ocr || null } : null;
+}
+
+/**
+ * @param {string} fileHash
+ * @param {Object} extraction - { text, ocr }
+ * @param {string} [variant]
+ */
+async function saveExtraction(fileHash, { text, ocr }, variant) {
+  if (!text || text.length > MAX_CACHED_TEXT) return;
+  await store('extraction', fileHash, extractionProducer(variant), { text, ocr: ocr || null });
+}
+
+/**
+ * Embedding previously produced for exactly this text by this model
+ * @param {string} text
+ * @param {string} model - Provider model id (see BaseProvider.modelId)
+ * @returns {Promise<number[]|null>}
+ */
+async function getEmbedding(text, model) {
+  const entry = await lookup('embedding', hashText(text), model);
+  return entry?.embedding?.length ? entry.embedding : null;
+}
+
+async function saveEmbedding(text, model, embedding) {
+  await store('embedding', hashText(text), model, { embedding });
+}
+
+/**
+ * Hash of the settings that change what a generation produces (not time
+ * limit, passing score or visibility, which are applied to any copy)
+ */
+function generationOptionsHash(settings, language) {
+  const { numQuestions, quizType, typeDistribution, bloomDistribution, difficulty, category, sources } = settings;
+  const distribution = typeDistribution
+    ? Object.keys(typeDistribution).sort().map((type) => [type, typeDistribution[type]])
+    : null;
+  return hashText(JSON.stringify({
+    numQuestions,
+    quizType,
+    typeDistribution: distribution,
+    difficulty,
+    category: category || '',
+    language,
+    // Weights change how questions are shared between files; single-file keys stay as they were
+    ...(sources?.length > 1 && { sources: sources.map(({ weight, order }) => [weight, order]) }),
+    // normalizeBloomDistribution lists levels in a fixed order
+    ...(bloomDistribution && { bloomDistribution: Object.entries(bloomDistribution) }),
+  }));
+}
+
+/**
+ * Entry and hit counts per cache kind
+ */
+async function getCacheStats() {
+  const rows = await ContentCache.aggregate([
+    { $group: { _id: '$kind', entries: { $sum: 1 }, hits: { $sum: '$hits' } } },
+  ]);
+  return ContentCache.KINDS.map((kind) => {
+    const row = rows.find((r) => r._id === kind);
+    return { kind, entries: row?.entries || 0, hits: row?.hits || 0 };
+  });
+}
+
+/**
+ * Drop cached entries (all, or one kind)
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function clearCache(kind) {
+  const { deletedCount } = await ContentCache.deleteMany(kind ? { kind } : {});
+  return deletedCount;
+}
+
+module.exports = {
+  EXTRACTOR_VERSION,
+  hashText,
+  hashFile,
+  getExtraction,
+  saveExtraction,
+  getEmbedding,
+  saveEmbedding,
+  generationOptionsHash,
+  getCacheStats,
+  clearCache,
+};
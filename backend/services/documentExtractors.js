@@ -0,0 +1,665 @@
+/**
+ * Text extraction for structured documents (DOCX, PPTX, EPUB, HTML, Markdown)
+ * and file type detection from content. Every extractor produces the same
+ * light Markdown — "# " headings, "- " / "1. " list items indented two spaces
+ * per level, "| " table rows — so documentSections can split on headings
+ * whatever the source format was.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const JSZip = require('jszip');
+const { PAGE_BREAK } = require('./documentSections');
+
+const FILE_TYPES = ['pdf', 'image', 'docx', 'pptx', 'epub', 'html', 'markdown', 'text'];
+
+// Uncompressed XML/XHTML read from one archive; guards against zip bombs
+const MAX_ARCHIVE_TEXT = 50 * 1024 * 1024;
+
+const SNIFF_BYTES = 4096;
+
+function startsWith(buffer, bytes, offset = 0) {
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function isImageSignature(head) {
+  return startsWith(head, [0x89, 0x50, 0x4e, 0x47]) // PNG
+    || startsWith(head, [0xff, 0xd8, 0xff]) // JPEG
+    || head.toString('latin1', 0, 4) === 'GIF8'
+    || head.toString('latin1', 0, 2) === 'BM'
+    || startsWith(head, [0x49, 0x49, 0x2a, 0x00]) // TIFF (little endian)
+    || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a]); // TIFF (big endian)
+}
+
+/**
+ * Which kind of text file this is: HTML, Markdown or plain text
+ */
+function detectTextType(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 1000).toLowerCase();
+  if (/^(<\?xml[^>]*>\s*)?(<!doctype html|<html[\s>])/.test(start)) return 'html';
+  if (/^<(head|body|article|section|div|p|h[1-6])[\s>]/.test(start)) return 'html';
+
+  const markdownSignals = [
+    /^#{1,6}\s+\S/m, // headings
+    /^```/m, // fenced code
+    /\[[^\]\n]+\]\([^)\s]+\)/, // links
+    /^(\s*[-*+]\s+\S.*\n){2,}/m, // bullet lists
+    /^\S.*\n(=+|-+)\s*$/m, // setext headings
+  ];
+  return markdownSignals.filter((pattern) => pattern.test(text)).length >= 2 || /^#{1,6}\s+\S/.test(start)
+    ? 'markdown'
+    : 'text';
+}
+
+/**
+ * Detect a file's type from its content (magic bytes, archive entries,
+ * markup), ignoring its name and the client-supplied MIME type
+ * @param {string} filePath
+ * @returns {Promise<string>} One of FILE_TYPES
+ */
+async function detectFileType(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  let head;
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    head = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  if (head.length === 0) throw new Error('File is empty');
+  if (head.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+  if (isImageSignature(head)) return 'image';
+
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0])) {
+    throw new Error('Legacy Office files (.doc, .ppt) are not supported; save the file as .docx or .pptx');
+  }
+
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) {
+    const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+    const mimetype = zip.file('mimetype') && (await zip.file('mimetype').async('string')).trim();
+    if (mimetype === 'application/epub+zip') return 'epub';
+    if (zip.file('word/document.xml')) return 'docx';
+    if (zip.file('ppt/presentation.xml')) return 'pptx';
+    throw new Error('Unsupported archive: expected a .docx, .pptx or .epub file');
+  }
+
+  // Anything else has to be text: UTF-8 without NUL bytes
+  if (head.includes(0x00)) {
+    throw new Error('Unsupported file type');
+  }
+  return detectTextType(head.toString('utf8'));
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Walk the tags and text of an XML/HTML string in document order
+ * @returns {Generator<{ type: 'open'|'close'|'text', name?, attrs?, selfClosing?, text? }>}
+ */
+function* tokens(markup) {
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[!?][^>]*>|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    const [, cdata, closing, name, attrs, selfClosing, text] = match;
+    if (cdata !== undefined) {
+      yield { type: 'text', text: cdata };
+    } else if (text !== undefined) {
+      yield { type: 'text', text: decodeEntities(text) };
+    } else if (name) {
+      yield closing
+        ? { type: 'close', name: name.toLowerCase() }
+        : { type: 'open', name: name.toLowerCase(), attrs: attrs || '', selfClosing: Boolean(selfClosing) };
+    }
+  }
+}
+
+function attr(attrs, name) {
+  const match = new RegExp(`(?:^|\\s)${name.replace(/[.:]/g, '\\$&')}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i').exec(attrs);
+  return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : undefined;
+}
+
+function listPrefix(ordered, level, number) {
+  return '  '.repeat(level) + (ordered ? `${number}. ` : '- ');
+}
+
+/**
+ * Join output blocks, dropping empty ones and tidying whitespace
+ */
+function joinBlocks(blocks) {
+  return blocks
+    .map((block) => block.replace(/[ \t]+$/gm, ''))
+    .filter((block) => block.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Reads entries from an OOXML/EPUB archive, enforcing MAX_ARCHIVE_TEXT
+ */
+async function openArchive(filePath) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  let total = 0;
+  return {
+    zip,
+    async read(name) {
+      const entry = zip.file(name);
+      if (!entry) return null;
+      const text = await entry.async('string');
+      total += text.length;
+      if (total > MAX_ARCHIVE_TEXT) throw new Error('Document is too large to extract');
+      return text;
+    },
+  };
+}
+
+/**
+ * Relationship id → archive path for an OOXML part (word/document.xml, ppt/slides/slide1.xml, ...)
+ * @returns {Promise<Map<string, { target: string, type: string }>>}
+ */
+async function readRelationships(archive, partName) {
+  const relsName = path.posix.join(path.posix.dirname(partName), '_rels', `${path.posix.basename(partName)}.rels`);
+  const xml = await archive.read(relsName);
+  const relationships = new Map();
+  if (!xml) return relationships;
+  for (const token of tokens(xml)) {
+    if (token.type !== 'open' || token.name !== 'relationship') continue;
+    if (attr(token.attrs, 'TargetMode') === 'External') continue;
+    const target = attr(token.attrs, 'Target');
+    relationships.set(attr(token.attrs, 'Id'), {
+      target: target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(partName), target),
+      type: attr(token.attrs, 'Type') || '',
+    });
+  }
+  return relationships;
+}
+
+/**
+ * Style id → heading level (0 for Title) from word/styles.xml. Matches on
+ * the style name rather than the id, which is localised ("berschrift1").
+ */
+function readHeadingStyles(stylesXml) {
+  const headings = new Map();
+  if (!stylesXml) return headings;
+  let styleId = null;
+  for (const token of tokens(stylesXml)) {
+    if (token.type === 'open' && token.name === 'w:style') {
+      styleId = attr(token.attrs, 'w:styleId');
+    } else if (token.type === 'open' && token.name === 'w:name' && styleId) {
+      const name = (attr(token.attrs, 'w:val') || '').toLowerCase();
+      const heading = /^heading\s*([1-6])$/.exec(name);
+      if (heading) headings.set(styleId, Number(heading[1]));
+      else if (name === 'title') headings.set(styleId, 0);
+    } else if (token.type === 'open' && token.name === 'w:outlinelvl' && styleId && !headings.has(styleId)) {
+      const level = Number(attr(token.attrs, 'w:val'));
+      if (level >= 0 && level < 6) headings.set(styleId, level + 1);
+    }
+  }
+  return headings;
+}
+
+/**
+ * numId → per-level "ordered" flags from word/numbering.xml
+ */
+function readNumbering(numberingXml) {
+  const abstractFormats = new Map();
+  const numbering = new Map();
+  if (!numberingXml) return numbering;
+
+  let abstractId = null;
+  let level = null;
+  let numId = null;
+  for (const token of tokens(numberingXml)) {
+    if (token.type !== 'open') continue;
+    if (token.name === 'w:abstractnum') {
+      abstractId = attr(token.attrs, 'w:abstractNumId');
+      abstractFormats.set(abstractId, new Map());
+    } else if (token.name === 'w:lvl' && abstractId !== null) {
+      level = Number(attr(token.attrs, 'w:ilvl'));
+    } else if (token.name === 'w:numfmt' && abstractId !== null && level !== null) {
+      const format = attr(token.attrs, 'w:val');
+      abstractFormats.get(abstractId).set(level, format !== 'bullet' && format !== 'none');
+    } else if (token.name === 'w:num') {
+      numId = attr(token.attrs, 'w:numId');
+      abstractId = null;
+    } else if (token.name === 'w:abstractnumid' && numId !== null) {
+      numbering.set(numId, attr(token.attrs, 'w:val'));
+    }
+  }
+  for (const [id, abstract] of numbering) {
+    numbering.set(id, abstractFormats.get(abstract) || new Map());
+  }
+  return numbering;
+}
+
+/**
+ * DOCX body text with headings (from paragraph styles), bulleted and
+ * numbered lists (from numbering definitions) and tables
+ */
+async function extractDocx(filePath) {
+  const archive = await openArchive(filePath);
+  const documentXml = await archive.read('word/document.xml');
+  if (!documentXml) throw new Error('Not a Word document');
+  const headingStyles = readHeadingStyles(await archive.read('word/styles.xml'));
+  const numbering = readNumbering(await archive.read('word/numbering.xml'));
+
+  const blocks = [];
+  const counters = new Map(); // `${numId}:${level}` → last number used
+  const paragraphs = []; // stack: text boxes nest paragraphs inside paragraphs
+  const tables = []; // stack of { rows, row, cell }
+  let inText = false;
+  let lastList = null; // numId of the list the previous block belonged to
+
+  const emit = (line, numId = null) => {
+    const table = tables[tables.length - 1];
+    if (table?.cell) {
+      table.cell.push(line.trim());
+      return;
+    }
+    // Blank line around each list
+    blocks.push(numId !== lastList && (lastList || numId) ? `\n${line}` : line);
+    lastList = numId;
+  };
+
+  for (const token of tokens(documentXml)) {
+    const paragraph = paragraphs[paragraphs.length - 1];
+    const table = tables[tables.length - 1];
+
+    if (token.type === 'text') {
+      if (inText && paragraph) paragraph.text += token.text;
+      continue;
+    }
+    const { name } = token;
+
+    if (token.type === 'open') {
+      if (name === 'w:p' && !token.selfClosing) paragraphs.push({ text: '', style: null, numId: null, level: 0 });
+      else if (name === 'w:pstyle' && paragraph) paragraph.style = attr(token.attrs, 'w:val');
+      else if (name === 'w:numid' && paragraph) paragraph.numId = attr(token.attrs, 'w:val');
+      else if (name === 'w:ilvl' && paragraph) paragraph.level = Number(attr(token.attrs, 'w:val')) || 0;
+      else if (name === 'w:t' && !token.selfClosing) inText = true;
+      else if (name === 'w:tab' && paragraph) paragraph.text += '\t';
+      else if ((name === 'w:br' || name === 'w:cr') && paragraph) paragraph.text += '\n';
+      else if (name === 'w:tbl') tables.push({ rows: [], row: null, cell: null });
+      else if (name === 'w:tr' && table) table.row = [];
+      else if (name === 'w:tc' && table) table.cell = [];
+      continue;
+    }
+
+    // Closing tags
+    if (name === 'w:t') {
+      inText = false;
+    } else if (name === 'w:p' && paragraph) {
+      paragraphs.pop();
+      const text = paragraph.text.trim();
+      if (!text) continue;
+      const heading = headingStyles.get(paragraph.style);
+      if (heading !== undefined) {
+        emit(`\n${'#'.repeat(Math.max(heading, 1))} ${text.replace(/\s+/g, ' ')}\n`);
+      } else if (paragraph.numId && paragraph.numId !== '0') {
+        const ordered = numbering.get(paragraph.numId)?.get(paragraph.level) || false;
+        const key = `${paragraph.numId}:${paragraph.level}`;
+        const number = (counters.get(key) || 0) + 1;
+        counters.set(key, number);
+        // A higher-level item restarts the numbering of the levels below it
+        for (const counterKey of counters.keys()) {
+          const [id, level] = counterKey.split(':');
+          if (id === paragraph.numId && Number(level) > paragraph.level) counters.delete(counterKey);
+        }
+        emit(listPrefix(ordered, paragraph.level, number) + text, paragraph.numId);
+      } else {
+        emit(`${text}\n`);
+      }
+    } else if (name === 'w:tc' && table?.cell) {
+      table.row?.push(table.cell.join(' ').replace(/\s+/g, ' ').trim());
+      table.cell = null;
+    } else if (name === 'w:tr' && table?.row) {
+      if (table.row.some(Boolean)) table.rows.push(`| ${table.row.join(' | ')} |`);
+      table.row = null;
+    } else if (name === 'w:tbl' && table) {
+      tables.pop();
+      emit(`${table.rows.join('\n')}\n`);
+    }
+  }
+
+  return joinBlocks(blocks);
+}
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+/**
+ * Text of one slide (or notes) part: titles, paragraphs as bullets with
+ * their indent level, and tables
+ * @param {string} xml
+ * @param {Object} [options] - { placeholders: only keep shapes with these placeholder types }
+ * @returns {{ title: string, lines: string[] }}
+ */
+function readSlideText(xml, { placeholders } = {}) {
+  const lines = [];
+  let title = '';
+  let shape = null; // { placeholder, paragraphs: [] }
+  let paragraph = null;
+  let inText = false;
+  let table = null;
+
+  for (const token of tokens(xml)) {
+    if (token.type === 'text') {
+      if (inText && paragraph) paragraph.text += token.text;
+      continue;
+    }
+    const { name } = token;
+
+    if (token.type === 'open') {
+      if (name === 'p:sp') shape = { placeholder: null, paragraphs: [] };
+      else if (name === 'p:ph' && shape) shape.placeholder = attr(token.attrs, 'type') || 'body';
+      else if (name === 'a:p' && !token.selfClosing) paragraph = { text: '', level: 0, bullet: true };
+      else if (name === 'a:ppr' && paragraph) paragraph.level = Number(attr(token.attrs, 'lvl')) || 0;
+      else if (name === 'a:bunone' && paragraph) paragraph.bullet = false;
+      else if (name === 'a:t' && !token.selfClosing) inText = true;
+      else if (name === 'a:br' && paragraph) paragraph.text += ' ';
+      else if (name === 'a:tbl') table = { rows: [], row: null, cell: null };
+      else if (name === 'a:tr' && table) table.row = [];
+      else if (name === 'a:tc' && table) table.cell = [];
+      continue;
+    }
+
+    if (name === 'a:t') {
+      inText = false;
+    } else if (name === 'a:p' && paragraph) {
+      const text = paragraph.text.replace(/\s+/g, ' ').trim();
+      if (text && table?.cell) table.cell.push(text);
+      else if (text && shape) shape.paragraphs.push({ ...paragraph, text });
+      paragraph = null;
+    } else if (name === 'a:tc' && table?.cell) {
+      table.row?.push(table.cell.join(' '));
+      table.cell = null;
+    } else if (name === 'a:tr' && table?.row) {
+      if (table.row.some(Boolean)) table.rows.push(`| ${table.row.join(' | ')} |`);
+      table.row = null;
+    } else if (name === 'a:tbl' && table) {
+      if (!placeholders) lines.push(...table.rows);
+      table = null;
+    } else if (name === 'p:sp' && shape) {
+      const kept = !placeholders || placeholders.includes(shape.placeholder);
+      if (kept && TITLE_PLACEHOLDERS.includes(shape.placeholder) && !title) {
+        title = shape.paragraphs.map((p) => p.text).join(' ');
+      } else if (kept) {
+        for (const p of shape.paragraphs) {
+          lines.push(p.bullet ? listPrefix(false, p.level, 0) + p.text : p.text);
+        }
+      }
+      shape = null;
+    }
+  }
+
+  return { title, lines };
+}
+
+/**
+ * PPTX slides in presentation order, each with its title as a heading, its
+ * text and tables, and its speaker notes. Slides are separated by
+ * PAGE_BREAK so page numbers in the quiz refer to slide numbers.
+ */
+async function extractPptx(filePath) {
+  const archive = await openArchive(filePath);
+  const presentationXml = await archive.read('ppt/presentation.xml');
+  if (!presentationXml) throw new Error('Not a PowerPoint presentation');
+  const relationships = await readRelationships(archive, 'ppt/presentation.xml');
+
+  const slideParts = [];
+  for (const token of tokens(presentationXml)) {
+    if (token.type === 'open' && token.name === 'p:sldid') {
+      const relationship = relationships.get(attr(token.attrs, 'r:id'));
+      if (relationship) slideParts.push(relationship.target);
+    }
+  }
+
+  const slides = [];
+  for (const [index, part] of slideParts.entries()) {
+    const slideXml = await archive.read(part);
+    if (!slideXml) continue;
+    const { title, lines } = readSlideText(slideXml);
+
+    const slideRelationships = await readRelationships(archive, part);
+    const notesPart = [...slideRelationships.values()].find((rel) => rel.type.endsWith('/notesSlide'));
+    const notesXml = notesPart && await archive.read(notesPart.target);
+    const notes = notesXml ? readSlideText(notesXml, { placeholders: ['body'] }).lines : [];
+
+    const slide = [`## ${title || `Slide ${index + 1}`}`, ...lines];
+    if (notes.length) {
+      slide.push('', 'Speaker notes:', ...notes.map((line) => line.replace(/^(\s*)- /, '$1')));
+    }
+    slides.push(slide.join('\n'));
+  }
+
+  return slides.join(`\n${PAGE_BREAK}`).trim();
+}
+
+const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'nav', 'iframe', 'object'];
+const BLOCK_ELEMENTS = [
+  'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'blockquote', 'figure',
+  'figcaption', 'pre', 'table', 'dl', 'dt', 'dd', 'address', 'hr', 'body', 'form', 'fieldset',
+];
+
+/**
+ * HTML (or XHTML) to text, keeping headings, lists and table rows
+ */
+function htmlToText(html) {
+  const lists = []; // stack of { ordered, number }
+  let skipping = null; // { name, depth } while inside a skipped element
+  let preformatted = 0;
+  let out = '';
+  let row = null;
+  let cell = null;
+
+  const write = (text) => {
+    if (cell !== null) cell += text;
+    else out += text;
+  };
+  const newline = (count = 1) => {
+    if (cell !== null) {
+      cell += ' ';
+      return;
+    }
+    const trailing = /\n*$/.exec(out)[0].length;
+    if (out && trailing < count) out += '\n'.repeat(count - trailing);
+  };
+
+  for (const token of tokens(html)) {
+    if (skipping) {
+      if (token.type === 'open' && token.name === skipping.name && !token.selfClosing) skipping.depth++;
+      if (token.type === 'close' && token.name === skipping.name && --skipping.depth === 0) skipping = null;
+      continue;
+    }
+
+    if (token.type === 'text') {
+      if (preformatted) {
+        write(token.text);
+      } else {
+        const text = token.text.replace(/\s+/g, ' ');
+        // No leading space at the start of a line
+        write(/(^|\n)$/.test(cell !== null ? cell : out) ? text.trimStart() : text);
+      }
+      continue;
+    }
+
+    const { name } = token;
+    const heading = /^h([1-6])$/.exec(name);
+
+    if (token.type === 'open') {
+      if (SKIPPED_ELEMENTS.includes(name) && !token.selfClosing) {
+        skipping = { name, depth: 1 };
+      } else if (heading) {
+        newline(2);
+        write(`${'#'.repeat(Number(heading[1]))} `);
+      } else if (name === 'ul' || name === 'ol') {
+        newline();
+        lists.push({ ordered: name === 'ol', number: Number(attr(token.attrs, 'start') || 1) - 1 });
+      } else if (name === 'li') {
+        newline();
+        const list = lists[lists.length - 1] || { ordered: false, number: 0 };
+        list.number++;
+        write(listPrefix(list.ordered, Math.max(lists.length - 1, 0), list.number));
+      } else if (name === 'br') {
+        write(preformatted ? '\n' : (cell !== null ? ' ' : '\n'));
+      } else if (name === 'tr') {
+        newline();
+        row = [];
+      } else if ((name === 'td' || name === 'th') && row) {
+        cell = '';
+      } else if (name === 'img') {
+        const alt = attr(token.attrs, 'alt');
+        if (alt) write(alt);
+      } else if (BLOCK_ELEMENTS.includes(name)) {
+        newline(2);
+        if (name === 'pre') preformatted++;
+      }
+      continue;
+    }
+
+    // Closing tags
+    if (heading) {
+      newline(2);
+    } else if (name === 'ul' || name === 'ol') {
+      lists.pop();
+      newline(lists.length ? 1 : 2);
+    } else if ((name === 'td' || name === 'th') && cell !== null) {
+      row?.push(cell.replace(/\s+/g, ' ').trim());
+      cell = null;
+    } else if (name === 'tr' && row) {
+      if (row.some(Boolean)) write(`| ${row.join(' | ')} |`);
+      row = null;
+      newline();
+    } else if (BLOCK_ELEMENTS.includes(name)) {
+      if (name === 'pre') preformatted = Math.max(preformatted - 1, 0);
+      newline(2);
+    }
+  }
+
+  return joinBlocks([out]);
+}
+
+async function extractHtml(filePath) {
+  return htmlToText(await fs.readFile(filePath, 'utf-8'));
+}
+
+/**
+ * EPUB chapters in reading (spine) order
+ */
+async function extractEpub(filePath) {
+  const archive = await openArchive(filePath);
+  const containerXml = await archive.read('META-INF/container.xml');
+  if (!containerXml) throw new Error('Not an EPUB file');
+
+  let packagePath = null;
+  for (const token of tokens(containerXml)) {
+    if (token.type === 'open' && token.name === 'rootfile') {
+      packagePath = attr(token.attrs, 'full-path');
+      break;
+    }
+  }
+  const packageXml = packagePath && await archive.read(packagePath);
+  if (!packageXml) throw new Error('EPUB package document not found');
+
+  const manifest = new Map();
+  const spine = [];
+  for (const token of tokens(packageXml)) {
+    if (token.type !== 'open') continue;
+    if (token.name === 'item' || token.name.endsWith(':item')) {
+      manifest.set(attr(token.attrs, 'id'), {
+        href: decodeURIComponent(attr(token.attrs, 'href') || ''),
+        mediaType: attr(token.attrs, 'media-type') || '',
+      });
+    } else if (token.name === 'itemref' || token.name.endsWith(':itemref')) {
+      if (attr(token.attrs, 'linear') !== 'no') spine.push(attr(token.attrs, 'idref'));
+    }
+  }
+
+  const chapters = [];
+  for (const id of spine) {
+    const item = manifest.get(id);
+    if (!item || !/html/.test(item.mediaType)) continue;
+    const xhtml = await archive.read(path.posix.join(path.posix.dirname(packagePath), item.href));
+    if (xhtml) chapters.push(htmlToText(xhtml));
+  }
+
+  return joinBlocks(chapters.map((chapter) => `${chapter}\n\n`));
+}
+
+/**
+ * Markdown with its structure (headings, lists, tables) kept and its
+ * markup noise (front matter, links, images, emphasis, inline HTML) removed
+ */
+function markdownToText(markdown) {
+  const lines = markdown
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/^---\n[\s\S]*?\n(---|\.\.\.)\n/, '') // YAML front matter
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split('\n');
+
+  const out = [];
+  let fenced = false;
+  for (let line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      fenced = !fenced;
+      continue;
+    }
+    if (fenced) {
+      out.push(line);
+      continue;
+    }
+    // Reference-style link definitions
+    if (/^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line)) continue;
+    // Setext headings turn the previous line into a heading
+    const setext = /^(=+|-+)\s*$/.exec(line);
+    if (setext && out.length && out[out.length - 1].trim() && !/^\s*([-*+]|\d+[.)])\s/.test(out[out.length - 1])) {
+      out[out.length - 1] = `${setext[1][0] === '=' ? '#' : '##'} ${out[out.length - 1].trim()}`;
+      continue;
+    }
+    // Table delimiter rows
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line) && line.includes('|')) continue;
+
+    line = line
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images → alt text
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links → link text
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+      .replace(/<\/?[a-z][^>]*>/gi, '') // inline HTML
+      .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+      .replace(/(^|[^\w*])([*_])(?=\S)(.+?)(?<=\S)\2(?![\w*])/g, '$1$3')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/^(\s*)[*+](\s+)/, '$1-$2') // one bullet marker
+      .replace(/^\s{0,3}>\s?/, ''); // blockquotes
+    out.push(decodeEntities(line));
+  }
+
+  return joinBlocks([out.join('\n')]);
+}
+
+async function extractMarkdown(filePath) {
+  return markdownToText(await fs.readFile(filePath, 'utf-8'));
+}
+
+module.exports = {
+  FILE_TYPES,
+  detectFileType,
+  detectTextType,
+  extractDocx,
+  extractPptx,
+  extractEpub,
+  extractHtml,
+  extractMarkdown,
+  htmlToText,
+  markdownToText,
+};
@@ -0,0 +1,285 @@
+/**
+ * Splitting long documents into sections so quiz generation can cover the
+ * whole document instead of clustering on its first pages.
+ */
+
+// Inserted after every PDF page by textExtractor
+const PAGE_BREAK = '\f';
+
+const DEFAULT_MAX_CHARS = parseInt(process.env.QUIZ_SECTION_MAX_CHARS || '12000');
+
+const HEADING_PATTERNS = [
+  /^#{1,6}\s+\S/u, // Markdown
+  /^(chapter|section|part|unit|lesson|module|appendix|অধ্যায়|পরিচ্ছেদ|পাঠ)\b/iu,
+  /^\d+(\.\d+)*[.)]?\s+\p{L}/u, // "2.3 Cell division"
+];
+
+/**
+ * Whether a line looks like a heading
+ */
+function isHeading(line) {
+  const text = line.trim();
+  if (text.length < 3 || text.length > 90) return false;
+  if (/[.,;:!?।]$/u.test(text)) return false;
+  if (HEADING_PATTERNS.some((pattern) => pattern.test(text))) return true;
+  // ALL CAPS lines such as "INTRODUCTION"
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  return letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+}
+
+/**
+ * 1-based page number of a character offset (1 when the text has no page breaks)
+ */
+function pageAt(text, offset) {
+  let page = 1;
+  let idx = text.indexOf(PAGE_BREAK);
+  while (idx !== -1 && idx < offset) {
+    page++;
+    idx = text.indexOf(PAGE_BREAK, idx + 1);
+  }
+  return page;
+}
+
+/**
+ * Offsets where a heading line or a new page starts
+ */
+function findBoundaries(text) {
+  const headings = [];
+  const pages = [];
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const pageBreaks = line.split(PAGE_BREAK);
+    let lineOffset = offset;
+    pageBreaks.forEach((part, i) => {
+      if (i > 0) pages.push({ start: lineOffset, title: null });
+      if (isHeading(part)) {
+        headings.push({ start: lineOffset, title: part.replace(/^#+\s*/, '').trim() });
+      }
+      lineOffset += part.length + 1;
+    });
+    offset += line.length + 1;
+  }
+  return { headings, pages };
+}
+
+/**
+ * Cut [start, end) into pieces of at most maxChars, preferring paragraph and
+ * then sentence boundaries
+ */
+function splitLong(text, start, end, maxChars) {
+  const pieces = [];
+  let from = start;
+  while (end - from > maxChars) {
+    // Aim for equal-sized pieces so no tiny remainder is left at the end
+    const size = Math.ceil((end - from) / Math.ceil((end - from) / maxChars));
+    const window = text.slice(from, from + size);
+    let cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf(PAGE_BREAK));
+    if (cut < size / 2) {
+      const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('। '), window.lastIndexOf('\n'));
+      cut = sentence > size / 2 ? sentence + 1 : size;
+    }
+    pieces.push([from, from + cut]);
+    from += cut;
+  }
+  pieces.push([from, end]);
+  return pieces;
+}
+
+/**
+ * Split text into sections by headings (or page breaks when there are too few
+ * headings), merging tiny sections and splitting oversized ones.
+ * Documents shorter than maxChars stay a single section.
+ * @param {string} text - Cleaned extracted text
+ * @param {Object} [options] - { maxChars }
+ * @returns {Array<{ index, title, start, end, startPage, endPage, length }>}
+ */
+function splitIntoSections(text, { maxChars = DEFAULT_MAX_CHARS } = {}) {
+  const content = text || '';
+  const toSection = (start, end, title) => ({
+    title,
+    start,
+    end,
+    startPage: pageAt(content, start),
+    endPage: pageAt(content, Math.max(start, end - 1)),
+  });
+
+  let sections;
+  if (content.length <= maxChars) {
+    sections = [toSection(0, content.length, null)];
+  } else {
+    const { headings, pages } = findBoundaries(content);
+    const boundaries = headings.length >= 2 ? headings : pages;
+    const starts = boundaries.filter((b) => b.start > 0);
+    const first = boundaries.find((b) => b.start === 0);
+    const raw = [{ start: 0, title: first?.title || null }, ...starts].map((b, i, all) => ({
+      start: b.start,
+      end: i + 1 < all.length ? all[i + 1].start : content.length,
+      title: b.title,
+    }));
+
+    // Merge sections too small to be worth their own prompt into the previous one
+    const minChars = Math.min(1500, maxChars / 4);
+    const merged = [];
+    for (const section of raw) {
+      const previous = merged[merged.length - 1];
+      if (previous && (section.end - section.start < minChars || previous.end - previous.start < minChars)
+        && section.end - previous.start <= maxChars) {
+        previous.end = section.end;
+        previous.title = previous.title || section.title;
+      } else {
+        merged.push({ ...section });
+      }
+    }
+
+    sections = merged.flatMap((section) => {
+      const pieces = splitLong(content, section.start, section.end, maxChars);
+      return pieces.map(([start, end], i) => toSection(
+        start,
+        end,
+        section.title && pieces.length > 1 ? `${section.title} (${i + 1}/${pieces.length})` : section.title
+      ));
+    });
+  }
+
+  return sections
+    .filter((section) => content.slice(section.start, section.end).trim().length > 0)
+    .map((section, index) => ({
+      index,
+      ...section,
+      title: section.title || (section.startPage === section.endPage
+        ? `Page ${section.startPage}`
+        : `Pages ${section.startPage}-${section.endPage}`),
+      length: section.end - section.start,
+    }));
+}
+
+/**
+ * Split text combined from several files (see quizGenerationService.extractSources)
+ * into sections that never span two files. Sections carry their file's index,
+ * weight and page offset; their page numbers count from the start of the file.
+ * @param {string} text - Combined text
+ * @param {Array<{ start, end, firstPage, weight, filename }>} sources - Each file's range in the text
+ * @param {Object} [options] - As for splitIntoSections
+ */
+function splitSources(text, sources, options) {
+  let index = 0;
+  return sources.flatMap((source, file) => splitIntoSections(text.slice(source.start, source.end), options)
+    .map((section) => ({
+      ...section,
+      index: index++,
+      start: section.start + source.start,
+      end: section.end + source.start,
+      title: `${source.filename}: ${section.title}`,
+      file,
+      weight: source.weight ?? 1,
+      pageOffset: (source.firstPage || 1) - 1,
+    })));
+}
+
+/**
+ * Share numQuestions between sections in proportion to their length, times
+ * their weight when they have one (largest remainder method)
+ * @returns {number[]} Questions per section
+ */
+function allocateQuestions(sections, numQuestions) {
+  const sizes = sections.map((s) => s.length * (s.weight ?? 1));
+  const total = sizes.reduce((sum, size) => sum + size, 0) || 1;
+  const exact = sizes.map((size) => (size / total) * numQuestions);
+  const counts = exact.map(Math.floor);
+  let remaining = numQuestions - counts.reduce((sum, n) => sum + n, 0);
+  exact
+    .map((value, i) => ({ i, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i)
+    .forEach(({ i }) => {
+      if (remaining > 0) {
+        counts[i]++;
+        remaining--;
+      }
+    });
+  return counts;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Find where a question's supporting text sits in the source.
+ * Tries the quote the model copied first (whitespace and case tolerant),
+ * then falls back to the sentence sharing the most words with `hint`.
+ * @param {string} text - Full extracted text
+ * @param {Object} params - { quote, hint, start, end } (start/end bound the search)
+ * @returns {Object|null} { page, start, end, excerpt }
+ */
+function locateSource(text, { quote, hint, start = 0, end = text.length } = {}) {
+  const region = text.slice(start, end);
+  let match = null;
+
+  const words = (quote || '').match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+  if (words.length >= 3) {
+    const pattern = new RegExp(words.slice(0, 40).map(escapeRegExp).join('[^\\p{L}\\p{M}\\p{N}]+'), 'iu');
+    const found = pattern.exec(region);
+    if (found) match = { start: start + found.index, end: start + found.index + found[0].length };
+  }
+
+  if (!match) {
+    const wanted = tokenSet(`${quote || ''} ${hint || ''}`);
+    let best = 0;
+    const sentencePattern = /[^.!?।\n\f]+[.!?।]?/gu;
+    let found;
+    while ((found = sentencePattern.exec(region)) !== null) {
+      const tokens = tokenSet(found[0]);
+      let shared = 0;
+      for (const token of tokens) if (wanted.has(token)) shared++;
+      if (shared > best) {
+        best = shared;
+        match = { start: start + found.index, end: start + found.index + found[0].length };
+      }
+    }
+    if (best < 2) match = null;
+  }
+
+  if (!match) return null;
+
+  const excerpt = text.slice(match.start, match.end).replace(/\s+/g, ' ').trim();
+  return {
+    page: pageAt(text, match.start),
+    start: match.start,
+    end: match.end,
+    excerpt: excerpt.length > 300 ? `${excerpt.slice(0, 299)}…` : excerpt,
+  };
+}
+
+function tokenSet(text) {
+  return new Set((String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []));
+}
+
+/**
+ * Jaccard similarity of two questions' wording and answer
+ */
+function questionSimilarity(a, b) {
+  const setA = tokenSet(`${a.questionText} ${a.correctAnswer || ''}`);
+  const setB = tokenSet(`${b.questionText} ${b.correctAnswer || ''}`);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const token of setA) if (setB.has(token)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Whether a question is a near-duplicate of any already accepted one
+ */
+function isNearDuplicate(question, accepted, threshold = 0.8) {
+  return accepted.some((other) => questionSimilarity(question, other) >= threshold);
+}
+
+module.exports = {
+  PAGE_BREAK,
+  pageAt,
+  locateSource,
+  splitIntoSections,
+  splitSources,
+  allocateQuestions,
+  questionSimilarity,
+  isNearDuplicate,
+};
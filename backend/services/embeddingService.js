@@ -1,17 +1,11 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const QuizEmbedding = require('../models/QuizEmbedding');
-
-// Initialize Gemini API
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const geminiService = require('./geminiService');
+const contentCacheService = require('./contentCacheService');
+const { mathToPlainText } = require('./mathMarkup');
 
 class EmbeddingService {
-  constructor() {
-    // Use the latest Google text embedding model
-    this.model = genAI.getGenerativeModel({ model: 'text-embedding-004' });
-  }
-
   /**
-   * Generate embedding for text using Gemini
+   * Generate embedding for text using the configured AI provider
    * @param {string} text - Text to embed
    * @returns {Promise<number[]>} - Embedding vector
    */
@@ -24,17 +18,19 @@ class EmbeddingService {
       // Clean and truncate text if too long
       const cleanText = text.trim().substring(0, 10000);
 
-// Generate embedding using Google Embeddings
-      const result = await this.model.embedContent({
-        content: { parts: [{ text: cleanText }] }
-      });
-      const embedding = result.embedding;
+      // Identical text embedded by the same model before is served from the cache
+      const model = await geminiService.modelId('embedding');
+      const cached = await contentCacheService.getEmbedding(cleanText, model);
+      if (cached) return cached;
+
+      const values = await geminiService.generateEmbedding(cleanText);
 
-      if (!embedding || !embedding.values || embedding.values.length === 0) {
+      if (!values || values.length === 0) {
         throw new Error('Failed to generate embedding');
       }
 
-      return embedding.values;
+      await contentCacheService.saveEmbedding(cleanText, model, values);
+      return values;
     } catch (error) {
       console.error('Embedding generation error:', error);
       throw new Error(`Failed to generate embedding: ${error.message}`);
@@ -128,7 +124,8 @@ class EmbeddingService {
       });
     }
 
-    return text.trim();
+    // Formulas as Unicode text (e.g. "σ_(age > 30)(R)") rather than LaTeX source
+    return mathToPlainText(text.trim());
   }
 
   /**
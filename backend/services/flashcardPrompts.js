@@ -0,0 +1,102 @@
+/**
+ * Flashcard prompt and response parsing, shared by every text-completion
+ * provider (see quizPrompts for the quiz prompts).
+ */
+const { languageName } = require('./languageRegistry');
+const { MATH_INSTRUCTION, normalizeMathDeep, parseJsonWithMath } = require('./mathMarkup');
+
+// Longest card side kept from a model response
+const MAX_SIDE_LENGTH = 1000;
+
+/**
+ * Prompt asking for `numCards` flashcards as one JSON object
+ * @param {Object} options - { content, numCards, language }
+ */
+function buildFlashcardPrompt({ content = '', numCards = 20, language = 'en' } = {}) {
+  return `You are an expert study coach. Write flashcards for revising the content below.
+
+CONTENT:
+${content}
+
+REQUIREMENTS:
+- Write exactly ${numCards} flashcards
+- Write every card in ${languageName(language)}; the cards MUST be in the language of the content
+- "front" is a short prompt: a term, a question or a cue; "back" is the answer a student should recall, in one to three sentences
+- Cover the key terms, definitions, facts, formulas and relationships in the content; no two cards may ask for the same thing
+- Every card must be answerable from the content alone
+- Add one to three short lowercase "tags" naming the topic of each card
+- In "sourceQuote", copy the sentence from the content that each card is based on, word for word
+- ${MATH_INSTRUCTION}
+
+FORMAT YOUR RESPONSE AS VALID JSON:
+{
+  "title": "Deck title based on the content",
+  "description": "Brief description of what the deck covers",
+  "cards": [
+    {
+      "front": "Term or question",
+      "back": "Answer",
+      "tags": ["topic"],
+      "sourceQuote": "The sentence from the content this card is based on, copied exactly"
+    }
+  ]
+}
+
+Return ONLY valid JSON, no additional text.
+`;
+}
+
+function cleanSide(value) {
+  return String(value ?? '').trim().slice(0, MAX_SIDE_LENGTH);
+}
+
+/**
+ * Coerce a (usually AI-generated) card into { front, back, tags, sourceQuote }
+ * @returns {Object|null} null when either side is empty
+ */
+function normalizeCard(card) {
+  const front = cleanSide(card?.front ?? card?.question ?? card?.term);
+  const back = cleanSide(card?.back ?? card?.answer ?? card?.definition);
+  if (!front || !back) return null;
+  const tags = (Array.isArray(card.tags) ? card.tags : String(card.tags || '').split(','))
+    .map((tag) => String(tag).trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, 5);
+  return { front, back, tags: [...new Set(tags)], sourceQuote: card.sourceQuote };
+}
+
+/**
+ * Parse the model's response to buildFlashcardPrompt
+ * @returns {Object} { success: true, data: { title, description, cards } } or { success: false, error }
+ */
+function parseFlashcardResponse(text) {
+  try {
+    const cleanedText = String(text || '').trim()
+      .replace(/^```(json)?\n?/, '')
+      .replace(/```\s*$/, '')
+      .trim();
+    const start = cleanedText.indexOf('{');
+    const end = cleanedText.lastIndexOf('}');
+    const deck = normalizeMathDeep(parseJsonWithMath(cleanedText.slice(start, end + 1)));
+    if (!Array.isArray(deck.cards)) {
+      throw new Error('Invalid deck structure: missing cards array');
+    }
+    return {
+      success: true,
+      data: {
+        title: deck.title || '',
+        description: deck.description || '',
+        cards: deck.cards.map(normalizeCard).filter(Boolean),
+      },
+    };
+  } catch (error) {
+    console.error('Flashcard parse error:', error.message);
+    return { success: false, error: 'Failed to parse AI response' };
+  }
+}
+
+module.exports = {
+  buildFlashcardPrompt,
+  normalizeCard,
+  parseFlashcardResponse,
+};
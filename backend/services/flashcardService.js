@@ -0,0 +1,173 @@
+const FlashcardDeck = require('../models/FlashcardDeck');
+const geminiService = require('./geminiService');
+const { isNearDuplicate } = require('./documentSections');
+const { formatCorrectAnswer } = require('./questionTypes');
+const { normalizeCard } = require('./flashcardPrompts');
+const { parseSources, planSections, sectionSource } = require('./quizGenerationService');
+
+const DEFAULT_CARDS = 20;
+const MAX_CARDS = parseInt(process.env.MAX_DECK_CARDS || '100');
+
+/**
+ * Normalise the deck settings sent with a generation request
+ * @param {Object} body - Request body (JSON or multipart fields)
+ * @returns {Object} { numCards, language, isPublic, title, quiz, sources }
+ */
+function parseDeckSettings(body = {}) {
+  const { numCards, language, isPublic, title, quiz, sources } = body;
+  const count = Number.parseInt(numCards, 10);
+  return {
+    numCards: Number.isFinite(count) && count > 0 ? Math.min(count, MAX_CARDS) : DEFAULT_CARDS,
+    language: language || 'auto',
+    isPublic: isPublic === 'true' || isPublic === true,
+    title: typeof title === 'string' ? title.trim() : '',
+    // Quiz to link the deck to
+    quiz: quiz || null,
+    sources: parseSources(sources),
+  };
+}
+
+// Cards compared as questions, for the near-duplicate check
+function asQuestion(card) {
+  return { questionText: card.front, correctAnswer: card.back };
+}
+
+/**
+ * Generate cards section by section, like quizzes, so long documents and
+ * multi-file sources are covered evenly. Near-duplicate cards are dropped and
+ * every card gets a source reference into `content`.
+ * @param {Object} options - { content, numCards, language, sources } (sources as returned by extractSources)
+ * @returns {Promise<Object>} { success, data: { title, description, cards } } or { success: false, error }
+ */
+async function generateDeckContent({ content, numCards = DEFAULT_CARDS, language = 'en', sources }) {
+  const sections = planSections({ content, numQuestions: numCards, sources });
+  const cards = [];
+  let meta = null;
+  let lastError = null;
+
+  for (const section of sections) {
+    if (section.numQuestions === 0) continue;
+    try {
+      const result = await geminiService.generateFlashcards({
+        content: section.content,
+        numCards: section.numQuestions,
+        language,
+      });
+      if (!result.success) {
+        lastError = result.error;
+        continue;
+      }
+      meta = meta || result.data;
+      for (const { sourceQuote, ...card } of result.data.cards.slice(0, section.numQuestions)) {
+        if (isNearDuplicate(asQuestion(card), cards.map(asQuestion))) continue;
+        const source = sectionSource(content, section, { quote: sourceQuote, hint: `${card.front} ${card.back}` });
+        cards.push(source ? { ...card, source } : card);
+      }
+    } catch (error) {
+      console.error(`Section ${section.index + 1} flashcard error:`, error.message);
+      lastError = error.message;
+    }
+  }
+
+  if (cards.length === 0) {
+    return { success: false, error: lastError || 'No flashcards generated' };
+  }
+  return { success: true, data: { title: meta.title, description: meta.description, cards } };
+}
+
+/**
+ * Save a generated deck
+ * @param {Object} params - { userId, deckData, settings, language, sources, quiz }
+ */
+async function saveGeneratedDeck({ userId, deckData, settings, language, sources, quiz }) {
+  return FlashcardDeck.create({
+    title: settings.title || deckData.title || 'Flashcards',
+    description: deckData.description || '',
+    creator: userId,
+    quiz: quiz?._id,
+    cards: deckData.cards,
+    tags: [...new Set(deckData.cards.flatMap((card) => card.tags || []))].slice(0, 10),
+    language,
+    isPublic: settings.isPublic,
+    origin: 'generated',
+    sourceContent: {
+      files: (sources || []).map(({ filename, fileType, firstPage, pages }) => ({ filename, fileType, firstPage, pages })),
+    },
+  });
+}
+
+/**
+ * Card for one quiz question: the question on the front, the answer (and
+ * explanation) on the back. Questions without an answer are skipped.
+ */
+function cardFromQuestion(question) {
+  const answer = formatCorrectAnswer(question);
+  if (!question.questionText || !answer) return null;
+  const explanation = question.explanation && question.explanation !== 'No explanation provided'
+    ? `\n\n${question.explanation}`
+    : '';
+  return {
+    front: question.questionText,
+    back: `${answer}${explanation}`,
+    source: question.source,
+    tags: question.bloomLevel ? [question.bloomLevel] : [],
+    question: question._id,
+  };
+}
+
+/**
+ * Create a deck from an existing quiz's questions, linked to that quiz
+ * @param {Object} params - { quiz, userId, title, isPublic }
+ * @returns {Promise<Object|null>} The deck, or null when no question could become a card
+ */
+async function createDeckFromQuiz({ quiz, userId, title, isPublic = false }) {
+  const source = quiz.toObject ? quiz.toObject() : quiz;
+  const cards = source.questions.map(cardFromQuestion).filter(Boolean);
+  if (cards.length === 0) return null;
+  return FlashcardDeck.create({
+    title: title || source.title,
+    description: source.description || '',
+    creator: userId,
+    quiz: source._id,
+    cards,
+    tags: source.tags || [],
+    language: source.language,
+    isPublic,
+    origin: 'quiz',
+    sourceContent: {
+      files: (source.sourceContent?.files || []).map(({ filename, fileType, firstPage, pages }) => ({ filename, fileType, firstPage, pages })),
+    },
+  });
+}
+
+/**
+ * Clean cards sent by a client, keeping the ids (and source references) of
+ * cards the deck already has
+ * @param {Object[]} cards - Submitted cards
+ * @param {Object} [deck] - Deck being updated
+ * @returns {Object[]}
+ */
+function sanitizeCards(cards, deck) {
+  const known = new Map((deck?.cards || []).map((card) => [card._id.toString(), card]));
+  return (Array.isArray(cards) ? cards : [])
+    .map((card) => {
+      const cleaned = normalizeCard(card);
+      if (!cleaned) return null;
+      const { sourceQuote, ...rest } = cleaned;
+      const existing = card?._id && known.get(String(card._id));
+      return existing
+        ? { ...rest, _id: existing._id, source: existing.source, question: existing.question }
+        : rest;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  MAX_CARDS,
+  parseDeckSettings,
+  generateDeckContent,
+  saveGeneratedDeck,
+  cardFromQuestion,
+  createDeckFromQuiz,
+  sanitizeCards,
+};
@@ -0,0 +1,299 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const GenerationJob = require('../models/GenerationJob');
+const Quiz = require('../models/Quiz');
+const User = require('../models/User');
+const geminiService = require('./geminiService');
+const usageService = require('./usageService');
+const {
+  extractSources,
+  resolveLanguage,
+  generateQuizContent,
+  saveGeneratedQuiz,
+  reuseGeneratedQuiz,
+} = require('./quizGenerationService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.GENERATION_POLL_INTERVAL_MS || '2000');
+const MAX_CONCURRENT = parseInt(process.env.GENERATION_WORKERS || '2');
+const PER_USER_LIMIT = parseInt(process.env.GENERATION_JOBS_PER_USER || '1');
+// Jobs locked longer than this are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = parseInt(process.env.GENERATION_LOCK_TIMEOUT_MS || String(10 * 60 * 1000));
+const RETRY_BASE_DELAY_MS = 5000;
+// Running jobs refresh their lock this often, so a long provider call isn't taken for a crashed worker
+const HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(LOCK_TIMEOUT_MS / 4));
+
+/**
+ * Mongo-backed queue for quiz generation.
+ * Jobs survive restarts; any number of server processes can poll the same
+ * collection because claiming a job is a single atomic update.
+ */
+class GenerationQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.running = new Map(); // jobId -> userId
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Start polling for queued jobs
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    this.timer.unref?.();
+    console.log(`🧵 Generation queue started (${MAX_CONCURRENT} workers, ${PER_USER_LIMIT}/user)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Queue a new generation job
+   * @param {Object} params - { userId, source, text, file, files, options }
+   * @returns {Promise<GenerationJob>}
+   */
+  async enqueue({ userId, source, text, file, files, options }) {
+    const uploads = (files?.length ? files : [file].filter(Boolean))
+      .map(({ filename, originalname, mimetype, size, path }) => ({ filename, originalname, mimetype, size, path }));
+    const job = await GenerationJob.create({
+      user: userId,
+      source,
+      text: source === 'text' ? text : undefined,
+      file: uploads[0],
+      files: uploads,
+      options,
+      maxAttempts: parseInt(process.env.GENERATION_JOB_MAX_ATTEMPTS || '3'),
+    });
+    // Don't wait for the next poll
+    setImmediate(() => this.tick());
+    return job;
+  }
+
+  async tick() {
+    if (this.ticking || mongoose.connection.readyState !== 1) return;
+    this.ticking = true;
+    try {
+      await this.recoverStaleJobs();
+      while (this.running.size < MAX_CONCURRENT) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.running.set(job._id.toString(), job.user.toString());
+        usageService.track({ user: job.user, job: job._id }, () => this.process(job))
+          .finally(() => this.running.delete(job._id.toString()));
+      }
+    } catch (error) {
+      console.error('Generation queue error:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Atomically claim the oldest runnable job whose owner is under the per-user limit
+   */
+  async claimNext() {
+    const candidates = await GenerationJob.find({ status: 'queued', runAfter: { $lte: new Date() } })
+      .sort({ createdAt: 1 })
+      .limit(20)
+      .select('_id user');
+
+    for (const candidate of candidates) {
+      const active = await GenerationJob.countDocuments({
+        user: candidate.user,
+        status: { $in: GenerationJob.ACTIVE_STATUSES },
+      });
+      if (active >= PER_USER_LIMIT) continue;
+
+      const job = await GenerationJob.findOneAndUpdate(
+        { _id: candidate._id, status: 'queued' },
+        {
+          $set: { status: 'extracting', lockedBy: this.workerId, lockedAt: new Date(), startedAt: new Date(), error: null },
+          $inc: { attempts: 1 },
+        },
+        { new: true }
+      ).select('+text');
+      if (job) return job;
+    }
+    return null;
+  }
+
+  /**
+   * Requeue (or fail) jobs whose worker disappeared mid-run
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+    const stale = await GenerationJob.find({
+      status: { $in: GenerationJob.ACTIVE_STATUSES },
+      lockedAt: { $lt: staleBefore },
+    });
+    for (const job of stale) {
+      await this.handleFailure(job, new Error('Worker timed out'));
+    }
+  }
+
+  async setStatus(job, status) {
+    job.status = status;
+    job.lockedAt = new Date();
+    await job.save();
+  }
+
+  async process(job) {
+    // Every save is conditional on this worker still holding the job, so a job
+    // requeued as stale and claimed elsewhere is never finished (or requeued) twice
+    job.$where = { lockedBy: this.workerId };
+    const heartbeat = setInterval(() => this.refreshLock(job), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref?.();
+    try {
+      // A retry of a job whose quiz was already saved only finishes the job
+      const quiz = (job.quiz && await Quiz.findById(job.quiz).select('_id')) || await this.createQuiz(job);
+
+      const user = await User.findById(job.user);
+      if (user) await user.incrementUsage('generated');
+
+      job.status = 'done';
+      job.finishedAt = new Date();
+      job.lockedBy = undefined;
+      job.lockedAt = undefined;
+      await job.save();
+      console.log(`✅ Generation job ${job._id} done (quiz ${quiz._id})`);
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        console.warn(`Generation job ${job._id} was taken over by another worker${job.quiz ? ` (quiz ${job.quiz} left unlinked)` : ''}`);
+        return;
+      }
+      console.error(`Generation job ${job._id} failed:`, error.message);
+      await this.handleFailure(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Keep a running job's lock fresh so recoverStaleJobs leaves it alone
+   */
+  async refreshLock(job) {
+    try {
+      await GenerationJob.updateOne({ _id: job._id, lockedBy: this.workerId }, { $set: { lockedAt: new Date() } });
+    } catch (error) {
+      console.error(`Failed to refresh the lock on generation job ${job._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Extract the job's source, then reuse or generate its quiz. The quiz is
+   * stored on the job as soon as it is saved, so a retry doesn't make another.
+   * @returns {Promise<Quiz>}
+   */
+  async createQuiz(job) {
+    const { options } = job;
+
+    // Jobs queued before multi-file uploads only have `file`
+    const files = job.files?.length ? job.files : [job.file];
+    const { text, ocr, sources } = job.source === 'file'
+      ? await extractSources(files, options.language, {
+        sources: options.sources,
+        onProgress: ({ page, done, pages, file, filename }) => {
+          job.progress = { page, done, pages, file, filename };
+          return this.setStatus(job, 'extracting');
+        },
+      })
+      : { text: job.text, ocr: null, sources: null };
+    if (!text || text.trim().length < 100) {
+      throw new Error('Text must be at least 100 characters long');
+    }
+
+    job.extractedLength = text.length;
+    job.language = resolveLanguage(options.language, text);
+    const quiz = (options.reuseExisting && await reuseGeneratedQuiz({
+      userId: job.user,
+      settings: options,
+      language: job.language,
+      sourceText: text,
+      file: job.source === 'file' ? job.file : null,
+      files: job.source === 'file' ? files : null,
+      sources,
+      onStage: (stage) => this.setStatus(job, stage),
+    })) || await this.generate(job, text, { ocr, files, sources });
+
+    job.quiz = quiz._id;
+    await job.save();
+    return quiz;
+  }
+
+  /**
+   * Generate and save a new quiz for the job from its source text
+   * @param {Object} extraction - { ocr, files, sources } from extracting the job's files (see extractSources)
+   * @returns {Promise<Quiz>}
+   */
+  async generate(job, text, { ocr, files, sources }) {
+    const { options } = job;
+    await this.setStatus(job, 'generating');
+
+    const quizResult = await generateQuizContent({
+      content: text,
+      numQuestions: options.numQuestions,
+      quizType: options.quizType,
+      typeDistribution: options.typeDistribution,
+      bloomDistribution: options.bloomDistribution,
+      difficulty: options.difficulty,
+      language: job.language,
+      category: options.category,
+      sources
+    });
+    if (!quizResult.success) {
+      throw new Error(quizResult.error || 'Failed to generate quiz');
+    }
+
+    const quizData = {
+      ...quizResult.data,
+      tags: await geminiService.extractTopics(text),
+    };
+
+    return saveGeneratedQuiz({
+      userId: job.user,
+      quizData,
+      settings: options,
+      language: job.language,
+      sourceText: text,
+      file: job.source === 'file' ? job.file : null,
+      files: job.source === 'file' ? files : null,
+      sources,
+      generation: {
+        typeBreakdown: quizResult.typeBreakdown,
+        bloomBreakdown: quizResult.bloomBreakdown,
+        coverage: quizResult.coverage,
+        quality: quizResult.quality,
+        prompt: quizResult.prompt,
+        ocr,
+      },
+      onStage: (stage) => this.setStatus(job, stage),
+    });
+  }
+
+  /**
+   * Retry with exponential backoff, or mark failed when attempts are exhausted
+   */
+  async handleFailure(job, error) {
+    const canRetry = job.attempts < job.maxAttempts;
+    job.error = error.message || 'Generation failed';
+    job.lockedBy = undefined;
+    job.lockedAt = undefined;
+    if (canRetry) {
+      job.status = 'queued';
+      job.runAfter = new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1));
+    } else {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+    }
+    try {
+      await job.save();
+    } catch (saveError) {
+      console.error('Failed to update generation job:', saveError);
+    }
+  }
+}
+
+module.exports = new GenerationQueue();
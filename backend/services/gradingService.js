@@ -0,0 +1,373 @@
+/**
+ * Grading pipeline for quiz submissions. Every answer is first graded by
+ * gradeQuiz; short answers that match no accepted phrasing then go through
+ * embedding similarity and, for questions with a rubric (or quizzes with
+ * aiGrading on), AI scoring with partial credit. Each short-answer decision
+ * is stored on the answer as `grading` with its reasoning, and teachers can
+ * override any answer's points, which recomputes the attempt's score.
+ *
+ * Essays are left 'pending' for a teacher, who scores them against the
+ * question's rubric (optionally starting from an AI suggestion). The attempt's
+ * gradingStatus goes pending -> graded -> released, and students only see
+ * essay grades once they are released.
+ */
+
+const geminiService = require('./geminiService');
+const Quiz = require('../models/Quiz');
+const QuizHistory = require('../models/QuizHistory');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const embeddingService = require('./embeddingService');
+const { gradeQuiz, creditResult, scoreAnswers } = require('./questionTypes');
+const { referenceAnswers, compatibleAnswers } = require('./answerMatching');
+
+// Cosine similarity at which an answer counts as a paraphrase of a reference answer
+const SEMANTIC_THRESHOLD = parseFloat(process.env.SEMANTIC_GRADING_THRESHOLD || '0.9');
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Closest reference answer by embedding similarity; references with other
+ * numbers or the opposite negation are never compared
+ * @returns {Promise<Object|null>} { matched, similarity }, or null when nothing could be compared
+ */
+async function semanticMatch(question, answer) {
+  const references = referenceAnswers(question).filter((reference) => compatibleAnswers(answer, reference));
+  if (references.length === 0) return null;
+
+  const answerVector = await embeddingService.generateEmbedding(answer);
+  let best = null;
+  for (const reference of references) {
+    const similarity = cosineSimilarity(answerVector, await embeddingService.generateEmbedding(reference));
+    if (!best || similarity > best.similarity) best = { matched: reference, similarity };
+  }
+  best.similarity = Math.round(best.similarity * 100) / 100;
+  return best;
+}
+
+/**
+ * Grade a short answer that matched no accepted phrasing: embedding
+ * similarity first, then AI scoring when the question has a rubric or the
+ * quiz has aiGrading on
+ * @param {Object} quiz
+ * @param {Object} question
+ * @param {string} answer
+ * @param {Object} grading - The 'no-match' decision from matchShortAnswer
+ * @returns {Promise<Object>} The final decision ({ credit, method, reasoning, ... })
+ */
+async function gradeOpenAnswer(quiz, question, answer, grading) {
+  const notes = [grading.reasoning];
+  let similarity = grading.similarity;
+
+  try {
+    const semantic = await semanticMatch(question, answer);
+    if (semantic) {
+      similarity = semantic.similarity;
+      if (semantic.similarity >= SEMANTIC_THRESHOLD) {
+        return {
+          credit: 1,
+          method: 'semantic',
+          matched: semantic.matched,
+          similarity,
+          reasoning: `Means the same as ${semantic.matched === question.correctAnswer ? 'the reference answer' : `the accepted answer "${semantic.matched}"`} (similarity ${semantic.similarity}).`,
+        };
+      }
+      notes.push(`Closest meaning similarity was ${semantic.similarity}, below the ${SEMANTIC_THRESHOLD} needed.`);
+    }
+  } catch (error) {
+    console.warn('Semantic grading skipped:', error.message);
+  }
+
+  if (question.rubric || quiz.aiGrading) {
+    try {
+      const scored = await geminiService.gradeShortAnswer({ question, answer, language: quiz.language });
+      if (scored) {
+        return {
+          credit: scored.credit,
+          method: 'ai-rubric',
+          similarity,
+          reasoning: scored.reasoning || `Scored ${scored.credit} against the ${question.rubric ? 'rubric' : 'reference answer'}.`,
+          model: await geminiService.modelId('quiz'),
+        };
+      }
+      notes.push('AI grading returned no usable score.');
+    } catch (error) {
+      console.error('AI grading error:', error.message);
+      notes.push('AI grading was unavailable.');
+    }
+  }
+
+  return { ...grading, similarity, reasoning: notes.join(' ') };
+}
+
+/**
+ * Grade a full submission, including the embedding and AI steps for short answers
+ * @param {Object} quiz - Quiz document
+ * @param {Array} answers - Answers indexed like quiz.questions
+ * @returns {Promise<Object>} Same shape as gradeQuiz
+ */
+async function gradeSubmission(quiz, answers = []) {
+  const { detailedAnswers } = gradeQuiz(quiz, answers);
+
+  for (const [index, detail] of detailedAnswers.entries()) {
+    if (detail.grading) detail.grading.gradedAt = new Date();
+    if (detail.grading?.method !== 'no-match' || referenceAnswers(quiz.questions[index]).length === 0) continue;
+
+    const question = quiz.questions[index];
+    const grading = await gradeOpenAnswer(quiz, question, detail.userAnswer.trim(), detail.grading);
+    Object.assign(detail, creditResult(question, grading.credit), { grading: { ...grading, gradedAt: new Date() } });
+  }
+
+  return { detailedAnswers, ...scoreAnswers(quiz, detailedAnswers), gradingStatus: gradingStatusOf({ answers: detailedAnswers }) };
+}
+
+/**
+ * 'pending' while an essay has no teacher grade, 'graded' or 'released' once
+ * all have one, and 'complete' when nothing needs a teacher
+ */
+function gradingStatusOf(history) {
+  const essays = history.answers.filter((a) => a.grading?.method === 'pending');
+  if (essays.length === 0) return 'complete';
+  if (essays.some((a) => !a.override?.at)) return 'pending';
+  return history.gradesReleasedAt ? 'released' : 'graded';
+}
+
+/**
+ * Points for one picked level per rubric criterion
+ * @param {Object} question - Essay question with an essayRubric
+ * @param {Array} picks - [{ criterionId, levelId }]
+ * @returns {Object} { pointsEarned, rubricScores } or { error }
+ */
+function scoreRubric(question, picks) {
+  const given = Array.isArray(picks) ? picks : [];
+  const rubricScores = [];
+  for (const criterion of question.essayRubric || []) {
+    const pick = given.find((p) => String(p?.criterionId) === String(criterion._id));
+    const level = pick && criterion.levels.find((l) => String(l._id) === String(pick.levelId));
+    if (!level) return { error: `Pick a level for "${criterion.criterion}"` };
+    rubricScores.push({ criterionId: criterion._id, criterion: criterion.criterion, level: level.label, points: level.points });
+  }
+  const pointsEarned = Math.round(rubricScores.reduce((sum, s) => sum + s.points, 0) * 100) / 100;
+  return { pointsEarned, rubricScores };
+}
+
+/**
+ * Copy the attempt's totals (score, percentage, counts, passed) from its answers
+ * @returns {Object} { scoreChange, percentageChange }
+ */
+function recomputeAttempt(history, quiz) {
+  const { score, correctAnswers, percentage } = scoreAnswers(quiz, history.answers);
+  const change = { scoreChange: score - history.score, percentageChange: percentage - history.percentage };
+  history.score = score;
+  history.percentage = percentage;
+  history.correctAnswers = correctAnswers;
+  history.incorrectAnswers = history.totalQuestions - correctAnswers;
+  history.passed = percentage >= quiz.passingScore;
+  return change;
+}
+
+/**
+ * The part of an attempt's score its student can't see yet: the essay points
+ * of an attempt whose grades aren't released. The student's points and the
+ * quiz's average score leave it out until the release.
+ * @param {Object} history - QuizHistory document
+ * @returns {Object} { score, percentage }
+ */
+function unreleasedScore(history) {
+  if (!['pending', 'graded'].includes(history.gradingStatus)) return { score: 0, percentage: 0 };
+  const score = history.answers
+    .filter((answer) => answer.grading?.method === 'pending')
+    .reduce((sum, answer) => sum + (answer.pointsEarned || 0), 0);
+  return { score, percentage: history.score ? (history.percentage * score) / history.score : 0 };
+}
+
+/**
+ * Set (or, with `pointsEarned` null, remove) a teacher's grade for one answer
+ * of an attempt and recompute the attempt's score and grading status. For
+ * essays with a rubric, `rubricScores` ([{ criterionId, levelId }]) can be
+ * given instead of pointsEarned. Does not save.
+ * @param {Object} history - QuizHistory document
+ * @param {Object} quiz - The attempt's quiz
+ * @param {string} questionId
+ * @param {Object} params - { pointsEarned, rubricScores, reason, userId }
+ * @returns {Object} { success, answer, scoreChange, percentageChange } or { success: false, status, error };
+ *          the changes are to what the student sees, so unreleased essay grades change nothing
+ */
+function overrideGrade(history, quiz, questionId, { pointsEarned, rubricScores, reason, userId }) {
+  const answer = history.answers.find((a) => String(a.questionId) === String(questionId));
+  const question = quiz.questions.id(questionId);
+  if (!answer || !question) {
+    return { success: false, status: 404, error: 'Answer not found in this attempt' };
+  }
+  const hiddenBefore = unreleasedScore(history);
+
+  if (pointsEarned === null) {
+    if (!answer.override?.at) {
+      return { success: false, status: 400, error: 'This answer has no teacher grade to remove' };
+    }
+    answer.pointsEarned = answer.override.previous.pointsEarned;
+    answer.isCorrect = answer.override.previous.isCorrect;
+    answer.override = undefined;
+  } else {
+    let scored = null;
+    if (rubricScores !== undefined) {
+      if (!question.essayRubric?.length) {
+        return { success: false, status: 400, error: 'This question has no rubric' };
+      }
+      scored = scoreRubric(question, rubricScores);
+      if (scored.error) return { success: false, status: 400, error: scored.error };
+    }
+    const points = question.points ?? 1;
+    const value = Number(scored ? scored.pointsEarned : pointsEarned);
+    if (!Number.isFinite(value) || value < 0 || value > points) {
+      return { success: false, status: 400, error: `pointsEarned must be between 0 and ${points}` };
+    }
+    const previous = answer.override?.at
+      ? answer.override.previous
+      : { pointsEarned: answer.pointsEarned, isCorrect: answer.isCorrect };
+    const overridden = creditResult(question, value / points);
+    answer.pointsEarned = Math.round(value * 100) / 100;
+    answer.isCorrect = overridden.isCorrect;
+    answer.override = {
+      pointsEarned: answer.pointsEarned,
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 1000) : '',
+      by: userId,
+      at: new Date(),
+      previous,
+      rubricScores: scored ? scored.rubricScores : [],
+    };
+  }
+
+  history.gradingStatus = gradingStatusOf(history);
+  if (history.gradingStatus === 'pending') history.gradesReleasedAt = undefined;
+  const { scoreChange, percentageChange } = recomputeAttempt(history, quiz);
+  const hiddenAfter = unreleasedScore(history);
+  return {
+    success: true,
+    answer,
+    scoreChange: scoreChange - (hiddenAfter.score - hiddenBefore.score),
+    percentageChange: percentageChange - (hiddenAfter.percentage - hiddenBefore.percentage),
+  };
+}
+
+/**
+ * Ask the AI for a suggested grade and comment for one essay and store it on
+ * the answer as `suggestion` (it counts for nothing until a teacher uses it). Does not save.
+ * @returns {Promise<Object>} { success, answer } or { success: false, status, error }
+ */
+async function suggestGrade(history, quiz, questionId) {
+  const answer = history.answers.find((a) => String(a.questionId) === String(questionId));
+  const question = quiz.questions.id(questionId);
+  if (!answer || !question) {
+    return { success: false, status: 404, error: 'Answer not found in this attempt' };
+  }
+  if (question.type !== 'essay') {
+    return { success: false, status: 400, error: 'Suggested grades are only available for essays' };
+  }
+  const essay = String(answer.userAnswer ?? '').trim();
+  if (!essay) return { success: false, status: 400, error: 'This essay is empty' };
+
+  let suggested;
+  try {
+    suggested = await geminiService.suggestEssayGrade({ question, answer: essay, language: quiz.language });
+  } catch (error) {
+    console.error('Essay suggestion error:', error.message);
+    return { success: false, status: 422, error: 'AI grading is unavailable right now' };
+  }
+  if (!suggested) return { success: false, status: 422, error: 'The AI returned no usable grade' };
+
+  const scored = suggested.rubricScores
+    ? scoreRubric(question, suggested.rubricScores)
+    : { pointsEarned: creditResult(question, suggested.credit).pointsEarned, rubricScores: [] };
+  if (scored.error) return { success: false, status: 422, error: 'The AI returned no usable grade' };
+
+  answer.suggestion = {
+    ...scored,
+    comment: suggested.comment,
+    model: await geminiService.modelId('quiz'),
+    at: new Date(),
+  };
+  return { success: true, answer };
+}
+
+/**
+ * Strip what a student may not see from their own attempt (a plain object
+ * with `quiz` populated): AI suggestions always, and essay grades until they
+ * are released, with the score and counts reduced to the other answers
+ */
+function hideUnreleasedGrades(history, quiz) {
+  for (const answer of history.answers) delete answer.suggestion;
+  if (!['pending', 'graded'].includes(history.gradingStatus)) return history;
+
+  for (const answer of history.answers) {
+    if (answer.grading?.method !== 'pending') continue;
+    history.score -= answer.pointsEarned || 0;
+    if (answer.isCorrect) history.correctAnswers -= 1;
+    answer.pointsEarned = null;
+    answer.isCorrect = null;
+    delete answer.override;
+  }
+  const totalPoints = quiz.questions.reduce((sum, question) => sum + (question.points ?? 1), 0);
+  history.score = Math.round(history.score * 100) / 100;
+  history.percentage = totalPoints ? (history.score / totalPoints) * 100 : 0;
+  history.passed = null;
+  return history;
+}
+
+/**
+ * Release the graded attempts matching `filter`, add their essay grades to the
+ * students' points and the quiz's average score, and notify the students
+ * @param {Object} quiz - Quiz the attempts belong to, with analytics.totalAttempts
+ * @param {Object} filter - QuizHistory filter; only 'graded' attempts are released
+ * @returns {Promise<number>} Number of attempts released
+ */
+async function releaseGrades(quiz, filter) {
+  const attempts = await QuizHistory.find({ ...filter, quiz: quiz._id, gradingStatus: 'graded' })
+    .select('_id user answers score percentage gradingStatus');
+  if (attempts.length === 0) return 0;
+  const hidden = attempts.map(unreleasedScore);
+
+  await QuizHistory.updateMany(
+    { _id: { $in: attempts.map((a) => a._id) } },
+    { $set: { gradingStatus: 'released', gradesReleasedAt: new Date() } }
+  );
+  const credited = attempts
+    .map((attempt, i) => ({ updateOne: { filter: { _id: attempt.user }, update: { $inc: { points: hidden[i].score } } } }))
+    .filter((op) => op.updateOne.update.$inc.points);
+  if (credited.length > 0) await User.bulkWrite(credited);
+  const percentageChange = hidden.reduce((sum, h) => sum + h.percentage, 0);
+  if (percentageChange && quiz.analytics?.totalAttempts > 0) {
+    await Quiz.updateOne(
+      { _id: quiz._id },
+      { $inc: { 'analytics.averageScore': percentageChange / quiz.analytics.totalAttempts } }
+    );
+  }
+  await Notification.insertMany(attempts.map((attempt) => ({
+    user: attempt.user,
+    type: 'grades_released',
+    title: 'Your grades are ready',
+    message: `Your teacher has graded your answers to "${quiz.title}".`,
+    data: { quizId: quiz._id, attemptId: attempt._id },
+  })));
+  return attempts.length;
+}
+
+module.exports = {
+  SEMANTIC_THRESHOLD,
+  gradeSubmission,
+  gradingStatusOf,
+  overrideGrade,
+  suggestGrade,
+  hideUnreleasedGrades,
+  releaseGrades,
+};
@@ -0,0 +1,121 @@
+/**
+ * Lookup, detection, OCR and prompt helpers over the language registry in
+ * config/languages.js
+ */
+
+const { defaultLanguage, languages } = require('../config/languages');
+
+// Share of letters in a script above which text counts as that language
+const DETECTION_THRESHOLD = 0.3;
+
+const byCode = new Map(languages.map((language) => [language.code, language]));
+const LANGUAGE_CODES = languages.map((language) => language.code);
+
+const detectable = languages
+  .filter((language) => language.scriptRange && language.detect !== false)
+  .map((language) => ({ code: language.code, name: language.name, pattern: new RegExp(`[${language.scriptRange}]`, 'gu') }));
+
+function getLanguage(code) {
+  return byCode.get(code) || null;
+}
+
+function isSupportedLanguage(code) {
+  return byCode.has(code);
+}
+
+/**
+ * Name used inside prompts ("English", "Bengali/Bangla, বাংলা", "Hindi (हिन्दी)")
+ */
+function languageName(code) {
+  const language = getLanguage(code) || getLanguage(defaultLanguage);
+  if (language.promptName) return language.promptName;
+  return language.nativeName && language.nativeName !== language.name
+    ? `${language.name} (${language.nativeName})`
+    : language.name;
+}
+
+/**
+ * Prompt instruction telling the model which language to write in
+ * @param {string} kind - Template kind ('quiz' or 'quiz-stream')
+ * @param {string} code - Language code
+ */
+function languageInstruction(kind, code) {
+  const language = getLanguage(code) || getLanguage(defaultLanguage);
+  const custom = language.instructions?.[kind] || language.instructions?.quiz;
+  if (custom) return custom;
+
+  const name = languageName(language.code);
+  return kind === 'quiz-stream'
+    ? `${name} language. ALL content MUST be in ${language.name} (${language.script} script).`
+    : `Generate the quiz in ${name} language. All questions, options, explanations, title, and description MUST be in ${language.name} (${language.script} script).`;
+}
+
+/**
+ * Tesseract language string: the given language (plus English, which most
+ * documents mix in) or every ocrByDefault language when it is not known
+ */
+function ocrLanguages(code) {
+  const language = getLanguage(code);
+  const codes = language?.ocr
+    ? ['eng', language.ocr]
+    : languages.filter((l) => l.ocrByDefault && l.ocr).map((l) => l.ocr);
+  return [...new Set(codes)].join('+');
+}
+
+/**
+ * Detect the language of a text from the scripts it is written in. The
+ * language whose script makes up the largest share of letters wins if that
+ * share is above DETECTION_THRESHOLD; otherwise it is the default language.
+ * @param {string} text
+ * @returns {string} Language code
+ */
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return defaultLanguage;
+  }
+
+  // Letters only: no whitespace, digits or punctuation
+  const totalChars = text.replace(/[\s\d\p{P}]/gu, '').length;
+  if (totalChars === 0) return defaultLanguage;
+
+  let best = null;
+  for (const candidate of detectable) {
+    const count = (text.match(candidate.pattern) || []).length;
+    if (!best || count > best.count) best = { ...candidate, count };
+  }
+
+  const share = best ? best.count / totalChars : 0;
+  if (share > DETECTION_THRESHOLD) {
+    console.log(`📝 Language detected: ${best.name} (${best.count}/${totalChars} chars = ${(share * 100).toFixed(1)}%)`);
+    return best.code;
+  }
+
+  console.log(`📝 Language detected: ${getLanguage(defaultLanguage).name} (no other script above ${DETECTION_THRESHOLD * 100}%)`);
+  return defaultLanguage;
+}
+
+/**
+ * Registry entries as sent to clients
+ */
+function listLanguages() {
+  return languages.map(({ code, name, nativeName, locale, script, direction }) => ({
+    code,
+    name,
+    nativeName,
+    locale,
+    script,
+    direction,
+  }));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE: defaultLanguage,
+  LANGUAGE_CODES,
+  getLanguage,
+  isSupportedLanguage,
+  languageName,
+  languageInstruction,
+  ocrLanguages,
+  detectLanguage,
+  listLanguages,
+};
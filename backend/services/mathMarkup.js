@@ -0,0 +1,285 @@
+/**
+ * Math markup in question text, options and explanations.
+ *
+ * Formulas are LaTeX between \( and \) (inline) or \[ and \] (display), e.g.
+ * "What does \(\sigma_{age > 30}(R)\) return?". Everything outside the
+ * delimiters is plain text. Search and embeddings use the Unicode plaintext
+ * produced by mathToPlainText.
+ */
+
+const katex = require('katex');
+
+const MATH_PATTERN = /\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]/g;
+
+// Prompt rule shared by every generation, repair and rewrite prompt
+const MATH_INSTRUCTION = 'Write formulas and symbols (relational algebra, functional dependencies, probability, equations) as LaTeX between \\( and \\) inline, or \\[ and \\] on their own line, e.g. "\\(\\pi_{name}(\\sigma_{age > 30}(R))\\)". Never use $ as a math delimiter. Inside JSON strings every backslash must be doubled ("\\\\(\\\\frac{1}{2}\\\\)"). Use plain text when there is no math.';
+
+const SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  times: '×', div: '÷', cdot: '·', pm: '±', mp: '∓', ast: '∗', circ: '∘', bullet: '•',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+  cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⇒', iff: '⇔', mapsto: '↦', longrightarrow: '⟶',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩',
+  setminus: '∖', emptyset: '∅', varnothing: '∅', bowtie: '⋈', Join: '⋈', ltimes: '⋉', rtimes: '⋊',
+  land: '∧', wedge: '∧', lor: '∨', vee: '∨', neg: '¬', lnot: '¬', forall: '∀', exists: '∃', nexists: '∄',
+  infty: '∞', partial: '∂', nabla: '∇', sum: '∑', prod: '∏', int: '∫', oint: '∮', sqrt: '√',
+  ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱', mid: '|', vert: '|', Vert: '‖', parallel: '∥',
+  perp: '⊥', angle: '∠', degree: '°', prime: '′', top: '⊤', bot: '⊥', vdash: '⊢', models: '⊨',
+  langle: '⟨', rangle: '⟩', lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', backslash: '\\',
+  log: 'log', ln: 'ln', exp: 'exp', sin: 'sin', cos: 'cos', tan: 'tan', min: 'min', max: 'max',
+  lim: 'lim', det: 'det', gcd: 'gcd', Pr: 'Pr', mod: 'mod', bmod: 'mod',
+};
+
+const BLACKBOARD = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ' };
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', T: 'ᵀ', '′': '′', '*': '*',
+};
+
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ',
+  l: 'ₗ', m: 'ₘ', n: 'ₙ', o: 'ₒ', p: 'ₚ', r: 'ᵣ', s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ',
+};
+
+// Commands whose argument is kept as it is
+const TEXT_COMMANDS = ['text', 'textrm', 'textbf', 'textit', 'mathrm', 'mathit', 'mathbf', 'mathsf', 'mathtt', 'operatorname', 'boldsymbol'];
+// Commands that only change sizes or spacing
+const IGNORED_COMMANDS = ['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle', 'limits', 'nolimits'];
+const ACCENTS = { bar: '̄', overline: '̅', hat: '̂', tilde: '̃', vec: '⃗', dot: '̇' };
+
+/**
+ * Split text into plain and math segments
+ * @returns {Array<{ type: 'text'|'inline'|'block', value: string }>}
+ */
+function splitMath(text) {
+  const value = String(text ?? '');
+  const segments = [];
+  let last = 0;
+  for (const match of value.matchAll(MATH_PATTERN)) {
+    if (match.index > last) segments.push({ type: 'text', value: value.slice(last, match.index) });
+    segments.push(match[1] !== undefined
+      ? { type: 'inline', value: match[1].trim() }
+      : { type: 'block', value: match[2].trim() });
+    last = match.index + match[0].length;
+  }
+  if (last < value.length) segments.push({ type: 'text', value: value.slice(last) });
+  return segments;
+}
+
+function hasMath(text) {
+  return splitMath(text).some((segment) => segment.type !== 'text');
+}
+
+/**
+ * Problems with the math in a string: delimiters that are never closed and
+ * LaTeX that KaTeX cannot parse
+ * @returns {Array<{ tex: string, message: string }>}
+ */
+function findMathErrors(text) {
+  const errors = [];
+  for (const segment of splitMath(text)) {
+    if (segment.type === 'text') {
+      const stray = segment.value.match(/\\[([)\]]/);
+      if (stray) errors.push({ tex: segment.value.trim().slice(0, 80), message: `Unmatched math delimiter "${stray[0]}"` });
+      continue;
+    }
+    if (!segment.value) {
+      errors.push({ tex: '', message: 'Empty formula' });
+      continue;
+    }
+    try {
+      katex.renderToString(segment.value, { displayMode: segment.type === 'block', throwOnError: true, strict: 'ignore' });
+    } catch (error) {
+      errors.push({ tex: segment.value, message: error.message.replace(/^KaTeX parse error: /, '') });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read one argument: a {group} or a single token
+ * @returns {[string, number]} Raw argument and the index after it
+ */
+function readArgument(tex, i) {
+  while (tex[i] === ' ') i++;
+  if (tex[i] === '{') {
+    let depth = 0;
+    for (let j = i; j < tex.length; j++) {
+      if (tex[j] === '\\') {
+        j++;
+      } else if (tex[j] === '{') {
+        depth++;
+      } else if (tex[j] === '}' && --depth === 0) {
+        return [tex.slice(i + 1, j), j + 1];
+      }
+    }
+    return [tex.slice(i + 1), tex.length];
+  }
+  if (tex[i] === '\\') {
+    const command = tex.slice(i).match(/^\\([a-zA-Z]+|.)/);
+    return [command[0], i + command[0].length];
+  }
+  return [tex[i] || '', i + 1];
+}
+
+function mapScript(text, table, marker) {
+  const chars = [...text];
+  if (chars.length > 0 && chars.every((ch) => table[ch])) return chars.map((ch) => table[ch]).join('');
+  return chars.length === 1 ? `${marker}${text}` : `${marker}(${text})`;
+}
+
+/**
+ * Unicode approximation of a LaTeX formula, e.g. "\frac{1}{2}x^2" -> "1/2x²"
+ */
+function latexToPlain(tex) {
+  const source = String(tex ?? '');
+  let out = '';
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') {
+      const command = source.slice(i).match(/^\\([a-zA-Z]+|.)/)?.[1] ?? '';
+      i += command.length + 1;
+      if (command === 'frac' || command === 'dfrac' || command === 'tfrac' || command === 'binom') {
+        const [numerator, afterNumerator] = readArgument(source, i);
+        const [denominator, afterDenominator] = readArgument(source, afterNumerator);
+        i = afterDenominator;
+        const wrap = (part) => {
+          const plain = latexToPlain(part);
+          return /^[\p{L}\p{N}.]+$/u.test(plain) ? plain : `(${plain})`;
+        };
+        out += command === 'binom'
+          ? `C(${latexToPlain(numerator)}, ${latexToPlain(denominator)})`
+          : `${wrap(numerator)}/${wrap(denominator)}`;
+      } else if (command === 'sqrt') {
+        const [radicand, after] = readArgument(source, i);
+        i = after;
+        const plain = latexToPlain(radicand);
+        out += plain.length === 1 ? `√${plain}` : `√(${plain})`;
+      } else if (command === 'mathbb') {
+        const [letter, after] = readArgument(source, i);
+        i = after;
+        out += BLACKBOARD[letter] || letter;
+      } else if (TEXT_COMMANDS.includes(command)) {
+        const [argument, after] = readArgument(source, i);
+        i = after;
+        out += command.startsWith('text') ? argument : latexToPlain(argument);
+      } else if (ACCENTS[command]) {
+        const [argument, after] = readArgument(source, i);
+        i = after;
+        out += [...latexToPlain(argument)].map((c) => c + ACCENTS[command]).join('');
+      } else if (command === 'begin' || command === 'end') {
+        i = readArgument(source, i)[1];
+        out += ' ';
+      } else if (IGNORED_COMMANDS.includes(command)) {
+        // Size and spacing only
+      } else if (SYMBOLS[command]) {
+        out += SYMBOLS[command];
+        // Keep "\sigma R" and "\log n" apart, but not "\sigma_{...}"
+        if (/^[a-zA-Z]{2,}$/.test(command) && source[i] === ' ') out += ' ';
+      } else if ([',', ';', ':', ' ', 'quad', 'qquad', '\\'].includes(command)) {
+        out += ' ';
+      } else if (command === '!') {
+        // Negative space
+      } else {
+        // \{, \}, \%, \_ ... and unknown commands
+        out += command;
+      }
+    } else if (ch === '^' || ch === '_') {
+      const [argument, after] = readArgument(source, i + 1);
+      i = after;
+      out += mapScript(latexToPlain(argument), ch === '^' ? SUPERSCRIPTS : SUBSCRIPTS, ch);
+    } else if (ch === '{' || ch === '}') {
+      i++;
+    } else if (ch === '&' || ch === '~') {
+      out += ' ';
+      i++;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text with every formula replaced by its Unicode approximation
+ */
+function mathToPlainText(text) {
+  return splitMath(text)
+    .map((segment) => (segment.type === 'text' ? segment.value : latexToPlain(segment.value)))
+    .join('');
+}
+
+/**
+ * Undo JSON escapes that swallowed the start of a LaTeX command when the model
+ * forgot to double its backslashes ("\frac" parsed as form feed + "rac")
+ */
+function restoreLatexEscapes(text) {
+  if (typeof text !== 'string' || !/[\f\b\t\r\n]/.test(text)) return text;
+  const restore = (tex) => tex
+    .replace(/\f/g, '\\f')
+    .replace(/\x08/g, '\\b')
+    .replace(/\t(?=[a-zA-Z])/g, '\\t')
+    .replace(/\r(?=[a-zA-Z])/g, '\\r')
+    .replace(/\n(?=[a-zA-Z])/g, '\\n');
+  return text.replace(MATH_PATTERN, restore);
+}
+
+/**
+ * Model output as a question-friendly string: LaTeX escapes restored, and
+ * $...$ / $$...$$ formulas moved to the \( \) / \[ \] convention
+ */
+function normalizeMath(text) {
+  if (typeof text !== 'string') return text;
+  return restoreLatexEscapes(text)
+    .replace(/\$\$([^$]+?)\$\$/g, '\\[$1\\]')
+    // Single $ only when the content looks like LaTeX, so prices ("$5 and $10") stay text
+    .replace(/(^|[^\\$])\$([^$\n]*?[\\^_{}][^$\n]*?)\$(?!\d)/g, '$1\\($2\\)');
+}
+
+/**
+ * JSON.parse for model output that may contain LaTeX with single backslashes.
+ * Backslashes that are not valid JSON escapes ("\(", "\sigma") are doubled
+ * before parsing.
+ */
+function parseJsonWithMath(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const repaired = String(text).replace(/\\\\|\\(?!["\\/bfnrt]|u[0-9a-fA-F]{4})/g, (match) => (match === '\\\\' ? match : '\\\\'));
+    if (repaired === text) throw error;
+    return JSON.parse(repaired);
+  }
+}
+
+/**
+ * normalizeMath applied to every string in a parsed value
+ */
+function normalizeMathDeep(value) {
+  if (typeof value === 'string') return normalizeMath(value);
+  if (Array.isArray(value)) return value.map(normalizeMathDeep);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, normalizeMathDeep(v)]));
+  }
+  return value;
+}
+
+module.exports = {
+  MATH_INSTRUCTION,
+  splitMath,
+  hasMath,
+  findMathErrors,
+  latexToPlain,
+  mathToPlainText,
+  normalizeMath,
+  normalizeMathDeep,
+  parseJsonWithMath,
+};
@@ -0,0 +1,261 @@
+/**
+ * Images and audio clips attached to quiz questions. Files live in
+ * MEDIA_PATH (not under the public /uploads mount) and are only served
+ * through GET /api/quiz/:id/media/:mediaId, which checks access to the quiz.
+ */
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const Quiz = require('../models/Quiz');
+const QuizRevision = require('../models/QuizRevision');
+
+const execFileAsync = promisify(execFile);
+
+const MEDIA_PATH = process.env.MEDIA_PATH || './media';
+// Poppler's embedded image extractor, used to attach PDF figures to generated questions
+const PDFIMAGES = process.env.PDFIMAGES_PATH || 'pdfimages';
+// Smaller embedded images are logos, bullets and decorations rather than figures
+const MIN_FIGURE_PX = parseInt(process.env.MIN_FIGURE_PX || '150');
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg',
+  'audio/mp4': '.m4a',
+  'audio/webm': '.webm',
+};
+
+// Questions whose text points at a figure get the figure from their source page
+const FIGURE_REFERENCE = /\b(diagram|figure|fig\.|chart|graph|plot|image|picture|illustration|drawing|shown|depicted|tree|schema|er model)\b/i;
+
+fs.mkdirSync(MEDIA_PATH, { recursive: true });
+
+/**
+ * MIME type of an image or audio file from its first bytes, or null when it is neither
+ * (the client's Content-Type is not trusted: media is served back to other users)
+ */
+function detectMediaType(head) {
+  const ascii = (start, end) => head.subarray(start, end).toString('latin1');
+  if (head.length < 12) return null;
+  if (head[0] === 0x89 && ascii(1, 4) === 'PNG') return 'image/png';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 4) === 'GIF8') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(0, 3) === 'ID3' || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (ascii(4, 8) === 'ftyp' && /^(M4A |M4B |mp42|isom|dash)/.test(ascii(8, 12))) return 'audio/mp4';
+  if (head.readUInt32BE(0) === 0x1a45dfa3) return 'audio/webm';
+  return null;
+}
+
+function kindOf(mimetype) {
+  return mimetype.startsWith('image/') ? 'image' : 'audio';
+}
+
+function newFilename(mimetype) {
+  return `${crypto.randomBytes(16).toString('hex')}${EXTENSIONS[mimetype]}`;
+}
+
+/**
+ * Absolute path of a stored media file (the name never leaves MEDIA_PATH)
+ */
+function mediaPath(filename) {
+  return path.resolve(MEDIA_PATH, path.basename(filename));
+}
+
+/**
+ * PNG/JPEG/GIF pixel size from the file header
+ * @returns {{ width: number, height: number }|null}
+ */
+function imageSize(buffer) {
+  if (buffer[0] === 0x89 && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.toString('latin1', 0, 4) === 'GIF8' && buffer.length >= 10) {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the JPEG segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+/**
+ * Move an uploaded file (multer) into the media store
+ * @param {Object} file - Multer file
+ * @param {Object} [details] - { alt, caption }
+ * @returns {Promise<Object>} Question media entry
+ */
+async function storeUpload(file, { alt, caption } = {}) {
+  try {
+    const buffer = await fsp.readFile(file.path);
+    const mimetype = detectMediaType(buffer.subarray(0, 16));
+    if (!mimetype) {
+      throw Object.assign(new Error('Only PNG, JPEG, GIF or WebP images and MP3, WAV, OGG, M4A or WebM audio can be attached'), { statusCode: 400 });
+    }
+    const kind = kindOf(mimetype);
+    if (kind === 'image' && !String(alt || '').trim()) {
+      throw Object.assign(new Error('Images need alt text describing them'), { statusCode: 400 });
+    }
+
+    const filename = newFilename(mimetype);
+    await fsp.writeFile(mediaPath(filename), buffer);
+    return {
+      kind,
+      filename,
+      mimetype,
+      size: buffer.length,
+      alt: String(alt || '').trim() || undefined,
+      caption: String(caption || '').trim() || undefined,
+      ...(kind === 'image' ? imageSize(buffer) : {}),
+      origin: 'upload',
+    };
+  } finally {
+    await fsp.rm(file.path, { force: true });
+  }
+}
+
+/**
+ * Save the largest embedded image on a PDF page as a figure
+ * @returns {Promise<Object|null>} Question media entry, or null when the page has no figure
+ */
+async function extractPdfFigure(pdfPath, page, { filename: sourceName } = {}) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'quizcraft-figures-'));
+  try {
+    try {
+      await execFileAsync(PDFIMAGES, ['-png', '-f', String(page), '-l', String(page), pdfPath, path.join(dir, 'img')]);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn('pdfimages (poppler-utils) is not installed; PDF figures are not attached');
+        return null;
+      }
+      throw error;
+    }
+
+    let best = null;
+    for (const name of await fsp.readdir(dir)) {
+      const buffer = await fsp.readFile(path.join(dir, name));
+      const size = imageSize(buffer);
+      if (!size || size.width < MIN_FIGURE_PX || size.height < MIN_FIGURE_PX) continue;
+      if (!best || size.width * size.height > best.size.width * best.size.height) best = { buffer, size };
+    }
+    if (!best) return null;
+
+    const mimetype = detectMediaType(best.buffer.subarray(0, 16)) || 'image/png';
+    const filename = newFilename(mimetype);
+    await fsp.writeFile(mediaPath(filename), best.buffer);
+    return {
+      kind: 'image',
+      filename,
+      mimetype,
+      size: best.buffer.length,
+      alt: `Figure from page ${page}${sourceName ? ` of ${sourceName}` : ''}`,
+      ...best.size,
+      origin: 'pdf-figure',
+      page,
+    };
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function isPdf(filePath) {
+  const handle = await fsp.open(filePath, 'r').catch(() => null);
+  if (!handle) return false;
+  try {
+    const { buffer } = await handle.read(Buffer.alloc(5), 0, 5, 0);
+    return buffer.toString('latin1') === '%PDF-';
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Attach the figure on their source page to generated questions that refer
+ * to one ("Which node does the diagram ..."). Each figure is extracted once.
+ * @param {Object[]} questions - Generated questions (with `source`)
+ * @param {Object[]} files - Source files in the order of sourceContent.files
+ *   (the one upload for single-file quizzes), each with `path` and a name
+ * @returns {Promise<Object[]>} The questions, with `media` where a figure was found
+ */
+async function attachPdfFigures(questions, files) {
+  const figures = new Map();
+  const result = [];
+  for (const question of questions) {
+    const index = question.source?.file ?? 0;
+    const file = files[index];
+    const page = question.source?.page;
+    if (!file?.path || !page || !FIGURE_REFERENCE.test(question.questionText || '') || !(await isPdf(file.path))) {
+      result.push(question);
+      continue;
+    }
+    const key = `${index}:${page}`;
+    if (!figures.has(key)) {
+      try {
+        figures.set(key, await extractPdfFigure(file.path, page, { filename: file.originalname ?? file.filename }));
+      } catch (error) {
+        console.warn(`Figure extraction failed for page ${page}:`, error.message);
+        figures.set(key, null);
+      }
+    }
+    const figure = figures.get(key);
+    result.push(figure ? { ...question, media: [...(question.media || []), figure] } : question);
+  }
+  return result;
+}
+
+/**
+ * Keep only media entries the quiz already has, so a full-quiz update can
+ * reorder or drop attachments but not point at other quizzes' files
+ */
+function keepKnownMedia(quiz, questions) {
+  const known = new Map(quiz.questions.flatMap((q) => (q.media || []).map((m) => [m.filename, m.toObject ? m.toObject() : m])));
+  return questions.map((question) => ({
+    ...question,
+    media: (question.media || [])
+      .filter((m) => known.has(m?.filename))
+      .map((m) => ({ ...known.get(m.filename), alt: m.alt ?? known.get(m.filename).alt, caption: m.caption ?? known.get(m.filename).caption })),
+  }));
+}
+
+/**
+ * Delete media files that no quiz or quiz revision refers to any more (copies
+ * of reused quizzes share their files, and rollbacks need older ones)
+ * @param {string[]} filenames
+ */
+async function removeUnreferenced(filenames) {
+  for (const filename of new Set(filenames)) {
+    const inUse = await Quiz.exists({ 'questions.media.filename': filename })
+      || await QuizRevision.exists({ 'snapshot.questions.media.filename': filename });
+    if (!inUse) await fsp.rm(mediaPath(filename), { force: true });
+  }
+}
+
+module.exports = {
+  MEDIA_PATH,
+  detectMediaType,
+  mediaPath,
+  storeUpload,
+  extractPdfFigure,
+  attachPdfFigures,
+  keepKnownMedia,
+  removeUnreferenced,
+};
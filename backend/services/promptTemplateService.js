@@ -0,0 +1,221 @@
+/**
+ * Admin-managed generation prompts: picking the template for a request
+ * (per-language variants with a weighted A/B split), saving new versions
+ * and rendering previews. Falls back to the built-in prompts in quizPrompts.
+ */
+
+const mongoose = require('mongoose');
+const PromptTemplate = require('../models/PromptTemplate');
+const {
+  TEMPLATE_VARIABLES,
+  BUILTIN_PROMPT_VERSION,
+  DEFAULT_TEMPLATES,
+  promptVariables,
+  renderTemplate,
+  templatePlaceholders,
+} = require('./quizPrompts');
+
+// Active templates are re-read at most this often (admin saves clear the cache)
+const CACHE_TTL_MS = 30 * 1000;
+
+const SAMPLE_CONTENT = 'Photosynthesis is the process by which green plants use sunlight, water and carbon dioxide to make glucose and oxygen. It takes place mainly in the chloroplasts of leaf cells, which contain the pigment chlorophyll.';
+
+let cache = { templates: null, loadedAt: 0 };
+
+async function loadActiveTemplates() {
+  if (cache.templates && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.templates;
+  }
+
+  // Skip the lookup when Mongo is not connected (scripts, offline runs)
+  if (mongoose.connection.readyState !== 1) return [];
+
+  try {
+    cache.templates = await PromptTemplate.find({ isActive: true, weight: { $gt: 0 } }).lean();
+    cache.loadedAt = Date.now();
+  } catch (error) {
+    console.warn('Failed to load prompt templates, using built-in prompts:', error.message);
+    return [];
+  }
+  return cache.templates;
+}
+
+/**
+ * Force the next selectTemplate() call to re-read the database
+ */
+function clearTemplateCache() {
+  cache = { templates: null, loadedAt: 0 };
+}
+
+/**
+ * Active templates a generation of this kind/language can use. Variants for
+ * the quiz language win over 'any'.
+ */
+async function candidateTemplates(kind, language) {
+  const templates = (await loadActiveTemplates()).filter((t) => t.kind === kind);
+  const forLanguage = templates.filter((t) => t.language === language);
+  return forLanguage.length ? forLanguage : templates.filter((t) => t.language === 'any');
+}
+
+/**
+ * Pick the template for one generation: each candidate variant is chosen
+ * with probability proportional to its weight.
+ * @param {string} kind - 'quiz' or 'quiz-stream'
+ * @param {string} language - Quiz language
+ * @param {Function} [random] - Source of randomness in [0, 1)
+ * @returns {Promise<Object|null>} Template document, or null for the built-in prompt
+ */
+async function selectTemplate(kind, language, random = Math.random) {
+  const candidates = await candidateTemplates(kind, language);
+  if (candidates.length === 0) return null;
+
+  const total = candidates.reduce((sum, t) => sum + t.weight, 0);
+  let pick = random() * total;
+  for (const template of candidates) {
+    pick -= template.weight;
+    if (pick < 0) return template;
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Reference to the template that produced a quiz, stored in Quiz.generation.prompt
+ */
+function describeTemplate(template, kind, language) {
+  if (!template) {
+    return { template: null, name: 'Built-in', kind, language, variant: 'default', version: BUILTIN_PROMPT_VERSION };
+  }
+  return {
+    template: template._id,
+    name: template.name,
+    kind: template.kind,
+    language: template.language,
+    variant: template.variant,
+    version: template.version,
+  };
+}
+
+/**
+ * Whether a quiz generated with `prompt` (Quiz.generation.prompt) would still
+ * be generated with the same prompt today: its template version is still
+ * active for the language, or it used the current built-in prompt and no
+ * template has replaced it.
+ * @param {Object} prompt - Stored prompt reference
+ * @param {string} language - Quiz language
+ * @returns {Promise<boolean>}
+ */
+async function isPromptCurrent(prompt, language) {
+  if (!prompt?.kind) return false;
+  const candidates = await candidateTemplates(prompt.kind, language);
+  if (!prompt.template) {
+    return candidates.length === 0 && prompt.version === BUILTIN_PROMPT_VERSION;
+  }
+  return candidates.some((t) => String(t._id) === String(prompt.template) && t.version === prompt.version);
+}
+
+/**
+ * Problems that would stop a template from producing a usable prompt
+ * @returns {string[]} Error messages (empty when the template is fine)
+ */
+function validateTemplateBody(body) {
+  const errors = [];
+  const placeholders = templatePlaceholders(body);
+  if (!placeholders.includes('content')) {
+    errors.push('The template must include {{content}}');
+  }
+  const unknown = placeholders.filter((name) => !TEMPLATE_VARIABLES[name]);
+  if (unknown.length) {
+    errors.push(`Unknown variables: ${unknown.map((name) => `{{${name}}}`).join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Render a template with sample (or given) generation options
+ * @param {Object} params - { kind, body, options }
+ * @returns {Object} { prompt, placeholders, errors }
+ */
+function previewTemplate({ kind, body, options = {} }) {
+  const text = body || DEFAULT_TEMPLATES[kind];
+  const variables = promptVariables(kind, {
+    content: SAMPLE_CONTENT,
+    numQuestions: 5,
+    difficulty: 'medium',
+    ...options,
+  });
+  return {
+    prompt: renderTemplate(text, variables),
+    placeholders: templatePlaceholders(text),
+    errors: validateTemplateBody(text),
+  };
+}
+
+/**
+ * Save a template as the next version of its kind/language/variant and make
+ * it the active one (earlier versions are kept but retired)
+ * @param {Object} fields - { name, kind, language, variant, weight, body, notes }
+ * @param {string} userId - Admin saving the template
+ * @returns {Promise<PromptTemplate>}
+ */
+async function saveTemplateVersion(fields, userId) {
+  const { name, kind, language = 'any', variant = 'A', weight, body, notes } = fields;
+
+  const latest = await PromptTemplate.findOne({ kind, language, variant })
+    .sort({ version: -1 })
+    .select('version weight')
+    .lean();
+
+  const template = await PromptTemplate.create({
+    name,
+    kind,
+    language,
+    variant,
+    weight: weight ?? latest?.weight ?? 100,
+    body,
+    notes,
+    version: (latest?.version || 0) + 1,
+    isActive: true,
+    createdBy: userId,
+  });
+
+  await PromptTemplate.updateMany(
+    { kind, language, variant, _id: { $ne: template._id }, isActive: true },
+    { isActive: false }
+  );
+  clearTemplateCache();
+
+  return template;
+}
+
+/**
+ * Make one version the active one for its kind/language/variant (e.g. to roll
+ * back), or retire it
+ * @returns {Promise<PromptTemplate|null>}
+ */
+async function setTemplateActive(id, isActive) {
+  const template = await PromptTemplate.findById(id);
+  if (!template) return null;
+
+  if (isActive) {
+    await PromptTemplate.updateMany(
+      { kind: template.kind, language: template.language, variant: template.variant, _id: { $ne: template._id } },
+      { isActive: false }
+    );
+  }
+  template.isActive = !!isActive;
+  await template.save();
+  clearTemplateCache();
+
+  return template;
+}
+
+module.exports = {
+  selectTemplate,
+  describeTemplate,
+  isPromptCurrent,
+  validateTemplateBody,
+  previewTemplate,
+  saveTemplateVersion,
+  setTemplateActive,
+  clearTemplateCache,
+};
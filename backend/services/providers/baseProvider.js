@@ -0,0 +1,347 @@
+const {
+  buildPrompt,
+  buildStreamingPrompt,
+  buildRepairPrompt,
+  buildRegeneratePrompt,
+  buildRewritePrompt,
+  parseQuizResponse,
+  parseQuestionResponse,
+  normalizeTypeDistribution,
+  inferType,
+} = require('../quizPrompts');
+const { buildFlashcardPrompt, parseFlashcardResponse } = require('../flashcardPrompts');
+const { buildStudyGuidePrompt, parseStudyGuideResponse } = require('../studyGuidePrompts');
+const { buildGradingPrompt, parseGradingResponse, buildEssayGradingPrompt, parseEssayGradingResponse } = require('../gradingPrompts');
+const { normalizeQuestionFields } = require('../questionTypes');
+const { normalizeMathDeep, parseJsonWithMath } = require('../mathMarkup');
+const usageService = require('../usageService');
+
+/**
+ * Base class for AI providers.
+ *
+ * Every provider exposes the same interface used by the routes:
+ * generateQuiz, streamQuizNDJSON, generateFlashcards, generateStudyGuide,
+ * gradeShortAnswer, suggestEssayGrade, generateSummary, extractTopics and generateEmbedding. Text-completion providers only need to implement
+ * complete(), completeStream() and embed(); the quiz logic on top of them
+ * (prompting, NDJSON line splitting, parsing) lives here. Implementations
+ * report each call's token counts through recordUsage().
+ */
+class BaseProvider {
+  constructor(config = {}) {
+    this.name = 'base';
+    this.label = 'AI';
+    this.config = config;
+  }
+
+  /**
+   * Run a single prompt and return the full text response
+   * @param {string} prompt
+   * @param {string} [operation] - What the call is for, recorded with its usage
+   * @returns {Promise<string>}
+   */
+  async complete(prompt, operation = 'generate') {
+    throw new Error(`${this.label} provider does not support text completion`);
+  }
+
+  /**
+   * Run a prompt and yield text chunks as they arrive.
+   * Providers without native streaming yield the whole response at once.
+   * @param {string} prompt
+   * @param {string} [operation]
+   */
+  async *completeStream(prompt, operation = 'stream') {
+    yield await this.complete(prompt, operation);
+  }
+
+  /**
+   * Embed text into a vector
+   * @param {string} text
+   * @returns {Promise<number[]>}
+   */
+  async embed(text) {
+    throw new Error(`${this.label} provider does not support embeddings`);
+  }
+
+  /**
+   * Identifies the model behind generation or embedding results, so cached
+   * results from a different model are not reused
+   * @param {string} kind - 'quiz' or 'embedding'
+   * @returns {string}
+   */
+  modelId(kind) {
+    const model = kind === 'embedding' ? this.config.embeddingModel : this.config.quizModel;
+    return `${this.name}:${model}`;
+  }
+
+  /**
+   * Record the tokens used by one call. Counts the provider did not report
+   * are estimated from the input/output text.
+   * @param {string} operation - generate, stream, repair, embedding, ...
+   * @param {Object} usage - { input, output, inputTokens, outputTokens, model }
+   */
+  recordUsage(operation, usage = {}) {
+    usageService.record({ operation, provider: this.name, ...usage });
+  }
+
+  /**
+   * Generate embedding from text
+   * @param {string} text - Text to embed
+   * @returns {Promise<number[]>} - The embedding vector
+   */
+  async generateEmbedding(text) {
+    try {
+      return await this.embed(text);
+    } catch (error) {
+      console.error(`${this.label} embedding error:`, error);
+      throw new Error('Failed to generate embedding');
+    }
+  }
+
+  /**
+   * Generate quiz from text content
+   * @param {Object} options - Quiz generation options
+   * @returns {Promise<Object>} Generated quiz data
+   */
+  async generateQuiz(options) {
+    const {
+      content,
+      numQuestions = 10,
+      quizType = 'mcq',
+      difficulty = 'medium',
+      language = 'en',
+      category = '',
+      typeDistribution,
+      bloomDistribution,
+      promptTemplate,
+    } = options;
+
+    try {
+      const prompt = buildPrompt(
+        content,
+        numQuestions,
+        quizType,
+        difficulty,
+        language,
+        category,
+        typeDistribution,
+        bloomDistribution,
+        promptTemplate
+      );
+
+      const text = await this.complete(prompt, 'generate');
+
+      // Parse the AI response
+      return parseQuizResponse(text, quizType, typeDistribution);
+    } catch (error) {
+      console.error(`${this.label} API Error:`, error);
+      throw new Error('Failed to generate quiz from AI: ' + error.message);
+    }
+  }
+
+  /**
+   * Stream quiz as NDJSON events (meta, question, done)
+   * Each line will be a JSON object. Example lines:
+   * {"event":"meta","title":"...","description":"...","category":"..."}
+   * {"event":"question","index":1,"question":{"questionText":"...","type":"mcq",...}}
+   * {"event":"done"}
+   */
+  async streamQuizNDJSON(options, onEvent) {
+    const {
+      content,
+      numQuestions = 10,
+      quizType = 'mcq',
+      difficulty = 'medium',
+      language = 'en',
+      category = '',
+      typeDistribution,
+      bloomDistribution,
+      promptTemplate,
+    } = options;
+
+    const streamingPrompt = buildStreamingPrompt(
+      content,
+      numQuestions,
+      quizType,
+      difficulty,
+      language,
+      category,
+      typeDistribution,
+      bloomDistribution,
+      promptTemplate
+    );
+
+    // Normalise question types and skip questions beyond the requested count per type
+    const requested = normalizeTypeDistribution(typeDistribution, numQuestions, quizType);
+    const seen = {};
+    const emit = (evt) => {
+      if (evt?.event === 'question' && evt.question) {
+        const type = inferType(evt.question, quizType);
+        seen[type] = (seen[type] || 0) + 1;
+        if (typeDistribution && seen[type] > (requested[type] || 0)) return;
+        evt.question = normalizeQuestionFields({ ...normalizeMathDeep(evt.question), type });
+      }
+      if (typeof onEvent === 'function') onEvent(evt);
+    };
+
+    try {
+      let buffer = '';
+
+      for await (const chunkText of this.completeStream(streamingPrompt, 'stream')) {
+        if (!chunkText) continue;
+        buffer += chunkText;
+        // Process complete lines
+        let idx;
+        while ((idx = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, idx).trim();
+          buffer = buffer.slice(idx + 1);
+          if (!line) continue;
+          try {
+            emit(parseJsonWithMath(line));
+          } catch (e) {
+            // If not valid JSON, skip (model might emit commentary). We only accept strict NDJSON lines.
+            continue;
+          }
+        }
+      }
+
+      // Flush last line if any
+      const last = buffer.trim();
+      if (last) {
+        try {
+          emit(parseJsonWithMath(last));
+        } catch (_) { /* ignore */ }
+      }
+
+      // Ensure done event
+      emit({ event: 'done' });
+    } catch (error) {
+      console.error(`${this.label} streaming error:`, error);
+      emit({ event: 'error', message: error.message || 'Streaming failed' });
+    }
+  }
+
+  /**
+   * Ask the model to fix a question that failed validation
+   * @param {Object} question - Invalid question
+   * @param {string[]} issues - Human readable problems
+   * @param {Object} [context] - { language, content }
+   * @returns {Promise<Object|null>} Repaired question (not yet validated)
+   */
+  async repairQuestion(question, issues, context = {}) {
+    const text = await this.complete(buildRepairPrompt(question, issues, context), 'repair');
+    return parseQuestionResponse(text, question.type);
+  }
+
+  /**
+   * Write a replacement for one question of a quiz from its source text
+   * @param {Object} params - { content, question, otherQuestions, language }
+   * @returns {Promise<Object|null>} New question (not yet validated)
+   */
+  async regenerateQuestion(params) {
+    const text = await this.complete(buildRegeneratePrompt(params), 'regenerate');
+    return parseQuestionResponse(text, params.question.type);
+  }
+
+  /**
+   * Rewrite a question (harder, easier, clearer or with new distractors)
+   * @param {Object} question - Question to rewrite
+   * @param {string} mode - harder | easier | clearer | distractors
+   * @param {Object} [context] - { language, content }
+   * @returns {Promise<Object|null>} Rewritten question (not yet validated)
+   */
+  async rewriteQuestion(question, mode, context = {}) {
+    const text = await this.complete(buildRewritePrompt(question, mode, context), 'rewrite');
+    return parseQuestionResponse(text, question.type);
+  }
+
+  /**
+   * Generate flashcards (front/back pairs) from text content
+   * @param {Object} options - { content, numCards, language }
+   * @returns {Promise<Object>} { success, data: { title, description, cards } } or { success: false, error }
+   */
+  async generateFlashcards(options) {
+    try {
+      const text = await this.complete(buildFlashcardPrompt(options), 'flashcards');
+      return parseFlashcardResponse(text);
+    } catch (error) {
+      console.error(`${this.label} flashcard error:`, error);
+      throw new Error('Failed to generate flashcards from AI: ' + error.message);
+    }
+  }
+
+  /**
+   * Generate a study guide (summary, key concepts, definitions, outline) for a
+   * quiz's source text, linking entries to the quiz's questions by number
+   * @param {Object} options - { content, questions, language }
+   * @returns {Promise<Object>} { success, data: { summary, keyConcepts, definitions, outline } } or { success: false, error }
+   */
+  async generateStudyGuide(options) {
+    try {
+      const text = await this.complete(buildStudyGuidePrompt(options), 'study-guide');
+      return parseStudyGuideResponse(text);
+    } catch (error) {
+      console.error(`${this.label} study guide error:`, error);
+      throw new Error('Failed to generate study guide from AI: ' + error.message);
+    }
+  }
+
+  /**
+   * Score a free-text answer against the question's reference answer and rubric
+   * @param {Object} options - { question, answer, language }
+   * @returns {Promise<Object|null>} { credit (0-1), reasoning }, or null when the response was unreadable
+   */
+  async gradeShortAnswer(options) {
+    const text = await this.complete(buildGradingPrompt(options), 'grading');
+    return parseGradingResponse(text);
+  }
+
+  /**
+   * Suggest a grade for an essay, for a teacher to review
+   * @param {Object} options - { question, answer, language }
+   * @returns {Promise<Object|null>} See parseEssayGradingResponse
+   */
+  async suggestEssayGrade(options) {
+    const text = await this.complete(buildEssayGradingPrompt(options), 'essay-grading');
+    return parseEssayGradingResponse(text, options.question);
+  }
+
+  /**
+   * Generate text summary for analytics
+   */
+  async generateSummary(content, maxLength = 200) {
+    try {
+      const prompt = `Summarize the following content in ${maxLength} characters or less:\n\n${content}`;
+      return await this.complete(prompt, 'summary');
+    } catch (error) {
+      console.error('Summary generation error:', error);
+      return content.substring(0, maxLength) + '...';
+    }
+  }
+
+  /**
+   * Extract key topics from content
+   */
+  async extractTopics(content) {
+    try {
+      const prompt = `Extract 3-5 key topics or keywords from this content. Return as a JSON array of strings:\n\n${content}`;
+      const text = await this.complete(prompt, 'topics');
+
+      // Try to parse as JSON
+      try {
+        return JSON.parse(text);
+      } catch {
+        // Fallback: extract from text
+        return text
+          .split(/[,\n]/)
+          .map((t) => t.trim())
+          .filter((t) => t.length > 0)
+          .slice(0, 5);
+      }
+    } catch (error) {
+      console.error('Topic extraction error:', error);
+      return [];
+    }
+  }
+}
+
+module.exports = BaseProvider;
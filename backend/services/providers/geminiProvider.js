@@ -0,0 +1,66 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'gemini';
+    this.label = 'Gemini';
+
+    const genAI = new GoogleGenerativeAI(config.apiKey);
+    this.model = genAI.getGenerativeModel({
+      model: config.quizModel,
+    });
+    this.embeddingModel = genAI.getGenerativeModel({
+      model: config.embeddingModel,
+    });
+  }
+
+  async complete(prompt, operation = 'generate') {
+    const result = await this.model.generateContent(prompt);
+    const response = await result.response;
+    const text = response.text();
+    this.recordUsage(operation, this.usageOf(response, prompt, text));
+    return text;
+  }
+
+  async *completeStream(prompt, operation = 'stream') {
+    const result = await this.model.generateContentStream({ contents: [{ role: 'user', parts: [{ text: prompt }] }] });
+    let output = '';
+    for await (const item of result.stream) {
+      const chunkText = item.text();
+      if (chunkText) {
+        output += chunkText;
+        yield chunkText;
+      }
+    }
+    // The aggregated response carries the token counts for the whole stream
+    const response = await result.response.catch(() => null);
+    this.recordUsage(operation, this.usageOf(response, prompt, output));
+  }
+
+  async embed(text) {
+    const result = await this.embeddingModel.embedContent({
+      content: { parts: [{ text }] }
+    });
+    // embedContent does not report token counts
+    this.recordUsage('embedding', { model: this.config.embeddingModel, input: text });
+    return result.embedding.values;
+  }
+
+  usageOf(response, input, output) {
+    const metadata = response?.usageMetadata;
+    return {
+      model: this.config.quizModel,
+      input,
+      output,
+      inputTokens: metadata?.promptTokenCount,
+      outputTokens: metadata?.candidatesTokenCount,
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const SystemSettings = require('../../models/SystemSettings');
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OfflineProvider = require('./offlineProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  offline: OfflineProvider,
+};
+
+// Settings are re-read at most this often so admin changes apply without a restart
+const SETTINGS_TTL_MS = 30 * 1000;
+
+let cache = { key: null, provider: null, loadedAt: 0 };
+let warnedMissingKey = false;
+
+/**
+ * Resolve the AI configuration from SystemSettings.ai (models per provider),
+ * falling back to env vars and then provider defaults
+ * @returns {Promise<Object>}
+ */
+async function getAIConfig() {
+  let ai = {};
+  let dimensions;
+
+  // Skip the lookup when Mongo is not connected (scripts, offline runs)
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const settings = await SystemSettings.findOne({}).select('ai vector').lean();
+      ai = settings?.ai || {};
+      dimensions = settings?.vector?.dimensions;
+    } catch (error) {
+      console.warn('Failed to load AI settings, using environment defaults:', error.message);
+    }
+  }
+
+  const provider = ai.provider || process.env.AI_PROVIDER || 'gemini';
+  // Models an admin set for this provider; each falls back to its env var, then the default
+  const models = ai.models?.[provider] || {};
+
+  if (provider === 'openai') {
+    return {
+      provider,
+      quizModel: models.quizModel || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      embeddingModel: models.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+      baseUrl: ai.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      temperature: ai.temperature ?? 0.7,
+      timeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS || '170000'),
+    };
+  }
+
+  if (provider === 'offline') {
+    return { provider, dimensions: dimensions || 768 };
+  }
+
+  return {
+    provider: 'gemini',
+    quizModel: models.quizModel || process.env.GEMINI_MODEL || 'gemini-1.5-pro',
+    // Existing vectors were produced by text-embedding-004 (768 dims); keep it unless overridden
+    embeddingModel: models.embeddingModel || process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+    apiKey: process.env.GEMINI_API_KEY,
+  };
+}
+
+/**
+ * Get the active provider instance (cached per configuration)
+ * @returns {Promise<import('./baseProvider')>}
+ */
+async function getProvider() {
+  if (cache.provider && Date.now() - cache.loadedAt < SETTINGS_TTL_MS) {
+    return cache.provider;
+  }
+
+  let config = await getAIConfig();
+
+  if (config.provider === 'gemini' && !config.apiKey) {
+    if (!warnedMissingKey) {
+      console.warn('⚠️  GEMINI_API_KEY is not set. Falling back to the offline AI provider.');
+      warnedMissingKey = true;
+    }
+    config = { provider: 'offline', dimensions: 768 };
+  }
+
+  const key = JSON.stringify(config);
+  if (cache.key !== key) {
+    const Provider = PROVIDERS[config.provider] || GeminiProvider;
+    cache.provider = new Provider(config);
+    cache.key = key;
+    console.log(`🤖 AI provider: ${cache.provider.label}${config.quizModel ? ` (${config.quizModel})` : ''}`);
+  }
+  cache.loadedAt = Date.now();
+
+  return cache.provider;
+}
+
+/**
+ * Force the next getProvider() call to re-read settings
+ */
+function clearProviderCache() {
+  cache.loadedAt = 0;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  getAIConfig,
+  getProvider,
+  clearProviderCache,
+};
@@ -0,0 +1,660 @@
+const BaseProvider = require('./baseProvider');
+const { normalizeTypeDistribution, typeSlots, summarizeTypeBreakdown } = require('../quizPrompts');
+const { isNearDuplicate } = require('../documentSections');
+
+const STOPWORDS = new Set([
+  'about', 'above', 'after', 'again', 'against', 'also', 'among', 'because', 'been', 'before',
+  'being', 'below', 'between', 'both', 'could', 'does', 'doing', 'during', 'each', 'either',
+  'from', 'further', 'have', 'having', 'here', 'however', 'into', 'itself', 'just', 'many',
+  'more', 'most', 'much', 'must', 'only', 'other', 'over', 'same', 'should', 'since', 'some',
+  'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'under', 'until', 'upon', 'very', 'were', 'what', 'when', 'where', 'which',
+  'while', 'will', 'with', 'within', 'without', 'would', 'your', 'used', 'using', 'uses',
+]);
+
+const TEMPLATES = {
+  en: {
+    mcq: (blanked) => `Which term best completes the statement: "${blanked}"`,
+    trueFalse: (statement) => `True or False: ${statement}`,
+    shortAnswer: (blanked) => `Fill in the blank: "${blanked}"`,
+    fillBlank: (blanked) => `Complete the statement: ${blanked}`,
+    multiSelect: (sentence) => `Which of these terms appear in the statement: "${sentence}"?`,
+    matching: () => 'Match each term with the statement it completes.',
+    ordering: () => 'Put these statements in the order they appear in the text.',
+    numeric: (blanked) => `What number belongs in the blank: "${blanked}"`,
+    essay: (sentence) => `Explain in your own words what the text means by: "${sentence}"`,
+    rubric: () => [
+      { criterion: 'Accuracy', levels: [['Accurate', 2], ['Partly accurate', 1], ['Inaccurate', 0]] },
+      { criterion: 'Explanation', levels: [['Clear and complete', 2], ['Brief', 1], ['Missing', 0]] },
+    ],
+    explanation: (sentence) => `The source text states: "${sentence}"`,
+    title: (topics) => `Quiz: ${topics}`,
+    description: (count) => `Auto-generated from the provided content (${count} questions).`,
+    deckTitle: (topics) => `Flashcards: ${topics}`,
+    deckDescription: (count) => `Auto-generated from the provided content (${count} cards).`,
+  },
+  bn: {
+    mcq: (blanked) => `কোন শব্দটি বাক্যটি সম্পূর্ণ করে: "${blanked}"`,
+    trueFalse: (statement) => `সত্য না মিথ্যা: ${statement}`,
+    shortAnswer: (blanked) => `শূন্যস্থান পূরণ করো: "${blanked}"`,
+    fillBlank: (blanked) => `বাক্যটি সম্পূর্ণ করো: ${blanked}`,
+    multiSelect: (sentence) => `নিচের কোন শব্দগুলো এই বাক্যে আছে: "${sentence}"?`,
+    matching: () => 'প্রতিটি শব্দকে সেই বাক্যের সাথে মেলাও যেটি এটি সম্পূর্ণ করে।',
+    ordering: () => 'পাঠে যে ক্রমে এসেছে সেই ক্রমে বাক্যগুলো সাজাও।',
+    numeric: (blanked) => `শূন্যস্থানে কোন সংখ্যাটি বসবে: "${blanked}"`,
+    essay: (sentence) => `পাঠের এই অংশটি নিজের ভাষায় ব্যাখ্যা করো: "${sentence}"`,
+    rubric: () => [
+      { criterion: 'নির্ভুলতা', levels: [['নির্ভুল', 2], ['আংশিক নির্ভুল', 1], ['ভুল', 0]] },
+      { criterion: 'ব্যাখ্যা', levels: [['স্পষ্ট ও সম্পূর্ণ', 2], ['সংক্ষিপ্ত', 1], ['নেই', 0]] },
+    ],
+    explanation: (sentence) => `উৎস পাঠে বলা হয়েছে: "${sentence}"`,
+    title: (topics) => `কুইজ: ${topics}`,
+    description: (count) => `প্রদত্ত বিষয়বস্তু থেকে স্বয়ংক্রিয়ভাবে তৈরি (${count}টি প্রশ্ন)।`,
+    deckTitle: (topics) => `ফ্ল্যাশকার্ড: ${topics}`,
+    deckDescription: (count) => `প্রদত্ত বিষয়বস্তু থেকে স্বয়ংক্রিয়ভাবে তৈরি (${count}টি কার্ড)।`,
+  },
+};
+
+const BLANK = '_____';
+const NUMBER_PATTERN = /[-+]?\d+(?:\.\d+)?/u;
+
+function truncate(text, max = 100) {
+  return text.length > max ? `${text.slice(0, max - 1).trim()}…` : text;
+}
+
+/**
+ * FNV-1a string hash, used to make every "random" choice reproducible
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []);
+}
+
+function isKeyword(word) {
+  return word.length >= 4 && !/^\p{N}+$/u.test(word) && !STOPWORDS.has(word.toLowerCase());
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Deterministic provider that builds quizzes straight from the source text.
+ * Needs no network or API key, so it is used for offline development, tests
+ * and as a fallback when no Gemini key is configured.
+ */
+class OfflineProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'offline';
+    this.label = 'Offline';
+  }
+
+  modelId(kind) {
+    return kind === 'embedding' ? `offline:hash-${this.config.dimensions || 768}` : 'offline:sentences';
+  }
+
+  /**
+   * Split text into usable sentences with their most distinctive word
+   */
+  getCandidates(content) {
+    const sentences = (content || '')
+      .split(/(?<=[.!?।])\s+|\n+/u)
+      .map((s) => s.replace(/\s+/g, ' ').trim())
+      .filter((s) => s.length >= 30 && s.length <= 300);
+
+    const candidates = [];
+    for (const sentence of sentences) {
+      const words = (sentence.match(/[\p{L}\p{M}\p{N}]+/gu) || []).filter(isKeyword);
+      if (words.length === 0) continue;
+      const keyword = words.reduce((best, w) => (w.length > best.length ? w : best), words[0]);
+      candidates.push({ sentence, keyword });
+    }
+    return candidates;
+  }
+
+  /**
+   * Most frequent keywords in the content
+   */
+  rankKeywords(content, limit = 50) {
+    const counts = new Map();
+    for (const word of tokenize(content || '')) {
+      if (!isKeyword(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([word]) => word);
+  }
+
+  pickDistractors(answer, pool, count) {
+    const lower = answer.toLowerCase();
+    return pool
+      .filter((w) => w.toLowerCase() !== lower)
+      .sort((a, b) => hash(answer + a) - hash(answer + b))
+      .slice(0, count);
+  }
+
+  /**
+   * Build one question of the given type around a sentence; matching and
+   * ordering questions also use the sentences that follow it (`neighbours`).
+   * Returns null when the sentence can't make that type (a numeric question
+   * without a number, matching/ordering without enough neighbours).
+   */
+  buildQuestion({ sentence, keyword }, quizType, pool, difficulty, templates, neighbours = []) {
+    const blanked = sentence.replace(new RegExp(escapeRegExp(keyword), 'u'), BLANK);
+    const explanation = templates.explanation(sentence);
+    const group = [{ sentence, keyword }, ...neighbours];
+
+    if (quizType === 'numeric') {
+      const number = sentence.match(NUMBER_PATTERN)?.[0];
+      if (number) {
+        return {
+          questionText: templates.numeric(sentence.replace(number, BLANK)),
+          type: 'numeric',
+          options: [],
+          numericAnswer: { value: Number(number), tolerance: 0 },
+          correctAnswer: number,
+          explanation,
+          difficulty,
+          points: 1,
+        };
+      }
+      return null;
+    }
+
+    if (quizType === 'fill-blank') {
+      return {
+        questionText: templates.fillBlank(blanked),
+        type: 'fill-blank',
+        options: [],
+        blanks: [{ answers: [keyword] }],
+        correctAnswer: keyword,
+        explanation,
+        difficulty,
+        points: 1,
+      };
+    }
+
+    if (quizType === 'multi-select') {
+      const present = [...new Set((sentence.match(/[\p{L}\p{M}\p{N}]+/gu) || []).filter(isKeyword))]
+        .sort((a, b) => hash(sentence + a) - hash(sentence + b))
+        .slice(0, 2);
+      const lowerSentence = sentence.toLowerCase();
+      const absent = this.pickDistractors(keyword, pool, 10)
+        .filter((w) => !lowerSentence.includes(w.toLowerCase()))
+        .slice(0, 4 - present.length);
+      const options = [...present, ...absent]
+        .sort((a, b) => hash(sentence + a) - hash(sentence + b))
+        .map((text) => ({ text, isCorrect: present.includes(text) }));
+      return {
+        questionText: templates.multiSelect(sentence),
+        type: 'multi-select',
+        options,
+        correctAnswer: present.join(', '),
+        explanation,
+        difficulty,
+        points: 1,
+      };
+    }
+
+    if (['matching', 'ordering'].includes(quizType) && group.length < 3) return null;
+
+    if (quizType === 'matching') {
+      const pairs = group.slice(0, 4).map((c) => ({
+        left: c.keyword,
+        right: truncate(c.sentence.replace(new RegExp(escapeRegExp(c.keyword), 'u'), BLANK)),
+      }));
+      return {
+        questionText: templates.matching(),
+        type: 'matching',
+        options: [],
+        pairs,
+        correctAnswer: pairs.map((p) => `${p.left} → ${p.right}`).join('; '),
+        explanation: group.slice(0, 4).map((c) => templates.explanation(c.sentence)).join(' '),
+        difficulty,
+        points: pairs.length,
+      };
+    }
+
+    if (quizType === 'ordering') {
+      const items = group.slice(0, 4).map((c) => truncate(c.sentence));
+      return {
+        questionText: templates.ordering(),
+        type: 'ordering',
+        options: items.map((text) => ({ text, isCorrect: true })),
+        correctAnswer: items.join(' → '),
+        explanation: templates.explanation(items.join(' ')),
+        difficulty,
+        points: items.length,
+      };
+    }
+
+    if (quizType === 'true-false') {
+      const [swap] = this.pickDistractors(keyword, pool, 1);
+      const isTrue = !swap || hash(sentence) % 2 === 0;
+      const statement = isTrue ? sentence : blanked.replace(BLANK, swap);
+      const correctAnswer = isTrue ? 'True' : 'False';
+      return {
+        questionText: templates.trueFalse(statement),
+        type: 'true-false',
+        options: [
+          { text: 'True', isCorrect: isTrue },
+          { text: 'False', isCorrect: !isTrue },
+        ],
+        correctAnswer,
+        explanation,
+        difficulty,
+        points: 1,
+      };
+    }
+
+    if (quizType === 'essay') {
+      const essayRubric = templates.rubric().map((c) => ({
+        criterion: c.criterion,
+        levels: c.levels.map(([label, points]) => ({ label, points })),
+      }));
+      return {
+        questionText: templates.essay(sentence),
+        type: 'essay',
+        options: [],
+        correctAnswer: sentence,
+        essayRubric,
+        explanation,
+        difficulty,
+        points: 4,
+      };
+    }
+
+    if (quizType === 'short-answer') {
+      return {
+        questionText: templates.shortAnswer(blanked),
+        type: 'short-answer',
+        options: [],
+        correctAnswer: keyword,
+        explanation,
+        difficulty,
+        points: 1,
+      };
+    }
+
+    const options = [keyword, ...this.pickDistractors(keyword, pool, 3)]
+      .sort((a, b) => hash(sentence + a) - hash(sentence + b))
+      .map((text) => ({ text, isCorrect: text === keyword }));
+
+    return {
+      questionText: templates.mcq(blanked),
+      type: 'mcq',
+      options,
+      correctAnswer: keyword,
+      explanation,
+      difficulty,
+      points: 1,
+    };
+  }
+
+  buildQuiz(options) {
+    const {
+      content,
+      numQuestions = 10,
+      quizType = 'mcq',
+      difficulty = 'medium',
+      language = 'en',
+      category = '',
+      typeDistribution,
+    } = options;
+
+    const templates = TEMPLATES[language] || TEMPLATES.en;
+    const candidates = this.getCandidates(content);
+    const pool = this.rankKeywords(content);
+
+    // One type per slot, interleaved so each type is spread across the document
+    const distribution = normalizeTypeDistribution(typeDistribution, numQuestions, quizType);
+    const slots = typeSlots(distribution);
+    const count = Math.min(slots.length, candidates.length);
+
+    // Spread picks evenly over the document instead of taking the first N sentences.
+    // A slot whose type the content can't provide is left out rather than filled
+    // with another type, so the shortfall shows in the type breakdown.
+    const questions = [];
+    const usedForNumbers = new Set();
+    for (let i = 0; i < count; i++) {
+      let at = Math.floor((i * candidates.length) / count);
+      if (slots[i] === 'numeric') {
+        // Numeric questions need a sentence with a number in it, each number sentence used once
+        const withNumber = (j) => NUMBER_PATTERN.test(candidates[j].sentence) && !usedForNumbers.has(j);
+        const next = candidates.findIndex((c, j) => j >= at && withNumber(j));
+        at = next !== -1 ? next : candidates.findIndex((c, j) => withNumber(j));
+        if (at === -1) continue;
+        usedForNumbers.add(at);
+      } else if (['matching', 'ordering'].includes(slots[i])) {
+        // Keep room for the sentences that follow
+        at = Math.max(0, Math.min(at, candidates.length - 3));
+      }
+      const neighbours = candidates.slice(at + 1, at + 4);
+      const question = this.buildQuestion(candidates[at], slots[i], pool, difficulty, templates, neighbours);
+      if (question) questions.push({ ...question, sourceQuote: candidates[at].sentence });
+    }
+
+    const topics = pool.slice(0, 2).map((t) => t.charAt(0).toUpperCase() + t.slice(1));
+
+    return {
+      title: templates.title(topics.join(', ') || 'General'),
+      description: templates.description(questions.length),
+      category: category || topics[0] || 'General',
+      questions,
+    };
+  }
+
+  async generateQuiz(options) {
+    const quizData = this.buildQuiz(options);
+    this.recordUsage('generate', { input: options.content, output: JSON.stringify(quizData) });
+    if (quizData.questions.length === 0) {
+      return {
+        success: false,
+        error: 'Not enough usable sentences in the content to build a quiz',
+      };
+    }
+    const requested = normalizeTypeDistribution(options.typeDistribution, options.numQuestions || 10, options.quizType);
+    return {
+      success: true,
+      data: quizData,
+      typeBreakdown: summarizeTypeBreakdown(requested, quizData.questions),
+    };
+  }
+
+  /**
+   * One card per sentence, spread over the document: the sentence with its
+   * keyword blanked on the front, the keyword and full sentence on the back
+   */
+  async generateFlashcards({ content, numCards = 20, language = 'en' }) {
+    const templates = TEMPLATES[language] || TEMPLATES.en;
+    const candidates = this.getCandidates(content);
+    const count = Math.min(numCards, candidates.length);
+
+    const cards = [];
+    for (let i = 0; i < count; i++) {
+      const { sentence, keyword } = candidates[Math.floor((i * candidates.length) / count)];
+      cards.push({
+        front: sentence.replace(new RegExp(escapeRegExp(keyword), 'u'), BLANK),
+        back: `${keyword} — ${sentence}`,
+        tags: [keyword.toLowerCase()],
+        sourceQuote: sentence,
+      });
+    }
+    this.recordUsage('flashcards', { input: content, output: JSON.stringify(cards) });
+    if (cards.length === 0) {
+      return { success: false, error: 'Not enough usable sentences in the content to build flashcards' };
+    }
+
+    const topics = this.rankKeywords(content).slice(0, 2).map((t) => t.charAt(0).toUpperCase() + t.slice(1));
+    return {
+      success: true,
+      data: {
+        title: templates.deckTitle(topics.join(', ') || 'General'),
+        description: templates.deckDescription(cards.length),
+        cards,
+      },
+    };
+  }
+
+  /**
+   * Study guide pieced together from the source sentences: the most frequent
+   * keywords as concepts, "X is/are/means Y" sentences as definitions and the
+   * document split into equal parts for the outline. Question links are left
+   * to the caller's keyword matching.
+   */
+  async generateStudyGuide({ content }) {
+    const candidates = this.getCandidates(content);
+    if (candidates.length === 0) {
+      this.recordUsage('study-guide', { input: content, outputTokens: 0 });
+      return { success: false, error: 'Not enough usable sentences in the content to build a study guide' };
+    }
+    const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+    const keyConcepts = [];
+    for (const keyword of this.rankKeywords(content, 20)) {
+      const found = candidates.find(({ sentence }) => sentence.toLowerCase().includes(keyword.toLowerCase()));
+      // One concept per sentence, so two keywords of the same sentence don't repeat it
+      if (found && !keyConcepts.some((c) => c.explanation === found.sentence)) keyConcepts.push({ title: capitalize(keyword), explanation: found.sentence, questions: [] });
+      if (keyConcepts.length === 6) break;
+    }
+
+    const definitions = [];
+    for (const { sentence } of candidates) {
+      const match = sentence.match(/^(?:an?\s+|the\s+)?(.{2,60}?)\s+(?:is|are|refers to|means)\s+(.+)$/iu);
+      if (!match || definitions.some((d) => d.term.toLowerCase() === match[1].toLowerCase())) continue;
+      definitions.push({ term: capitalize(match[1]), definition: sentence, questions: [] });
+      if (definitions.length === 10) break;
+    }
+
+    const parts = Math.min(5, Math.ceil(candidates.length / 3));
+    const outline = [];
+    for (let i = 0; i < parts; i++) {
+      const part = candidates.slice(
+        Math.floor((i * candidates.length) / parts),
+        Math.floor(((i + 1) * candidates.length) / parts)
+      );
+      const [topic] = this.rankKeywords(part.map((c) => c.sentence).join(' '), 1);
+      outline.push({
+        title: capitalize(topic || part[0].keyword),
+        points: part.slice(0, 4).map(({ sentence }) => truncate(sentence, 160)),
+        questions: [],
+      });
+    }
+
+    let summary = '';
+    for (const { sentence } of candidates) {
+      if ((summary + ' ' + sentence).trim().length > 600) break;
+      summary = (summary + ' ' + sentence).trim();
+    }
+
+    const guide = { summary: summary || truncate(candidates[0].sentence, 600), keyConcepts, definitions, outline };
+    this.recordUsage('study-guide', { input: content, output: JSON.stringify(guide) });
+    return { success: true, data: guide };
+  }
+
+  async streamQuizNDJSON(options, onEvent) {
+    const emit = (evt) => {
+      if (typeof onEvent === 'function') onEvent(evt);
+    };
+
+    const { questions, ...meta } = this.buildQuiz(options);
+    this.recordUsage('stream', { input: options.content, output: JSON.stringify(questions) });
+    emit({
+      event: 'meta',
+      ...meta,
+      language: options.language || 'en',
+      difficulty: options.difficulty || 'medium',
+      quizType: options.typeDistribution ? 'mixed' : (options.quizType || 'mcq'),
+    });
+    questions.forEach((question, i) => emit({ event: 'question', index: i + 1, question }));
+    emit({ event: 'done' });
+  }
+
+  /**
+   * There is no model to ask, so invalid questions are dropped instead
+   */
+  async repairQuestion() {
+    return null;
+  }
+
+  /**
+   * Build a question of the same type from a sentence no other question of
+   * the quiz is based on
+   */
+  async regenerateQuestion({ content, question, otherQuestions = [], language = 'en' }) {
+    const templates = TEMPLATES[language] || TEMPLATES.en;
+    const candidates = this.getCandidates(content);
+    const pool = this.rankKeywords(content);
+    const existing = [question, ...otherQuestions];
+
+    // Start somewhere that depends on the old question so repeated calls move on
+    const offset = hash(question.questionText || '') % (candidates.length || 1);
+    for (let i = 0; i < candidates.length; i++) {
+      const at = (offset + i) % candidates.length;
+      if (question.type === 'numeric' && !NUMBER_PATTERN.test(candidates[at].sentence)) continue;
+      const built = this.buildQuestion(
+        candidates[at], question.type, pool, question.difficulty || 'medium', templates, candidates.slice(at + 1, at + 4)
+      );
+      if (!built || built.type !== question.type || isNearDuplicate(built, existing, 0.5)) continue;
+      const regenerated = { ...built, sourceQuote: candidates[at].sentence };
+      this.recordUsage('regenerate', { input: content, output: JSON.stringify(regenerated) });
+      return regenerated;
+    }
+    return null;
+  }
+
+  /**
+   * Without a model only mechanical rewrites are possible: new distractors
+   * drawn from the source's keywords, and easier/harder by option count.
+   * "clearer" needs a model, so it returns null.
+   */
+  async rewriteQuestion(question, mode, context = {}) {
+    const rewritten = this.buildRewrite(question, mode, context.content || '');
+    if (rewritten) {
+      this.recordUsage('rewrite', { input: JSON.stringify(question), output: JSON.stringify(rewritten) });
+    }
+    return rewritten;
+  }
+
+  buildRewrite(question, mode, content) {
+    const options = question.options || [];
+    const correct = options.filter((o) => o.isCorrect);
+    const wrong = options.filter((o) => !o.isCorrect);
+    const hasChoices = ['mcq', 'multi-select'].includes(question.type);
+
+    if (mode === 'distractors' && hasChoices) {
+      const taken = new Set(options.map((o) => o.text.toLowerCase()));
+      const fresh = this.rankKeywords(content).filter((w) => !taken.has(w.toLowerCase()));
+      const distractors = this.pickDistractors(correct[0]?.text || '', fresh, wrong.length);
+      if (distractors.length < wrong.length) return null;
+      let next = 0;
+      return {
+        ...question,
+        options: options.map((o) => (o.isCorrect ? o : { text: distractors[next++], isCorrect: false })),
+      };
+    }
+
+    if (mode === 'easier' && hasChoices) {
+      // One fewer wrong option, never going below three choices
+      const keep = wrong.slice(0, Math.max(wrong.length - 1, 3 - correct.length));
+      return {
+        ...question,
+        difficulty: 'easy',
+        options: options.filter((o) => o.isCorrect || keep.includes(o)),
+      };
+    }
+
+    if (mode === 'harder' && hasChoices) {
+      const taken = new Set(options.map((o) => o.text.toLowerCase()));
+      const [extra] = this.pickDistractors(
+        correct[0]?.text || '',
+        this.rankKeywords(content).filter((w) => !taken.has(w.toLowerCase())),
+        1
+      );
+      return {
+        ...question,
+        difficulty: 'hard',
+        options: extra ? [...options, { text: extra, isCorrect: false }] : options,
+      };
+    }
+
+    if (mode === 'easier' || mode === 'harder') {
+      return { ...question, difficulty: mode === 'easier' ? 'easy' : 'hard' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Credit for the share of the reference answer's keywords the answer
+   * mentions, in quarter steps. The rubric can't be read without a model.
+   */
+  async gradeShortAnswer({ question, answer }) {
+    const keywords = [...new Set(tokenize(question.correctAnswer || '').filter(isKeyword))];
+    const given = new Set(tokenize(answer || ''));
+    const found = keywords.filter((word) => given.has(word));
+    const credit = keywords.length ? Math.floor((found.length / keywords.length) * 4) / 4 : 0;
+    const result = {
+      credit,
+      reasoning: keywords.length
+        ? `Mentions ${found.length} of the ${keywords.length} key terms of the reference answer${found.length ? ` (${found.join(', ')})` : ''}.`
+        : 'The reference answer has no key terms to look for.',
+    };
+    this.recordUsage('grading', { input: `${question.correctAnswer}\n${answer}`, output: JSON.stringify(result) });
+    return result;
+  }
+
+  /**
+   * Level for each rubric criterion by the share of the model answer's
+   * keywords the essay mentions (lowest level for none, top level for all)
+   */
+  async suggestEssayGrade({ question, answer }) {
+    const keywords = [...new Set(tokenize(question.correctAnswer || '').filter(isKeyword))];
+    const given = new Set(tokenize(answer || ''));
+    const found = keywords.filter((word) => given.has(word));
+    const share = keywords.length ? found.length / keywords.length : 0;
+    const comment = keywords.length
+      ? `Mentions ${found.length} of the ${keywords.length} key terms of the model answer${found.length ? ` (${found.join(', ')})` : ''}.`
+      : 'The model answer has no key terms to compare with.';
+
+    const rubric = question.essayRubric || [];
+    const result = rubric.length === 0
+      ? { credit: Math.floor(share * 4) / 4, comment }
+      : {
+        rubricScores: rubric.map((criterion) => {
+          const levels = [...criterion.levels].sort((a, b) => a.points - b.points);
+          const level = levels[Math.min(levels.length - 1, Math.floor(share * levels.length))];
+          return { criterionId: criterion._id, levelId: level._id };
+        }),
+        comment,
+      };
+    this.recordUsage('essay-grading', { input: `${question.correctAnswer}\n${answer}`, output: JSON.stringify(result) });
+    return result;
+  }
+
+  async generateSummary(content, maxLength = 200) {
+    const candidates = this.getCandidates(content);
+    let summary = '';
+    for (const { sentence } of candidates) {
+      if ((summary + ' ' + sentence).trim().length > maxLength) break;
+      summary = (summary + ' ' + sentence).trim();
+    }
+    summary = summary || (content || '').substring(0, maxLength) + '...';
+    this.recordUsage('summary', { input: content, output: summary });
+    return summary;
+  }
+
+  async extractTopics(content) {
+    const topics = this.rankKeywords(content, 5);
+    this.recordUsage('topics', { input: content, output: topics.join(', ') });
+    return topics;
+  }
+
+  /**
+   * Hashed bag-of-words vector, L2-normalised so cosine similarity still works
+   */
+  async embed(text) {
+    const dimensions = this.config.dimensions || 768;
+    const vector = new Array(dimensions).fill(0);
+    for (const token of tokenize(text || '')) {
+      const h = hash(token);
+      vector[h % dimensions] += (h & 0x80000000) ? -1 : 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    this.recordUsage('embedding', { input: text, outputTokens: 0 });
+    return vector.map((v) => v / norm);
+  }
+}
+
+module.exports = OfflineProvider;
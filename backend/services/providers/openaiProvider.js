@@ -0,0 +1,107 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+/**
+ * OpenAI-compatible HTTP provider.
+ * Works with the OpenAI API and with local servers exposing the same
+ * /chat/completions and /embeddings endpoints (Ollama, LM Studio, vLLM, llama.cpp).
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'openai';
+    this.label = 'OpenAI-compatible';
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    this.client = axios.create({
+      baseURL: (config.baseUrl || '').replace(/\/+$/, ''),
+      timeout: config.timeoutMs,
+      headers,
+    });
+  }
+
+  async complete(prompt, operation = 'generate') {
+    const { data } = await this.client.post('/chat/completions', {
+      model: this.config.quizModel,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.config.temperature,
+    });
+    const text = data?.choices?.[0]?.message?.content || '';
+    this.recordUsage(operation, this.usageOf(data?.usage, prompt, text));
+    return text;
+  }
+
+  async *completeStream(prompt, operation = 'stream') {
+    const response = await this.client.post('/chat/completions', {
+      model: this.config.quizModel,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.config.temperature,
+      stream: true,
+      // Ask for a final chunk with token counts (servers that don't support it ignore this)
+      stream_options: { include_usage: true },
+    }, { responseType: 'stream' });
+
+    // The response is Server-Sent Events: "data: {json}\n\n" ... "data: [DONE]"
+    let buffer = '';
+    let output = '';
+    let usage = null;
+    try {
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+        let idx;
+        while ((idx = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, idx).trim();
+          buffer = buffer.slice(idx + 1);
+          if (!line.startsWith('data:')) continue;
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+          try {
+            const parsed = JSON.parse(payload);
+            if (parsed?.usage) usage = parsed.usage;
+            const delta = parsed?.choices?.[0]?.delta?.content;
+            if (delta) {
+              output += delta;
+              yield delta;
+            }
+          } catch (_) { /* ignore keep-alive or partial lines */ }
+        }
+      }
+    } finally {
+      this.recordUsage(operation, this.usageOf(usage, prompt, output));
+    }
+  }
+
+  async embed(text) {
+    const { data } = await this.client.post('/embeddings', {
+      model: this.config.embeddingModel,
+      input: text,
+    });
+    const vector = data?.data?.[0]?.embedding;
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error('Empty embedding returned');
+    }
+    this.recordUsage('embedding', {
+      model: this.config.embeddingModel,
+      input: text,
+      inputTokens: data?.usage?.prompt_tokens,
+      outputTokens: 0,
+    });
+    return vector;
+  }
+
+  usageOf(usage, input, output) {
+    return {
+      model: this.config.quizModel,
+      input,
+      output,
+      inputTokens: usage?.prompt_tokens,
+      outputTokens: usage?.completion_tokens,
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,203 @@
+/**
+ * Replacing single questions of a saved quiz: regenerating them from the
+ * stored source text or rewriting them with the AI. The question keeps its
+ * position, id and points, and its previous version goes into `editHistory`.
+ */
+
+const geminiService = require('./geminiService');
+const { REWRITE_INSTRUCTIONS } = require('./quizPrompts');
+const { normalizeQuestionFields } = require('./questionTypes');
+const { reviewQuestions } = require('./questionValidator');
+const { PAGE_BREAK, locateSource, isNearDuplicate } = require('./documentSections');
+const usageService = require('./usageService');
+const quizEditService = require('./quizEditService');
+const { verifyBloomLevel } = require('./bloomTaxonomy');
+
+const REWRITE_MODES = Object.keys(REWRITE_INSTRUCTIONS);
+
+// Rewriting the distractors only makes sense for questions with wrong options
+const DISTRACTOR_TYPES = ['mcq', 'multi-select'];
+
+const MAX_HISTORY = 20;
+
+// Question fields that are replaced by an edit and saved in its history entry
+const CONTENT_FIELDS = [
+  'questionText',
+  'options',
+  'blanks',
+  'pairs',
+  'numericAnswer',
+  'correctAnswer',
+  'explanation',
+  'source',
+  'difficulty',
+  'bloomLevel',
+];
+
+/**
+ * Plain copy of the editable fields of a question (without sub-document ids)
+ */
+function snapshot(question) {
+  const plain = typeof question.toObject === 'function' ? question.toObject() : question;
+  const copy = {};
+  for (const field of CONTENT_FIELDS) {
+    if (plain[field] !== undefined) copy[field] = plain[field];
+  }
+  return JSON.parse(JSON.stringify(copy, (key, value) => (key === '_id' ? undefined : value)));
+}
+
+/**
+ * Question as plain data for prompts (without ids and history)
+ */
+function toPromptQuestion(question) {
+  return { type: question.type, points: question.points, ...snapshot(question) };
+}
+
+/**
+ * Stored text of the file a question came from (quizzes generated from
+ * several files), or of the whole source
+ */
+function storedSourceOf(quiz, question) {
+  const file = quiz.sourceContent?.files?.[question?.source?.file];
+  return file ? { text: file.text || '', file: question.source.file } : { text: quiz.sourceContent?.text || '' };
+}
+
+/**
+ * Stored source text with page breaks turned into newlines, for prompts
+ */
+function sourceTextOf(quiz, question) {
+  return storedSourceOf(quiz, question).text.split(PAGE_BREAK).join('\n');
+}
+
+/**
+ * Validate a replacement (repairing it if needed), keeping the original's type
+ * and points, and check its Bloom's level against its wording
+ * @returns {Promise<{ question: Object|null, issues: Object[] }>}
+ */
+async function reviewReplacement(candidate, original, quiz) {
+  const question = normalizeQuestionFields({ ...candidate, type: original.type, points: original.points });
+  const { questions, report } = await reviewQuestions([question], {
+    repair: (q, issues) => geminiService.repairQuestion(q, issues, {
+      language: quiz.language,
+      content: sourceTextOf(quiz, original),
+    }),
+  });
+  const [reviewed] = questions;
+  return {
+    question: reviewed ? { ...reviewed, bloomLevel: verifyBloomLevel(reviewed).level } : null,
+    issues: report,
+  };
+}
+
+/**
+ * Put the replacement in place of the question that was at `index` and record
+ * its previous version. The quiz is only saved if it is still at `version`
+ * (AI calls are slow, and someone may have edited or reordered it meanwhile).
+ * @returns {Promise<Object>} { success, question, version } or { success: false, status, error, version }
+ */
+async function applyEdit(quiz, index, replacement, { action, userId, version }) {
+  const questionId = quiz.questions[index]._id;
+  const result = await quizEditService.commitEdit(quiz, version, (questions) => {
+    const position = questions.findIndex((q) => String(q._id) === String(questionId));
+    if (position === -1) return { status: 404, error: 'Question not found' };
+
+    const current = questions[position];
+    const previous = snapshot(current);
+    for (const field of CONTENT_FIELDS) current[field] = replacement[field];
+    current.editHistory = [
+      ...(current.editHistory || []),
+      { action, previous, editedBy: userId, editedAt: new Date() },
+    ].slice(-MAX_HISTORY);
+    return { index: position };
+  }, { userId, action: action === 'regenerate' ? 'regenerate' : 'rewrite' });
+
+  if (!result.success) return result;
+  return { success: true, question: result.quiz.questions[result.index], version: result.quiz.version };
+}
+
+/**
+ * Replace question `index` with a new question of the same type, generated
+ * from the quiz's stored source text
+ * @param {Quiz} quiz - Quiz document (questions loaded)
+ * @param {number} index - 0-based question index
+ * @param {Object} params - { userId, version (quiz version the edit is made against) }
+ * @returns {Promise<Object>} { success, question, issues, version } or { success: false, status?, error, issues }
+ */
+async function regenerateQuestion(quiz, index, { userId, version }) {
+  await usageService.attributeQuiz(quiz._id);
+  const original = quiz.questions[index];
+  const content = sourceTextOf(quiz, original);
+  if (!content.trim()) {
+    return { success: false, error: 'This quiz has no stored source content to regenerate from' };
+  }
+
+  const otherQuestions = quiz.questions.filter((_, i) => i !== index).map(toPromptQuestion);
+  const generated = await geminiService.regenerateQuestion({
+    content,
+    question: toPromptQuestion(original),
+    otherQuestions,
+    language: quiz.language,
+  });
+  if (!generated) {
+    return { success: false, error: 'Could not generate a new question from the source content' };
+  }
+
+  const { question, issues } = await reviewReplacement(generated, original, quiz);
+  if (!question) {
+    return { success: false, error: 'The new question failed validation', issues };
+  }
+  if (isNearDuplicate(question, [toPromptQuestion(original), ...otherQuestions])) {
+    return { success: false, error: 'The new question repeats an existing one, please try again', issues };
+  }
+
+  // Offsets are into the stored text (of the same file), which is where the new question was generated from
+  const { sourceQuote, ...rest } = question;
+  const stored = storedSourceOf(quiz, original);
+  const source = locateSource(stored.text, {
+    quote: sourceQuote,
+    hint: `${question.questionText} ${question.correctAnswer || ''}`,
+  });
+
+  const result = await applyEdit(quiz, index, { ...rest, source: source ? { ...source, file: stored.file } : undefined }, { action: 'regenerate', userId, version });
+  return { ...result, issues };
+}
+
+/**
+ * Rewrite question `index` as harder, easier, clearer or with new distractors
+ * @param {Quiz} quiz - Quiz document (questions loaded)
+ * @param {number} index - 0-based question index
+ * @param {string} mode - One of REWRITE_MODES
+ * @param {Object} params - { userId, version (quiz version the edit is made against) }
+ * @returns {Promise<Object>} { success, question, issues, version } or { success: false, status?, error, issues }
+ */
+async function rewriteQuestion(quiz, index, mode, { userId, version }) {
+  await usageService.attributeQuiz(quiz._id);
+  const original = quiz.questions[index];
+  if (mode === 'distractors' && !DISTRACTOR_TYPES.includes(original.type)) {
+    return { success: false, error: `${original.type} questions have no distractors to replace` };
+  }
+
+  const rewritten = await geminiService.rewriteQuestion(toPromptQuestion(original), mode, {
+    language: quiz.language,
+    content: sourceTextOf(quiz, original),
+  });
+  if (!rewritten) {
+    return { success: false, error: `Could not rewrite the question (${mode})` };
+  }
+
+  const { question, issues } = await reviewReplacement(rewritten, original, quiz);
+  if (!question) {
+    return { success: false, error: 'The rewritten question failed validation', issues };
+  }
+
+  // A rewrite tests the same material, so it keeps the original source reference
+  const { sourceQuote, ...rest } = question;
+  const result = await applyEdit(quiz, index, { ...rest, source: snapshot(original).source }, { action: mode, userId, version });
+  return { ...result, issues };
+}
+
+module.exports = {
+  REWRITE_MODES,
+  regenerateQuestion,
+  rewriteQuestion,
+};
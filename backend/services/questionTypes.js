@@ -0,0 +1,379 @@
+/**
+ * Per-type question handling: normalising AI output, hiding answers from
+ * quiz takers and grading submissions (with partial credit where it applies).
+ */
+
+const QUESTION_TYPES = [
+  'mcq',
+  'true-false',
+  'short-answer',
+  'fill-blank',
+  'multi-select',
+  'matching',
+  'ordering',
+  'numeric',
+  'essay',
+];
+
+// Essays are graded by a teacher (see services/gradingService)
+const MANUAL_TYPES = ['essay'];
+
+const { matchShortAnswer } = require('./answerMatching');
+
+const BLANK_PATTERN = /_{3,}/;
+
+/**
+ * FNV-1a string hash, used for stable shuffles
+ */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Shuffle that is stable for a given seed, so a question shows the same
+ * order every time it is fetched
+ */
+function stableShuffle(items, seed) {
+  return [...items].sort((a, b) => hash(seed + String(a)) - hash(seed + String(b)));
+}
+
+function normalizeText(value) {
+  return String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return [value];
+}
+
+/**
+ * Parse a numeric answer; accepts Bengali digits and thousands separators
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const cleaned = String(value ?? '')
+    .replace(/[০-৯]/g, (d) => String(d.charCodeAt(0) - 0x09e6))
+    .replace(/,/g, '')
+    .trim();
+  if (!cleaned) return NaN;
+  return Number(cleaned.match(/^[-+]?\d*\.?\d+(e[-+]?\d+)?/i)?.[0]);
+}
+
+/**
+ * Human readable correct answer, shown in results and review screens
+ */
+function formatCorrectAnswer(q) {
+  switch (q.type) {
+    case 'multi-select':
+      return (q.options || []).filter((o) => o.isCorrect).map((o) => o.text).join(', ');
+    case 'matching':
+      return (q.pairs || []).map((p) => `${p.left} → ${p.right}`).join('; ');
+    case 'ordering':
+      return (q.options || []).map((o) => o.text).join(' → ');
+    case 'fill-blank':
+      return (q.blanks || []).map((b) => b.answers?.[0] || '').join(', ');
+    case 'numeric': {
+      const { value, tolerance, unit } = q.numericAnswer || {};
+      if (!Number.isFinite(value)) return q.correctAnswer || '';
+      return `${value}${tolerance ? ` ± ${tolerance}` : ''}${unit ? ` ${unit}` : ''}`;
+    }
+    default:
+      return q.correctAnswer || '';
+  }
+}
+
+/**
+ * Clean an essay rubric: criteria need a name and at least one level with
+ * non-negative points
+ * @returns {Object[]} [{ criterion, description, levels: [{ label, description, points }] }]
+ */
+function normalizeRubric(rubric) {
+  return (Array.isArray(rubric) ? rubric : [])
+    .map((c) => ({
+      // Ids are kept so teachers' rubric scores still point at their criterion after an edit
+      ...(c?._id && { _id: c._id }),
+      criterion: String(c?.criterion ?? '').trim(),
+      description: String(c?.description ?? '').trim(),
+      levels: (Array.isArray(c?.levels) ? c.levels : [])
+        .map((l) => ({
+          ...(l?._id && { _id: l._id }),
+          label: String(l?.label ?? '').trim(),
+          description: String(l?.description ?? '').trim(),
+          points: Number(l?.points),
+        }))
+        .filter((l) => l.label && Number.isFinite(l.points) && l.points >= 0)
+        .slice(0, 6),
+    }))
+    .filter((c) => c.criterion && c.levels.length > 0)
+    .slice(0, 10);
+}
+
+/**
+ * Points an essay can earn with a rubric: the top level of every criterion
+ */
+function rubricPoints(rubric = []) {
+  return rubric.reduce((sum, c) => sum + Math.max(0, ...(c.levels || []).map((l) => l.points)), 0);
+}
+
+/**
+ * Coerce the type-specific fields of a (usually AI-generated) question into
+ * the shape the schema and grader expect. `q.type` must already be set.
+ */
+function normalizeQuestionFields(q) {
+  const question = { ...q };
+  const options = Array.isArray(q.options) ? q.options : [];
+
+  switch (q.type) {
+    case 'fill-blank': {
+      let blanks = Array.isArray(q.blanks) ? q.blanks : [];
+      blanks = blanks
+        .map((b) => ({ answers: toArray(b?.answers ?? b).map(String).filter(Boolean) }))
+        .filter((b) => b.answers.length > 0);
+      if (blanks.length === 0 && q.correctAnswer) {
+        blanks = String(q.correctAnswer).split('|').map((a) => ({ answers: [a.trim()] }));
+      }
+      question.blanks = blanks;
+      question.options = [];
+      if (!BLANK_PATTERN.test(question.questionText || '')) {
+        question.questionText = `${question.questionText || ''} _____`.trim();
+      }
+      break;
+    }
+    case 'matching':
+      question.pairs = (Array.isArray(q.pairs) ? q.pairs : [])
+        .filter((p) => p && p.left && p.right)
+        .map((p) => ({ left: String(p.left), right: String(p.right) }));
+      question.options = [];
+      break;
+    case 'ordering':
+      // Options are stored in the correct order
+      question.options = options.map((o) => ({ text: String(o?.text ?? o), isCorrect: true }));
+      break;
+    case 'numeric': {
+      const source = q.numericAnswer || {};
+      const value = parseNumber(source.value ?? q.correctAnswer);
+      const tolerance = Math.abs(parseNumber(source.tolerance));
+      question.numericAnswer = {
+        value: Number.isFinite(value) ? value : undefined,
+        tolerance: Number.isFinite(tolerance) ? tolerance : 0,
+        unit: source.unit || undefined,
+      };
+      question.options = [];
+      break;
+    }
+    case 'short-answer':
+      // Other phrasings that earn full marks, besides correctAnswer
+      question.acceptedAnswers = [...new Set(toArray(q.acceptedAnswers)
+        .map((answer) => String(answer).trim())
+        .filter(Boolean))]
+        .slice(0, 20);
+      break;
+    case 'essay':
+      // correctAnswer holds a model answer, used for AI-suggested scores
+      question.essayRubric = normalizeRubric(q.essayRubric);
+      question.options = [];
+      if (rubricPoints(question.essayRubric) > 0) question.points = rubricPoints(question.essayRubric);
+      break;
+    default:
+      break;
+  }
+
+  question.correctAnswer = q.correctAnswer || formatCorrectAnswer(question);
+  return question;
+}
+
+/**
+ * Copy of a question that is safe to send to someone taking the quiz
+ * @param {Object} q - Plain question object
+ */
+function toPublicQuestion(q) {
+  const seed = String(q._id || q.questionText || '');
+  const question = {
+    ...q,
+    correctAnswer: undefined,
+    explanation: undefined,
+    source: undefined,
+    editHistory: undefined,
+    acceptedAnswers: undefined,
+    rubric: undefined,
+    options: q.options?.map((o) => ({ ...o, isCorrect: undefined })),
+  };
+
+  switch (q.type) {
+    case 'ordering':
+      question.options = stableShuffle((q.options || []).map((o) => o.text), seed + ':order')
+        .map((text) => ({ text }));
+      break;
+    case 'matching':
+      question.pairs = (q.pairs || []).map((p) => ({ _id: p._id, left: p.left }));
+      question.matchOptions = stableShuffle((q.pairs || []).map((p) => p.right), seed + ':match');
+      break;
+    case 'fill-blank':
+      question.blanks = undefined;
+      question.blankCount = (q.blanks || []).length;
+      break;
+    case 'numeric':
+      question.numericAnswer = q.numericAnswer?.unit ? { unit: q.numericAnswer.unit } : undefined;
+      break;
+    default:
+      break;
+  }
+  return question;
+}
+
+/**
+ * Grade one answer
+ * @param {Object} question - Quiz question
+ * @param {*} userAnswer - String, array or object depending on the type
+ * @returns {{ isCorrect: boolean, credit: number, pointsEarned: number, grading?: Object }}
+ *   `grading` ({ method, reasoning, ... }, see answerMatching) is set for short answers and essays
+ */
+function gradeAnswer(question, userAnswer) {
+  let credit = 0;
+  let grading;
+
+  switch (question.type) {
+    case 'mcq': {
+      const correctOption = question.options.find((o) => o.isCorrect);
+      credit = userAnswer === correctOption?.text ? 1 : 0;
+      break;
+    }
+    case 'true-false':
+      credit = userAnswer === question.correctAnswer ? 1 : 0;
+      break;
+    case 'fill-blank': {
+      const blanks = question.blanks || [];
+      const given = Array.isArray(userAnswer) ? userAnswer : [userAnswer];
+      const correct = blanks.filter((blank, i) =>
+        blank.answers.some((a) => normalizeText(a) === normalizeText(given[i]))
+      ).length;
+      credit = blanks.length ? correct / blanks.length : 0;
+      break;
+    }
+    case 'multi-select': {
+      // Each right pick earns a share, each wrong pick takes one back
+      const correctTexts = question.options.filter((o) => o.isCorrect).map((o) => o.text);
+      const selected = [...new Set(toArray(userAnswer))];
+      const right = selected.filter((s) => correctTexts.includes(s)).length;
+      const wrong = selected.length - right;
+      credit = correctTexts.length ? Math.max(0, (right - wrong) / correctTexts.length) : 0;
+      break;
+    }
+    case 'matching': {
+      // Accepts { left: right } or an array of rights in left order
+      const pairs = question.pairs || [];
+      const matched = pairs.filter((p, i) => {
+        const given = Array.isArray(userAnswer) ? userAnswer[i] : userAnswer?.[p.left];
+        return normalizeText(given) === normalizeText(p.right);
+      }).length;
+      credit = pairs.length ? matched / pairs.length : 0;
+      break;
+    }
+    case 'ordering': {
+      // One share per item in its correct position
+      const expected = question.options.map((o) => o.text);
+      const given = toArray(userAnswer);
+      const inPlace = expected.filter((text, i) => normalizeText(given[i]) === normalizeText(text)).length;
+      credit = expected.length ? inPlace / expected.length : 0;
+      break;
+    }
+    case 'essay':
+      // Left for a teacher; empty essays need no grading
+      grading = String(userAnswer ?? '').trim()
+        ? { credit: 0, method: 'pending', reasoning: 'Waiting for a teacher to grade this answer.' }
+        : { credit: 0, method: 'empty', reasoning: 'No answer was given.' };
+      credit = 0;
+      break;
+    case 'numeric': {
+      const { value, tolerance = 0 } = question.numericAnswer || {};
+      const given = parseNumber(userAnswer);
+      const target = Number.isFinite(value) ? value : parseNumber(question.correctAnswer);
+      credit = Number.isFinite(given) && Number.isFinite(target) && Math.abs(given - target) <= tolerance ? 1 : 0;
+      break;
+    }
+    default:
+      // Short answer: exact, normalised, accepted-alternative or fuzzy match
+      grading = matchShortAnswer(question, userAnswer);
+      credit = grading.credit;
+      break;
+  }
+
+  return { ...creditResult(question, credit), ...(grading && { grading }) };
+}
+
+/**
+ * isCorrect and pointsEarned for a share (0-1) of a question's points
+ */
+function creditResult(question, credit) {
+  const points = question.points ?? 1;
+  return {
+    isCorrect: credit === 1,
+    credit,
+    pointsEarned: Math.round(points * credit * 100) / 100,
+  };
+}
+
+/**
+ * Grade a full submission
+ * @param {Object} quiz - Quiz document
+ * @param {Array} answers - Answers indexed like quiz.questions
+ * @returns {Object} { detailedAnswers, score, correctAnswers, totalPoints, percentage }
+ */
+function gradeQuiz(quiz, answers = []) {
+  const detailedAnswers = quiz.questions.map((question, index) => {
+    const userAnswer = answers?.[index];
+    const { isCorrect, credit, pointsEarned, grading } = gradeAnswer(question, userAnswer);
+
+    return {
+      questionId: question._id,
+      userAnswer,
+      isCorrect,
+      credit,
+      pointsEarned,
+      ...(grading && { grading }),
+      correctAnswer: formatCorrectAnswer(question),
+      explanation: question.explanation,
+      source: question.source
+    };
+  });
+
+  return { detailedAnswers, ...scoreAnswers(quiz, detailedAnswers) };
+}
+
+/**
+ * Totals for graded answers, e.g. after some were regraded or overridden
+ * @param {Object} quiz - Quiz the answers belong to (for the points available)
+ * @param {Object[]} detailedAnswers - { isCorrect, pointsEarned } per answer
+ * @returns {Object} { score, correctAnswers, totalPoints, percentage }
+ */
+function scoreAnswers(quiz, detailedAnswers) {
+  const totalPoints = quiz.questions.reduce((sum, question) => sum + (question.points ?? 1), 0);
+  const score = Math.round(detailedAnswers.reduce((sum, answer) => sum + (answer.pointsEarned || 0), 0) * 100) / 100;
+  return {
+    score,
+    correctAnswers: detailedAnswers.filter((answer) => answer.isCorrect).length,
+    totalPoints,
+    percentage: totalPoints ? (score / totalPoints) * 100 : 0,
+  };
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  MANUAL_TYPES,
+  parseNumber,
+  formatCorrectAnswer,
+  normalizeRubric,
+  rubricPoints,
+  normalizeQuestionFields,
+  toPublicQuestion,
+  gradeAnswer,
+  creditResult,
+  gradeQuiz,
+  scoreAnswers,
+};
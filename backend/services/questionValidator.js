@@ -0,0 +1,284 @@
+/**
+ * Type-specific validation of AI-generated questions, with cheap local fixes
+ * and an optional AI repair step for whatever is still broken.
+ */
+
+const { normalizeQuestionFields, formatCorrectAnswer } = require('./questionTypes');
+const { findMathErrors } = require('./mathMarkup');
+
+const ISSUE_MESSAGES = {
+  'missing-text': 'The question text is empty',
+  'too-few-options': 'There are too few options',
+  'empty-option': 'An option has no text',
+  'duplicate-options': 'Two or more options have the same text',
+  'no-correct-option': 'No option is marked correct',
+  'multiple-correct-options': 'More than one option is marked correct',
+  'too-few-correct-options': 'Fewer than two options are marked correct',
+  'no-incorrect-option': 'Every option is marked correct',
+  'invalid-true-false': 'The options must be exactly "True" and "False" with one of them correct',
+  'missing-answer': 'The correct answer is missing',
+  'answer-in-question': 'The correct answer appears in the question text',
+  'blank-mismatch': 'The number of "_____" blanks does not match the accepted answers',
+  'too-few-pairs': 'There are fewer than two matching pairs',
+  'duplicate-pairs': 'Matching pairs repeat a left or right item',
+  'too-few-items': 'There are fewer than three items to order',
+  'invalid-number': 'The numeric answer is not a number',
+  'invalid-math': 'A formula is not valid LaTeX',
+};
+
+function normalizeText(value) {
+  return String(value ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function hasDuplicates(values) {
+  const normalized = values.map(normalizeText);
+  return new Set(normalized).size !== normalized.length;
+}
+
+/**
+ * Whether `answer` appears as a whole phrase in the question text
+ */
+function leaksAnswer(questionText, answer) {
+  const needle = normalizeText(answer);
+  if (needle.length < 4) return false;
+  const haystack = normalizeText(questionText);
+  const index = haystack.indexOf(needle);
+  if (index === -1) return false;
+  const before = haystack[index - 1];
+  const after = haystack[index + needle.length];
+  const isWordChar = (ch) => ch !== undefined && /[\p{L}\p{M}\p{N}]/u.test(ch);
+  return !isWordChar(before) && !isWordChar(after);
+}
+
+/**
+ * LaTeX errors in any text a quiz taker sees (see mathMarkup)
+ */
+function mathErrors(q) {
+  return [
+    q.questionText,
+    q.explanation,
+    q.correctAnswer,
+    ...(q.options || []).map((o) => o.text),
+    ...(q.pairs || []).flatMap((p) => [p.left, p.right]),
+    ...(q.blanks || []).flatMap((b) => b.answers || []),
+  ].filter((text) => typeof text === 'string').flatMap(findMathErrors);
+}
+
+/**
+ * Check a question against the rules for its type
+ * @param {Object} q - Normalised question
+ * @returns {string[]} Issue codes (empty when valid)
+ */
+function validateQuestion(q) {
+  const issues = [];
+  const options = q.options || [];
+  const correct = options.filter((o) => o.isCorrect);
+
+  if (!String(q.questionText || '').trim()) issues.push('missing-text');
+
+  switch (q.type) {
+    case 'mcq':
+      if (options.length < 3) issues.push('too-few-options');
+      if (options.some((o) => !String(o.text || '').trim())) issues.push('empty-option');
+      if (hasDuplicates(options.map((o) => o.text))) issues.push('duplicate-options');
+      if (correct.length === 0) issues.push('no-correct-option');
+      if (correct.length > 1) issues.push('multiple-correct-options');
+      if (correct.length === 1 && leaksAnswer(q.questionText, correct[0].text)) issues.push('answer-in-question');
+      break;
+    case 'true-false': {
+      const texts = options.map((o) => o.text).sort();
+      if (options.length !== 2 || texts[0] !== 'False' || texts[1] !== 'True' || correct.length !== 1
+        || !['True', 'False'].includes(q.correctAnswer) || correct[0].text !== q.correctAnswer) {
+        issues.push('invalid-true-false');
+      }
+      break;
+    }
+    case 'multi-select':
+      if (options.length < 3) issues.push('too-few-options');
+      if (options.some((o) => !String(o.text || '').trim())) issues.push('empty-option');
+      if (hasDuplicates(options.map((o) => o.text))) issues.push('duplicate-options');
+      if (correct.length < 2) issues.push('too-few-correct-options');
+      if (options.length > 0 && correct.length === options.length) issues.push('no-incorrect-option');
+      break;
+    case 'fill-blank': {
+      const blanks = q.blanks || [];
+      const blankCount = (String(q.questionText || '').match(/_{3,}/g) || []).length;
+      if (blanks.length === 0) issues.push('missing-answer');
+      else if (blankCount !== blanks.length) issues.push('blank-mismatch');
+      if (blanks.some((b) => b.answers.some((a) => leaksAnswer(q.questionText, a)))) issues.push('answer-in-question');
+      break;
+    }
+    case 'matching': {
+      const pairs = q.pairs || [];
+      if (pairs.length < 2) issues.push('too-few-pairs');
+      if (hasDuplicates(pairs.map((p) => p.left)) || hasDuplicates(pairs.map((p) => p.right))) issues.push('duplicate-pairs');
+      break;
+    }
+    case 'ordering':
+      if (options.length < 3) issues.push('too-few-items');
+      if (options.some((o) => !String(o.text || '').trim())) issues.push('empty-option');
+      if (hasDuplicates(options.map((o) => o.text))) issues.push('duplicate-options');
+      break;
+    case 'numeric':
+      if (!Number.isFinite(q.numericAnswer?.value)) issues.push('invalid-number');
+      break;
+    case 'essay':
+      // Graded by a teacher; the model answer and rubric are optional
+      break;
+    default:
+      if (!String(q.correctAnswer || '').trim()) issues.push('missing-answer');
+      else if (leaksAnswer(q.questionText, q.correctAnswer)) issues.push('answer-in-question');
+      break;
+  }
+
+  if (mathErrors(q).length > 0) issues.push('invalid-math');
+
+  return issues;
+}
+
+/**
+ * Apply the fixes that need no AI: drop duplicate/empty options, normalise
+ * True/False spelling and use `correctAnswer` to settle the correct option
+ * @returns {Object} Fixed copy of the question
+ */
+function autoFix(q) {
+  const question = { ...q };
+
+  if (['mcq', 'multi-select', 'ordering'].includes(q.type)) {
+    const seen = new Map();
+    for (const option of q.options || []) {
+      const key = normalizeText(option.text);
+      if (!key) continue;
+      if (seen.has(key)) {
+        seen.get(key).isCorrect = seen.get(key).isCorrect || !!option.isCorrect;
+      } else {
+        seen.set(key, { text: String(option.text).trim(), isCorrect: !!option.isCorrect });
+      }
+    }
+    question.options = [...seen.values()];
+  }
+
+  if (q.type === 'mcq') {
+    const byAnswer = question.options.find((o) => normalizeText(o.text) === normalizeText(q.correctAnswer));
+    const correctCount = question.options.filter((o) => o.isCorrect).length;
+    if (byAnswer && correctCount !== 1) {
+      question.options = question.options.map((o) => ({ ...o, isCorrect: o === byAnswer }));
+    }
+    const correct = question.options.filter((o) => o.isCorrect);
+    if (correct.length === 1) question.correctAnswer = correct[0].text;
+  }
+
+  if (q.type === 'true-false') {
+    const toBool = (value) => {
+      const text = normalizeText(value);
+      if (['true', 't', 'yes', 'correct', 'সত্য', 'সঠিক'].includes(text)) return 'True';
+      if (['false', 'f', 'no', 'incorrect', 'মিথ্যা', 'ভুল'].includes(text)) return 'False';
+      return null;
+    };
+    const fromOptions = (q.options || []).filter((o) => o.isCorrect).map((o) => toBool(o.text)).filter(Boolean);
+    const answer = toBool(q.correctAnswer) || (fromOptions.length === 1 ? fromOptions[0] : null);
+    if (answer) {
+      question.correctAnswer = answer;
+      question.options = [
+        { text: 'True', isCorrect: answer === 'True' },
+        { text: 'False', isCorrect: answer === 'False' },
+      ];
+    }
+  }
+
+  if (q.type === 'mcq' || q.type === 'true-false') return question;
+  return { ...question, correctAnswer: formatCorrectAnswer(question) || question.correctAnswer };
+}
+
+/**
+ * Issue messages for the repair prompt; math errors quote the formula and the parser's complaint
+ */
+function describeIssues(issues, question) {
+  return issues.map((code) => {
+    if (code !== 'invalid-math' || !question) return ISSUE_MESSAGES[code] || code;
+    const details = mathErrors(question).map((error) => `"${error.tex}" (${error.message})`);
+    return `${ISSUE_MESSAGES[code]}: ${details.join('; ')}`;
+  });
+}
+
+/**
+ * Validate questions, fix what can be fixed locally and ask `repair` to
+ * regenerate the rest. Questions that are still invalid are dropped.
+ * @param {Object[]} questions - Normalised questions
+ * @param {Object} [options]
+ * @param {Function} [options.repair] - async (question, issueMessages) => repaired question | null
+ * @returns {Promise<{ questions: Object[], report: Object[] }>} Accepted questions and one
+ *   report entry per question that had issues ({ questionText, issues, action })
+ */
+async function reviewQuestions(questions, { repair } = {}) {
+  const accepted = [];
+  const report = [];
+
+  for (const original of questions) {
+    const issues = validateQuestion(original);
+    if (issues.length === 0) {
+      accepted.push(original);
+      continue;
+    }
+
+    const entry = { questionText: original.questionText, type: original.type, issues, action: 'dropped' };
+    report.push(entry);
+
+    const fixed = autoFix(original);
+    if (validateQuestion(fixed).length === 0) {
+      entry.action = 'fixed';
+      accepted.push(fixed);
+      continue;
+    }
+
+    if (typeof repair === 'function') {
+      try {
+        const remaining = validateQuestion(fixed);
+        const repaired = await repair(fixed, describeIssues(remaining, fixed));
+        if (repaired) {
+          const candidate = normalizeQuestionFields({ ...repaired, type: original.type, points: original.points });
+          const candidateIssues = validateQuestion(candidate);
+          if (candidateIssues.length === 0) {
+            entry.action = 'repaired';
+            accepted.push({
+              ...candidate,
+              bloomLevel: candidate.bloomLevel || original.bloomLevel,
+              source: original.source,
+              sourceQuote: candidate.sourceQuote || original.sourceQuote,
+            });
+            continue;
+          }
+          entry.repairIssues = candidateIssues;
+        }
+      } catch (error) {
+        console.error('Question repair error:', error.message);
+        entry.error = error.message;
+      }
+    }
+  }
+
+  return { questions: accepted, report };
+}
+
+/**
+ * Per-quiz quality report from the review entries of every batch/section
+ */
+function summarizeQuality(checked, entries) {
+  const count = (action) => entries.filter((e) => e.action === action).length;
+  return {
+    checked,
+    valid: checked - entries.length,
+    fixed: count('fixed'),
+    repaired: count('repaired'),
+    dropped: count('dropped'),
+    issues: entries,
+  };
+}
+
+module.exports = {
+  ISSUE_MESSAGES,
+  validateQuestion,
+  autoFix,
+  reviewQuestions,
+  summarizeQuality,
+};
@@ -0,0 +1,345 @@
+/**
+ * Manual edits to the questions of a saved quiz, one question at a time:
+ * adding, changing, deleting, duplicating and reordering them, as well as
+ * replacing them all and rolling the whole quiz back to an earlier revision. Every edit names the quiz
+ * version it was made against and is refused (409) once someone else has
+ * saved the quiz, instead of overwriting their change. AI rewrites (see
+ * questionEditService) and attachment changes are saved through commitEdit too.
+ */
+
+const Quiz = require('../models/Quiz');
+const QuizRevision = require('../models/QuizRevision');
+const QuestionDoc = require('../models/Question');
+const AnswerOption = require('../models/AnswerOption');
+const { QUESTION_TYPES, normalizeQuestionFields } = require('./questionTypes');
+const { ISSUE_MESSAGES, validateQuestion } = require('./questionValidator');
+const { persistQuestionDocs } = require('./quizGenerationService');
+const mediaService = require('./mediaService');
+const revisionService = require('./revisionService');
+
+// Fields a client may set; media has its own endpoints and history is kept by the server
+const EDITABLE_FIELDS = [
+  'questionText',
+  'type',
+  'options',
+  'blanks',
+  'pairs',
+  'numericAnswer',
+  'correctAnswer',
+  'acceptedAnswers',
+  'rubric',
+  'essayRubric',
+  'explanation',
+  'difficulty',
+  'bloomLevel',
+  'points',
+];
+
+// Quality hints that don't make a question unusable, reported without refusing the edit
+const ADVISORY_ISSUES = ['answer-in-question', 'invalid-math'];
+
+const MAX_QUESTIONS = 200;
+
+/**
+ * Query value matching a quiz at `version` (quizzes saved before versioning
+ * have no version stored and count as version 1)
+ */
+function versionFilter(version) {
+  return version === 1 ? { $in: [1, null] } : version;
+}
+
+function conflict(version) {
+  return {
+    success: false,
+    status: 409,
+    error: 'This quiz was changed by someone else. Reload it and try again.',
+    version,
+  };
+}
+
+/**
+ * Normalise and validate a question against the rules for its type
+ * @param {Object} fields - Fields sent by the client
+ * @param {Object} [base] - Current question, for partial updates
+ * @returns {Object} { question, issues } or { status, error, issues }
+ */
+function prepareQuestion(fields, base = {}) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { status: 400, error: 'question must be an object' };
+  }
+
+  const changes = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] !== undefined) changes[field] = fields[field];
+  }
+  const merged = { ...base, ...changes };
+
+  if (!QUESTION_TYPES.includes(merged.type)) {
+    return { status: 400, error: `type must be one of: ${QUESTION_TYPES.join(', ')}` };
+  }
+  if (merged.points !== undefined && !(Number(merged.points) > 0)) {
+    return { status: 400, error: 'points must be a positive number' };
+  }
+
+  // Unless it was given, work the correct answer out again from the changed fields
+  if (changes.correctAnswer === undefined
+    && ['type', 'options', 'blanks', 'pairs', 'numericAnswer'].some((field) => changes[field] !== undefined)) {
+    const correct = (merged.options || []).filter((o) => o?.isCorrect);
+    merged.correctAnswer = ['mcq', 'true-false'].includes(merged.type) && correct.length === 1 ? correct[0].text : undefined;
+  }
+
+  const question = normalizeQuestionFields({ ...merged, points: merged.points === undefined ? undefined : Number(merged.points) });
+  const issues = validateQuestion(question).map((code) => ({ code, message: ISSUE_MESSAGES[code] }));
+  const blocking = issues.filter((issue) => !ADVISORY_ISSUES.includes(issue.code));
+  if (blocking.length > 0) {
+    return { status: 400, error: blocking[0].message, issues };
+  }
+  return { question, issues };
+}
+
+/**
+ * Rebuild the mirrored question documents and answer options of a quiz
+ */
+async function resyncQuestionDocs(quiz) {
+  const docs = await QuestionDoc.find({ quizId: quiz._id }).select('_id');
+  await AnswerOption.deleteMany({ questionId: { $in: docs.map((doc) => doc._id) } });
+  await QuestionDoc.deleteMany({ quizId: quiz._id });
+  await persistQuestionDocs(quiz);
+}
+
+/**
+ * Apply `edit` to a copy of the quiz's questions and save the result if the
+ * quiz is still at `version`, bumping it and recording the new revision
+ * @param {Quiz} quiz - Quiz document
+ * @param {number} version - Version the client last saw
+ * @param {Function} edit - Receives the plain question list and changes it in
+ *   place; returns extra result fields (`fields` are other quiz fields to set),
+ *   or { status, error } to cancel
+ * @param {Object} revision - { userId, action, restoredFrom } for the revision
+ * @returns {Promise<Object>} { success, quiz, revision, ... } or { success: false, status, error }
+ */
+async function commitEdit(quiz, version, edit, { userId, action, restoredFrom }) {
+  if (!Number.isInteger(version) || version < 1) {
+    return { success: false, status: 400, error: 'version must be the quiz version the edit was made against' };
+  }
+  if (version !== quiz.version) return conflict(quiz.version);
+
+  const questions = quiz.questions.map((q) => q.toObject());
+  const { fields, ...result } = edit(questions);
+  if (result.error) return { success: false, ...result };
+
+  let updated;
+  try {
+    updated = await Quiz.findOneAndUpdate(
+      { _id: quiz._id, version: versionFilter(version) },
+      { $set: { ...fields, questions, version: version + 1 } },
+      { new: true, runValidators: true }
+    );
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { success: false, status: 400, error: Object.values(error.errors)[0]?.message || error.message };
+  }
+  if (!updated) {
+    const latest = await Quiz.findById(quiz._id).select('version');
+    return conflict(latest?.version);
+  }
+
+  try {
+    await resyncQuestionDocs(updated);
+  } catch (e) { console.warn('Failed to sync question/answers:', e.message); }
+
+  const revision = await revisionService.recordSave(updated, { author: userId, action, restoredFrom });
+  return { success: true, quiz: updated, revision, ...result };
+}
+
+function indexOfQuestion(questions, questionId) {
+  return questions.findIndex((q) => String(q._id) === String(questionId));
+}
+
+function questionNotFound() {
+  return { status: 404, error: 'Question not found' };
+}
+
+/**
+ * Add a question, at the end or at 0-based `position`
+ * @returns {Promise<Object>} { success, quiz, question, index, issues } or an error
+ */
+async function addQuestion(quiz, version, fields, position, { userId } = {}) {
+  return commitEdit(quiz, version, (questions) => {
+    if (questions.length >= MAX_QUESTIONS) {
+      return { status: 400, error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+    }
+    const prepared = prepareQuestion({ type: 'mcq', ...fields });
+    if (prepared.error) return prepared;
+
+    const index = Number.isInteger(position) ? Math.min(Math.max(position, 0), questions.length) : questions.length;
+    questions.splice(index, 0, prepared.question);
+    return { index, issues: prepared.issues };
+  }, { userId, action: 'add-question' }).then(withQuestion);
+}
+
+/**
+ * Change some fields of a question; the question keeps its id, media and
+ * history, so attempts and grades still refer to it
+ */
+async function updateQuestion(quiz, version, questionId, fields, { userId } = {}) {
+  return commitEdit(quiz, version, (questions) => {
+    const index = indexOfQuestion(questions, questionId);
+    if (index === -1) return questionNotFound();
+
+    const current = questions[index];
+    const prepared = prepareQuestion(fields, current);
+    if (prepared.error) return prepared;
+
+    questions[index] = { ...prepared.question, _id: current._id, media: current.media, editHistory: current.editHistory };
+    return { index, issues: prepared.issues };
+  }, { userId, action: 'update-question' }).then(withQuestion);
+}
+
+/**
+ * Remove a question (a quiz keeps at least one) and the media only it used
+ */
+async function deleteQuestion(quiz, version, questionId, { userId } = {}) {
+  let removed;
+  const result = await commitEdit(quiz, version, (questions) => {
+    const index = indexOfQuestion(questions, questionId);
+    if (index === -1) return questionNotFound();
+    if (questions.length === 1) {
+      return { status: 400, error: 'A quiz needs at least one question' };
+    }
+    [removed] = questions.splice(index, 1);
+    return { index };
+  }, { userId, action: 'delete-question' });
+
+  if (result.success) await mediaService.removeUnreferenced((removed.media || []).map((m) => m.filename));
+  return result;
+}
+
+/**
+ * Insert a copy of a question right after it; the copy shares the original's
+ * media files and starts without edit history
+ */
+async function duplicateQuestion(quiz, version, questionId, { userId } = {}) {
+  return commitEdit(quiz, version, (questions) => {
+    const index = indexOfQuestion(questions, questionId);
+    if (index === -1) return questionNotFound();
+    if (questions.length >= MAX_QUESTIONS) {
+      return { status: 400, error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+    }
+
+    // Dropping the ids gives the copy (and its options, blanks, ...) ids of its own
+    const copy = JSON.parse(JSON.stringify(questions[index], (key, value) => (key === '_id' ? undefined : value)));
+    questions.splice(index + 1, 0, { ...copy, editHistory: [] });
+    return { index: index + 1 };
+  }, { userId, action: 'duplicate-question' }).then(withQuestion);
+}
+
+/**
+ * Put the questions in a new order
+ * @param {string[]} order - Every question id of the quiz, each once
+ */
+async function reorderQuestions(quiz, version, order, { userId } = {}) {
+  return commitEdit(quiz, version, (questions) => {
+    const ids = Array.isArray(order) ? order.map(String) : [];
+    const current = questions.map((q) => String(q._id));
+    if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every((id) => current.includes(id))) {
+      return { status: 400, error: 'order must list every question id of the quiz exactly once' };
+    }
+
+    const byId = new Map(questions.map((q) => [String(q._id), q]));
+    questions.splice(0, questions.length, ...ids.map((id) => byId.get(id)));
+    return {};
+  }, { userId, action: 'reorder' });
+}
+
+/**
+ * Change the attachments of one question: `change` receives the question's
+ * plain media list and changes it in place, returning extra result fields or
+ * { status, error } to cancel
+ */
+async function updateQuestionMedia(quiz, version, questionId, change, { userId } = {}) {
+  return commitEdit(quiz, version, (questions) => {
+    const index = indexOfQuestion(questions, questionId);
+    if (index === -1) return questionNotFound();
+    questions[index].media = questions[index].media || [];
+    return { index, ...change(questions[index].media) };
+  }, { userId, action: 'media' });
+}
+
+/**
+ * Restore the content of an earlier revision as a new version. Questions that
+ * still exist keep their edit history; visibility and status stay as they are.
+ * @param {number} revisionVersion - Version to roll back to
+ */
+async function restoreRevision(quiz, version, revisionVersion, { userId } = {}) {
+  const revision = Number.isInteger(revisionVersion)
+    ? await QuizRevision.findOne({ quiz: quiz._id, version: revisionVersion })
+    : null;
+  if (!revision) return { success: false, status: 404, error: 'Revision not found' };
+
+  return commitEdit(quiz, version, (questions) => {
+    const history = new Map(questions.map((q) => [String(q._id), q.editHistory]));
+    const { questions: restored = [], ...fields } = revision.snapshot;
+    questions.splice(0, questions.length, ...restored.map((q) => ({ ...q, editHistory: history.get(String(q._id)) || [] })));
+    return { fields };
+  }, { userId, action: 'rollback', restoredFrom: revision.version });
+}
+
+/**
+ * Replace every question at once (a full-quiz update), checking each one like
+ * a single-question edit. Questions sent with the id of an existing one keep
+ * it and its edit history; their media can be reordered or dropped, not added.
+ * @param {Object[]} list - The new questions
+ * @param {Object} [params] - { userId, fields }, `fields` being other quiz fields saved with them
+ * @returns {Promise<Object>} { success, quiz, issues } or an error; `issues` carry the question's `index`
+ */
+async function replaceQuestions(quiz, version, list, { userId, fields } = {}) {
+  return commitEdit(quiz, version, (questions) => {
+    if (!Array.isArray(list) || list.length === 0) {
+      return { status: 400, error: 'questions must be a non-empty array' };
+    }
+    if (list.length > MAX_QUESTIONS) {
+      return { status: 400, error: `A quiz can have at most ${MAX_QUESTIONS} questions` };
+    }
+
+    const prepared = list.map((question) => prepareQuestion(question));
+    const issues = prepared.flatMap((result, index) => (result.issues || []).map((issue) => ({ index, ...issue })));
+    const failed = prepared.findIndex((result) => result.error);
+    if (failed !== -1) {
+      return { status: 400, error: `Question ${failed + 1}: ${prepared[failed].error}`, issues };
+    }
+
+    const current = new Map(questions.map((q) => [String(q._id), q]));
+    const replaced = list.map((sent, index) => {
+      const existing = current.get(String(sent._id));
+      return {
+        ...prepared[index].question,
+        ...(existing && { _id: existing._id, editHistory: existing.editHistory }),
+        media: sent.media,
+      };
+    });
+    questions.splice(0, questions.length, ...mediaService.keepKnownMedia(quiz, replaced));
+    return { fields, issues };
+  }, { userId, action: 'edit' });
+}
+
+/**
+ * Add the saved question at `index` to a successful result
+ */
+function withQuestion(result) {
+  return result.success ? { ...result, question: result.quiz.questions[result.index] } : result;
+}
+
+module.exports = {
+  versionFilter,
+  resyncQuestionDocs,
+  commitEdit,
+  addQuestion,
+  updateQuestion,
+  deleteQuestion,
+  duplicateQuestion,
+  reorderQuestions,
+  updateQuestionMedia,
+  replaceQuestions,
+  restoreRevision,
+};
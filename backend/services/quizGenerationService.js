@@ -1,50 +1,621 @@
-const { extractText } = require('./textExtractor');
-const { generateQuizContent } = require('./geminiService');
 const Quiz = require('../models/Quiz');
-const { createQuizVector } = require('./vectorSearchService');
+const QuestionDoc = require('../models/Question');
+const AnswerOption = require('../models/AnswerOption');
+const QuizRevision = require('../models/QuizRevision');
+const FileDoc = require('../models/File');
+const textExtractor = require('./textExtractor');
+const embeddingService = require('./embeddingService');
+const geminiService = require('./geminiService');
+const { normalizeTypeDistribution, typeSlots, countTypes, summarizeTypeBreakdown } = require('./quizPrompts');
+const { PAGE_BREAK, pageAt, splitIntoSections, splitSources, allocateQuestions, isNearDuplicate, locateSource } = require('./documentSections');
+const { validateQuestion, reviewQuestions, summarizeQuality } = require('./questionValidator');
+const { selectTemplate, describeTemplate, isPromptCurrent } = require('./promptTemplateService');
+const usageService = require('./usageService');
+const contentCacheService = require('./contentCacheService');
+const mediaService = require('./mediaService');
+const revisionService = require('./revisionService');
+const { isSupportedLanguage, ocrLanguages } = require('./languageRegistry');
+const { normalizeBloomDistribution, countLevels, verifyBloomLevel, summarizeBloomBreakdown } = require('./bloomTaxonomy');
+
+const MAX_SOURCE_WEIGHT = 10;
 
 /**
- * Generate a quiz from a file
- * @param {string} filePath - Path to the uploaded file
- * @param {string} mimetype - Mimetype of the file
- * @param {object} options - Quiz generation options
- * @param {string} userId - ID of the user creating the quiz
- * @returns {Promise<Quiz>}
+ * Per-file weight and order for multi-file uploads, sent as a JSON array in
+ * upload order, e.g. [{ "weight": 2, "order": 1 }, { "weight": 1, "order": 0 }]
+ * @returns {Array|null} [{ weight, order }]
+ */
+function parseSources(sources) {
+  let list = sources;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (_) {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list) || list.length === 0) return null;
+
+  const parsed = list.map((entry, index) => {
+    const weight = Number.parseFloat(entry?.weight);
+    const order = Number.parseInt(entry?.order, 10);
+    return {
+      weight: Number.isFinite(weight) ? Math.min(Math.max(weight, 0), MAX_SOURCE_WEIGHT) : 1,
+      order: Number.isFinite(order) ? order : index,
+    };
+  });
+  // All-zero weights would leave no file to ask about
+  return parsed.some((s) => s.weight > 0) ? parsed : parsed.map((s) => ({ ...s, weight: 1 }));
+}
+
+/**
+ * Normalise the quiz settings sent with a generation request
+ * @param {Object} body - Request body (JSON or multipart fields)
+ * @returns {Object} Parsed settings
+ */
+function parseQuizSettings(body = {}) {
+  const { numQuestions, quizType, typeDistribution, bloomDistribution, difficulty, language, category, timeLimit, passingScore, isPublic, reuseExisting, sources } = body;
+
+  const timeLimitParsed = Number.parseInt(timeLimit, 10);
+  const passingScoreParsed = Number.parseInt(passingScore, 10);
+
+  // A type distribution (e.g. { mcq: 6, 'true-false': 3 }) overrides numQuestions/quizType
+  const distribution = typeDistribution
+    ? normalizeTypeDistribution(typeDistribution, parseInt(numQuestions) || 10, quizType)
+    : null;
+  const types = distribution ? Object.keys(distribution) : [];
+  const total = distribution
+    ? Object.values(distribution).reduce((sum, n) => sum + n, 0)
+    : parseInt(numQuestions) || 10;
+
+  return {
+    numQuestions: total,
+    quizType: types.length > 1 ? 'mixed' : (types[0] || quizType || 'mcq'),
+    typeDistribution: distribution,
+    // Target Bloom's levels, as counts or percentages (e.g. { apply: 40, analyze: 30, remember: 30 })
+    bloomDistribution: normalizeBloomDistribution(bloomDistribution, total),
+    difficulty: difficulty || 'medium',
+    language: language || 'auto',
+    category: category || '',
+    timeLimit: Number.isFinite(timeLimitParsed) && timeLimitParsed > 0 ? Math.min(timeLimitParsed, 300) : 30,
+    passingScore: Number.isFinite(passingScoreParsed) ? Math.min(Math.max(passingScoreParsed, 1), 100) : 60,
+    isPublic: isPublic === 'true' || isPublic === true,
+    // Copy an existing quiz generated from the same content instead of calling the AI
+    reuseExisting: reuseExisting === 'true' || reuseExisting === true,
+    // Weight and order of each uploaded file (multi-file uploads)
+    sources: parseSources(sources),
+  };
+}
+
+/**
+ * Extract, clean and validate the text of an uploaded file. Files seen before
+ * (same bytes) reuse the cached text instead of being parsed/OCR'd again.
+ * @param {Object} file - Multer file (path, mimetype)
+ * @param {String} [language] - Requested quiz language; narrows OCR when it is a known one
+ * @param {Object} [options] - { onProgress } called after each OCR'd page with { page, done, pages, confidence };
+ *   { minLength } of the text (default 100)
+ * @returns {Promise<Object>} { text, ocr } (ocr summarises confidence when any page was OCR'd)
+ */
+async function extractSourceText(file, language, { onProgress, minLength = 100 } = {}) {
+  const ocrLanguage = isSupportedLanguage(language) ? language : undefined;
+  const fileType = await textExtractor.detectFileType(file.path);
+  // OCR output depends on the languages it was run with; PDFs may need OCR for scanned pages
+  const variant = ['image', 'pdf'].includes(fileType) ? ocrLanguages(ocrLanguage) : undefined;
+  const fileHash = await contentCacheService.hashFile(file.path);
+  let extraction = await contentCacheService.getExtraction(fileHash, variant);
+  if (extraction === null) {
+    const document = await textExtractor.extractDocument(file.path, { fileType, language: ocrLanguage, onProgress });
+    extraction = { text: textExtractor.cleanText(document.text), ocr: document.ocr };
+    await contentCacheService.saveExtraction(fileHash, extraction, variant);
+  } else {
+    console.log('📦 Using cached text extraction');
+  }
+  textExtractor.validateText(extraction.text, minLength);
+  return extraction;
+}
+
+/**
+ * Extract several uploaded files and combine them into one source text, in
+ * the order the user chose. Every file starts on a new page, so sections
+ * never straddle two files. A single file's text is returned unchanged.
+ * @param {Object[]} files - Multer files in upload order
+ * @param {String} [language] - Requested quiz language
+ * @param {Object} [options] - { sources } weights/order from parseQuizSettings; { onProgress } as for
+ *   extractSourceText, with the file's position and filename added
+ * @returns {Promise<Object>} { text, ocr, sources } where sources describe each file in combined
+ *   order ({ filename, fileType, size, start, end, firstPage, pages, weight, text, ocr }) and
+ *   ocr is only set for a single file
+ */
+async function extractSources(files, language, { sources, onProgress } = {}) {
+  const ordered = files
+    .map((file, index) => ({ file, index, weight: sources?.[index]?.weight ?? 1, order: sources?.[index]?.order ?? index }))
+    .sort((a, b) => a.order - b.order || a.index - b.index);
+
+  let text = '';
+  const extracted = [];
+  for (const [position, { file, weight }] of ordered.entries()) {
+    const extraction = await extractSourceText(file, language, {
+      // A short worksheet is fine as long as the files add up to enough text
+      minLength: files.length > 1 ? 1 : 100,
+      onProgress: onProgress && ((progress) => onProgress({ ...progress, file: position, filename: file.originalname })),
+    });
+    if (text) text += PAGE_BREAK;
+    const start = text.length;
+    text += extraction.text;
+    extracted.push({
+      filename: file.originalname,
+      fileType: file.mimetype,
+      path: file.path, // not stored; used to extract figures
+      size: file.size,
+      start,
+      end: text.length,
+      firstPage: pageAt(text, start),
+      pages: extraction.text.split(PAGE_BREAK).length,
+      weight,
+      text: extraction.text,
+      ocr: extraction.ocr,
+    });
+  }
+  textExtractor.validateText(text, 100);
+  return { text, ocr: extracted.length === 1 ? extracted[0].ocr : null, sources: extracted };
+}
+
+/**
+ * Warnings to show with a quiz about the quality of its source text
+ * @param {Object} [ocr] - OCR summary from extractSourceText
+ * @param {string} [filename] - File it belongs to, for quizzes generated from several files
+ * @returns {string[]}
+ */
+function sourceWarnings(ocr, filename) {
+  if (!ocr?.lowConfidence) return [];
+  const worst = [...ocr.pages]
+    .sort((a, b) => a.confidence - b.confidence)
+    .slice(0, 3)
+    .map((page) => page.page)
+    .sort((a, b) => a - b);
+  const where = ocr.totalPages > 1 ? ` (lowest on page${worst.length > 1 ? 's' : ''} ${worst.join(', ')})` : '';
+  return [
+    `Parts of ${filename ? `"${filename}"` : 'the source'} were read with OCR at ${Math.round(ocr.confidence)}% confidence${where}. ` +
+    'Check questions and answers against the original document.',
+  ];
+}
+
+/**
+ * Resolve 'auto' (or missing/unsupported) language to the language detected in the text
+ */
+function resolveLanguage(language, text) {
+  return isSupportedLanguage(language) ? language : textExtractor.detectLanguage(text);
+}
+
+/**
+ * Split the source into sections and decide how many questions (of which
+ * types) each one gets. Text combined from several files (options.sources,
+ * see extractSources) is split file by file, and each file's weight scales
+ * its share of the questions. Requested Bloom's levels are spread over the
+ * sections the same way as question types.
+ * @returns {Array} Sections with `numQuestions`, `typeDistribution`, `bloomDistribution` and `content`
+ */
+function planSections(options) {
+  const { content, numQuestions = 10, quizType = 'mcq', typeDistribution, bloomDistribution, sources } = options;
+  const sections = sources?.length > 1 ? splitSources(content, sources) : splitIntoSections(content);
+  const counts = allocateQuestions(sections, numQuestions);
+  const slots = typeSlots(normalizeTypeDistribution(typeDistribution, numQuestions, quizType));
+  const levelSlots = bloomDistribution ? typeSlots(bloomDistribution) : [];
+
+  let offset = 0;
+  return sections.map((section, i) => {
+    const sectionSlots = slots.slice(offset, offset + counts[i]);
+    const sectionLevels = levelSlots.slice(offset, offset + counts[i]);
+    offset += counts[i];
+    return {
+      ...section,
+      numQuestions: counts[i],
+      typeDistribution: countTypes(sectionSlots.map((type) => ({ type }))),
+      bloomDistribution: sectionLevels.length ? countLevels(sectionLevels.map((bloomLevel) => ({ bloomLevel }))) : undefined,
+      content: content.slice(section.start, section.end).split(PAGE_BREAK).join('\n'),
+    };
+  });
+}
+
+/**
+ * Replace the model's `sourceQuote` with a source reference (page, character
+ * offsets and excerpt) into the full extracted text. For multi-file sources
+ * the reference names the file and the page is counted within it.
+ */
+function attachSource(question, content, section) {
+  const { sourceQuote, ...rest } = question;
+  const source = sectionSource(content, section, {
+    quote: sourceQuote,
+    hint: `${question.questionText} ${question.correctAnswer || ''}`,
+  });
+  return source ? { ...rest, source } : rest;
+}
+
+/**
+ * Find a quote (or, failing that, the hint's words) within one planned section
+ * @returns {Object|null} { page, start, end, excerpt, section, file? }
+ */
+function sectionSource(content, section, { quote, hint }) {
+  const source = locateSource(content, { quote, hint, start: section.start, end: section.end });
+  if (!source) return null;
+  return section.file === undefined
+    ? { ...source, section: section.index }
+    : { ...source, page: source.page - section.pageOffset, section: section.index, file: section.file };
+}
+
+/**
+ * Repair callback for reviewQuestions, grounded in the section's text
+ */
+function repairWith(options, section) {
+  return (question, issues) => geminiService.repairQuestion(question, issues, {
+    language: options.language,
+    content: section.content,
+  });
+}
+
+/**
+ * Set the checked Bloom's level on a question (see verifyBloomLevel),
+ * recording corrected labels in `relabeled`
+ */
+function withVerifiedLevel(question, relabeled) {
+  const { level, claimed, corrected } = verifyBloomLevel(question);
+  if (corrected) relabeled.push({ questionText: question.questionText, claimed, level });
+  return { ...question, bloomLevel: level };
+}
+
+/**
+ * Coverage map entry saved on the quiz for each section
+ */
+function toCoverage(section, generated) {
+  return {
+    section: section.index,
+    title: section.title,
+    file: section.file,
+    startPage: section.startPage,
+    endPage: section.endPage,
+    chars: section.length,
+    requested: section.numQuestions,
+    generated,
+  };
+}
+
+/**
+ * Generate quiz content section by section, so long documents are covered
+ * evenly. Short documents are a single section and take one AI call.
+ * @param {Object} options - Same options as geminiService.generateQuiz
+ * @returns {Promise<Object>} { success, data, typeBreakdown, bloomBreakdown, coverage, quality, prompt } or { success: false, error }
  */
-async function generateQuizFromFile(filePath, mimetype, options, userId) {
-  // Extract text from file
-  const text = await extractText(filePath, mimetype);
+async function generateQuizContent(options) {
+  const sections = planSections(options);
+  const requested = normalizeTypeDistribution(options.typeDistribution, options.numQuestions, options.quizType);
+  // One template per quiz, so every section uses the same A/B variant
+  const template = await selectTemplate('quiz', options.language);
 
-  if (!text || text.length < 100) {
-    throw new Error('Could not extract sufficient text from the file.');
+  let meta = null;
+  let lastError = null;
+  let checked = 0;
+  const questions = [];
+  const coverage = [];
+  const qualityIssues = [];
+  const relabeled = [];
+
+  for (const section of sections) {
+    let generated = 0;
+    if (section.numQuestions > 0) {
+      try {
+        const result = await geminiService.generateQuiz({
+          ...options,
+          content: section.content,
+          numQuestions: section.numQuestions,
+          typeDistribution: section.typeDistribution,
+          bloomDistribution: section.bloomDistribution,
+          promptTemplate: template?.body,
+        });
+        if (result.success) {
+          meta = meta || result.data;
+          checked += result.data.questions.length;
+          const reviewed = await reviewQuestions(result.data.questions, { repair: repairWith(options, section) });
+          qualityIssues.push(...reviewed.report.map((entry) => ({ ...entry, section: section.index })));
+          for (const question of reviewed.questions) {
+            if (isNearDuplicate(question, questions)) continue;
+            questions.push(attachSource(withVerifiedLevel(question, relabeled), options.content, section));
+            generated++;
+          }
+        } else {
+          lastError = result.error;
+        }
+      } catch (error) {
+        console.error(`Section ${section.index + 1} generation error:`, error.message);
+        lastError = error.message;
+      }
+    }
+    coverage.push(toCoverage(section, generated));
   }
 
-  // Generate quiz content using Gemini
-  const { title, questions, category, tags } = await generateQuizContent(
-    text,
-    options
-  );
+  if (questions.length === 0) {
+    return { success: false, error: lastError || 'No questions generated' };
+  }
+
+  return {
+    success: true,
+    data: {
+      title: meta.title,
+      description: meta.description,
+      category: meta.category,
+      questions,
+    },
+    typeBreakdown: summarizeTypeBreakdown(requested, questions),
+    bloomBreakdown: summarizeBloomBreakdown(options.bloomDistribution, questions, relabeled),
+    coverage,
+    quality: summarizeQuality(checked, qualityIssues),
+    prompt: describeTemplate(template, 'quiz', options.language),
+  };
+}
+
+/**
+ * Streaming counterpart of generateQuizContent. Forwards a single meta event,
+ * a 'section' event before each section, questions re-indexed across sections
+ * (near-duplicates skipped) and one final done event. Valid questions are
+ * forwarded as they arrive; invalid ones are repaired once their section
+ * has finished streaming.
+ * @param {Object} options - Same options as geminiService.streamQuizNDJSON
+ * @param {Function} onEvent - Called once per event
+ * @returns {Promise<Object>} { coverage, quality, prompt, bloomBreakdown }
+ */
+async function streamQuizContent(options, onEvent) {
+  const emit = (evt) => {
+    if (typeof onEvent === 'function') onEvent(evt);
+  };
+  const sections = planSections(options);
+  const template = await selectTemplate('quiz-stream', options.language);
+  const emitted = [];
+  const coverage = [];
+  const qualityIssues = [];
+  const relabeled = [];
+  let checked = 0;
+  let metaSent = false;
+  let lastError = null;
+
+  for (const section of sections) {
+    let generated = 0;
+    const pending = [];
+    const accept = (candidate) => {
+      if (generated >= section.numQuestions || isNearDuplicate(candidate, emitted)) return;
+      const question = attachSource(withVerifiedLevel(candidate, relabeled), options.content, section);
+      emitted.push(question);
+      generated++;
+      emit({ event: 'question', index: emitted.length, question });
+    };
+
+    if (section.numQuestions > 0) {
+      if (sections.length > 1) {
+        emit({ event: 'section', index: section.index, title: section.title, total: sections.length, numQuestions: section.numQuestions });
+      }
+      await geminiService.streamQuizNDJSON(
+        {
+          ...options,
+          content: section.content,
+          numQuestions: section.numQuestions,
+          typeDistribution: section.typeDistribution,
+          bloomDistribution: section.bloomDistribution,
+          promptTemplate: template?.body,
+        },
+        (evt) => {
+          if (!evt || !evt.event) return;
+          if (evt.event === 'meta') {
+            if (!metaSent) emit({ ...evt, quizType: options.quizType });
+            metaSent = true;
+          } else if (evt.event === 'question' && evt.question) {
+            checked++;
+            if (validateQuestion(evt.question).length === 0) accept(evt.question);
+            else pending.push(evt.question);
+          } else if (evt.event === 'error') {
+            lastError = evt.message;
+            console.error(`Section ${section.index + 1} streaming error:`, evt.message);
+          }
+        }
+      );
+
+      if (pending.length > 0) {
+        const reviewed = await reviewQuestions(pending, { repair: repairWith(options, section) });
+        qualityIssues.push(...reviewed.report.map((entry) => ({ ...entry, section: section.index })));
+        reviewed.questions.forEach(accept);
+      }
+    }
+    coverage.push(toCoverage(section, generated));
+  }
+
+  if (emitted.length === 0 && lastError) {
+    emit({ event: 'error', message: lastError });
+  }
+  emit({ event: 'done' });
+  return {
+    coverage,
+    quality: summarizeQuality(checked, qualityIssues),
+    prompt: describeTemplate(template, 'quiz-stream', options.language),
+    bloomBreakdown: summarizeBloomBreakdown(options.bloomDistribution, emitted, relabeled),
+  };
+}
+
+/**
+ * Mirror quiz questions/options into the questions and answers collections
+ * @param {Object} quiz - Saved quiz document
+ */
+async function persistQuestionDocs(quiz) {
+  for (const q of quiz.questions) {
+    const qDoc = await QuestionDoc.create({ quizId: quiz._id, questionText: q.questionText, type: q.type, blanks: q.blanks, pairs: q.pairs, numericAnswer: q.numericAnswer, acceptedAnswers: q.acceptedAnswers, essayRubric: q.essayRubric, correctAnswer: q.correctAnswer, explanation: q.explanation, source: q.source, difficulty: q.difficulty, bloomLevel: q.bloomLevel, points: q.points });
+    if (q.options?.length) {
+      const optionsToInsert = q.options.map(o => ({ questionId: qDoc._id, text: o.text, isCorrect: !!o.isCorrect }));
+      if (optionsToInsert.length) await AnswerOption.insertMany(optionsToInsert);
+    }
+  }
+}
 
-  // Create and save the quiz
-  const quiz = new Quiz({
-    title,
-    questions,
-    category,
-    tags,
+/**
+ * Save an AI-generated quiz together with its question docs, file metadata and embedding
+ * @param {Object} params
+ * @param {string} params.userId - Creator
+ * @param {Object} params.quizData - { title, description, category, questions }
+ * @param {Object} params.settings - Output of parseQuizSettings
+ * @param {string} params.language - Resolved quiz language
+ * @param {string} params.sourceText - Cleaned source text
+ * @param {Object} [params.file] - Multer-style file info when generated from an upload
+ * @param {Object[]} [params.files] - All uploaded files, when there were several
+ * @param {Object[]} [params.sources] - Per-file extraction info from extractSources
+ * @param {Object} [params.generation] - Generation report ({ typeBreakdown, coverage, quality, prompt })
+ * @param {Function} [params.onStage] - Called with 'embedding' before the embedding step
+ * @returns {Promise<Quiz>}
+ */
+async function saveGeneratedQuiz({ userId, quizData, settings, language, sourceText, file, files, sources, generation, onStage }) {
+  const reuseKey = await buildReuseKey(sourceText, settings, language);
+  const uploads = files?.length ? files : [file].filter(Boolean);
+  const warnings = sources?.length > 1
+    ? sources.flatMap((source) => sourceWarnings(source.ocr, source.filename))
+    : sourceWarnings(generation?.ocr);
+  const quiz = await Quiz.create({
+    title: quizData.title || 'Generated Quiz',
+    description: quizData.description || '',
     creator: userId,
-    sourceType: 'file',
-    sourceFile: filePath,
-    isPublic: true, // Or based on user preference
+    questions: await mediaService.attachPdfFigures(quizData.questions, sources?.length ? sources : uploads),
+    category: quizData.category || settings.category || 'General',
+    tags: quizData.tags || [],
+    language,
+    difficulty: settings.difficulty || 'mixed',
+    timeLimit: settings.timeLimit,
+    passingScore: settings.passingScore,
+    sourceContent: uploads.length
+      ? {
+        text: sourceText.substring(0, 5000),
+        filename: uploads.map((upload) => upload.originalname).join(', '),
+        fileType: uploads[0].mimetype,
+        files: sources?.map(({ text, ocr, path, ...source }) => ({ ...source, text: text.substring(0, 5000), ocr: ocr || undefined })),
+      }
+      : { text: sourceText.substring(0, 5000), fileType: 'text/plain' },
+    isPublic: settings.isPublic,
+    generation: { ...generation, warnings, reuseKey }
   });
+  // Bill the generation calls made so far, and the embedding below, to this quiz
+  await usageService.attributeQuiz(quiz._id);
+
+  // Save file metadata
+  for (const upload of uploads) {
+    try {
+      await FileDoc.create({ filename: upload.filename, originalname: upload.originalname, mimetype: upload.mimetype, size: upload.size, path: upload.path, uploadedBy: userId });
+    } catch (_) { /* ignore */ }
+  }
+
+  // Persist questions and answers into required collections
+  try {
+    await persistQuestionDocs(quiz);
+  } catch (e) { console.warn('Failed to persist questions/answers:', e.message); }
 
-  await quiz.save();
+  await revisionService.recordSave(quiz, { author: userId, action: 'create' });
 
-  // Generate and save the quiz vector for similarity search
-  await createQuizVector(quiz._id, `${title} ${text}`);
+  // Generate and store embedding for vector search
+  if (typeof onStage === 'function') await onStage('embedding');
+  try {
+    const embeddingId = await embeddingService.createQuizEmbedding(quiz);
+    if (embeddingId) {
+      quiz.embeddingId = embeddingId;
+      await quiz.save();
+    }
+  } catch (embedError) {
+    console.error('Embedding generation error:', embedError);
+    // Continue without embedding - quiz still created successfully
+  }
 
   return quiz;
 }
 
+async function buildReuseKey(sourceText, settings, language) {
+  return {
+    contentHash: contentCacheService.hashText(sourceText),
+    optionsHash: contentCacheService.generationOptionsHash(settings, language),
+    model: await geminiService.modelId('quiz'),
+  };
+}
+
+/**
+ * A quiz's content as it was generated: the quiz itself while it hasn't been
+ * edited, otherwise its first revision (null when none was recorded)
+ */
+async function generatedContent(quiz) {
+  if ((quiz.version || 1) === 1) return quiz.toObject();
+  const revision = await QuizRevision.findOne({ quiz: quiz._id, version: 1 });
+  return revision?.snapshot || null;
+}
+
+/**
+ * Find a quiz generated earlier from the same text with the same options,
+ * by the model and prompt version that would generate it today. Only the
+ * user's own quizzes and public ones are considered.
+ * @returns {Promise<Object|null>} { quiz, content } with the content as generated
+ *   (later edits by its creator aren't copied), or null
+ */
+async function findReusableQuiz({ userId, sourceText, settings, language }) {
+  const reuseKey = await buildReuseKey(sourceText, settings, language);
+  const candidates = await Quiz.find({
+    'generation.reuseKey.contentHash': reuseKey.contentHash,
+    'generation.reuseKey.optionsHash': reuseKey.optionsHash,
+    'generation.reuseKey.model': reuseKey.model,
+    status: { $ne: 'archived' },
+    $or: [{ creator: userId }, { isPublic: true }],
+  }).sort({ createdAt: -1 }).limit(5);
+
+  for (const quiz of candidates) {
+    if (!(await isPromptCurrent(quiz.generation?.prompt, quiz.language))) continue;
+    const content = await generatedContent(quiz);
+    if (content) return { quiz, content };
+  }
+  return null;
+}
+
+/**
+ * Save a copy of a reusable quiz for the user, when one exists. Makes no AI
+ * calls apart from the (usually cached) embedding.
+ * @param {Object} params - Same as saveGeneratedQuiz, without quizData/generation
+ * @returns {Promise<Quiz|null>} The copy, or null when nothing can be reused
+ */
+async function reuseGeneratedQuiz({ userId, settings, language, sourceText, file, files, sources, onStage }) {
+  const reusable = await findReusableQuiz({ userId, sourceText, settings, language });
+  if (!reusable) return null;
+
+  const { quiz: source, content: { title, description, category, tags, questions = [] } } = reusable;
+  const { reuseKey, reusedFrom, ...report } = source.toObject().generation;
+  console.log(`♻️  Reusing quiz ${source._id} generated from the same content`);
+
+  return saveGeneratedQuiz({
+    userId,
+    quizData: {
+      title,
+      description,
+      category,
+      tags,
+      questions: questions.map(({ _id, editHistory, ...question }) => question),
+    },
+    settings,
+    language,
+    sourceText,
+    file,
+    files,
+    sources,
+    generation: { ...report, reusedFrom: reusedFrom || source._id },
+    onStage,
+  });
+}
+
 module.exports = {
-  generateQuizFromFile,
-};
\ No newline at end of file
+  parseSources,
+  parseQuizSettings,
+  extractSourceText,
+  extractSources,
+  sourceWarnings,
+  resolveLanguage,
+  planSections,
+  sectionSource,
+  generateQuizContent,
+  streamQuizContent,
+  persistQuestionDocs,
+  saveGeneratedQuiz,
+  findReusableQuiz,
+  reuseGeneratedQuiz,
+};
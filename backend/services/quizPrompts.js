@@ -0,0 +1,515 @@
+/**
+ * Prompt builders and response parsing shared by every text-completion
+ * provider (Gemini, OpenAI-compatible, ...).
+ */
+
+const { QUESTION_TYPES, normalizeQuestionFields } = require('./questionTypes');
+const { languageName, languageInstruction } = require('./languageRegistry');
+const { MATH_INSTRUCTION, normalizeMathDeep, parseJsonWithMath } = require('./mathMarkup');
+const { BLOOM_LEVELS, describeLevels, normalizeLevel } = require('./bloomTaxonomy');
+
+const TYPE_RULES = {
+  'mcq': '4 multiple choice options with only one correct answer',
+  'true-false': 'exactly two options, "True" and "False"',
+  'short-answer': 'a short text answer in "correctAnswer", other phrasings that deserve full marks in "acceptedAnswers": ["..."], and no options',
+  'fill-blank': 'one or more "_____" blanks in "questionText", "blanks": [{"answers": ["accepted answer", "alternative spelling"]}] with one entry per blank in order, and no options',
+  'multi-select': '4-6 options where two or more are correct ("isCorrect": true)',
+  'matching': '"pairs": [{"left": "term", "right": "its match"}] with 3-6 pairs and no options',
+  'ordering': '3-6 options listed in the correct order (they are shuffled for the quiz taker)',
+  'numeric': '"numericAnswer": {"value": <number>, "tolerance": <allowed +/- difference>, "unit": "optional unit"} and no options',
+  'essay': 'an open question answered in one or more paragraphs, a model answer in "correctAnswer", "essayRubric": [{"criterion": "what is assessed", "levels": [{"label": "Excellent", "description": "what earns it", "points": 3}]}] with 2-4 criteria of 2-4 levels each, and no options',
+};
+
+/**
+ * Normalise a requested question-type distribution.
+ * Accepts an object ({ mcq: 6, 'true-false': 3 }) or its JSON string; unknown
+ * types and non-positive counts are ignored. Falls back to all `quizType`.
+ * @returns {Object} e.g. { mcq: 6, 'true-false': 3, 'short-answer': 1 }
+ */
+function normalizeTypeDistribution(distribution, numQuestions = 10, quizType = 'mcq') {
+  let parsed = distribution;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (_) {
+      parsed = null;
+    }
+  }
+
+  const result = {};
+  if (parsed && typeof parsed === 'object') {
+    for (const type of QUESTION_TYPES) {
+      const count = parseInt(parsed[type]);
+      if (Number.isFinite(count) && count > 0) result[type] = count;
+    }
+  }
+
+  if (Object.keys(result).length === 0) {
+    result[QUESTION_TYPES.includes(quizType) ? quizType : 'mcq'] = numQuestions;
+  }
+  return result;
+}
+
+/**
+ * One type per question slot, interleaved so each type is spread evenly
+ * @returns {string[]} e.g. ['mcq', 'true-false', 'mcq', ...]
+ */
+function typeSlots(distribution) {
+  return Object.entries(distribution)
+    .flatMap(([type, n]) => Array.from({ length: n }, (_, k) => ({ type, at: (k + 0.5) / n })))
+    .sort((a, b) => a.at - b.at)
+    .map((slot) => slot.type);
+}
+
+/**
+ * Count questions per type
+ */
+function countTypes(questions = []) {
+  return questions.reduce((acc, q) => {
+    acc[q.type] = (acc[q.type] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+/**
+ * Requested vs. produced question types, with the shortfall per type
+ */
+function summarizeTypeBreakdown(requested, questions) {
+  const produced = countTypes(questions);
+  const missing = {};
+  for (const [type, count] of Object.entries(requested || {})) {
+    if ((produced[type] || 0) < count) missing[type] = count - (produced[type] || 0);
+  }
+  return { requested, produced, missing };
+}
+
+/**
+ * Instruction lines describing which question types to produce
+ */
+function describeTypes(distribution) {
+  const entries = Object.entries(distribution);
+  if (entries.length === 1) {
+    const [type] = entries[0];
+    return `Every question must be of type "${type}" with ${TYPE_RULES[type]}.`;
+  }
+  const counts = entries.map(([type, count]) => `${count} of type "${type}"`).join(', ');
+  const rules = entries.map(([type]) => `"${type}" questions have ${TYPE_RULES[type]}`).join('; ');
+  return `Produce exactly ${counts}, and set each question's "type" field accordingly. ${rules}.`;
+}
+
+/**
+ * Guess a question's type from its options when the model omitted or mangled it
+ */
+function inferType(q, fallback) {
+  if (QUESTION_TYPES.includes(q.type)) return q.type;
+  if (Array.isArray(q.pairs) && q.pairs.length > 0) return 'matching';
+  if (Array.isArray(q.blanks) && q.blanks.length > 0) return 'fill-blank';
+  if (Array.isArray(q.essayRubric) && q.essayRubric.length > 0) return 'essay';
+  if (q.numericAnswer && q.numericAnswer.value !== undefined) return 'numeric';
+  const options = Array.isArray(q.options) ? q.options : [];
+  if (options.filter(o => o.isCorrect).length > 1 && options.length > 2) return 'multi-select';
+  if (options.length === 2 && options.every(o => /^(true|false)$/i.test(String(o.text).trim()))) {
+    return 'true-false';
+  }
+  if (options.length >= 3) return 'mcq';
+  if (options.length === 0 && q.correctAnswer) return 'short-answer';
+  return QUESTION_TYPES.includes(fallback) ? fallback : 'mcq';
+}
+
+// Variables available in generation prompt templates ({{name}})
+const TEMPLATE_VARIABLES = {
+  content: 'Source text the quiz is generated from',
+  numQuestions: 'Number of questions to generate',
+  difficulty: 'Requested difficulty (easy, medium, hard, mixed)',
+  language: 'Quiz language code (en, bn)',
+  category: 'Requested category (may be empty)',
+  questionType: 'The single question type, or "mixed (mcq, true-false, ...)"',
+  quizType: 'The single question type, or "mixed"',
+  typeList: 'Requested types joined with "|", for the JSON example',
+  typeInstruction: 'How many questions of each type to produce, with the rules for each type',
+  languageInstruction: 'Which language and script to write in',
+  categoryInstruction: 'Category focus sentence (empty when no category was given)',
+  mathInstruction: 'How to write formulas (LaTeX between \\( \\) or \\[ \\])',
+  bloomLevels: 'Bloom\'s taxonomy levels joined with "|", for the JSON example',
+  bloomInstruction: 'Which Bloom\'s taxonomy levels to target and how to label each question\'s "bloomLevel"',
+};
+
+// Built-in generation prompts, used when no active template is stored in the database
+// Version of the built-in templates below. Bump it whenever they change so
+// quizzes generated with the old wording are no longer reused.
+const BUILTIN_PROMPT_VERSION = 3;
+
+const DEFAULT_TEMPLATES = {
+  quiz: `
+You are an expert educational quiz generator. Create a high-quality quiz based on the following content.
+
+CONTENT:
+{{content}}
+
+REQUIREMENTS:
+- Generate exactly {{numQuestions}} questions
+- Question type: {{questionType}}
+- Difficulty level: {{difficulty}}
+- {{languageInstruction}}
+- The quiz language MUST match the language of the provided content
+- {{typeInstruction}}
+- {{categoryInstruction}}
+- Include detailed explanations for each correct answer
+- {{bloomInstruction}}
+- {{mathInstruction}}
+- In "sourceQuote", copy the sentence from the content that each question is based on, word for word
+- Ensure questions test understanding, not just memorization
+- Questions should be clear, unambiguous, and pedagogically sound
+
+FORMAT YOUR RESPONSE AS VALID JSON:
+{
+  "title": "Quiz title based on content",
+  "description": "Brief description of quiz topic",
+  "category": "Main category/subject",
+  "questions": [
+    {
+      "questionText": "The question text",
+      "type": "{{typeList}}",
+      "options": [
+        {"text": "Option A", "isCorrect": false},
+        {"text": "Option B", "isCorrect": true},
+        {"text": "Option C", "isCorrect": false},
+        {"text": "Option D", "isCorrect": false}
+      ],
+      "correctAnswer": "The correct answer text",
+      "explanation": "Detailed explanation of why this is correct",
+      "sourceQuote": "The sentence from the content this question is based on, copied exactly",
+      "difficulty": "easy|medium|hard",
+      "bloomLevel": "{{bloomLevels}}",
+      "points": 1
+    }
+  ]
+}
+
+IMPORTANT:
+- Return ONLY valid JSON, no additional text
+- For true-false questions, use only two options: "True" and "False"
+- For short-answer questions, provide the expected answer in "correctAnswer" field and other correct phrasings (synonyms, abbreviations, spelling variants) in "acceptedAnswers"
+- Add "blanks", "pairs", "numericAnswer" or "essayRubric" only for the question types that use them, as described above
+- Ensure all JSON is properly formatted and escaped
+`,
+  'quiz-stream': `You are an expert quiz generator. Stream output as NDJSON: emit exactly one valid JSON object per line with no extra text. Start with a META line, then {{numQuestions}} QUESTION lines, then a DONE line. Do not wrap in code fences. Do not add commentary.
+
+SCHEMA per line:
+- META: {"event":"meta","title":"...","description":"...","category":"...","language":"{{language}}","difficulty":"{{difficulty}}","quizType":"{{quizType}}"}
+- QUESTION: {"event":"question","index": <1-based>, "question": {"questionText":"...","type":"{{typeList}}","options": [{"text":"...","isCorrect":true|false}], "correctAnswer":"...","explanation":"...","sourceQuote":"...","difficulty":"easy|medium|hard","bloomLevel":"{{bloomLevels}}","points":1}}
+- DONE: {"event":"done"}
+
+REQUIREMENTS:
+- Generate exactly {{numQuestions}} questions.
+- {{languageInstruction}}
+- The quiz language MUST match the language of the provided content.
+- {{typeInstruction}}
+- {{categoryInstruction}}
+- Provide detailed explanations and correctAnswer.
+- {{bloomInstruction}}
+- {{mathInstruction}}
+- In "sourceQuote", copy the sentence from the content that the question is based on, word for word.
+- For true-false use only options True/False.
+- Add "blanks", "pairs", "numericAnswer" or "essayRubric" to a question only when its type uses them, as described above.
+
+CONTENT:
+{{content}}
+`,
+};
+
+/**
+ * Values for every TEMPLATE_VARIABLES entry
+ * @param {string} kind - 'quiz' or 'quiz-stream'
+ * @param {Object} options - Generation options ({ content, numQuestions, quizType, difficulty, language, category, typeDistribution, bloomDistribution })
+ */
+function promptVariables(kind, {
+  content = '',
+  numQuestions = 10,
+  quizType = 'mcq',
+  difficulty = 'medium',
+  language = 'en',
+  category = '',
+  typeDistribution,
+  bloomDistribution,
+} = {}) {
+  const distribution = normalizeTypeDistribution(typeDistribution, numQuestions, quizType);
+  const types = Object.keys(distribution);
+
+  return {
+    content,
+    numQuestions,
+    difficulty,
+    language,
+    category: category || '',
+    questionType: types.length === 1 ? types[0] : `mixed (${types.join(', ')})`,
+    quizType: types.length === 1 ? types[0] : 'mixed',
+    typeList: types.join('|'),
+    typeInstruction: describeTypes(distribution),
+    languageInstruction: languageInstruction(kind, language),
+    categoryInstruction: category
+      ? (kind === 'quiz-stream' ? `Category focus: ${category}.` : `Focus on the category: ${category}.`)
+      : '',
+    mathInstruction: MATH_INSTRUCTION,
+    bloomInstruction: describeLevels(bloomDistribution),
+    bloomLevels: BLOOM_LEVELS.join('|'),
+  };
+}
+
+/**
+ * Fill the {{name}} placeholders of a template; unknown names are left as they are
+ */
+function renderTemplate(body, variables) {
+  return String(body || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    (Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match)
+  );
+}
+
+/**
+ * Names of the {{placeholders}} used in a template
+ */
+function templatePlaceholders(body) {
+  return [...new Set([...String(body || '').matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]))];
+}
+
+/**
+ * Build prompt for quiz generation
+ * @param {string} [template] - Template body to use instead of DEFAULT_TEMPLATES.quiz
+ */
+function buildPrompt(content, numQuestions, quizType, difficulty, language, category, typeDistribution, bloomDistribution, template) {
+  const variables = promptVariables('quiz', { content, numQuestions, quizType, difficulty, language, category, typeDistribution, bloomDistribution });
+  return renderTemplate(template || DEFAULT_TEMPLATES.quiz, variables);
+}
+
+/**
+ * Build streaming prompt instructing NDJSON output (one JSON per line)
+ * @param {string} [template] - Template body to use instead of DEFAULT_TEMPLATES['quiz-stream']
+ */
+function buildStreamingPrompt(content, numQuestions, quizType, difficulty, language, category, typeDistribution, bloomDistribution, template) {
+  const variables = promptVariables('quiz-stream', { content, numQuestions, quizType, difficulty, language, category, typeDistribution, bloomDistribution });
+  return renderTemplate(template || DEFAULT_TEMPLATES['quiz-stream'], variables);
+}
+
+/**
+ * Build a prompt asking the model to fix one invalid question
+ * @param {Object} question - The invalid question
+ * @param {string[]} issues - What is wrong with it
+ * @param {Object} [context] - { language, content } (content: source text the question is based on)
+ */
+function buildRepairPrompt(question, issues, { language = 'en', content = '' } = {}) {
+  const { source, sourceQuote, ...rest } = question;
+  const excerpt = (sourceQuote || source?.excerpt || content || '').slice(0, 3000);
+
+  return `You are an expert educational quiz editor. The question below failed validation. Rewrite it so it fixes every problem listed, keeps the same topic and type ("${question.type}"), and stays in the same language (${languageName(language)}).
+
+PROBLEMS:
+${issues.map((issue) => `- ${issue}`).join('\n')}
+
+RULES FOR "${question.type}" QUESTIONS:
+- ${TYPE_RULES[question.type] || TYPE_RULES.mcq}
+- Never reveal the correct answer in the question text
+- ${MATH_INSTRUCTION}
+
+QUESTION:
+${JSON.stringify(rest, null, 2)}
+${excerpt ? `\nSOURCE TEXT:\n${excerpt}\n` : ''}
+Return ONLY the corrected question as one valid JSON object with the same fields (questionText, type, options, correctAnswer, explanation, difficulty, bloomLevel, points, and blanks/pairs/numericAnswer/acceptedAnswers/essayRubric where the type uses them). No additional text.
+`;
+}
+
+const REWRITE_INSTRUCTIONS = {
+  harder: 'Make it harder: test deeper understanding or application rather than recall, and make wrong options more plausible. Set "difficulty" to "hard" unless it already is.',
+  easier: 'Make it easier: test the core idea directly with simpler wording and clearly wrong distractors. Set "difficulty" to "easy" unless it already is.',
+  clearer: 'Reword it so it is clear and unambiguous, without changing what it tests or its correct answer.',
+  distractors: 'Keep the question text and the correct answer exactly as they are, and replace every incorrect option with a new, plausible distractor.',
+};
+
+const SINGLE_QUESTION_FORMAT = 'Return ONLY the question as one valid JSON object with the fields questionText, type, options, correctAnswer, explanation, sourceQuote, difficulty, bloomLevel, points (plus blanks/pairs/numericAnswer/acceptedAnswers/essayRubric where the type uses them). No additional text.';
+
+/**
+ * Build a prompt for one fresh question on the same source, replacing an existing one
+ * @param {Object} params - { content, question, otherQuestions, language }
+ */
+function buildRegeneratePrompt({ content, question, otherQuestions = [], language = 'en' }) {
+  const avoid = otherQuestions.map((q) => `- ${q.questionText}`).join('\n');
+  const level = question.bloomLevel
+    ? `\n- Like the question it replaces, it must test at the "${question.bloomLevel}" level of Bloom's taxonomy; set "bloomLevel" to "${question.bloomLevel}"`
+    : '';
+  return `You are an expert educational quiz generator. Write ONE new question of type "${question.type}" based on the content below, in ${languageName(language)}, at "${question.difficulty || 'medium'}" difficulty.
+
+RULES:
+- "${question.type}" questions have ${TYPE_RULES[question.type] || TYPE_RULES.mcq}
+- It must test something different from the question it replaces: "${question.questionText}"${level}
+- It must not duplicate any of these existing questions:
+${avoid || '- (none)'}
+- Include a detailed explanation and, in "sourceQuote", the sentence from the content it is based on, copied exactly
+- ${MATH_INSTRUCTION}
+
+CONTENT:
+${content}
+
+${SINGLE_QUESTION_FORMAT}
+`;
+}
+
+/**
+ * Build a prompt rewriting a question in one of the REWRITE_INSTRUCTIONS modes
+ * @param {Object} question - Question to rewrite
+ * @param {string} mode - harder | easier | clearer | distractors
+ * @param {Object} [context] - { language, content }
+ */
+function buildRewritePrompt(question, mode, { language = 'en', content = '' } = {}) {
+  const { source, sourceQuote, editHistory, _id, ...rest } = question;
+  const excerpt = (source?.excerpt || content || '').slice(0, 3000);
+
+  return `You are an expert educational quiz editor. Rewrite the question below. Keep its type ("${question.type}") and language (${languageName(language)}).
+
+INSTRUCTION:
+${REWRITE_INSTRUCTIONS[mode]}
+
+RULES FOR "${question.type}" QUESTIONS:
+- ${TYPE_RULES[question.type] || TYPE_RULES.mcq}
+- Never reveal the correct answer in the question text
+- ${MATH_INSTRUCTION}
+
+QUESTION:
+${JSON.stringify(rest, null, 2)}
+${excerpt ? `\nSOURCE TEXT:\n${excerpt}\n` : ''}
+${SINGLE_QUESTION_FORMAT}
+`;
+}
+
+/**
+ * Parse a single-question JSON response (used by repair and rewrite prompts)
+ * @returns {Object|null} Normalised question, or null when unparseable
+ */
+function parseQuestionResponse(text, quizType) {
+  try {
+    const cleanedText = String(text || '').trim()
+      .replace(/^```(json)?\n?/, '')
+      .replace(/```\s*$/, '')
+      .trim();
+    const start = cleanedText.indexOf('{');
+    const end = cleanedText.lastIndexOf('}');
+    const q = normalizeMathDeep(parseJsonWithMath(cleanedText.slice(start, end + 1)));
+    const question = q.question && typeof q.question === 'object' ? q.question : q;
+    return normalizeQuestionFields({
+      questionText: question.questionText || '',
+      type: inferType(question, quizType),
+      options: question.options || [],
+      blanks: question.blanks,
+      pairs: question.pairs,
+      numericAnswer: question.numericAnswer,
+      acceptedAnswers: question.acceptedAnswers,
+      essayRubric: question.essayRubric,
+      correctAnswer: question.correctAnswer || '',
+      explanation: question.explanation || 'No explanation provided',
+      sourceQuote: question.sourceQuote,
+      difficulty: question.difficulty || 'medium',
+      bloomLevel: normalizeLevel(question.bloomLevel),
+      points: question.points || 1,
+    });
+  } catch (error) {
+    console.error('Question parse error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Parse AI response into structured quiz data.
+ * When a type distribution is given, surplus questions of a type are dropped
+ * and the requested vs. produced breakdown is returned as `typeBreakdown`.
+ */
+function parseQuizResponse(text, quizType, typeDistribution) {
+  try {
+    // Remove markdown code blocks if present
+    let cleanedText = text.trim();
+    if (cleanedText.startsWith('```json')) {
+      cleanedText = cleanedText
+        .replace(/```json\n?/g, '')
+        .replace(/```\n?/g, '');
+    } else if (cleanedText.startsWith('```')) {
+      cleanedText = cleanedText.replace(/```\n?/g, '');
+    }
+
+    const quizData = normalizeMathDeep(parseJsonWithMath(cleanedText));
+
+    // Validate and normalize the data
+    if (!quizData.questions || !Array.isArray(quizData.questions)) {
+      throw new Error('Invalid quiz structure: missing questions array');
+    }
+
+    // Ensure all questions have required fields
+    quizData.questions = quizData.questions.map((q, index) => normalizeQuestionFields({
+      questionText: q.questionText || `Question ${index + 1}`,
+      type: inferType(q, quizType),
+      options: q.options || [],
+      blanks: q.blanks,
+      pairs: q.pairs,
+      numericAnswer: q.numericAnswer,
+      acceptedAnswers: q.acceptedAnswers,
+      essayRubric: q.essayRubric,
+      correctAnswer: q.correctAnswer || '',
+      explanation: q.explanation || 'No explanation provided',
+      sourceQuote: q.sourceQuote,
+      difficulty: q.difficulty || 'medium',
+      bloomLevel: normalizeLevel(q.bloomLevel),
+      points: q.points || 1,
+    }));
+
+    const requested = normalizeTypeDistribution(typeDistribution, quizData.questions.length, quizType);
+    if (typeDistribution) {
+      quizData.questions = trimToDistribution(quizData.questions, requested);
+    }
+
+    return {
+      success: true,
+      data: quizData,
+      typeBreakdown: summarizeTypeBreakdown(requested, quizData.questions),
+    };
+  } catch (error) {
+    console.error('Parse Error:', error);
+    console.error('Raw text:', text);
+
+    // Return a fallback structure
+    return {
+      success: false,
+      error: 'Failed to parse AI response',
+      rawResponse: text,
+    };
+  }
+}
+
+/**
+ * Drop questions beyond the requested count for their type (order preserved)
+ */
+function trimToDistribution(questions, distribution) {
+  const seen = {};
+  return questions.filter((q) => {
+    seen[q.type] = (seen[q.type] || 0) + 1;
+    return seen[q.type] <= (distribution[q.type] || 0);
+  });
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  normalizeTypeDistribution,
+  typeSlots,
+  countTypes,
+  summarizeTypeBreakdown,
+  inferType,
+  TEMPLATE_VARIABLES,
+  BUILTIN_PROMPT_VERSION,
+  DEFAULT_TEMPLATES,
+  promptVariables,
+  renderTemplate,
+  templatePlaceholders,
+  buildPrompt,
+  buildStreamingPrompt,
+  buildRepairPrompt,
+  REWRITE_INSTRUCTIONS,
+  buildRegeneratePrompt,
+  buildRewritePrompt,
+  parseQuizResponse,
+  parseQuestionResponse,
+};
@@ -0,0 +1,301 @@
+/**
+ * Quiz revision history. Every save of a quiz's content is kept as an
+ * immutable revision (models/QuizRevision) with its author and a structured
+ * diff from the revision before. Attempts record the revision they were taken
+ * against and are graded and reviewed with it, so editing the answer key later
+ * doesn't change what an old attempt meant.
+ */
+
+const jwt = require('jsonwebtoken');
+const Quiz = require('../models/Quiz');
+const QuizRevision = require('../models/QuizRevision');
+
+// How long an attempt ticket stays valid beyond the quiz's time limit, and for untimed quizzes
+const TICKET_GRACE_SECONDS = 60 * 60;
+const UNTIMED_TICKET_SECONDS = 24 * 60 * 60;
+
+// Quiz fields a revision keeps and a rollback restores (visibility and status aren't content)
+const SNAPSHOT_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'tags',
+  'language',
+  'difficulty',
+  'timeLimit',
+  'passingScore',
+  'aiGrading',
+  'questions',
+];
+
+// Question fields compared by diffs
+const QUESTION_FIELDS = [
+  'type',
+  'questionText',
+  'options',
+  'blanks',
+  'pairs',
+  'numericAnswer',
+  'correctAnswer',
+  'acceptedAnswers',
+  'rubric',
+  'essayRubric',
+  'explanation',
+  'points',
+  'difficulty',
+  'bloomLevel',
+  'media',
+];
+
+// Question fields that decide how answers are graded
+const ANSWER_KEY_FIELDS = [
+  'type',
+  'options',
+  'blanks',
+  'pairs',
+  'numericAnswer',
+  'correctAnswer',
+  'acceptedAnswers',
+  'rubric',
+  'essayRubric',
+  'points',
+];
+
+/**
+ * Plain, JSON-safe copy of a quiz's content (questions keep their ids but
+ * not their edit history)
+ */
+function snapshotQuiz(quiz) {
+  const plain = typeof quiz.toObject === 'function' ? quiz.toObject() : quiz;
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (plain[field] !== undefined) snapshot[field] = plain[field];
+  }
+  snapshot.questions = (snapshot.questions || []).map(({ editHistory, ...question }) => question);
+  return JSON.parse(JSON.stringify(snapshot));
+}
+
+function isEmpty(value) {
+  return value == null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Compare values ignoring sub-document ids and treating missing and empty alike
+function sameValue(a, b) {
+  if (isEmpty(a) && isEmpty(b)) return true;
+  const comparable = (value) => JSON.stringify(value ?? null, (key, v) => (key === '_id' ? undefined : v));
+  return comparable(a) === comparable(b);
+}
+
+/**
+ * Structured changes between two quiz snapshots
+ * @returns {Object} {
+ *   fields: [{ field, before, after }],
+ *   questions: {
+ *     added: [{ questionId, index, questionText }],
+ *     removed: [{ questionId, index, questionText }],
+ *     changed: [{ questionId, index, questionText, answerKeyChanged, fields: [{ field, before, after }] }],
+ *     moved: [{ questionId, from, to }]
+ *   },
+ *   answerKeyChanged
+ * }
+ */
+function diffSnapshots(before = {}, after = {}) {
+  const fields = SNAPSHOT_FIELDS
+    .filter((field) => field !== 'questions' && !sameValue(before[field], after[field]))
+    .map((field) => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+  const oldQuestions = before.questions || [];
+  const newQuestions = after.questions || [];
+  const oldIndex = new Map(oldQuestions.map((q, index) => [String(q._id), index]));
+  const newIndex = new Map(newQuestions.map((q, index) => [String(q._id), index]));
+  const entry = (q, index) => ({ questionId: q._id, index, questionText: q.questionText });
+
+  const added = newQuestions.filter((q) => !oldIndex.has(String(q._id))).map((q) => entry(q, newIndex.get(String(q._id))));
+  const removed = oldQuestions.filter((q) => !newIndex.has(String(q._id))).map((q) => entry(q, oldIndex.get(String(q._id))));
+
+  const changed = [];
+  for (const [index, q] of newQuestions.entries()) {
+    const previous = oldQuestions[oldIndex.get(String(q._id))];
+    if (!previous) continue;
+    const changes = QUESTION_FIELDS
+      .filter((field) => !sameValue(previous[field], q[field]))
+      .map((field) => ({ field, before: previous[field] ?? null, after: q[field] ?? null }));
+    if (changes.length > 0) {
+      changed.push({
+        ...entry(q, index),
+        answerKeyChanged: changes.some((change) => ANSWER_KEY_FIELDS.includes(change.field)),
+        fields: changes,
+      });
+    }
+  }
+
+  // A question moved when its place among the questions both versions share changed
+  const keptBefore = oldQuestions.map((q) => String(q._id)).filter((id) => newIndex.has(id));
+  const keptAfter = newQuestions.map((q) => String(q._id)).filter((id) => oldIndex.has(id));
+  const moved = keptAfter
+    .filter((id, position) => keptBefore[position] !== id)
+    .map((id) => ({ questionId: id, from: oldIndex.get(id), to: newIndex.get(id) }));
+
+  return {
+    fields,
+    questions: { added, removed, changed, moved },
+    answerKeyChanged: added.length > 0 || removed.length > 0 || changed.some((change) => change.answerKeyChanged)
+      || fields.some((change) => change.field === 'passingScore'),
+  };
+}
+
+/**
+ * One-line description of a diff, e.g. "2 questions changed (answer key), 1 added"
+ */
+function summarizeDiff(diff) {
+  if (!diff) return 'First version';
+  const { added, removed, changed, moved } = diff.questions;
+  const count = (n, what) => `${n} question${n === 1 ? '' : 's'} ${what}`;
+  const keyChanges = changed.filter((change) => change.answerKeyChanged).length;
+  const parts = [
+    ...diff.fields.map((change) => `${change.field} changed`),
+    changed.length > 0 && `${count(changed.length, 'changed')}${keyChanges > 0 ? ` (${keyChanges} answer key)` : ''}`,
+    added.length > 0 && count(added.length, 'added'),
+    removed.length > 0 && count(removed.length, 'removed'),
+    moved.length > 0 && 'questions reordered',
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'No content changes';
+}
+
+/**
+ * Store the quiz's current content as the revision for its version (if there
+ * isn't one yet), with the diff from the latest earlier revision
+ * @param {Quiz} quiz - Quiz document, as saved
+ * @param {Object} [params] - { author, action, restoredFrom }
+ * @returns {Promise<QuizRevision>}
+ */
+async function recordRevision(quiz, { author, action = 'edit', restoredFrom } = {}) {
+  const existing = await QuizRevision.findOne({ quiz: quiz._id, version: quiz.version });
+  if (existing) return existing;
+
+  const previous = await QuizRevision.findOne({ quiz: quiz._id, version: { $lt: quiz.version } }).sort({ version: -1 });
+  const snapshot = snapshotQuiz(quiz);
+  const diff = previous ? diffSnapshots(previous.snapshot, snapshot) : null;
+
+  try {
+    return await QuizRevision.create({
+      quiz: quiz._id,
+      version: quiz.version,
+      author,
+      action,
+      restoredFrom,
+      snapshot,
+      diff,
+      summary: summarizeDiff(diff),
+    });
+  } catch (error) {
+    // Recorded at the same moment by another request (e.g. two submissions)
+    if (error.code !== 11000) throw error;
+    return QuizRevision.findOne({ quiz: quiz._id, version: quiz.version });
+  }
+}
+
+/**
+ * Record the revision for a save that has already happened. A failure is only
+ * logged: the revision is then recorded from the quiz the next time it's needed.
+ */
+async function recordSave(quiz, params) {
+  try {
+    return await recordRevision(quiz, params);
+  } catch (e) {
+    console.warn('Failed to record quiz revision:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Revision holding the quiz as it is now. Quizzes saved before revisions
+ * existed get theirs recorded here, before their first edit or attempt.
+ */
+async function currentRevision(quiz) {
+  return recordRevision(quiz, quiz.version === 1
+    ? { author: quiz.creator, action: 'create' }
+    : { action: 'snapshot' });
+}
+
+/**
+ * Signed note of the quiz version a user was given to take, sent back with
+ * their answers. It lasts for the quiz's time limit plus an hour (a day for
+ * untimed quizzes), so it can't be kept to answer against an old answer key later.
+ * @param {Quiz} quiz
+ * @param {User} user
+ * @returns {string}
+ */
+function attemptTicket(quiz, user) {
+  const expiresIn = quiz.timeLimit > 0 ? quiz.timeLimit * 60 + TICKET_GRACE_SECONDS : UNTIMED_TICKET_SECONDS;
+  return jwt.sign(
+    { purpose: 'attempt', quiz: String(quiz._id), user: String(user._id), version: quiz.version },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+/**
+ * Quiz version an attempt ticket was issued for, or null when it is missing,
+ * expired or was issued for another quiz or user
+ */
+function ticketVersion(ticket, quiz, user) {
+  if (!ticket || !user) return null;
+  try {
+    const payload = jwt.verify(String(ticket), process.env.JWT_SECRET);
+    const valid = payload.purpose === 'attempt' && payload.quiz === String(quiz._id) && payload.user === String(user._id);
+    return valid && Number.isInteger(payload.version) ? payload.version : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Revision an attempt is graded against: the version the student was given
+ * when they loaded the quiz (see attemptTicket), otherwise the current one
+ * @param {Quiz} quiz
+ * @param {Object} params - { ticket, user }
+ */
+async function revisionForAttempt(quiz, { ticket, user } = {}) {
+  const version = ticketVersion(ticket, quiz, user);
+  if (version !== null && version !== quiz.version) {
+    const revision = await QuizRevision.findOne({ quiz: quiz._id, version });
+    if (revision) return revision;
+  }
+  return currentRevision(quiz);
+}
+
+/**
+ * The quiz with the content of `revision` (the quiz itself when it's the
+ * current version). The copy is for reading and grading only, never saved.
+ */
+function quizAtRevision(quiz, revision) {
+  if (!revision || revision.version === quiz.version) return quiz;
+  return Quiz.hydrate({ ...quiz.toObject(), ...revision.snapshot, version: revision.version });
+}
+
+/**
+ * The quiz as it was when an attempt was taken (attempts from before
+ * revisions existed use the current quiz)
+ * @param {QuizHistory} history
+ * @param {Quiz} quiz - The attempt's quiz, with its version loaded
+ */
+async function quizForAttempt(history, quiz) {
+  if (!quiz || !history.quizVersion || history.quizVersion === quiz.version) return quiz;
+  const revision = await QuizRevision.findOne({ quiz: quiz._id, version: history.quizVersion });
+  return quizAtRevision(quiz, revision);
+}
+
+module.exports = {
+  SNAPSHOT_FIELDS,
+  snapshotQuiz,
+  diffSnapshots,
+  summarizeDiff,
+  recordRevision,
+  recordSave,
+  currentRevision,
+  attemptTicket,
+  revisionForAttempt,
+  quizAtRevision,
+  quizForAttempt,
+};
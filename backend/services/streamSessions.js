@@ -0,0 +1,177 @@
+/**
+ * Resumable event streams for streaming quiz generation.
+ *
+ * Generation pushes numbered events into a session instead of writing them
+ * straight to the response. Any number of connections can follow a session,
+ * so a client whose connection drops (e.g. switching from Wi-Fi to mobile
+ * data) reconnects with the last id it saw and gets what it missed.
+ *
+ * Sessions live only in the memory of the process running the generation, so
+ * a reconnect must reach that same process (behind a load balancer, route
+ * /api/quiz/stream/:sessionId with sticky sessions); any other process
+ * answers 404. They are dropped once idle for SESSION_TTL_MS, and only the
+ * last MAX_BUFFERED_EVENTS events are kept: a client reconnecting from before
+ * them first gets a `reset` event saying what it missed, and should refetch
+ * instead of relying on the stream for the lost part.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_TTL_MS = parseInt(process.env.STREAM_SESSION_TTL_MS || String(10 * 60 * 1000));
+const MAX_BUFFERED_EVENTS = 2000;
+const HEARTBEAT_MS = 15000;
+
+class StreamSession {
+  constructor(userId) {
+    this.id = crypto.randomUUID();
+    this.userId = String(userId);
+    this.events = [];
+    this.nextId = 1;
+    this.finished = false;
+    this.listeners = new Set();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Number, buffer and forward an event to every connected client
+   * @returns {Object} The event with its id
+   */
+  push(evt) {
+    if (this.finished) return null;
+    const event = { id: this.nextId++, ...evt };
+    this.events.push(event);
+    if (this.events.length > MAX_BUFFERED_EVENTS) this.events.shift();
+    this.updatedAt = Date.now();
+    for (const listener of this.listeners) listener(event);
+    return event;
+  }
+
+  /**
+   * Mark the stream complete; connected clients are closed after the last event
+   */
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    this.updatedAt = Date.now();
+    for (const listener of this.listeners) listener(null);
+    this.listeners.clear();
+  }
+
+  /**
+   * Buffered events after the given id
+   */
+  since(lastEventId = 0) {
+    return this.events.filter((event) => event.id > lastEventId);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+const sessions = new Map();
+
+function pruneSessions(now = Date.now()) {
+  for (const [id, session] of sessions) {
+    if (now - session.updatedAt > SESSION_TTL_MS) sessions.delete(id);
+  }
+}
+
+/**
+ * Start a session for one streaming generation
+ * @param {string} userId - Owner; only they may reconnect
+ * @returns {StreamSession}
+ */
+function createSession(userId) {
+  pruneSessions();
+  const session = new StreamSession(userId);
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * @returns {StreamSession|null} The session, or null when unknown or expired
+ */
+function getSession(id) {
+  pruneSessions();
+  return sessions.get(id) || null;
+}
+
+/**
+ * 'sse' when the client asks for Server-Sent Events (?transport=sse or an
+ * Accept: text/event-stream header), otherwise NDJSON
+ */
+function resolveTransport(req) {
+  const requested = req.query?.transport || req.body?.transport;
+  if (requested === 'sse' || requested === 'ndjson') return requested;
+  return (req.headers.accept || '').includes('text/event-stream') ? 'sse' : 'ndjson';
+}
+
+function formatEvent(event, transport) {
+  if (transport === 'sse') {
+    return `${event.id ? `id: ${event.id}\n` : ''}data: ${JSON.stringify(event)}\n\n`;
+  }
+  return `${JSON.stringify(event)}\n`;
+}
+
+/**
+ * Follow a session over an HTTP response: replay the events after
+ * lastEventId, then forward new ones until the session finishes or the
+ * client disconnects (which does not stop the generation). When some of the
+ * events after lastEventId are no longer buffered, an unnumbered `reset`
+ * event with the missed ids ({ from, to }) comes first.
+ * @param {StreamSession} session
+ * @param {Object} req - Express request (transport negotiation, close events)
+ * @param {Object} res - Express response
+ * @param {Object} [options] - { lastEventId }
+ */
+function pipeToResponse(session, req, res, { lastEventId = 0 } = {}) {
+  const transport = resolveTransport(req);
+  res.setHeader('Content-Type', transport === 'sse' ? 'text/event-stream' : 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Stream-Session', session.id);
+  res.flushHeaders?.();
+
+  const write = (event) => {
+    if (!res.writableEnded) res.write(formatEvent(event, transport));
+  };
+
+  const firstBuffered = session.events[0]?.id;
+  if (firstBuffered > lastEventId + 1) {
+    write({
+      event: 'reset',
+      message: 'Some events were dropped before you reconnected',
+      missed: { from: lastEventId + 1, to: firstBuffered - 1 },
+    });
+  }
+  session.since(lastEventId).forEach(write);
+  if (session.finished) {
+    res.end();
+    return;
+  }
+
+  // Keeps proxies from closing an idle connection (SSE comment / blank NDJSON line)
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(transport === 'sse' ? ': ping\n\n' : '\n');
+  }, HEARTBEAT_MS);
+
+  const unsubscribe = session.subscribe((event) => {
+    if (event) return write(event);
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  resolveTransport,
+  pipeToResponse,
+};
@@ -0,0 +1,138 @@
+/**
+ * Study guide prompt and response parsing, shared by every text-completion
+ * provider (see quizPrompts for the quiz prompts).
+ */
+const { languageName } = require('./languageRegistry');
+const { formatCorrectAnswer } = require('./questionTypes');
+const { MATH_INSTRUCTION, normalizeMathDeep, parseJsonWithMath } = require('./mathMarkup');
+
+// Most entries kept per list from a model response
+const MAX_ITEMS = 20;
+const MAX_TEXT_LENGTH = 2000;
+
+/**
+ * Numbered list of the quiz's questions (Q1, Q2, ...) the guide links to
+ */
+function formatQuestionList(questions = []) {
+  return questions
+    .map((question, i) => {
+      const answer = formatCorrectAnswer(question);
+      return `Q${i + 1}. ${question.questionText}${answer ? ` (answer: ${answer})` : ''}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Prompt asking for a structured study guide as one JSON object
+ * @param {Object} options - { content, questions, language }
+ */
+function buildStudyGuidePrompt({ content = '', questions = [], language = 'en' } = {}) {
+  return `You are an expert study coach. Write a study guide for a student revising the content below after taking a quiz on it.
+
+CONTENT:
+${content}
+
+QUIZ QUESTIONS:
+${formatQuestionList(questions)}
+
+REQUIREMENTS:
+- Write the guide in ${languageName(language)}; it MUST be in the language of the content
+- "summary": one or two paragraphs covering the main ideas of the content
+- "keyConcepts": the 3 to 8 most important ideas, each with a short explanation
+- "definitions": the terms a student must know, each defined in one sentence taken from or faithful to the content
+- "outline": the content's structure as 3 to 8 topics in reading order, each with two to five short points
+- In every "questions" list, give the numbers of the quiz questions (1 for Q1, 2 for Q2, ...) that test that entry; use an empty list when none do
+- Everything must come from the content; do not add outside facts
+- ${MATH_INSTRUCTION}
+
+FORMAT YOUR RESPONSE AS VALID JSON:
+{
+  "summary": "Overview of the content",
+  "keyConcepts": [
+    { "title": "Concept", "explanation": "What it is and why it matters", "questions": [1, 3] }
+  ],
+  "definitions": [
+    { "term": "Term", "definition": "Meaning", "questions": [2] }
+  ],
+  "outline": [
+    { "title": "Topic", "points": ["Point", "Point"], "questions": [1] }
+  ]
+}
+
+Return ONLY valid JSON, no additional text.
+`;
+}
+
+function cleanText(value) {
+  return String(value ?? '').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+// Question numbers as 1-based integers; "Q3" and "3" are both accepted
+function cleanNumbers(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const numbers = list
+    .map((n) => Number.parseInt(String(n).replace(/^\s*Q/i, ''), 10))
+    .filter((n) => Number.isInteger(n) && n > 0);
+  return [...new Set(numbers)];
+}
+
+function cleanList(items, normalize) {
+  return (Array.isArray(items) ? items : []).map(normalize).filter(Boolean).slice(0, MAX_ITEMS);
+}
+
+/**
+ * Coerce a (usually AI-generated) guide into
+ * { summary, keyConcepts, definitions, outline }, with question numbers
+ * left as 1-based numbers in each entry's `questions`
+ */
+function normalizeStudyGuide(guide = {}) {
+  return {
+    summary: cleanText(guide.summary),
+    keyConcepts: cleanList(guide.keyConcepts, (item) => {
+      const title = cleanText(item?.title ?? item?.concept);
+      if (!title) return null;
+      return { title, explanation: cleanText(item.explanation ?? item.description), questions: cleanNumbers(item.questions) };
+    }),
+    definitions: cleanList(guide.definitions, (item) => {
+      const term = cleanText(item?.term);
+      const definition = cleanText(item?.definition ?? item?.meaning);
+      if (!term || !definition) return null;
+      return { term, definition, questions: cleanNumbers(item.questions) };
+    }),
+    outline: cleanList(guide.outline, (item) => {
+      const title = cleanText(item?.title ?? item?.topic);
+      if (!title) return null;
+      const points = (Array.isArray(item.points) ? item.points : []).map(cleanText).filter(Boolean).slice(0, 10);
+      return { title, points, questions: cleanNumbers(item.questions) };
+    }),
+  };
+}
+
+/**
+ * Parse the model's response to buildStudyGuidePrompt
+ * @returns {Object} { success: true, data: guide } or { success: false, error }
+ */
+function parseStudyGuideResponse(text) {
+  try {
+    const cleanedText = String(text || '').trim()
+      .replace(/^```(json)?\n?/, '')
+      .replace(/```\s*$/, '')
+      .trim();
+    const start = cleanedText.indexOf('{');
+    const end = cleanedText.lastIndexOf('}');
+    const guide = normalizeStudyGuide(normalizeMathDeep(parseJsonWithMath(cleanedText.slice(start, end + 1))));
+    if (!guide.summary && guide.keyConcepts.length === 0 && guide.outline.length === 0) {
+      throw new Error('Invalid study guide structure: no summary, concepts or outline');
+    }
+    return { success: true, data: guide };
+  } catch (error) {
+    console.error('Study guide parse error:', error.message);
+    return { success: false, error: 'Failed to parse AI response' };
+  }
+}
+
+module.exports = {
+  buildStudyGuidePrompt,
+  normalizeStudyGuide,
+  parseStudyGuideResponse,
+};
@@ -0,0 +1,257 @@
+/**
+ * Study guides for saved quizzes: a summary, key concepts, definitions and a
+ * topic outline generated from the quiz's stored source text, each entry
+ * linked to the questions that test it. One guide is kept per quiz and
+ * regenerating replaces it.
+ */
+
+const StudyGuide = require('../models/StudyGuide');
+const geminiService = require('./geminiService');
+const usageService = require('./usageService');
+const { PAGE_BREAK } = require('./documentSections');
+const { formatCorrectAnswer } = require('./questionTypes');
+
+const SECTIONS = ['keyConcepts', 'definitions', 'outline'];
+const EXPORT_FORMATS = ['md', 'html'];
+
+// Most questions linked to one entry by keyword matching
+const MAX_MATCHED_LINKS = 5;
+
+/**
+ * The quiz's stored source text (every file's, for multi-file quizzes) with
+ * page breaks turned into newlines
+ */
+function sourceTextOf(quiz) {
+  const files = (quiz.sourceContent?.files || []).filter((file) => file.text);
+  const text = files.length > 0
+    ? files.map((file) => file.text).join('\n\n')
+    : quiz.sourceContent?.text || '';
+  return text.split(PAGE_BREAK).join('\n').trim();
+}
+
+function keywordsOf(text) {
+  return new Set((String(text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []).filter((w) => w.length >= 4));
+}
+
+/**
+ * Questions whose wording or answer contains at least half of an entry
+ * heading's keywords, for entries the model did not link
+ */
+function matchQuestions(heading, questions) {
+  const wanted = [...keywordsOf(heading)];
+  if (wanted.length === 0) return [];
+  return questions
+    .filter((question) => {
+      const words = keywordsOf(`${question.questionText} ${formatCorrectAnswer(question)}`);
+      return wanted.filter((w) => words.has(w)).length * 2 >= wanted.length;
+    })
+    .slice(0, MAX_MATCHED_LINKS)
+    .map((question) => question._id);
+}
+
+/**
+ * Turn the 1-based question numbers of a generated guide into question ids,
+ * falling back to keyword matching for entries without valid numbers
+ */
+function linkQuestions(guide, questions) {
+  const linked = {};
+  for (const key of SECTIONS) {
+    linked[key] = guide[key].map((entry) => {
+      const ids = entry.questions
+        .filter((n) => n <= questions.length)
+        .map((n) => questions[n - 1]._id);
+      return {
+        ...entry,
+        questions: ids.length > 0 ? ids : matchQuestions(entry.title || entry.term, questions),
+      };
+    });
+  }
+  return { summary: guide.summary, ...linked };
+}
+
+/**
+ * Generate (or regenerate) a quiz's study guide
+ * @param {Object} quiz - Quiz document, with its source content and questions
+ * @param {Object} options - { userId }
+ * @returns {Promise<Object>} { success, guide } or { success: false, error }
+ */
+async function generateStudyGuide(quiz, { userId }) {
+  const content = sourceTextOf(quiz);
+  if (content.length < 100) {
+    return { success: false, error: 'This quiz has no stored source text to build a study guide from' };
+  }
+
+  const result = await geminiService.generateStudyGuide({
+    content,
+    questions: quiz.questions,
+    language: quiz.language,
+  });
+  if (!result.success) return { success: false, error: result.error };
+  await usageService.attributeQuiz(quiz._id);
+
+  const fields = {
+    ...linkQuestions(result.data, quiz.questions),
+    language: quiz.language,
+    generatedBy: userId,
+    generatedAt: new Date(),
+    aiModel: await geminiService.modelId('quiz'),
+  };
+  const guide = await StudyGuide.findOneAndUpdate(
+    { quiz: quiz._id },
+    { $set: fields, $inc: { version: 1 } },
+    { new: true, upsert: true, runValidators: true }
+  );
+  return { success: true, guide };
+}
+
+/**
+ * Guide as sent to clients: every entry's linked questions as
+ * { id, number } (1-based position in the quiz), dropping links to
+ * questions the quiz no longer has
+ */
+function presentGuide(guide, quiz) {
+  const numbers = new Map(quiz.questions.map((question, i) => [question._id.toString(), i + 1]));
+  const data = guide.toObject ? guide.toObject() : guide;
+  const present = (entry) => ({
+    ...entry,
+    questions: entry.questions
+      .filter((id) => numbers.has(id.toString()))
+      .map((id) => ({ id, number: numbers.get(id.toString()) })),
+  });
+  return {
+    ...data,
+    keyConcepts: data.keyConcepts.map(present),
+    definitions: data.definitions.map(present),
+    outline: data.outline.map(present),
+  };
+}
+
+function relatedLabel(entry) {
+  return entry.questions.length > 0
+    ? `Related questions: ${entry.questions.map((q) => `Q${q.number}`).join(', ')}`
+    : '';
+}
+
+/**
+ * Markdown export of a presented guide (see presentGuide)
+ */
+function toMarkdown(guide, quiz) {
+  const lines = [`# Study guide: ${quiz.title}`, ''];
+  if (guide.summary) lines.push('## Summary', '', guide.summary, '');
+
+  if (guide.keyConcepts.length > 0) {
+    lines.push('## Key concepts', '');
+    for (const concept of guide.keyConcepts) {
+      lines.push(`### ${concept.title}`, '');
+      if (concept.explanation) lines.push(concept.explanation, '');
+      if (concept.questions.length > 0) lines.push(`_${relatedLabel(concept)}_`, '');
+    }
+  }
+
+  if (guide.definitions.length > 0) {
+    lines.push('## Definitions', '');
+    for (const definition of guide.definitions) {
+      const related = definition.questions.length > 0 ? ` _(${relatedLabel(definition)})_` : '';
+      lines.push(`- **${definition.term}**: ${definition.definition}${related}`);
+    }
+    lines.push('');
+  }
+
+  if (guide.outline.length > 0) {
+    lines.push('## Outline', '');
+    guide.outline.forEach((topic, i) => {
+      const related = topic.questions.length > 0 ? ` _(${relatedLabel(topic)})_` : '';
+      lines.push(`${i + 1}. **${topic.title}**${related}`);
+      for (const point of topic.points) lines.push(`   - ${point}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone HTML export of a presented guide (see presentGuide)
+ */
+function toHtml(guide, quiz) {
+  const related = (entry) => (entry.questions.length > 0
+    ? `<p class="related">${escapeHtml(relatedLabel(entry))}</p>`
+    : '');
+  const parts = [`<h1>Study guide: ${escapeHtml(quiz.title)}</h1>`];
+  if (guide.summary) parts.push('<h2>Summary</h2>', `<p>${escapeHtml(guide.summary)}</p>`);
+
+  if (guide.keyConcepts.length > 0) {
+    parts.push('<h2>Key concepts</h2>');
+    for (const concept of guide.keyConcepts) {
+      parts.push(`<h3>${escapeHtml(concept.title)}</h3>`);
+      if (concept.explanation) parts.push(`<p>${escapeHtml(concept.explanation)}</p>`);
+      parts.push(related(concept));
+    }
+  }
+
+  if (guide.definitions.length > 0) {
+    parts.push('<h2>Definitions</h2>', '<dl>');
+    for (const definition of guide.definitions) {
+      parts.push(
+        `<dt>${escapeHtml(definition.term)}</dt>`,
+        `<dd>${escapeHtml(definition.definition)}${related(definition)}</dd>`
+      );
+    }
+    parts.push('</dl>');
+  }
+
+  if (guide.outline.length > 0) {
+    parts.push('<h2>Outline</h2>', '<ol>');
+    for (const topic of guide.outline) {
+      const points = topic.points.map((point) => `<li>${escapeHtml(point)}</li>`).join('');
+      parts.push(`<li><strong>${escapeHtml(topic.title)}</strong>${related(topic)}<ul>${points}</ul></li>`);
+    }
+    parts.push('</ol>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(guide.language || 'en')}">
+<head>
+<meta charset="utf-8">
+<title>Study guide: ${escapeHtml(quiz.title)}</title>
+<style>
+body { font-family: sans-serif; max-width: 760px; margin: 2em auto; padding: 0 1em; line-height: 1.5; color: #111827; }
+.related { color: #6B7280; font-size: 0.9em; font-style: italic; margin-top: 0.25em; }
+dt { font-weight: bold; margin-top: 0.75em; }
+</style>
+</head>
+<body>
+${parts.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export a presented guide
+ * @param {string} format - 'md' or 'html'
+ * @returns {Object} { content, contentType, extension }
+ */
+function exportGuide(guide, quiz, format = 'md') {
+  if (format === 'html') {
+    return { content: toHtml(guide, quiz), contentType: 'text/html', extension: 'html' };
+  }
+  return { content: toMarkdown(guide, quiz), contentType: 'text/markdown', extension: 'md' };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  sourceTextOf,
+  linkQuestions,
+  generateStudyGuide,
+  presentGuide,
+  exportGuide,
+};
@@ -1,23 +1,119 @@
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const pdf = require('pdf-parse');
 const Tesseract = require('tesseract.js');
+const { PAGE_BREAK } = require('./documentSections');
+const languageRegistry = require('./languageRegistry');
+const documentExtractors = require('./documentExtractors');
+
+const execFileAsync = promisify(execFile);
+
+// Poppler's page rasterizer, used to OCR PDF pages without a text layer
+const PDFTOPPM = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const OCR_RENDER_DPI = parseInt(process.env.OCR_RENDER_DPI || '200');
+
+// A PDF page with fewer letters/digits than this has no usable text layer
+const MIN_PAGE_TEXT = 20;
+
+// Mean OCR confidence (0-100) below which quizzes get a warning
+const OCR_LOW_CONFIDENCE = parseInt(process.env.OCR_LOW_CONFIDENCE || '60');
+
+/**
+ * pdf-parse page renderer (same line handling as its default) that ends
+ * every page with PAGE_BREAK
+ */
+async function renderPdfPage(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+    lastY = item.transform[5];
+  }
+  return text + PAGE_BREAK;
+}
+
+function hasUsableText(pageText) {
+  return (pageText.match(/[\p{L}\p{N}]/gu) || []).length >= MIN_PAGE_TEXT;
+}
+
+/**
+ * Document-level summary of OCR'd pages: confidence is the mean of the
+ * page confidences weighted by how much text each page produced
+ * @param {Array<{ page, confidence, chars }>} pages
+ * @param {String} languages - Tesseract languages used ('eng+ben')
+ */
+function summarizeOcr(pages, languages, totalPages = pages.length) {
+  const chars = pages.reduce((sum, page) => sum + page.chars, 0);
+  const confidence = chars
+    ? pages.reduce((sum, page) => sum + page.confidence * page.chars, 0) / chars
+    : 0;
+  return {
+    languages,
+    ocrPages: pages.length,
+    totalPages,
+    confidence: Math.round(confidence * 10) / 10,
+    lowConfidence: confidence < OCR_LOW_CONFIDENCE,
+    pages: pages.map(({ page, confidence: pageConfidence }) => ({ page, confidence: Math.round(pageConfidence * 10) / 10 })),
+  };
+}
 
 class TextExtractor {
   /**
-   * Extract text from various file types
+   * Extract text from various file types. The type is detected from the
+   * file's content, not its name or MIME type.
    * @param {String} filePath - Path to the file
-   * @param {String} fileType - Type of file (pdf, image, text)
+   * @param {Object} [options] - { fileType } already detected (see detectFileType),
+   *   { language } when the document's language is known (narrows OCR)
    * @returns {Promise<String>} Extracted text
    */
-  async extractText(filePath, fileType) {
+  async extractText(filePath, options = {}) {
+    return (await this.extractDocument(filePath, options)).text;
+  }
+
+  /**
+   * Extract text plus how it was obtained
+   * @param {String} filePath - Path to the file
+   * @param {Object} [options] - { fileType, language } as for extractText, and
+   *   { onProgress } called with { page, done, pages, confidence } after each OCR'd page
+   * @returns {Promise<Object>} { text, fileType, ocr } (ocr is null when no page needed OCR)
+   */
+  async extractDocument(filePath, { fileType, language, onProgress } = {}) {
     try {
-      if (fileType === 'pdf' || filePath.toLowerCase().endsWith('.pdf')) {
-        return await this.extractFromPDF(filePath);
-      } else if (this.isImage(filePath)) {
-        return await this.extractFromImage(filePath);
-      } else {
-        return await this.extractFromText(filePath);
+      const type = documentExtractors.FILE_TYPES.includes(fileType)
+        ? fileType
+        : await this.detectFileType(filePath);
+
+      switch (type) {
+        case 'pdf':
+          return { fileType: type, ...await this.extractFromPDF(filePath, { language, onProgress }) };
+        case 'image': {
+          const ocrLanguages = languageRegistry.ocrLanguages(language);
+          const [result] = await this.recognizeImages([filePath], ocrLanguages, onProgress);
+          if (!result.text.trim()) {
+            throw new Error('No text could be extracted from the image');
+          }
+          return {
+            text: result.text,
+            fileType: type,
+            ocr: summarizeOcr([{ page: 1, confidence: result.confidence, chars: result.text.length }], ocrLanguages),
+          };
+        }
+        case 'docx':
+          return { text: this.requireText(await documentExtractors.extractDocx(filePath), 'Word document'), fileType: type, ocr: null };
+        case 'pptx':
+          return { text: this.requireText(await documentExtractors.extractPptx(filePath), 'Presentation'), fileType: type, ocr: null };
+        case 'epub':
+          return { text: this.requireText(await documentExtractors.extractEpub(filePath), 'EPUB book'), fileType: type, ocr: null };
+        case 'html':
+          return { text: this.requireText(await documentExtractors.extractHtml(filePath), 'HTML page'), fileType: type, ocr: null };
+        case 'markdown':
+          return { text: this.requireText(await documentExtractors.extractMarkdown(filePath), 'Markdown file'), fileType: type, ocr: null };
+        default:
+          return { text: await this.extractFromText(filePath), fileType: type, ocr: null };
       }
     } catch (error) {
       console.error('Text extraction error:', error);
@@ -26,18 +122,46 @@ class TextExtractor {
   }
 
   /**
-   * Extract text from PDF file
+   * Extract text from PDF file. Pages without a usable text layer (scans,
+   * photographed notes) are rendered to images and OCR'd one by one.
+   * @param {String} filePath
+   * @param {Object} [options] - { language, onProgress } (see extractDocument)
+   * @returns {Promise<Object>} { text, ocr }
    */
-  async extractFromPDF(filePath) {
+  async extractFromPDF(filePath, { language, onProgress } = {}) {
     try {
       const dataBuffer = await fs.readFile(filePath);
-      const data = await pdf(dataBuffer);
-      
-      if (!data.text || data.text.trim().length === 0) {
-        throw new Error('PDF appears to be empty or contains only images');
+      const data = await pdf(dataBuffer, { pagerender: renderPdfPage });
+
+      // pdf-parse joins pages as "\n\n<page>"; every page ends with PAGE_BREAK
+      const pages = (data.text || '').split(PAGE_BREAK).slice(0, data.numpages);
+      const scanned = pages
+        .map((pageText, index) => (hasUsableText(pageText) ? null : index + 1))
+        .filter(Boolean);
+
+      let ocr = null;
+      if (scanned.length) {
+        console.log(`🔎 OCR for ${scanned.length}/${pages.length} PDF page(s) without a text layer`);
+        const ocrLanguages = languageRegistry.ocrLanguages(language);
+        const results = await this.ocrPdfPages(filePath, scanned, ocrLanguages, onProgress);
+        const ocrPages = [];
+        results.forEach((result, i) => {
+          const page = scanned[i];
+          // Keep whatever text layer the page had if OCR finds nothing better
+          if (result.text.trim().length > pages[page - 1].trim().length) {
+            pages[page - 1] = `\n\n${result.text.trim()}`;
+            ocrPages.push({ page, confidence: result.confidence, chars: result.text.length });
+          }
+        });
+        if (ocrPages.length) ocr = summarizeOcr(ocrPages, ocrLanguages, pages.length);
+      }
+
+      const text = pages.map((pageText) => pageText + PAGE_BREAK).join('');
+      if (text.replace(/\f/g, '').trim().length === 0) {
+        throw new Error('PDF contains no readable text, even after OCR');
       }
 
-      return data.text;
+      return { text, ocr };
     } catch (error) {
       console.error('PDF extraction error:', error);
       throw new Error('Failed to extract text from PDF: ' + error.message);
@@ -45,23 +169,81 @@ class TextExtractor {
   }
 
   /**
-   * Extract text from image using OCR
+   * Render the given PDF pages (1-based) to PNG and OCR them
+   * @returns {Promise<Array<{ text, confidence }>>} One result per page
    */
-  async extractFromImage(filePath) {
+  async ocrPdfPages(filePath, pageNumbers, ocrLanguages, onProgress) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quizcraft-ocr-'));
     try {
-      const result = await Tesseract.recognize(filePath, 'eng+ben', {
-        logger: m => {
-          if (m.status === 'recognizing text') {
-            console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
+      const renderPage = async (page) => {
+        const prefix = path.join(dir, `page-${page}`);
+        try {
+          await execFileAsync(PDFTOPPM, [
+            '-f', String(page), '-l', String(page),
+            '-r', String(OCR_RENDER_DPI),
+            '-png', '-singlefile',
+            filePath, prefix
+          ]);
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new Error('This PDF is scanned and needs OCR, but pdftoppm (poppler-utils) is not installed');
           }
+          throw error;
+        }
+        return `${prefix}.png`;
+      };
+
+      return await this.recognizeImages(pageNumbers.map((page) => () => renderPage(page)), ocrLanguages, (progress) => {
+        if (typeof onProgress === 'function') {
+          return onProgress({ ...progress, page: pageNumbers[progress.page - 1] });
         }
       });
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * OCR images one after another with a single Tesseract worker
+   * @param {Array<String|Function>} images - Image paths, or async functions returning one
+   * @param {String} ocrLanguages - Tesseract languages ('eng+ben')
+   * @param {Function} [onProgress] - Called with { page, done, pages, confidence } after each image
+   * @returns {Promise<Array<{ text, confidence }>>}
+   */
+  async recognizeImages(images, ocrLanguages, onProgress) {
+    const worker = await Tesseract.createWorker(ocrLanguages);
+    try {
+      const results = [];
+      for (const [index, image] of images.entries()) {
+        const imagePath = typeof image === 'function' ? await image() : image;
+        const { data } = await worker.recognize(imagePath);
+        const result = { text: data.text || '', confidence: data.confidence || 0 };
+        results.push(result);
+        console.log(`OCR Progress: page ${index + 1}/${images.length} (confidence ${Math.round(result.confidence)}%)`);
+        if (typeof onProgress === 'function') {
+          await onProgress({ page: index + 1, done: index + 1, pages: images.length, confidence: result.confidence });
+        }
+      }
+      return results;
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  /**
+   * Extract text from image using OCR
+   * @param {String} filePath
+   * @param {String} [language] - Registry code; unknown means every default OCR language
+   */
+  async extractFromImage(filePath, language) {
+    try {
+      const [result] = await this.recognizeImages([filePath], languageRegistry.ocrLanguages(language));
 
-      if (!result.data.text || result.data.text.trim().length === 0) {
+      if (!result.text || result.text.trim().length === 0) {
         throw new Error('No text could be extracted from the image');
       }
 
-      return result.data.text;
+      return result.text;
     } catch (error) {
       console.error('OCR error:', error);
       throw new Error('Failed to extract text from image: ' + error.message);
@@ -87,12 +269,21 @@ class TextExtractor {
   }
 
   /**
-   * Check if file is an image
+   * Detect a file's type from its content
+   * @returns {Promise<String>} pdf, image, docx, pptx, epub, html, markdown or text
    */
-  isImage(filePath) {
-    const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.tiff'];
-    const ext = path.extname(filePath).toLowerCase();
-    return imageExtensions.includes(ext);
+  async detectFileType(filePath) {
+    return documentExtractors.detectFileType(filePath);
+  }
+
+  /**
+   * Fail documents that parsed but contain no text
+   */
+  requireText(text, kind) {
+    if (!text || text.replace(/\f/g, '').trim().length === 0) {
+      throw new Error(`${kind} contains no text`);
+    }
+    return text;
   }
 
   /**
@@ -120,40 +311,18 @@ class TextExtractor {
       .replace(/\r\n/g, '\n') // Normalize line endings
       .replace(/\n{3,}/g, '\n\n') // Remove excessive newlines
       .replace(/\t/g, ' ') // Replace tabs with spaces
-      .replace(/ {2,}/g, ' ') // Remove multiple spaces
-      .trim();
+      .replace(/(\S) {2,}/g, '$1 ') // Remove multiple spaces, keeping list indentation
+      .replace(/^[^\S\f]+|[^\S\f]+$/g, ''); // Trim, keeping page breaks so page numbers stay right
   }
 
   /**
-   * Detect language from text content
-   * Detects if text contains Bengali/Bangla characters
+   * Detect language from text content by the scripts it is written in
+   * (see services/languageRegistry for the languages it knows)
    * @param {String} text - Text to analyze
-   * @returns {String} Language code ('bn' for Bengali, 'en' for English)
+   * @returns {String} Language code ('en', 'bn', 'hi', ...)
    */
   detectLanguage(text) {
-    if (!text || typeof text !== 'string') {
-      return 'en'; // Default to English
-    }
-
-    // Bengali Unicode range: \u0980-\u09FF
-    const bengaliRegex = /[\u0980-\u09FF]/;
-    
-    // Count Bengali characters
-    const bengaliMatches = text.match(/[\u0980-\u09FF]/g);
-    const bengaliCharCount = bengaliMatches ? bengaliMatches.length : 0;
-    
-    // Count total alphanumeric characters (excluding spaces and punctuation)
-    const totalChars = text.replace(/[\s\d\p{P}]/gu, '').length;
-    
-    // If Bengali characters make up more than 30% of content, consider it Bengali
-    // This threshold balances between pure Bengali content and mixed content
-    if (totalChars > 0 && (bengaliCharCount / totalChars) > 0.3) {
-      console.log(`📝 Language detected: Bengali (${bengaliCharCount}/${totalChars} chars = ${((bengaliCharCount/totalChars)*100).toFixed(1)}%)`);
-      return 'bn';
-    }
-    
-    console.log(`📝 Language detected: English (${bengaliCharCount}/${totalChars} chars = ${totalChars > 0 ? ((bengaliCharCount/totalChars)*100).toFixed(1) : 0}%)`);
-    return 'en';
+    return languageRegistry.detectLanguage(text);
   }
 }
 
@@ -0,0 +1,283 @@
+/**
+ * Token accounting for AI calls and per-plan monthly quotas.
+ *
+ * Providers call record() after every request. Who the call is billed to
+ * comes from the surrounding track() scope (set by the trackUsage middleware
+ * or the generation queue), so nothing has to pass user ids down to them.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+const AIUsage = require('../models/AIUsage');
+const Quiz = require('../models/Quiz');
+const SystemSettings = require('../models/SystemSettings');
+
+const storage = new AsyncLocalStorage();
+
+// Operations that produce a new quiz (counted against the monthly quiz limit)
+const GENERATION_OPERATIONS = ['generate', 'stream'];
+
+/**
+ * Rough token count for providers that report none (~4 characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Run fn with every AI call inside it attributed to { user, quiz, job }
+ */
+function track(attribution, fn) {
+  return storage.run({ ...attribution, pending: [] }, fn);
+}
+
+/**
+ * Record one AI call. Token counts reported by the provider are used as-is;
+ * missing ones are estimated from the prompt/response text.
+ * @param {Object} call - { operation, provider, model, input, output, inputTokens, outputTokens }
+ */
+function record({ operation, provider, model, input, output, inputTokens, outputTokens }) {
+  // Nothing to write to in scripts and offline runs without Mongo
+  if (mongoose.connection.readyState !== 1) return;
+
+  const context = storage.getStore();
+  const estimated = !Number.isFinite(inputTokens) || !Number.isFinite(outputTokens);
+  const tokensIn = Number.isFinite(inputTokens) ? inputTokens : estimateTokens(input);
+  const tokensOut = Number.isFinite(outputTokens) ? outputTokens : estimateTokens(output);
+
+  const write = AIUsage.create({
+    user: context?.user,
+    quiz: context?.quiz,
+    job: context?.job,
+    operation,
+    provider,
+    model,
+    inputTokens: tokensIn,
+    outputTokens: tokensOut,
+    totalTokens: tokensIn + tokensOut,
+    estimated,
+  }).catch((error) => {
+    console.warn('Failed to record AI usage:', error.message);
+    return null;
+  });
+  context?.pending.push(write);
+}
+
+/**
+ * Attribute the current scope's calls (including those already recorded) to a quiz
+ */
+async function attributeQuiz(quizId) {
+  const context = storage.getStore();
+  if (!context || !quizId) return;
+
+  context.quiz = quizId;
+  const written = (await Promise.all(context.pending)).filter((doc) => doc && !doc.quiz);
+  context.pending = [];
+  if (written.length) {
+    await AIUsage.updateMany({ _id: { $in: written.map((doc) => doc._id) } }, { quiz: quizId });
+  }
+}
+
+// Plans with limits of their own in SystemSettings.apiLimits
+const PLAN_KEYS = Object.keys(new SystemSettings().toObject().apiLimits);
+
+/**
+ * Key into SystemSettings.apiLimits for a user's role and plan: basic and
+ * premium have limits per role, institutional plans are for teachers
+ * (students of an institution get premium limits), and plans already named
+ * per role (e.g. student_basic) are used as they are
+ */
+function planKey(user) {
+  const plan = user.subscription?.plan || 'free';
+  if (PLAN_KEYS.includes(plan)) return plan;
+
+  const role = user.role === 'teacher' ? 'teacher' : 'student';
+  if (plan === 'institutional') return role === 'teacher' ? 'teacher_institutional' : 'student_premium';
+  const key = `${role}_${plan}`;
+  return PLAN_KEYS.includes(key) ? key : 'free';
+}
+
+let warnedLegacyLimits = false;
+
+/**
+ * Limits for a plan ({ quizzes, questions, tokens } per month; -1 = unlimited)
+ */
+async function getPlanLimits(key) {
+  if (!warnedLegacyLimits && (process.env.FREE_QUIZ_LIMIT || process.env.PREMIUM_QUIZ_LIMIT)) {
+    console.warn('⚠️  FREE_QUIZ_LIMIT/PREMIUM_QUIZ_LIMIT are no longer used; set plan limits in admin settings (apiLimits).');
+    warnedLegacyLimits = true;
+  }
+  const defaults = new SystemSettings().toObject().apiLimits;
+  let limits = defaults;
+  try {
+    const settings = await SystemSettings.findOne({}).select('apiLimits').lean();
+    if (settings?.apiLimits) limits = settings.apiLimits;
+  } catch (error) {
+    console.warn('Failed to load API limits, using defaults:', error.message);
+  }
+  return { ...defaults[key], ...limits[key] };
+}
+
+/**
+ * Start of the current quota period (calendar month, UTC)
+ */
+function periodStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Totals for a user since a date: AI calls, tokens, and quizzes/questions generated
+ */
+async function getUsageTotals(userId, since) {
+  const match = { user: new mongoose.Types.ObjectId(String(userId)), createdAt: { $gte: since } };
+
+  const [totals] = await AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        calls: { $sum: 1 },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        tokens: { $sum: '$totalTokens' }
+      }
+    }
+  ]);
+
+  const quizIds = await AIUsage.distinct('quiz', { ...match, operation: { $in: GENERATION_OPERATIONS }, quiz: { $ne: null } });
+  const [questions] = quizIds.length
+    ? await Quiz.aggregate([
+      { $match: { _id: { $in: quizIds } } },
+      { $group: { _id: null, count: { $sum: { $size: '$questions' } } } }
+    ])
+    : [];
+
+  return {
+    calls: totals?.calls || 0,
+    inputTokens: totals?.inputTokens || 0,
+    outputTokens: totals?.outputTokens || 0,
+    tokens: totals?.tokens || 0,
+    quizzes: quizIds.length,
+    questions: questions?.count || 0,
+  };
+}
+
+function remainingOf(limits, used) {
+  const remaining = {};
+  for (const key of ['quizzes', 'questions', 'tokens']) {
+    remaining[key] = limits[key] === -1 || limits[key] === undefined ? null : Math.max(0, limits[key] - used[key]);
+  }
+  return remaining;
+}
+
+/**
+ * Whether a user may generate another quiz this month
+ * @param {User} user
+ * @param {Object} [request] - { questions } requested in the new quiz
+ * @returns {Promise<Object>} { allowed, message, plan, limits, used, remaining }
+ */
+async function checkQuota(user, { questions = 0 } = {}) {
+  const plan = planKey(user);
+  if (user.role === 'admin') {
+    return { allowed: true, plan: 'admin', limits: null, used: null, remaining: null };
+  }
+
+  const limits = await getPlanLimits(plan);
+  const used = await getUsageTotals(user._id, periodStart());
+  const remaining = remainingOf(limits, used);
+  const result = { allowed: true, plan, limits, used, remaining };
+
+  if (limits.quizzes !== -1 && used.quizzes >= limits.quizzes) {
+    return { ...result, allowed: false, message: 'Monthly quiz generation limit reached. Please upgrade your plan.' };
+  }
+  if (limits.questions !== -1 && used.questions + questions > limits.questions) {
+    return {
+      ...result,
+      allowed: false,
+      message: `This quiz would exceed your monthly question limit (${remaining.questions} left). Please upgrade your plan.`,
+    };
+  }
+  if (limits.tokens !== -1 && used.tokens >= limits.tokens) {
+    return { ...result, allowed: false, message: 'Monthly AI usage limit reached. Please upgrade your plan.' };
+  }
+  return result;
+}
+
+/**
+ * Usage breakdown for the current period: totals against limits, per
+ * operation, per quiz (top 10) and per day
+ */
+async function getUsageStats(user) {
+  const since = periodStart();
+  const plan = user.role === 'admin' ? 'admin' : planKey(user);
+  const limits = user.role === 'admin' ? null : await getPlanLimits(plan);
+  const used = await getUsageTotals(user._id, since);
+  const match = { user: user._id, createdAt: { $gte: since } };
+
+  const byOperation = await AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$operation',
+        calls: { $sum: 1 },
+        inputTokens: { $sum: '$inputTokens' },
+        outputTokens: { $sum: '$outputTokens' },
+        totalTokens: { $sum: '$totalTokens' }
+      }
+    },
+    { $sort: { totalTokens: -1 } },
+    { $project: { _id: 0, operation: '$_id', calls: 1, inputTokens: 1, outputTokens: 1, totalTokens: 1 } }
+  ]);
+
+  const byQuiz = await AIUsage.aggregate([
+    { $match: { ...match, quiz: { $ne: null } } },
+    { $group: { _id: '$quiz', calls: { $sum: 1 }, totalTokens: { $sum: '$totalTokens' } } },
+    { $sort: { totalTokens: -1 } },
+    { $limit: 10 },
+    { $lookup: { from: 'quizzes', localField: '_id', foreignField: '_id', as: 'quiz' } },
+    {
+      $project: {
+        _id: 0,
+        quizId: '$_id',
+        title: { $arrayElemAt: ['$quiz.title', 0] },
+        questions: { $size: { $ifNull: [{ $arrayElemAt: ['$quiz.questions', 0] }, []] } },
+        calls: 1,
+        totalTokens: 1
+      }
+    }
+  ]);
+
+  const daily = await AIUsage.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+        calls: { $sum: 1 },
+        totalTokens: { $sum: '$totalTokens' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: '$_id', calls: 1, totalTokens: 1 } }
+  ]);
+
+  return {
+    period: { start: since, end: new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + 1, 1)) },
+    plan,
+    limits,
+    used,
+    remaining: limits ? remainingOf(limits, used) : null,
+    byOperation,
+    byQuiz,
+    daily,
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  track,
+  record,
+  attributeQuiz,
+  planKey,
+  checkQuota,
+  getUsageStats,
+};
@@ -2,6 +2,7 @@ const { ChromaClient } = require('chromadb');
 const natural = require('natural');
 const geminiService = require('./geminiService');
 const Quiz = require('../models/Quiz');
+const { mathToPlainText } = require('./mathMarkup');
 
 class VectorSearchService {
   constructor() {
@@ -71,9 +72,9 @@ class VectorSearchService {
         )
         .join(' ');
 
-      const fullText = `${title} ${description} ${questionsText} ${tags.join(
+      const fullText = mathToPlainText(`${title} ${description} ${questionsText} ${tags.join(
         ' '
-      )}`;
+      )}`);
 
       // Generate embedding
       const embedding = await this.generateEmbedding(fullText);
@@ -26,6 +26,16 @@ const testCases = [
     name: 'Bengali paragraph',
     text: 'বাংলাদেশের রাজধানী ঢাকা। এটি একটি প্রাণবন্ত শহর যেখানে অনেক মানুষ বাস করে। শহরটি তার সমৃদ্ধ ইতিহাস এবং সংস্কৃতির জন্য পরিচিত।',
     expected: 'bn'
+  },
+  {
+    name: 'Hindi text',
+    text: 'भारत दक्षिण एशिया का एक विशाल देश है। इसकी राजधानी नई दिल्ली है।',
+    expected: 'hi'
+  },
+  {
+    name: 'Arabic text',
+    text: 'القاهرة هي عاصمة مصر وأكبر مدنها، وتقع على ضفاف نهر النيل.',
+    expected: 'ar'
   }
 ];
 
@@ -164,6 +164,31 @@ function AppStack() {
         component={QuizDetailScreen}
         options={{ title: 'Quiz Details' }}
       />
+      <Stack.Screen
+        name="FlashcardDeck"
+        component={require('./src/screens/quiz/FlashcardDeckScreen').default}
+        options={{ title: 'Flashcards' }}
+      />
+      <Stack.Screen
+        name="StudyGuide"
+        component={require('./src/screens/quiz/StudyGuideScreen').default}
+        options={{ title: 'Study Guide' }}
+      />
+      <Stack.Screen
+        name="GradeReview"
+        component={require('./src/screens/quiz/GradeReviewScreen').default}
+        options={{ title: 'Review Answers' }}
+      />
+      <Stack.Screen
+        name="GradingQueue"
+        component={require('./src/screens/quiz/GradingQueueScreen').default}
+        options={{ title: 'Grading Queue' }}
+      />
+      <Stack.Screen
+        name="EssayGrading"
+        component={require('./src/screens/quiz/EssayGradingScreen').default}
+        options={{ title: 'Grade Essays' }}
+      />
       <Stack.Screen
         name="TakeQuiz"
         component={TakeQuizScreen}
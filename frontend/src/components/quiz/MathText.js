@@ -0,0 +1,47 @@
+import React from 'react';
+import { Text, StyleSheet, Platform } from 'react-native';
+import { splitMath, latexToPlain } from '../../utils/mathText';
+
+/**
+ * Drop-in replacement for <Text> around question, option and explanation
+ * strings. Formulas written as \( ... \) or \[ ... \] are drawn with Unicode
+ * symbols in a math font; display formulas get a line of their own.
+ */
+export default function MathText({ children, style, ...props }) {
+  const text = Array.isArray(children) && children.every((c) => typeof c === 'string' || typeof c === 'number')
+    ? children.join('')
+    : children;
+  const segments = typeof text === 'string' ? splitMath(text) : null;
+
+  if (!segments || segments.every((segment) => segment.type === 'text')) {
+    return <Text style={style} {...props}>{children}</Text>;
+  }
+
+  return (
+    <Text style={style} {...props}>
+      {segments.map((segment, index) => {
+        if (segment.type === 'text') return segment.value;
+        const formula = latexToPlain(segment.value);
+        return (
+          <Text key={index} style={segment.type === 'block' ? styles.block : styles.inline}>
+            {segment.type === 'block' ? `\n${formula}\n` : formula}
+          </Text>
+        );
+      })}
+    </Text>
+  );
+}
+
+const mathFont = Platform.select({ ios: 'Times New Roman', android: 'serif', default: 'serif' });
+
+const styles = StyleSheet.create({
+  inline: {
+    fontFamily: mathFont,
+    fontStyle: 'italic',
+  },
+  block: {
+    fontFamily: mathFont,
+    fontStyle: 'italic',
+    fontSize: 18,
+  },
+});
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, Image, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useAudioPlayer, useAudioPlayerStatus } from 'expo-audio';
+import { questionMediaUrl } from '../../services/api';
+
+// Attachments of private quizzes are only served with the user's token;
+// offline copies (see advancedMobileFeatures) point at a local file instead
+function useMediaSource(quizId, media) {
+  const [token, setToken] = useState(null);
+  useEffect(() => {
+    AsyncStorage.getItem('token').then(setToken);
+  }, []);
+
+  if (media.localUri) return { uri: media.localUri };
+  return {
+    uri: questionMediaUrl(quizId, media._id),
+    headers: token ? { Authorization: `Bearer ${token}` } : undefined,
+  };
+}
+
+function MediaImage({ quizId, media }) {
+  const source = useMediaSource(quizId, media);
+  const aspectRatio = media.width && media.height ? media.width / media.height : 4 / 3;
+  return (
+    <Image
+      source={source}
+      style={[styles.image, { aspectRatio }]}
+      resizeMode="contain"
+      accessible
+      accessibilityRole="image"
+      accessibilityLabel={media.alt}
+    />
+  );
+}
+
+function MediaAudio({ quizId, media }) {
+  const source = useMediaSource(quizId, media);
+  const player = useAudioPlayer(source);
+  const status = useAudioPlayerStatus(player);
+
+  const toggle = () => {
+    if (status.playing) {
+      player.pause();
+    } else {
+      if (status.didJustFinish || (status.duration && status.currentTime >= status.duration)) player.seekTo(0);
+      player.play();
+    }
+  };
+
+  const format = (seconds) => `${Math.floor((seconds || 0) / 60)}:${String(Math.floor((seconds || 0) % 60)).padStart(2, '0')}`;
+
+  return (
+    <TouchableOpacity
+      style={styles.audio}
+      onPress={toggle}
+      accessibilityRole="button"
+      accessibilityLabel={`${status.playing ? 'Pause' : 'Play'} audio${media.alt ? `: ${media.alt}` : ''}`}
+    >
+      <Ionicons name={status.playing ? 'pause-circle' : 'play-circle'} size={36} color="#4F46E5" />
+      <Text style={styles.audioTime}>
+        {format(status.currentTime)} / {format(status.duration)}
+      </Text>
+    </TouchableOpacity>
+  );
+}
+
+/**
+ * Images and audio clips attached to a question (question.media)
+ */
+export default function QuestionMedia({ quizId, media, style }) {
+  if (!media?.length) return null;
+  return (
+    <View style={style}>
+      {media.map((item) => (
+        <View key={item._id} style={styles.item}>
+          {item.kind === 'image'
+            ? <MediaImage quizId={quizId} media={item} />
+            : <MediaAudio quizId={quizId} media={item} />}
+          {item.caption ? <Text style={styles.caption}>{item.caption}</Text> : null}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  item: {
+    marginBottom: 12,
+  },
+  image: {
+    width: '100%',
+    borderRadius: 8,
+    backgroundColor: '#F3F4F6',
+  },
+  audio: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#EEF2FF',
+  },
+  audioTime: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#374151',
+  },
+  caption: {
+    marginTop: 4,
+    fontSize: 13,
+    color: '#6B7280',
+    fontStyle: 'italic',
+  },
+});
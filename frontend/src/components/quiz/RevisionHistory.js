@@ -0,0 +1,368 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { quizAPI } from '../../services/api';
+import { useTheme } from '../../hooks/useTheme';
+
+const ACTION_LABELS = {
+  create: 'Created',
+  edit: 'Edited',
+  'add-question': 'Question added',
+  'update-question': 'Question edited',
+  'delete-question': 'Question deleted',
+  'duplicate-question': 'Question duplicated',
+  reorder: 'Questions reordered',
+  regenerate: 'Question regenerated',
+  rewrite: 'Question rewritten',
+  media: 'Attachments changed',
+  rollback: 'Rolled back',
+  snapshot: 'Saved',
+};
+
+function formatValue(value) {
+  if (value == null || value === '') return '—';
+  if (Array.isArray(value)) {
+    return value
+      .map((item) => {
+        if (item?.text !== undefined) return `${item.isCorrect ? '✓ ' : ''}${item.text}`;
+        if (item?.left !== undefined) return `${item.left} → ${item.right}`;
+        if (item?.answers) return item.answers.join(' / ');
+        if (item?.criterion) return item.criterion;
+        if (item?.filename) return item.alt || item.caption || item.kind;
+        return String(item);
+      })
+      .join(', ') || '—';
+  }
+  if (typeof value === 'object') {
+    if (value.value !== undefined) return `${value.value}${value.tolerance ? ` ± ${value.tolerance}` : ''}${value.unit ? ` ${value.unit}` : ''}`;
+    return JSON.stringify(value);
+  }
+  const text = String(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+/**
+ * Revision history of a quiz for its creator: every saved version with its
+ * author and what changed, a diff between any two versions and rollback.
+ * Tap one version to see what it changed, or two to compare them.
+ */
+export default function RevisionHistory({ quizId, onRestored }) {
+  const { theme } = useTheme();
+  const [open, setOpen] = useState(false);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [restoring, setRestoring] = useState(null);
+
+  const isLight = theme === 'light';
+  const textPrimary = isLight ? '#111827' : '#F9FAFB';
+  const textSecondary = isLight ? '#6B7280' : '#9CA3AF';
+  const surface = isLight ? '#FFFFFF' : '#1E1E1E';
+
+  const loadRevisions = async () => {
+    setLoading(true);
+    try {
+      const res = await quizAPI.getRevisions(quizId);
+      setData(res?.data?.data || null);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load the revision history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open && !data) loadRevisions();
+    setOpen(!open);
+  };
+
+  const compare = async (versions) => {
+    setComparison(null);
+    if (versions.length === 0) return;
+    setComparing(true);
+    try {
+      // One version: what it changed from the one before; two: older → newer
+      const [from, to] = [...versions].sort((a, b) => a - b);
+      const res = versions.length === 1
+        ? await quizAPI.getRevision(quizId, from)
+        : await quizAPI.compareRevisions(quizId, from, to);
+      const result = res?.data?.data;
+      setComparison(versions.length === 1
+        ? { to: from, diff: result?.revision?.diff, summary: result?.revision?.summary }
+        : result);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to compare versions');
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const toggleSelected = (version) => {
+    const next = selected.includes(version)
+      ? selected.filter((v) => v !== version)
+      : [...selected, version].slice(-2);
+    setSelected(next);
+    compare(next);
+  };
+
+  const rollback = (revision) => {
+    Alert.alert(
+      `Roll back to version ${revision.version}?`,
+      'The quiz content goes back to this version and is saved as a new version. Past attempts keep the version they were taken on.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Roll back',
+          style: 'destructive',
+          onPress: async () => {
+            setRestoring(revision.version);
+            try {
+              const res = await quizAPI.rollbackRevision(quizId, revision.version, data.version);
+              onRestored?.(res?.data?.data?.quiz);
+              setSelected([]);
+              setComparison(null);
+              Alert.alert('Rolled back', res?.data?.message || `Restored version ${revision.version}`);
+            } catch (error) {
+              Alert.alert(
+                error.status === 409 ? 'Quiz changed' : 'Error',
+                error.status === 409
+                  ? 'Someone saved this quiz while you were looking. The history has been reloaded.'
+                  : error.message || 'Failed to roll back'
+              );
+            } finally {
+              setRestoring(null);
+              loadRevisions();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderDiff = () => {
+    if (comparing) return <ActivityIndicator color="#4F46E5" style={styles.loader} />;
+    if (!comparison) return null;
+    const { diff, summary } = comparison;
+    const title = comparison.from
+      ? `Version ${comparison.from} → ${comparison.to}`
+      : `Changes in version ${comparison.to}`;
+
+    return (
+      <View style={[styles.diff, { backgroundColor: isLight ? '#F8FAFC' : '#111827' }]}>
+        <Text style={[styles.diffTitle, { color: textPrimary }]}>{title}</Text>
+        <Text style={[styles.meta, { color: textSecondary }]}>{summary}</Text>
+        {!diff ? null : (
+          <>
+            {diff.fields.map((change) => (
+              <Text key={change.field} style={[styles.diffLine, { color: textPrimary }]}>
+                {change.field}: {formatValue(change.before)} → {formatValue(change.after)}
+              </Text>
+            ))}
+            {diff.questions.added.map((q) => (
+              <Text key={`added-${q.questionId}`} style={[styles.diffLine, styles.added]}>
+                + Q{q.index + 1}: {formatValue(q.questionText)}
+              </Text>
+            ))}
+            {diff.questions.removed.map((q) => (
+              <Text key={`removed-${q.questionId}`} style={[styles.diffLine, styles.removed]}>
+                − Q{q.index + 1}: {formatValue(q.questionText)}
+              </Text>
+            ))}
+            {diff.questions.changed.map((q) => (
+              <View key={`changed-${q.questionId}`} style={styles.changedQuestion}>
+                <Text style={[styles.diffLine, { color: textPrimary, fontWeight: '600' }]}>
+                  Q{q.index + 1}: {formatValue(q.questionText)}
+                  {q.answerKeyChanged ? '  (answer key)' : ''}
+                </Text>
+                {q.fields.map((change) => (
+                  <Text key={change.field} style={[styles.diffDetail, { color: textSecondary }]}>
+                    {change.field}: {formatValue(change.before)} → {formatValue(change.after)}
+                  </Text>
+                ))}
+              </View>
+            ))}
+          </>
+        )}
+      </View>
+    );
+  };
+
+  const revisions = data?.revisions || [];
+
+  return (
+    <View>
+      <TouchableOpacity style={styles.header} onPress={toggleOpen}>
+        <Ionicons name="git-branch-outline" size={18} color="#4F46E5" />
+        <Text style={styles.headerText}>Revision history{data ? ` (version ${data.version})` : ''}</Text>
+        <Ionicons name={open ? 'chevron-up' : 'chevron-down'} size={18} color="#4F46E5" />
+      </TouchableOpacity>
+
+      {open && (loading && !data ? (
+        <ActivityIndicator color="#4F46E5" style={styles.loader} />
+      ) : (
+        <View>
+          <Text style={[styles.hint, { color: textSecondary }]}>
+            Tap a version to see what changed, or two versions to compare them.
+          </Text>
+          {revisions.map((revision) => {
+            const isCurrent = revision.version === data.version;
+            const isSelected = selected.includes(revision.version);
+            return (
+              <TouchableOpacity
+                key={revision._id}
+                style={[styles.row, { backgroundColor: surface }, isSelected && styles.rowSelected]}
+                onPress={() => toggleSelected(revision.version)}
+              >
+                <View style={styles.rowHeader}>
+                  <Text style={[styles.version, { color: textPrimary }]}>
+                    v{revision.version} · {ACTION_LABELS[revision.action] || revision.action}
+                    {revision.restoredFrom ? ` v${revision.restoredFrom}` : ''}
+                  </Text>
+                  {isCurrent && <Text style={styles.currentBadge}>Current</Text>}
+                </View>
+                <Text style={[styles.meta, { color: textSecondary }]}>
+                  {[revision.author?.name, revision.createdAt && new Date(revision.createdAt).toLocaleString()]
+                    .filter(Boolean)
+                    .join(' · ')}
+                </Text>
+                <Text style={[styles.meta, { color: textSecondary }]}>
+                  {revision.summary}
+                  {revision.attempts > 0 ? ` · ${revision.attempts} attempt${revision.attempts === 1 ? '' : 's'}` : ''}
+                </Text>
+                {revision.answerKeyChanged && <Text style={styles.keyBadge}>Answer key changed</Text>}
+                {!isCurrent && (
+                  <TouchableOpacity
+                    style={styles.rollbackChip}
+                    onPress={() => rollback(revision)}
+                    disabled={restoring !== null}
+                  >
+                    {restoring === revision.version ? (
+                      <ActivityIndicator size="small" color="#DC2626" />
+                    ) : (
+                      <Text style={styles.rollbackText}>Roll back to this version</Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+          {data?.unversionedAttempts > 0 && (
+            <Text style={[styles.hint, { color: textSecondary }]}>
+              {data.unversionedAttempts} older attempt{data.unversionedAttempts === 1 ? ' was' : 's were'} taken before versions were recorded.
+            </Text>
+          )}
+          {renderDiff()}
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EEF2FF',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+  },
+  headerText: {
+    flex: 1,
+    color: '#4F46E5',
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  loader: {
+    marginVertical: 12,
+  },
+  hint: {
+    fontSize: 12,
+    marginVertical: 8,
+  },
+  row: {
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: 'transparent',
+    padding: 12,
+    marginBottom: 8,
+  },
+  rowSelected: {
+    borderColor: '#4F46E5',
+  },
+  rowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  version: {
+    fontSize: 14,
+    fontWeight: '600',
+    flexShrink: 1,
+  },
+  currentBadge: {
+    color: '#10B981',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  keyBadge: {
+    alignSelf: 'flex-start',
+    color: '#B45309',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 8,
+    fontSize: 11,
+    fontWeight: '600',
+    overflow: 'hidden',
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginTop: 6,
+  },
+  rollbackChip: {
+    alignSelf: 'flex-start',
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#FCA5A5',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginTop: 8,
+  },
+  rollbackText: {
+    color: '#DC2626',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  diff: {
+    borderRadius: 12,
+    padding: 12,
+    marginTop: 4,
+  },
+  diffTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  diffLine: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  diffDetail: {
+    fontSize: 12,
+    marginTop: 2,
+    marginLeft: 8,
+  },
+  added: {
+    color: '#10B981',
+  },
+  removed: {
+    color: '#DC2626',
+  },
+  changedQuestion: {
+    marginTop: 2,
+  },
+});
@@ -7,7 +7,8 @@ export default function StreamingQuizLoader({
   questionsGenerated = 0,
   totalQuestions = 10,
   currentQuestion = null,
-  metadata = null
+  metadata = null,
+  ocrProgress = null
 }) {
   const pulseValue = useRef(new Animated.Value(1)).current;
   const fadeValue = useRef(new Animated.Value(0)).current;
@@ -46,7 +47,9 @@ export default function StreamingQuizLoader({
   const getStatusMessage = () => {
     switch (status) {
       case 'extracting':
-        return '📄 Extracting content from file...';
+        return ocrProgress?.pages
+          ? `🔎 Reading scanned page ${ocrProgress.done} of ${ocrProgress.pages}${ocrProgress.filename ? ` in ${ocrProgress.filename}` : ''}...`
+          : '📄 Extracting content from file...';
       case 'extracted':
         return '✅ Content extracted successfully!';
       case 'generating':
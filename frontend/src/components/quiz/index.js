@@ -2,3 +2,6 @@ export { default as ProgressIndicator } from './ProgressIndicator';
 export { default as QuizButton } from './QuizButton';
 export { default as LoadingIndicator } from './LoadingIndicator';
 export { default as StreamingQuizLoader } from './StreamingQuizLoader';
+export { default as MathText } from './MathText';
+export { default as QuestionMedia } from './QuestionMedia';
+export { default as RevisionHistory } from './RevisionHistory';
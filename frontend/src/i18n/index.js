@@ -71,6 +71,12 @@ const translations = {
       quizSettings: 'Quiz Settings',
       timeLimit: 'Time Limit',
       passingScore: 'Passing Score',
+      questionMix: 'Question Mix (rest are MCQ)',
+      cognitiveFocus: 'Cognitive Focus',
+      focus_balanced: 'Balanced',
+      focus_recall: 'Recall',
+      focus_application: 'Application',
+      focus_higherOrder: 'Higher-order',
       placeholder: 'Paste or write content here (minimum 100 characters)',
     },
     profile: {
@@ -274,6 +280,12 @@ const translations = {
       quizSettings: 'কুইজ সেটিংস',
       timeLimit: 'সময় সীমা',
       passingScore: 'পাস নম্বর',
+      questionMix: 'প্রশ্নের ধরন (বাকিগুলো MCQ)',
+      cognitiveFocus: 'চিন্তার স্তর',
+      focus_balanced: 'ভারসাম্যপূর্ণ',
+      focus_recall: 'স্মরণ',
+      focus_application: 'প্রয়োগ',
+      focus_higherOrder: 'উচ্চতর চিন্তা',
       placeholder: 'এখানে বিষয়বস্তু পেস্ট বা লিখুন (ন্যূনতম ১০০ অক্ষর)',
     },
     profile: {
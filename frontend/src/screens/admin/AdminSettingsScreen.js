@@ -25,12 +25,12 @@ export default function AdminSettingsScreen({ navigation }) {
   const [saving, setSaving] = useState(false);
   const [settings, setSettings] = useState({
     apiLimits: {
-      free: { quizzes: 5, questions: 50 },
-      student_basic: { quizzes: 50, questions: 500 },
-      student_premium: { quizzes: -1, questions: -1 },
-      teacher_basic: { quizzes: 100, questions: 1000 },
-      teacher_premium: { quizzes: -1, questions: -1 },
-      teacher_institutional: { quizzes: -1, questions: -1 }
+      free: { quizzes: 5, questions: 50, tokens: 200000 },
+      student_basic: { quizzes: 50, questions: 500, tokens: 2000000 },
+      student_premium: { quizzes: -1, questions: -1, tokens: -1 },
+      teacher_basic: { quizzes: 100, questions: 1000, tokens: 5000000 },
+      teacher_premium: { quizzes: -1, questions: -1, tokens: -1 },
+      teacher_institutional: { quizzes: -1, questions: -1, tokens: -1 }
     },
     features: {
       guestAccess: true,
@@ -57,6 +57,15 @@ export default function AdminSettingsScreen({ navigation }) {
   });
   const [newFeature, setNewFeature] = useState('');
 
+  const [templates, setTemplates] = useState([]);
+  const [templateDefaults, setTemplateDefaults] = useState({});
+  const [templateVariables, setTemplateVariables] = useState({});
+  const [showTemplateModal, setShowTemplateModal] = useState(false);
+  const [templateForm, setTemplateForm] = useState(EMPTY_TEMPLATE_FORM);
+  const [templatePreview, setTemplatePreview] = useState(null);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+  const [cacheStats, setCacheStats] = useState([]);
+
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(-20)).current;
   const { theme } = useTheme();
@@ -64,6 +73,8 @@ export default function AdminSettingsScreen({ navigation }) {
   useEffect(() => {
     loadSettings();
     loadPackages();
+    loadTemplates();
+    loadCacheStats();
 
     // Entrance animations
     Animated.parallel([
@@ -127,10 +138,155 @@ export default function AdminSettingsScreen({ navigation }) {
     }
   };
 
+  const loadTemplates = async () => {
+    try {
+      const response = await adminAPI.getPromptTemplates();
+      const data = response.data?.data || {};
+      setTemplates(data.templates || []);
+      setTemplateDefaults(data.defaults || {});
+      setTemplateVariables(data.variables || {});
+    } catch (error) {
+      console.error('Failed to load prompt templates:', error);
+    }
+  };
+
+  const loadCacheStats = async () => {
+    try {
+      const response = await adminAPI.getContentCache();
+      setCacheStats(response.data?.data?.stats || []);
+    } catch (error) {
+      console.error('Failed to load content cache stats:', error);
+    }
+  };
+
+  const clearCache = (kind) => {
+    Alert.alert(
+      'Clear Cache',
+      `Remove all cached ${kind === 'extraction' ? 'text extractions' : 'embeddings'}? They will be recomputed on the next upload.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Clear',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const response = await adminAPI.clearContentCache(kind);
+              Toast.show(response.data?.message || 'Cache cleared', 'success');
+              loadCacheStats();
+            } catch (error) {
+              Toast.show('Failed to clear cache', 'error');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const openTemplateModal = (template = null) => {
+    setTemplatePreview(null);
+    setTemplateForm(template
+      ? {
+        id: template._id,
+        name: template.name,
+        kind: template.kind,
+        language: template.language,
+        variant: template.variant,
+        weight: String(template.weight),
+        body: template.body,
+        notes: template.notes || '',
+        version: template.version,
+      }
+      : { ...EMPTY_TEMPLATE_FORM, body: templateDefaults.quiz || '' });
+    setShowTemplateModal(true);
+  };
+
+  const updateTemplateForm = (field, value) => {
+    setTemplateForm(prev => {
+      const next = { ...prev, [field]: value };
+      // Start new templates from the built-in prompt of the chosen kind
+      if (field === 'kind' && !prev.id && (!prev.body || prev.body === templateDefaults[prev.kind])) {
+        next.body = templateDefaults[value] || '';
+      }
+      return next;
+    });
+    setTemplatePreview(null);
+  };
+
+  const previewTemplate = async () => {
+    try {
+      const response = await adminAPI.previewPromptTemplate({
+        kind: templateForm.kind,
+        body: templateForm.body,
+        options: { language: templateForm.language === 'any' ? 'en' : templateForm.language },
+      });
+      setTemplatePreview(response.data.data);
+    } catch (error) {
+      Toast.show('Failed to preview template', 'error');
+    }
+  };
+
+  const saveTemplate = async () => {
+    if (!templateForm.name.trim() || !templateForm.body.trim()) {
+      Toast.show('Name and template text are required', 'error');
+      return;
+    }
+    const weight = parseInt(templateForm.weight, 10);
+    if (!Number.isInteger(weight) || weight < 0) {
+      Toast.show('Weight must be a whole number of 0 or more', 'error');
+      return;
+    }
+
+    const data = {
+      name: templateForm.name.trim(),
+      body: templateForm.body,
+      notes: templateForm.notes,
+      weight,
+    };
+    if (templateForm.id) {
+      // Only send what changed: text changes save a new version, a weight change does not
+      const original = templates.find(t => t._id === templateForm.id) || {};
+      Object.keys(data).forEach((key) => {
+        if (data[key] === (original[key] ?? (key === 'notes' ? '' : undefined))) delete data[key];
+      });
+      if (Object.keys(data).length === 0) {
+        setShowTemplateModal(false);
+        return;
+      }
+    }
+
+    setSavingTemplate(true);
+    try {
+      const response = templateForm.id
+        ? await adminAPI.updatePromptTemplate(templateForm.id, data)
+        : await adminAPI.createPromptTemplate({
+          ...data,
+          kind: templateForm.kind,
+          language: templateForm.language,
+          variant: templateForm.variant.trim() || 'A',
+        });
+      Toast.show(response.data?.message || 'Template saved', 'success');
+      setShowTemplateModal(false);
+      loadTemplates();
+    } catch (error) {
+      Toast.show(error?.response?.data?.message || 'Failed to save template', 'error');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  const toggleTemplateActive = async (template) => {
+    try {
+      await adminAPI.updatePromptTemplate(template._id, { isActive: !template.isActive });
+      loadTemplates();
+    } catch (error) {
+      Toast.show('Failed to update template', 'error');
+    }
+  };
+
   const validateSettings = () => {
     const plans = Object.entries(settings.apiLimits);
     for (const [plan, limits] of plans) {
-      for (const key of ['quizzes', 'questions']) {
+      for (const key of ['quizzes', 'questions', 'tokens']) {
         const val = limits[key];
         if (typeof val !== 'number' || (!Number.isInteger(val))) return `Invalid ${key} for ${plan}`;
         if (val < -1) return `${key} for ${plan} cannot be below -1`;
@@ -290,6 +446,21 @@ export default function AdminSettingsScreen({ navigation }) {
                   {!!fieldErrors[`${plan}.questions`] && (<Text style={styles.errorHint}>{fieldErrors[`${plan}.questions`]}</Text>)}
                 </View>
               </View>
+
+              <View style={styles.limitRow}>
+                <Text style={[styles.limitLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Monthly Tokens:</Text>
+                <View style={{ flex: 1 }}>
+                  <TextInput
+                    style={[styles.limitInput, { backgroundColor: theme === 'light' ? 'white' : '#272727', color: theme === 'light' ? '#111827' : 'white', borderColor: fieldErrors[`${plan}.tokens`] ? '#EF4444' : (theme === 'light' ? '#e2e8f0' : '#374151') }]}
+                    value={limits.tokens === -1 ? 'Unlimited' : String(limits.tokens ?? '')}
+                    onChangeText={(value) => updateApiLimit(plan, 'tokens', value)}
+                    placeholder="number or Unlimited"
+                    placeholderTextColor={theme === 'light' ? '#9CA3AF' : '#6B7280'}
+                    keyboardType="default"
+                  />
+                  {!!fieldErrors[`${plan}.tokens`] && (<Text style={styles.errorHint}>{fieldErrors[`${plan}.tokens`]}</Text>)}
+                </View>
+              </View>
             </View>
           ))}
         </Animated.View>
@@ -325,11 +496,232 @@ export default function AdminSettingsScreen({ navigation }) {
             </View>
           ))}
         </Animated.View>
+
+        {/* Prompt Templates Section */}
+        <Animated.View
+          style={[
+            styles.section,
+            { transform: [{ translateY: slideAnim }], opacity: fadeAnim }
+          ]}
+        >
+          <View style={styles.sectionHeader}>
+            <Ionicons name="document-text-outline" size={24} color="#7C3AED" />
+            <Text style={[styles.sectionTitle, { color: theme === 'light' ? '#1e293b' : 'white' }]}>Prompt Templates</Text>
+            <TouchableOpacity style={styles.addTemplateButton} onPress={() => openTemplateModal()}>
+              <Ionicons name="add" size={20} color="white" />
+            </TouchableOpacity>
+          </View>
+
+          {templates.length === 0 ? (
+            <Text style={[styles.featureDescription, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>
+              No templates saved. Quiz generation uses the built-in prompts.
+            </Text>
+          ) : templates.map((template) => (
+            <TouchableOpacity
+              key={template._id}
+              style={[styles.featureRow, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}
+              onPress={() => openTemplateModal(template)}
+              activeOpacity={0.7}
+            >
+              <View style={styles.featureInfo}>
+                <Text style={[styles.featureName, { color: theme === 'light' ? '#1e293b' : 'white' }]}>
+                  {template.name} · v{template.version}
+                </Text>
+                <Text style={[styles.featureDescription, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>
+                  {template.kind} · {template.language} · variant {template.variant} · weight {template.weight}
+                </Text>
+                <Text style={[styles.featureDescription, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>
+                  {template.usage?.quizzes || 0} quizzes
+                  {template.usage?.averageScore != null ? ` · avg score ${Math.round(template.usage.averageScore)}%` : ''}
+                </Text>
+              </View>
+              <Switch
+                value={template.isActive}
+                onValueChange={() => toggleTemplateActive(template)}
+                trackColor={{ false: '#D1D5DB', true: '#10B981' }}
+                thumbColor={template.isActive ? '#FFFFFF' : '#9CA3AF'}
+              />
+            </TouchableOpacity>
+          ))}
+        </Animated.View>
+
+        {/* Content Cache Section */}
+        <Animated.View
+          style={[
+            styles.section,
+            { transform: [{ translateY: slideAnim }], opacity: fadeAnim }
+          ]}
+        >
+          <View style={styles.sectionHeader}>
+            <Ionicons name="albums-outline" size={24} color="#0EA5E9" />
+            <Text style={[styles.sectionTitle, { color: theme === 'light' ? '#1e293b' : 'white' }]}>Content Cache</Text>
+          </View>
+
+          {cacheStats.map((entry) => (
+            <View key={entry.kind} style={[styles.featureRow, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}>
+              <View style={styles.featureInfo}>
+                <Text style={[styles.featureName, { color: theme === 'light' ? '#1e293b' : 'white' }]}>
+                  {entry.kind === 'extraction' ? 'Text Extractions' : 'Embeddings'}
+                </Text>
+                <Text style={[styles.featureDescription, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>
+                  {entry.entries} cached · {entry.hits} reused
+                </Text>
+              </View>
+              <TouchableOpacity onPress={() => clearCache(entry.kind)} disabled={entry.entries === 0}>
+                <Ionicons name="trash-outline" size={22} color={entry.entries === 0 ? '#9CA3AF' : '#EF4444'} />
+              </TouchableOpacity>
+            </View>
+          ))}
+        </Animated.View>
       </ScrollView>
+
+      {/* Prompt Template Editor */}
+      <Modal
+        visible={showTemplateModal}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setShowTemplateModal(false)}
+      >
+        <View style={[styles.container, { backgroundColor: theme === 'light' ? '#f8fafc' : '#121212' }]}>
+          <View style={[styles.modalHeader, { borderBottomColor: theme === 'light' ? '#e2e8f0' : '#272727' }]}>
+            <TouchableOpacity onPress={() => setShowTemplateModal(false)}>
+              <Ionicons name="close" size={24} color="#64748b" />
+            </TouchableOpacity>
+            <Text style={[styles.modalTitle, { color: theme === 'light' ? '#1e293b' : 'white' }]}>
+              {templateForm.id ? `Edit Template (v${templateForm.version})` : 'New Template'}
+            </Text>
+            <TouchableOpacity onPress={saveTemplate} disabled={savingTemplate}>
+              {savingTemplate ? (
+                <ActivityIndicator size="small" color="#4F46E5" />
+              ) : (
+                <Ionicons name="checkmark" size={24} color="#4F46E5" />
+              )}
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.formLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Name</Text>
+            <TextInput
+              style={[styles.formInput, { backgroundColor: theme === 'light' ? 'white' : '#272727', color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#e2e8f0' : '#374151' }]}
+              value={templateForm.name}
+              onChangeText={(value) => updateTemplateForm('name', value)}
+              placeholder="e.g. Bangla science prompt"
+              placeholderTextColor={theme === 'light' ? '#9CA3AF' : '#6B7280'}
+            />
+
+            <Text style={[styles.formLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Kind</Text>
+            <View style={styles.chipRow}>
+              {TEMPLATE_KINDS.map((kind) => (
+                <TouchableOpacity
+                  key={kind.value}
+                  style={[styles.chip, templateForm.kind === kind.value && styles.chipActive]}
+                  onPress={() => updateTemplateForm('kind', kind.value)}
+                  disabled={!!templateForm.id}
+                >
+                  <Text style={[styles.chipText, templateForm.kind === kind.value && styles.chipTextActive]}>{kind.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={[styles.formLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Language</Text>
+            <View style={styles.chipRow}>
+              {TEMPLATE_LANGUAGES.map((language) => (
+                <TouchableOpacity
+                  key={language.value}
+                  style={[styles.chip, templateForm.language === language.value && styles.chipActive]}
+                  onPress={() => updateTemplateForm('language', language.value)}
+                  disabled={!!templateForm.id}
+                >
+                  <Text style={[styles.chipText, templateForm.language === language.value && styles.chipTextActive]}>{language.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.limitRow}>
+              <Text style={[styles.limitLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>A/B Variant:</Text>
+              <TextInput
+                style={[styles.limitInput, { backgroundColor: theme === 'light' ? 'white' : '#272727', color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#e2e8f0' : '#374151' }]}
+                value={templateForm.variant}
+                onChangeText={(value) => updateTemplateForm('variant', value)}
+                editable={!templateForm.id}
+                autoCapitalize="characters"
+              />
+            </View>
+            <View style={styles.limitRow}>
+              <Text style={[styles.limitLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Traffic Weight:</Text>
+              <TextInput
+                style={[styles.limitInput, { backgroundColor: theme === 'light' ? 'white' : '#272727', color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#e2e8f0' : '#374151' }]}
+                value={templateForm.weight}
+                onChangeText={(value) => updateTemplateForm('weight', value)}
+                keyboardType="numeric"
+              />
+            </View>
+
+            <Text style={[styles.formLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Template</Text>
+            <TextInput
+              style={[styles.formInput, styles.templateInput, { backgroundColor: theme === 'light' ? 'white' : '#272727', color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#e2e8f0' : '#374151' }]}
+              value={templateForm.body}
+              onChangeText={(value) => updateTemplateForm('body', value)}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Text style={[styles.featureDescription, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>
+              Variables: {Object.keys(templateVariables).map((name) => `{{${name}}}`).join(' ')}
+            </Text>
+
+            <Text style={[styles.formLabel, { color: theme === 'light' ? '#64748b' : '#9CA3AF' }]}>Notes</Text>
+            <TextInput
+              style={[styles.formInput, { backgroundColor: theme === 'light' ? 'white' : '#272727', color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#e2e8f0' : '#374151' }]}
+              value={templateForm.notes}
+              onChangeText={(value) => updateTemplateForm('notes', value)}
+              placeholder="What changed in this version"
+              placeholderTextColor={theme === 'light' ? '#9CA3AF' : '#6B7280'}
+            />
+
+            <TouchableOpacity style={styles.previewButton} onPress={previewTemplate}>
+              <Ionicons name="eye-outline" size={18} color="#4F46E5" />
+              <Text style={styles.previewButtonText}>Preview</Text>
+            </TouchableOpacity>
+
+            {templatePreview && (
+              <View style={[styles.limitCard, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}>
+                {templatePreview.errors.map((error) => (
+                  <Text key={error} style={styles.errorHint}>{error}</Text>
+                ))}
+                <Text style={[styles.previewText, { color: theme === 'light' ? '#1e293b' : '#E5E7EB' }]}>{templatePreview.prompt}</Text>
+              </View>
+            )}
+          </ScrollView>
+        </View>
+      </Modal>
     </View>
   );
 }
 
+const EMPTY_TEMPLATE_FORM = {
+  id: null,
+  name: '',
+  kind: 'quiz',
+  language: 'any',
+  variant: 'A',
+  weight: '100',
+  body: '',
+  notes: '',
+  version: null,
+};
+
+const TEMPLATE_KINDS = [
+  { value: 'quiz', label: 'Quiz (JSON)' },
+  { value: 'quiz-stream', label: 'Streaming (NDJSON)' },
+];
+
+const TEMPLATE_LANGUAGES = [
+  { value: 'any', label: 'Any' },
+  { value: 'en', label: 'English' },
+  { value: 'bn', label: 'বাংলা' },
+];
+
 const getFeatureDescription = (feature) => {
   const descriptions = {
     guestAccess: 'Allow users to try quizzes without registration',
@@ -479,4 +871,95 @@ const styles = StyleSheet.create({
     fontFamily: 'Poppins-Regular',
     color: '#64748b',
   },
+  addTemplateButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: '#7C3AED',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontFamily: 'Poppins-SemiBold',
+    color: '#1e293b',
+  },
+  formLabel: {
+    fontSize: 14,
+    fontFamily: 'Poppins-Medium',
+    color: '#64748b',
+    marginTop: 12,
+    marginBottom: 6,
+  },
+  formInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    fontFamily: 'Poppins-Regular',
+  },
+  templateInput: {
+    minHeight: 240,
+    textAlignVertical: 'top',
+    fontFamily: 'monospace',
+    fontSize: 12,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 4,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#c7d2fe',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    backgroundColor: '#4F46E5',
+    borderColor: '#4F46E5',
+  },
+  chipText: {
+    fontSize: 13,
+    fontFamily: 'Poppins-Medium',
+    color: '#4F46E5',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  previewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#4F46E5',
+    borderRadius: 8,
+    paddingVertical: 10,
+    marginVertical: 16,
+  },
+  previewButtonText: {
+    color: '#4F46E5',
+    fontSize: 14,
+    fontFamily: 'Poppins-SemiBold',
+    marginLeft: 6,
+  },
+  previewText: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    marginTop: 8,
+  },
 });
\ No newline at end of file
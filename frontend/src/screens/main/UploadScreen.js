@@ -20,6 +20,18 @@ import { useI18n } from '../../i18n';
 import StreamingQuizLoader from '../../components/quiz/StreamingQuizLoader';
 import { useTheme } from '../../hooks/useTheme';
 
+// Match the backend's MAX_SOURCE_FILES and source weight range
+const MAX_SOURCE_FILES = 10;
+const MAX_SOURCE_WEIGHT = 10;
+
+// Bloom's taxonomy mixes (percentages) sent as bloomDistribution; balanced leaves it to the model
+const COGNITIVE_FOCUS_PRESETS = {
+  balanced: null,
+  recall: { remember: 40, understand: 40, apply: 20 },
+  application: { understand: 20, apply: 50, analyze: 30 },
+  higherOrder: { apply: 20, analyze: 40, evaluate: 30, create: 10 },
+};
+
 export default function UploadScreen({ navigation, route }) {
   const { t } = useI18n();
   const { theme } = useTheme();
@@ -31,18 +43,24 @@ export default function UploadScreen({ navigation, route }) {
   const [text, setText] = useState('');
   const [numQuestions, setNumQuestions] = useState('5');
   const [difficulty, setDifficulty] = useState('medium');
-  const [selectedFile, setSelectedFile] = useState(null);
+  // Files to generate one quiz from, in order, each with a weight (share of the questions)
+  const [selectedFiles, setSelectedFiles] = useState([]);
   const [showContentAdded, setShowContentAdded] = useState(false);
   const [contentFeedback, setContentFeedback] = useState('');
   const [timeLimit, setTimeLimit] = useState('30');
   const [passingScore, setPassingScore] = useState('60');
   const [isPublic, setIsPublic] = useState(true);
+  const [reuseExisting, setReuseExisting] = useState(false);
+  const [trueFalseCount, setTrueFalseCount] = useState('0');
+  const [shortAnswerCount, setShortAnswerCount] = useState('0');
+  const [cognitiveFocus, setCognitiveFocus] = useState('balanced');
 
   const [isStreaming, setIsStreaming] = useState(false);
   const [streamStatus, setStreamStatus] = useState('ready');
   const [questionsGenerated, setQuestionsGenerated] = useState(0);
   const [currentQuestion, setCurrentQuestion] = useState(null);
   const [quizMetadata, setQuizMetadata] = useState(null);
+  const [ocrProgress, setOcrProgress] = useState(null);
   const [generatedQuizId, setGeneratedQuizId] = useState(null);
 
   const isLight = theme === 'light';
@@ -58,6 +76,7 @@ export default function UploadScreen({ navigation, route }) {
   const slideAnim = useRef(new Animated.Value(50)).current;
   const scaleAnim = useRef(new Animated.Value(0.9)).current;
   const pulseAnim = useRef(new Animated.Value(1)).current;
+  const unmountedRef = useRef(false);
 
   useEffect(() => {
     // Entrance animations
@@ -98,6 +117,25 @@ export default function UploadScreen({ navigation, route }) {
     ).start();
   }, []);
 
+  // Reattach to a generation job that was still running when the app was closed
+  useEffect(() => {
+    unmountedRef.current = false;
+    (async () => {
+      try {
+        const jobId = await quizAPI.getActiveJobId();
+        if (!jobId || unmountedRef.current) return;
+        resetStreamingState();
+        await quizAPI.watchJob(jobId, handleUploadEvent, { shouldStop: () => unmountedRef.current });
+      } catch (error) {
+        await quizAPI.clearActiveJobId();
+        handleStreamError(error?.message);
+      }
+    })();
+    return () => {
+      unmountedRef.current = true;
+    };
+  }, []);
+
   const handleNumQuestionsChange = (value) => {
     const digits = (value ?? '').toString().replace(/[^0-9]/g, '');
     setNumQuestions(digits.slice(0, 3));
@@ -129,6 +167,30 @@ export default function UploadScreen({ navigation, route }) {
     return Math.min(Math.max(parsed, 1), 100);
   };
 
+  // Split the total between question types; MCQ takes whatever is left.
+  // Returns null when only MCQs are wanted so the backend keeps its default.
+  const getTypeDistribution = () => {
+    const total = Number.parseInt(numQuestions, 10) || 5;
+    const trueFalse = Math.max(Number.parseInt(trueFalseCount, 10) || 0, 0);
+    const shortAnswer = Math.max(Number.parseInt(shortAnswerCount, 10) || 0, 0);
+    if (trueFalse + shortAnswer === 0) {
+      return null;
+    }
+    return {
+      mcq: Math.max(total - trueFalse - shortAnswer, 0),
+      'true-false': trueFalse,
+      'short-answer': shortAnswer,
+    };
+  };
+
+  const getTotalQuestions = () => {
+    const distribution = getTypeDistribution();
+    if (!distribution) {
+      return Number.parseInt(numQuestions, 10) || 5;
+    }
+    return Object.values(distribution).reduce((sum, n) => sum + n, 0);
+  };
+
   const pickDocument = async () => {
     try {
       const result = await DocumentPicker.getDocumentAsync({
@@ -136,19 +198,28 @@ export default function UploadScreen({ navigation, route }) {
           'application/pdf',
           'image/*',
           'text/plain',
+          'text/markdown',
+          'text/html',
+          'application/epub+zip',
           'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+          'application/vnd.openxmlformats-officedocument.presentationml.presentation',
         ],
         copyToCacheDirectory: true,
+        multiple: true,
       });
 
-      if (result.type === 'cancel') {
+      if (result.type === 'cancel' || result.canceled) {
         return;
       }
 
-      const file = result.assets?.[0] || result;
+      const picked = result.assets?.length ? result.assets : [result];
+      const file = picked[0];
       if (!file) return;
 
-      setSelectedFile(file);
+      setSelectedFiles((current) => [
+        ...current,
+        ...picked.map((asset) => ({ ...asset, weight: 1 })),
+      ].slice(0, MAX_SOURCE_FILES));
 
       let fileType = 'resource';
       const mimeType = file.mimeType || '';
@@ -160,22 +231,39 @@ export default function UploadScreen({ navigation, route }) {
       } else if (mimeType.includes('image') || /\.(jpg|jpeg|png|gif|bmp|webp)$/.test(fileName)) {
         fileType = 'image';
         setContentFeedback('Image selected. OCR will extract key text for the quiz.');
-      } else if (mimeType.includes('text') || fileName.endsWith('.txt')) {
-        fileType = 'text';
-        setContentFeedback('Plain text selected. Perfect for quick quiz generation.');
       } else if (mimeType.includes('word') || fileName.endsWith('.docx')) {
         fileType = 'document';
         setContentFeedback('Word document selected. We will parse the content for questions.');
+      } else if (mimeType.includes('presentation') || fileName.endsWith('.pptx')) {
+        fileType = 'presentation';
+        setContentFeedback('Presentation selected. Slide text and speaker notes will be used.');
+      } else if (mimeType.includes('epub') || fileName.endsWith('.epub')) {
+        fileType = 'e-book';
+        setContentFeedback('E-book selected. Chapters will be read in order.');
+      } else if (mimeType.includes('html') || /\.html?$/.test(fileName)) {
+        fileType = 'web page';
+        setContentFeedback('Web page selected. Headings and lists will be kept.');
+      } else if (mimeType.includes('markdown') || /\.(md|markdown)$/.test(fileName)) {
+        fileType = 'Markdown';
+        setContentFeedback('Markdown selected. Headings and lists will be kept.');
+      } else if (mimeType.includes('text') || fileName.endsWith('.txt')) {
+        fileType = 'text';
+        setContentFeedback('Plain text selected. Perfect for quick quiz generation.');
       } else {
         setContentFeedback('File selected. We will do our best to extract the content.');
       }
+      if (picked.length > 1 || selectedFiles.length > 0) {
+        setContentFeedback('Files will be combined into one quiz. Reorder them or raise a weight to ask more about a file.');
+      }
 
       setShowContentAdded(true);
       setTimeout(() => setShowContentAdded(false), 3000);
 
       Alert.alert(
         t('common:appName'),
-        `Great! Your ${fileType} file "${file.name}" is ready for quiz creation.`,
+        picked.length > 1
+          ? `Great! ${picked.length} files are ready for quiz creation.`
+          : `Great! Your ${fileType} file "${file.name}" is ready for quiz creation.`,
         [{ text: 'OK' }]
       );
     } catch (error) {
@@ -184,6 +272,24 @@ export default function UploadScreen({ navigation, route }) {
     }
   };
 
+  const updateSelectedFile = (index, changes) => {
+    setSelectedFiles((current) => current.map((file, i) => (i === index ? { ...file, ...changes } : file)));
+  };
+
+  const moveSelectedFile = (index, direction) => {
+    setSelectedFiles((current) => {
+      const target = index + direction;
+      if (target < 0 || target >= current.length) return current;
+      const next = [...current];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const removeSelectedFile = (index) => {
+    setSelectedFiles((current) => current.filter((_, i) => i !== index));
+  };
+
   const navigateAfterCreation = (quizId) => {
     if (!quizId) return;
 
@@ -205,6 +311,7 @@ export default function UploadScreen({ navigation, route }) {
     setQuestionsGenerated(0);
     setCurrentQuestion(null);
     setQuizMetadata(null);
+    setOcrProgress(null);
     setGeneratedQuizId(null);
   };
 
@@ -253,7 +360,8 @@ export default function UploadScreen({ navigation, route }) {
       return;
     }
 
-    const safeNum = Number.parseInt(numQuestions, 10) || 5;
+    const safeNum = getTotalQuestions();
+    const typeDistribution = getTypeDistribution();
     const detectedLang = detectLanguage(safeText);
 
     resetStreamingState();
@@ -263,7 +371,9 @@ export default function UploadScreen({ navigation, route }) {
         {
           text: safeText,
           numQuestions: safeNum,
-          quizType: 'mcq',
+          quizType: typeDistribution ? 'mixed' : 'mcq',
+          ...(typeDistribution && { typeDistribution }),
+          ...(COGNITIVE_FOCUS_PRESETS[cognitiveFocus] && { bloomDistribution: COGNITIVE_FOCUS_PRESETS[cognitiveFocus] }),
           difficulty,
           language: detectedLang,
           timeLimit: getTimeLimitValue(),
@@ -271,6 +381,7 @@ export default function UploadScreen({ navigation, route }) {
           timeLimit: getTimeLimitValue(),
           passingScore: getPassingScoreValue(),
           isPublic,
+          reuseExisting,
         },
         (event) => {
           switch (event.event) {
@@ -324,8 +435,66 @@ export default function UploadScreen({ navigation, route }) {
     }
   };
 
+  const handleUploadEvent = (event) => {
+    switch (event.event) {
+      case 'ready':
+        setStreamStatus('ready');
+        break;
+
+      case 'extracting':
+        setStreamStatus('extracting');
+        break;
+
+      case 'ocr':
+        setStreamStatus('extracting');
+        setOcrProgress({ done: event.done, pages: event.pages, filename: event.filename });
+        break;
+
+      case 'extracted':
+        setStreamStatus('generating');
+        break;
+
+      case 'meta':
+        setStreamStatus('generating');
+        setQuizMetadata({
+          title: event.data?.title,
+          category: event.data?.category,
+          description: event.data?.description,
+        });
+        break;
+
+      case 'question':
+        setStreamStatus('question');
+        setQuestionsGenerated(event.received || event.index + 1);
+        setCurrentQuestion(event.data);
+        break;
+
+      case 'stream-complete':
+        setStreamStatus('saving');
+        break;
+
+      case 'completed': {
+        setStreamStatus('complete');
+        const quizId = event.data?.quiz?.id;
+        if (quizId) {
+          handleStreamComplete(quizId);
+        } else {
+          handleStreamError('Quiz saved but no identifier returned.');
+        }
+        break;
+      }
+
+      case 'error':
+        handleStreamError(event.message);
+        break;
+
+      default:
+        break;
+    }
+  };
+
   const uploadAndGenerate = async () => {
-    if (!selectedFile) {
+    if (selectedFiles.length === 0) {
       Alert.alert(t('common:appName'), t('upload:chooseFile'));
       return;
     }
@@ -334,72 +503,42 @@ export default function UploadScreen({ navigation, route }) {
 
     try {
       const formData = new FormData();
-      formData.append('file', {
-        uri: selectedFile.uri,
-        name: selectedFile.name,
-        type: selectedFile.mimeType || 'application/octet-stream',
+      selectedFiles.forEach((file) => {
+        formData.append('files', {
+          uri: file.uri,
+          name: file.name,
+          type: file.mimeType || 'application/octet-stream',
+        });
       });
-      formData.append('numQuestions', String(Number.parseInt(numQuestions, 10) || 5));
-      formData.append('quizType', 'mcq');
+      // Files are sent in the chosen order, so only the weights need describing
+      if (selectedFiles.length > 1) {
+        formData.append('sources', JSON.stringify(selectedFiles.map((file) => ({ weight: file.weight }))));
+      }
+      const typeDistribution = getTypeDistribution();
+      formData.append('numQuestions', String(getTotalQuestions()));
+      formData.append('quizType', typeDistribution ? 'mixed' : 'mcq');
+      if (typeDistribution) {
+        formData.append('typeDistribution', JSON.stringify(typeDistribution));
+      }
+      if (COGNITIVE_FOCUS_PRESETS[cognitiveFocus]) {
+        formData.append('bloomDistribution', JSON.stringify(COGNITIVE_FOCUS_PRESETS[cognitiveFocus]));
+      }
       formData.append('difficulty', difficulty);
       formData.append('language', 'auto'); // Let backend detect from file content
       formData.append('timeLimit', String(getTimeLimitValue()));
       formData.append('timeLimit', String(getTimeLimitValue()));
       formData.append('passingScore', String(getPassingScoreValue()));
       formData.append('isPublic', String(isPublic));
+      formData.append('reuseExisting', String(reuseExisting));
 
-      await quizAPI.streamUploadAndGenerate(formData, (event) => {
-        switch (event.event) {
-          case 'ready':
-            setStreamStatus('ready');
-            break;
-
-          case 'extracting':
-            setStreamStatus('extracting');
-            break;
-
-          case 'extracted':
-            setStreamStatus('generating');
-            break;
-
-          case 'meta':
-            setStreamStatus('generating');
-            setQuizMetadata({
-              title: event.data?.title,
-              category: event.data?.category,
-              description: event.data?.description,
-            });
-            break;
-
-          case 'question':
-            setStreamStatus('question');
-            setQuestionsGenerated(event.received || event.index + 1);
-            setCurrentQuestion(event.data);
-            break;
-
-          case 'stream-complete':
-            setStreamStatus('saving');
-            break;
-
-          case 'completed': {
-            setStreamStatus('complete');
-            const quizId = event.data?.quiz?.id;
-            if (quizId) {
-              handleStreamComplete(quizId);
-            } else {
-              handleStreamError('Quiz saved but no identifier returned.');
-            }
-            break;
-          }
-
-          case 'error':
-            handleStreamError(event.message);
-            break;
-
-          default:
-            break;
-        }
-      });
+      const response = await quizAPI.createJob(formData);
+      const jobId = response.data.data?.job?.id;
+      if (!jobId) {
+        handleStreamError('Failed to queue quiz generation.');
+        return;
+      }
+      await quizAPI.setActiveJobId(jobId);
+      await quizAPI.watchJob(jobId, handleUploadEvent, { shouldStop: () => unmountedRef.current });
     } catch (error) {
       console.error('Upload and generate error:', error);
       handleStreamError(error?.message);
@@ -410,6 +549,8 @@ export default function UploadScreen({ navigation, route }) {
     { icon: 'document-text-outline', label: 'PDF' },
     { icon: 'image-outline', label: 'Image' },
     { icon: 'document-attach-outline', label: 'Word' },
+    { icon: 'easel-outline', label: 'Slides' },
+    { icon: 'book-outline', label: 'EPUB' },
     { icon: 'text-outline', label: 'Text' },
   ];
 
@@ -419,9 +560,10 @@ export default function UploadScreen({ navigation, route }) {
         <StreamingQuizLoader
           status={streamStatus}
           questionsGenerated={questionsGenerated}
-          totalQuestions={Number.parseInt(numQuestions, 10) || 5}
+          totalQuestions={getTotalQuestions()}
           currentQuestion={currentQuestion}
           metadata={quizMetadata}
+          ocrProgress={ocrProgress}
         />
       </Modal>
 
@@ -552,6 +694,68 @@ export default function UploadScreen({ navigation, route }) {
                 </View>
               </View>
 
+              <View style={styles.constraintField}>
+                <View style={styles.labelRow}>
+                  <Ionicons name="options-outline" size={16} color="#8B5CF6" />
+                  <Text style={[styles.label, { color: textSecondary }]}>
+                    {t('upload:questionMix') ?? 'Question Mix'}
+                  </Text>
+                </View>
+                <View style={styles.mixRow}>
+                  <View style={[styles.inputWrapper, styles.mixInput, { backgroundColor: mutedBackground }]}>
+                    <TextInput
+                      style={[styles.input, { color: textPrimary }]}
+                      keyboardType="number-pad"
+                      value={trueFalseCount}
+                      onChangeText={(value) => setTrueFalseCount(value.replace(/[^0-9]/g, ''))}
+                      placeholder="0"
+                      placeholderTextColor={placeholderColor}
+                      editable={!loading}
+                    />
+                    <Text style={[styles.inputSuffix, { color: textSecondary }]}>T/F</Text>
+                  </View>
+                  <View style={[styles.inputWrapper, styles.mixInput, { backgroundColor: mutedBackground }]}>
+                    <TextInput
+                      style={[styles.input, { color: textPrimary }]}
+                      keyboardType="number-pad"
+                      value={shortAnswerCount}
+                      onChangeText={(value) => setShortAnswerCount(value.replace(/[^0-9]/g, ''))}
+                      placeholder="0"
+                      placeholderTextColor={placeholderColor}
+                      editable={!loading}
+                    />
+                    <Text style={[styles.inputSuffix, { color: textSecondary }]}>Short</Text>
+                  </View>
+                </View>
+              </View>
+
+              <View style={styles.constraintField}>
+                <View style={styles.labelRow}>
+                  <Ionicons name="school-outline" size={16} color="#6366F1" />
+                  <Text style={[styles.label, { color: textSecondary }]}>
+                    {t('upload:cognitiveFocus') ?? 'Cognitive Focus'}
+                  </Text>
+                </View>
+                <View style={styles.focusSelector}>
+                  {Object.keys(COGNITIVE_FOCUS_PRESETS).map((focus) => {
+                    const isActive = cognitiveFocus === focus;
+                    return (
+                      <TouchableOpacity
+                        key={focus}
+                        style={[styles.focusButton, { borderColor }, isActive && { borderColor: '#6366F1' }]}
+                        onPress={() => setCognitiveFocus(focus)}
+                        disabled={loading}
+                        activeOpacity={0.85}
+                      >
+                        <Text style={[styles.focusButtonText, { color: isActive ? '#6366F1' : textSecondary }]}>
+                          {t(`upload:focus_${focus}`)}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+
               <View style={styles.constraintField}>
                 <View style={styles.labelRow}>
                   <Ionicons name={isPublic ? "globe-outline" : "lock-closed-outline"} size={16} color={isPublic ? "#10B981" : "#6B7280"} />
@@ -569,6 +773,24 @@ export default function UploadScreen({ navigation, route }) {
                   />
                 </View>
               </View>
+
+              <View style={styles.constraintField}>
+                <View style={styles.labelRow}>
+                  <Ionicons name="copy-outline" size={16} color={reuseExisting ? "#10B981" : "#6B7280"} />
+                  <Text style={[styles.label, { color: textSecondary }]}>
+                    Reuse quiz for identical content
+                  </Text>
+                </View>
+                <View style={[styles.toggleContainer, { backgroundColor: mutedBackground }]}>
+                  <Switch
+                    trackColor={{ false: "#767577", true: "#818cf8" }}
+                    thumbColor={reuseExisting ? "#4f46e5" : "#f4f3f4"}
+                    ios_backgroundColor="#3e3e3e"
+                    onValueChange={setReuseExisting}
+                    value={reuseExisting}
+                  />
+                </View>
+              </View>
             </View>
           </Animated.View>
 
@@ -754,7 +976,7 @@ export default function UploadScreen({ navigation, route }) {
                 </Text>
               </View>
               <Text style={[styles.infoText, { color: textSecondary }]}>
-                Upload PDF, image, Word, or text files. We will extract the important parts for your quiz.
+                Upload PDF, image, Word, PowerPoint, EPUB, Markdown, HTML or text files. We will extract the important parts for your quiz.
               </Text>
 
               <View
@@ -773,27 +995,62 @@ export default function UploadScreen({ navigation, route }) {
                 ))}
               </View>
 
-              {selectedFile ? (
+              {selectedFiles.length > 0 ? (
                 <View
                   style={[
                     styles.fileInfo,
                     { backgroundColor: isLight ? '#EEF2FF' : '#1E1B4B' },
                   ]}
                 >
-                  <View style={styles.fileInfoHeader}>
-                    <Ionicons name="document-text-outline" size={20} color="#4F46E5" />
-                    <View style={styles.fileInfoBody}>
-                      <Text style={[styles.fileName, { color: textPrimary }]} numberOfLines={1}>
-                        {selectedFile.name}
-                      </Text>
-                      <Text style={[styles.fileMeta, { color: textSecondary }]}>
-                        {selectedFile.size ? `${Math.round(selectedFile.size / 1024)} KB` : 'Size unknown'}
-                      </Text>
+                  {selectedFiles.map((file, index) => (
+                    <View key={`${file.uri}-${index}`} style={[styles.fileInfoHeader, index > 0 && styles.fileInfoRow]}>
+                      <Ionicons name="document-text-outline" size={20} color="#4F46E5" />
+                      <View style={styles.fileInfoBody}>
+                        <Text style={[styles.fileName, { color: textPrimary }]} numberOfLines={1}>
+                          {file.name}
+                        </Text>
+                        <Text style={[styles.fileMeta, { color: textSecondary }]}>
+                          {file.size ? `${Math.round(file.size / 1024)} KB` : 'Size unknown'}
+                        </Text>
+                        {selectedFiles.length > 1 ? (
+                          <View style={styles.fileControls}>
+                            <TouchableOpacity
+                              onPress={() => updateSelectedFile(index, { weight: Math.max(0, file.weight - 1) })}
+                              disabled={loading || file.weight <= 0}
+                              activeOpacity={0.8}
+                            >
+                              <Ionicons name="remove-circle-outline" size={20} color="#4F46E5" />
+                            </TouchableOpacity>
+                            <Text style={[styles.fileMeta, { color: textSecondary }]}>Weight ×{file.weight}</Text>
+                            <TouchableOpacity
+                              onPress={() => updateSelectedFile(index, { weight: Math.min(MAX_SOURCE_WEIGHT, file.weight + 1) })}
+                              disabled={loading || file.weight >= MAX_SOURCE_WEIGHT}
+                              activeOpacity={0.8}
+                            >
+                              <Ionicons name="add-circle-outline" size={20} color="#4F46E5" />
+                            </TouchableOpacity>
+                            <TouchableOpacity onPress={() => moveSelectedFile(index, -1)} disabled={loading || index === 0} activeOpacity={0.8}>
+                              <Ionicons name="arrow-up-circle-outline" size={20} color={index === 0 ? textSecondary : '#4F46E5'} />
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                              onPress={() => moveSelectedFile(index, 1)}
+                              disabled={loading || index === selectedFiles.length - 1}
+                              activeOpacity={0.8}
+                            >
+                              <Ionicons
+                                name="arrow-down-circle-outline"
+                                size={20}
+                                color={index === selectedFiles.length - 1 ? textSecondary : '#4F46E5'}
+                              />
+                            </TouchableOpacity>
+                          </View>
+                        ) : null}
+                      </View>
+                      <TouchableOpacity onPress={() => removeSelectedFile(index)} activeOpacity={0.8}>
+                        <Ionicons name="close-circle" size={20} color="#EF4444" />
+                      </TouchableOpacity>
                     </View>
-                    <TouchableOpacity onPress={() => setSelectedFile(null)} activeOpacity={0.8}>
-                      <Ionicons name="close-circle" size={20} color="#EF4444" />
-                    </TouchableOpacity>
-                  </View>
+                  ))}
                   {contentFeedback ? (
                     <Text style={[styles.fileFeedback, { color: isLight ? '#4338CA' : '#C7D2FE' }]}>
                       {contentFeedback}
@@ -810,7 +1067,7 @@ export default function UploadScreen({ navigation, route }) {
               >
                 <Ionicons name="folder-open-outline" size={18} color="#4F46E5" />
                 <Text style={[styles.secondaryButtonText, { color: '#4F46E5' }]}>
-                  {t('upload:chooseFile')}
+                  {selectedFiles.length > 0 ? 'Add more files' : t('upload:chooseFile')}
                 </Text>
               </TouchableOpacity>
 
@@ -878,7 +1135,7 @@ export default function UploadScreen({ navigation, route }) {
                 })}
               </View>
 
-              {selectedFile ? (
+              {selectedFiles.length > 0 ? (
                 <TouchableOpacity
                   style={[styles.primaryButton, loading && styles.buttonDisabled]}
                   onPress={uploadAndGenerate}
@@ -1026,6 +1283,13 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     opacity: 0.5,
   },
+  mixRow: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  mixInput: {
+    flex: 1,
+  },
   toggleContainer: {
     borderRadius: 16,
     paddingVertical: 12,
@@ -1107,6 +1371,21 @@ const styles = StyleSheet.create({
   difficultyIcon: {
     marginBottom: 2,
   },
+  focusSelector: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  focusButton: {
+    borderRadius: 12,
+    borderWidth: 2,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+  },
+  focusButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
   difficultyButtonText: {
     fontSize: 13,
     fontWeight: '600',
@@ -1167,6 +1446,15 @@ const styles = StyleSheet.create({
   fileInfoBody: {
     flex: 1,
   },
+  fileInfoRow: {
+    marginTop: 12,
+  },
+  fileControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 6,
+  },
   fileName: {
     fontSize: 15,
     fontWeight: '600',
@@ -0,0 +1,453 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Alert,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { historyAPI } from '../../services/api';
+import { useTheme } from '../../hooks/useTheme';
+import MathText from '../../components/quiz/MathText';
+
+/**
+ * Level picks, points and comment to start a draft from: the teacher's grade
+ * if there is one, otherwise empty
+ */
+function draftFrom(question, answer) {
+  const scores = answer.override?.rubricScores || [];
+  const picks = {};
+  for (const criterion of question.essayRubric || []) {
+    const score = scores.find((s) => String(s.criterionId) === String(criterion._id));
+    const level = score && criterion.levels.find((l) => l.label === score.level);
+    if (level) picks[criterion._id] = level._id;
+  }
+  return {
+    picks,
+    points: answer.override?.at ? String(answer.override.pointsEarned) : '',
+    comment: answer.override?.reason || '',
+  };
+}
+
+/**
+ * Grade the essays of one attempt: pick a level per rubric criterion (or
+ * enter points when there is no rubric), add a comment for the student and
+ * optionally start from an AI-suggested grade. Once every essay is graded
+ * the grades can be released, which notifies the student.
+ */
+export default function EssayGradingScreen({ route }) {
+  const { historyId } = route.params || {};
+  const { theme } = useTheme();
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Draft grade per question id ({ picks: { criterionId: levelId }, points, comment })
+  const [drafts, setDrafts] = useState({});
+  // Question id being saved or suggested, or 'release'
+  const [busy, setBusy] = useState(null);
+
+  const isLight = theme === 'light';
+  const textPrimary = isLight ? '#111827' : '#F9FAFB';
+  const textSecondary = isLight ? '#6B7280' : '#9CA3AF';
+  const surface = isLight ? '#FFFFFF' : '#1E1E1E';
+
+  useEffect(() => {
+    loadAttempt();
+  }, [historyId]);
+
+  const essaysOf = (data) => (data?.quiz?.questions || [])
+    .map((question, index) => ({ question, number: index + 1, answer: data.answers.find((a) => String(a.questionId) === String(question._id)) }))
+    .filter(({ question, answer }) => question.type === 'essay' && answer?.grading?.method === 'pending');
+
+  const loadAttempt = async () => {
+    try {
+      const res = await historyAPI.getById(historyId);
+      const data = res?.data?.data?.history;
+      setHistory(data || null);
+      const initial = {};
+      for (const { question, answer } of essaysOf(data)) initial[question._id] = draftFrom(question, answer);
+      setDrafts(initial);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load the attempt');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateDraft = (questionId, changes) => {
+    setDrafts((current) => ({ ...current, [questionId]: { ...current[questionId], ...changes } }));
+  };
+
+  const suggest = async (question) => {
+    setBusy(question._id);
+    try {
+      const res = await historyAPI.suggestGrade(historyId, question._id);
+      const suggestion = res?.data?.data?.answer?.suggestion;
+      if (suggestion) {
+        const picks = {};
+        for (const criterion of question.essayRubric || []) {
+          const score = suggestion.rubricScores?.find((s) => String(s.criterionId) === String(criterion._id));
+          const level = score && criterion.levels.find((l) => l.label === score.level);
+          if (level) picks[criterion._id] = level._id;
+        }
+        updateDraft(question._id, { picks, points: String(suggestion.pointsEarned ?? ''), comment: suggestion.comment || '' });
+      }
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to get a suggested grade');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const save = async (question) => {
+    const draft = drafts[question._id];
+    const rubric = question.essayRubric || [];
+    setBusy(question._id);
+    try {
+      if (rubric.length > 0) {
+        const missing = rubric.find((criterion) => !draft.picks[criterion._id]);
+        if (missing) {
+          Alert.alert('Incomplete', `Pick a level for "${missing.criterion}"`);
+          return;
+        }
+        const rubricScores = rubric.map((criterion) => ({ criterionId: criterion._id, levelId: draft.picks[criterion._id] }));
+        await historyAPI.setRubricGrade(historyId, question._id, rubricScores, draft.comment);
+      } else {
+        const points = Number(draft.points);
+        const max = question.points ?? 1;
+        if (draft.points === '' || !Number.isFinite(points) || points < 0 || points > max) {
+          Alert.alert('Invalid points', `Enter a number from 0 to ${max}`);
+          return;
+        }
+        await historyAPI.setGrade(historyId, question._id, points, draft.comment);
+      }
+      await loadAttempt();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to save the grade');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const clear = async (question) => {
+    setBusy(question._id);
+    try {
+      await historyAPI.clearGrade(historyId, question._id);
+      await loadAttempt();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to clear the grade');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const release = async () => {
+    setBusy('release');
+    try {
+      await historyAPI.releaseGrades(historyId);
+      Alert.alert('Grades released', 'The student has been notified');
+      await loadAttempt();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to release grades');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+        <ActivityIndicator size="large" color="#4F46E5" />
+      </View>
+    );
+  }
+
+  const essays = essaysOf(history);
+
+  return (
+    <View style={[styles.container, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <Text style={[styles.title, { color: textPrimary }]}>{history?.user?.name || 'Student'}</Text>
+        <Text style={[styles.meta, { color: textSecondary }]}>
+          {history?.quiz?.title} · {history?.score} pts so far
+        </Text>
+
+        {history?.gradingStatus === 'graded' && (
+          <TouchableOpacity style={styles.releaseButton} onPress={release} disabled={busy === 'release'}>
+            {busy === 'release' ? (
+              <ActivityIndicator color="#FFFFFF" />
+            ) : (
+              <>
+                <Ionicons name="send-outline" size={16} color="#FFFFFF" />
+                <Text style={styles.releaseButtonText}>Release grades to student</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+        {history?.gradingStatus === 'released' && (
+          <Text style={[styles.released, { color: '#10B981' }]}>
+            Released {history.gradesReleasedAt ? new Date(history.gradesReleasedAt).toLocaleDateString() : ''}; changes are visible to the student right away
+          </Text>
+        )}
+
+        {essays.length === 0 && (
+          <Text style={[styles.emptyText, { color: textSecondary }]}>This attempt has no essays to grade</Text>
+        )}
+
+        {essays.map(({ question, number, answer }) => {
+          const draft = drafts[question._id] || { picks: {}, points: '', comment: '' };
+          const rubric = question.essayRubric || [];
+          const graded = !!answer.override?.at;
+          const working = busy === question._id;
+          return (
+            <View key={question._id} style={[styles.section, { backgroundColor: surface }]}>
+              <View style={styles.sectionHeader}>
+                <Text style={[styles.questionNumber, { color: textSecondary }]}>Q{number} · {question.points ?? 1} pts</Text>
+                <Text style={[styles.status, { color: graded ? '#10B981' : '#F59E0B' }]}>
+                  {graded ? `Graded ${answer.pointsEarned} / ${question.points ?? 1}` : 'Not graded'}
+                </Text>
+              </View>
+              <MathText style={[styles.questionText, { color: textPrimary }]}>{question.questionText}</MathText>
+
+              <View style={[styles.essayBox, { borderColor: isLight ? '#E5E7EB' : '#374151' }]}>
+                <Text style={[styles.essayText, { color: textPrimary }]}>{answer.userAnswer}</Text>
+              </View>
+              {!!question.correctAnswer && (
+                <Text style={[styles.meta, { color: textSecondary }]}>Model answer: {question.correctAnswer}</Text>
+              )}
+
+              {rubric.map((criterion) => (
+                <View key={criterion._id} style={styles.criterion}>
+                  <Text style={[styles.criterionTitle, { color: textPrimary }]}>{criterion.criterion}</Text>
+                  {!!criterion.description && (
+                    <Text style={[styles.meta, { color: textSecondary }]}>{criterion.description}</Text>
+                  )}
+                  <View style={styles.levels}>
+                    {criterion.levels.map((level) => {
+                      const selected = String(draft.picks[criterion._id]) === String(level._id);
+                      return (
+                        <TouchableOpacity
+                          key={level._id}
+                          style={[styles.levelChip, selected && styles.levelChipActive]}
+                          onPress={() => updateDraft(question._id, { picks: { ...draft.picks, [criterion._id]: level._id } })}
+                        >
+                          <Text style={[styles.levelChipText, selected && styles.levelChipTextActive]}>
+                            {level.label} · {level.points}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                </View>
+              ))}
+
+              {rubric.length === 0 && (
+                <>
+                  <Text style={[styles.meta, { color: textSecondary }]}>Points (0 to {question.points ?? 1})</Text>
+                  <TextInput
+                    style={[styles.input, { color: textPrimary }]}
+                    value={draft.points}
+                    onChangeText={(points) => updateDraft(question._id, { points })}
+                    keyboardType="decimal-pad"
+                  />
+                </>
+              )}
+
+              <Text style={[styles.meta, { color: textSecondary }]}>Comment (shown to the student)</Text>
+              <TextInput
+                style={[styles.input, styles.multiline, { color: textPrimary }]}
+                value={draft.comment}
+                onChangeText={(comment) => updateDraft(question._id, { comment })}
+                multiline
+              />
+              {!!answer.suggestion?.at && (
+                <Text style={[styles.suggestion, { color: textSecondary }]}>
+                  AI suggested {answer.suggestion.pointsEarned} / {question.points ?? 1}
+                </Text>
+              )}
+
+              <View style={styles.actions}>
+                <TouchableOpacity style={styles.actionChip} disabled={working} onPress={() => suggest(question)}>
+                  <Ionicons name="sparkles-outline" size={14} color="#4F46E5" />
+                  <Text style={styles.actionChipText}>Suggest with AI</Text>
+                </TouchableOpacity>
+                {graded && (
+                  <TouchableOpacity style={styles.actionChip} disabled={working} onPress={() => clear(question)}>
+                    <Text style={[styles.actionChipText, { color: '#EF4444' }]}>Clear grade</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={[styles.actionChip, styles.saveChip]} disabled={working} onPress={() => save(question)}>
+                  {working ? <ActivityIndicator size="small" color="#FFFFFF" /> : <Text style={styles.saveChipText}>Save grade</Text>}
+                </TouchableOpacity>
+              </View>
+            </View>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  releaseButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  releaseButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  released: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 12,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  section: {
+    borderRadius: 16,
+    padding: 16,
+    marginTop: 16,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  questionNumber: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  status: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  questionText: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  essayBox: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+  },
+  essayText: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  criterion: {
+    marginTop: 10,
+  },
+  criterionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  levels: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 4,
+  },
+  levelChip: {
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#C7D2FE',
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  levelChipActive: {
+    backgroundColor: '#4F46E5',
+    borderColor: '#4F46E5',
+  },
+  levelChipText: {
+    color: '#4F46E5',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  levelChipTextActive: {
+    color: '#FFFFFF',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 8,
+  },
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  suggestion: {
+    fontSize: 12,
+    fontStyle: 'italic',
+    marginBottom: 4,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  actionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EEF2FF',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  actionChipText: {
+    color: '#4F46E5',
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  saveChip: {
+    backgroundColor: '#4F46E5',
+  },
+  saveChipText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
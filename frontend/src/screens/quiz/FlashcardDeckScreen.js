@@ -0,0 +1,498 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Alert,
+  Modal,
+  TextInput,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { flashcardAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import { useTheme } from '../../hooks/useTheme';
+import MathText from '../../components/quiz/MathText';
+
+/**
+ * Study a flashcard deck one card at a time (tap to flip). Editors can fix or
+ * remove cards; the creator can share the deck and delete it.
+ */
+export default function FlashcardDeckScreen({ route, navigation }) {
+  const { id } = route.params || {};
+  const { user } = useAuth();
+  const { theme } = useTheme();
+  const [deck, setDeck] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [order, setOrder] = useState([]);
+  const [position, setPosition] = useState(0);
+  const [flipped, setFlipped] = useState(false);
+  // Card being edited ({ _id, front, back }), or null
+  const [cardDraft, setCardDraft] = useState(null);
+  const [showShare, setShowShare] = useState(false);
+  const [shareEmail, setShareEmail] = useState('');
+  const [shareRole, setShareRole] = useState('view');
+  const [saving, setSaving] = useState(false);
+
+  const isLight = theme === 'light';
+  const textPrimary = isLight ? '#111827' : '#F9FAFB';
+  const textSecondary = isLight ? '#6B7280' : '#9CA3AF';
+  const surface = isLight ? '#FFFFFF' : '#1E1E1E';
+  const isCreator = !!deck?.creator && String(deck.creator._id || deck.creator) === String(user?.id || user?._id);
+
+  useEffect(() => {
+    loadDeck();
+  }, [id]);
+
+  const loadDeck = async () => {
+    try {
+      const res = await flashcardAPI.getById(id);
+      const loaded = res?.data?.data?.deck || null;
+      setDeck(loaded);
+      setOrder((loaded?.cards || []).map((_, index) => index));
+      setPosition(0);
+      setFlipped(false);
+    } catch (error) {
+      console.error('Load deck error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const card = deck ? deck.cards[order[position]] : null;
+
+  const move = (step) => {
+    setFlipped(false);
+    setPosition((current) => Math.min(Math.max(current + step, 0), order.length - 1));
+  };
+
+  const shuffle = () => {
+    const next = [...order];
+    for (let i = next.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [next[i], next[j]] = [next[j], next[i]];
+    }
+    setOrder(next);
+    setPosition(0);
+    setFlipped(false);
+  };
+
+  const saveCards = async (cards) => {
+    setSaving(true);
+    try {
+      const res = await flashcardAPI.update(id, { cards });
+      const saved = res?.data?.data?.deck?.cards || [];
+      setDeck((current) => ({ ...current, cards: saved }));
+      // Keep studying where we were; a removed card resets the order
+      if (saved.length !== order.length) {
+        setOrder(saved.map((_, index) => index));
+        setPosition((current) => Math.max(Math.min(current, saved.length - 1), 0));
+        setFlipped(false);
+      }
+      return true;
+    } catch (error) {
+      Alert.alert('Error', error?.response?.data?.message || 'Failed to save the deck');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveCardDraft = async () => {
+    const cards = deck.cards.map((c) => (c._id === cardDraft._id ? { ...c, front: cardDraft.front, back: cardDraft.back } : c));
+    if (await saveCards(cards)) setCardDraft(null);
+  };
+
+  const removeCard = () => {
+    Alert.alert('Remove card', 'Remove this card from the deck?', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => saveCards(deck.cards.filter((c) => c._id !== card._id)) },
+    ]);
+  };
+
+  const shareDeck = async () => {
+    if (!shareEmail.trim()) return;
+    setSaving(true);
+    try {
+      const res = await flashcardAPI.share(id, shareEmail.trim(), shareRole);
+      Alert.alert('Shared', res?.data?.message || 'Deck shared');
+      setShareEmail('');
+      await loadDeck();
+    } catch (error) {
+      Alert.alert('Error', error?.response?.data?.message || 'Failed to share the deck');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const unshare = async (userId) => {
+    try {
+      await flashcardAPI.unshare(id, userId);
+      await loadDeck();
+    } catch (error) {
+      Alert.alert('Error', error?.response?.data?.message || 'Failed to update sharing');
+    }
+  };
+
+  const deleteDeck = () => {
+    Alert.alert('Delete deck', 'This deletes the deck for everyone it is shared with.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await flashcardAPI.delete(id);
+            navigation.goBack();
+          } catch (error) {
+            Alert.alert('Error', error?.response?.data?.message || 'Failed to delete the deck');
+          }
+        },
+      },
+    ]);
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+        <ActivityIndicator size="large" color="#4F46E5" />
+      </View>
+    );
+  }
+
+  if (!deck) {
+    return (
+      <View style={[styles.centered, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+        <Text style={[styles.emptyText, { color: textSecondary }]}>Deck not found</Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <Text style={[styles.title, { color: textPrimary }]}>{deck.title}</Text>
+        {!!deck.description && <Text style={[styles.description, { color: textSecondary }]}>{deck.description}</Text>}
+
+        {deck.quiz?._id && (
+          <TouchableOpacity
+            style={styles.linkChip}
+            onPress={() => navigation.navigate('QuizDetail', { id: deck.quiz._id })}
+          >
+            <Ionicons name="help-circle-outline" size={16} color="#4F46E5" />
+            <Text style={styles.linkChipText}>Quiz: {deck.quiz.title}</Text>
+          </TouchableOpacity>
+        )}
+
+        {card ? (
+          <>
+            <TouchableOpacity
+              style={[styles.card, { backgroundColor: surface }, flipped && styles.cardFlipped]}
+              onPress={() => setFlipped((value) => !value)}
+              activeOpacity={0.9}
+              accessibilityRole="button"
+              accessibilityHint={flipped ? 'Shows the front of the card' : 'Shows the answer'}
+            >
+              <Text style={[styles.cardSide, { color: textSecondary }]}>{flipped ? 'Answer' : 'Prompt'}</Text>
+              <MathText style={[styles.cardText, { color: textPrimary }]}>{flipped ? card.back : card.front}</MathText>
+              {flipped && !!card.source?.excerpt && (
+                <Text style={[styles.cardSource, { color: textSecondary }]}>
+                  {card.source.page ? `p. ${card.source.page}: ` : ''}“{card.source.excerpt}”
+                </Text>
+              )}
+              {!!card.tags?.length && (
+                <Text style={[styles.cardTags, { color: textSecondary }]}>{card.tags.map((tag) => `#${tag}`).join(' ')}</Text>
+              )}
+            </TouchableOpacity>
+
+            <View style={styles.controls}>
+              <TouchableOpacity style={styles.controlButton} onPress={() => move(-1)} disabled={position === 0}>
+                <Ionicons name="chevron-back" size={22} color={position === 0 ? '#9CA3AF' : '#4F46E5'} />
+              </TouchableOpacity>
+              <Text style={[styles.progress, { color: textPrimary }]}>{position + 1} / {order.length}</Text>
+              <TouchableOpacity style={styles.controlButton} onPress={() => move(1)} disabled={position === order.length - 1}>
+                <Ionicons name="chevron-forward" size={22} color={position === order.length - 1 ? '#9CA3AF' : '#4F46E5'} />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.actions}>
+              <TouchableOpacity style={styles.linkChip} onPress={shuffle}>
+                <Ionicons name="shuffle" size={16} color="#4F46E5" />
+                <Text style={styles.linkChipText}>Shuffle</Text>
+              </TouchableOpacity>
+              {deck.canEdit && (
+                <>
+                  <TouchableOpacity style={styles.linkChip} onPress={() => setCardDraft({ _id: card._id, front: card.front, back: card.back })}>
+                    <Ionicons name="create-outline" size={16} color="#4F46E5" />
+                    <Text style={styles.linkChipText}>Edit card</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.linkChip} onPress={removeCard} disabled={saving}>
+                    <Ionicons name="trash-outline" size={16} color="#EF4444" />
+                    <Text style={[styles.linkChipText, { color: '#EF4444' }]}>Remove card</Text>
+                  </TouchableOpacity>
+                </>
+              )}
+            </View>
+          </>
+        ) : (
+          <Text style={[styles.emptyText, { color: textSecondary }]}>This deck has no cards yet</Text>
+        )}
+
+        {isCreator && (
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.linkChip} onPress={() => setShowShare(true)}>
+              <Ionicons name="people-outline" size={16} color="#4F46E5" />
+              <Text style={styles.linkChipText}>Share</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.linkChip} onPress={deleteDeck}>
+              <Ionicons name="trash-outline" size={16} color="#EF4444" />
+              <Text style={[styles.linkChipText, { color: '#EF4444' }]}>Delete deck</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </ScrollView>
+
+      <Modal visible={!!cardDraft} transparent animationType="fade" onRequestClose={() => setCardDraft(null)}>
+        <View style={styles.modalBackdrop}>
+          <View style={[styles.modal, { backgroundColor: surface }]}>
+            <Text style={[styles.modalTitle, { color: textPrimary }]}>Edit card</Text>
+            <TextInput
+              style={[styles.input, { color: textPrimary }]}
+              value={cardDraft?.front}
+              onChangeText={(front) => setCardDraft((draft) => ({ ...draft, front }))}
+              placeholder="Front"
+              placeholderTextColor="#9CA3AF"
+              multiline
+            />
+            <TextInput
+              style={[styles.input, styles.inputTall, { color: textPrimary }]}
+              value={cardDraft?.back}
+              onChangeText={(back) => setCardDraft((draft) => ({ ...draft, back }))}
+              placeholder="Back"
+              placeholderTextColor="#9CA3AF"
+              multiline
+            />
+            <View style={styles.modalButtons}>
+              <TouchableOpacity onPress={() => setCardDraft(null)} style={styles.modalButton}>
+                <Text style={{ color: textSecondary }}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={saveCardDraft}
+                style={styles.modalButton}
+                disabled={saving || !cardDraft?.front?.trim() || !cardDraft?.back?.trim()}
+              >
+                {saving ? <ActivityIndicator size="small" color="#4F46E5" /> : <Text style={styles.modalPrimary}>Save</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+
+      <Modal visible={showShare} transparent animationType="fade" onRequestClose={() => setShowShare(false)}>
+        <View style={styles.modalBackdrop}>
+          <View style={[styles.modal, { backgroundColor: surface }]}>
+            <Text style={[styles.modalTitle, { color: textPrimary }]}>Share deck</Text>
+            {(deck.sharedWith || []).map((share) => (
+              <View key={share.user?._id} style={styles.shareRow}>
+                <Text style={[styles.shareName, { color: textPrimary }]} numberOfLines={1}>
+                  {share.user?.name || share.user?.email} · {share.role}
+                </Text>
+                <TouchableOpacity onPress={() => unshare(share.user?._id)} accessibilityLabel="Stop sharing">
+                  <Ionicons name="close-circle-outline" size={20} color="#EF4444" />
+                </TouchableOpacity>
+              </View>
+            ))}
+            <TextInput
+              style={[styles.input, { color: textPrimary }]}
+              value={shareEmail}
+              onChangeText={setShareEmail}
+              placeholder="Email address"
+              placeholderTextColor="#9CA3AF"
+              autoCapitalize="none"
+              keyboardType="email-address"
+            />
+            <View style={styles.actions}>
+              {['view', 'edit'].map((role) => (
+                <TouchableOpacity
+                  key={role}
+                  style={[styles.linkChip, shareRole === role && styles.chipActive]}
+                  onPress={() => setShareRole(role)}
+                >
+                  <Text style={styles.linkChipText}>{role === 'view' ? 'Can view' : 'Can edit'}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View style={styles.modalButtons}>
+              <TouchableOpacity onPress={() => setShowShare(false)} style={styles.modalButton}>
+                <Text style={{ color: textSecondary }}>Close</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={shareDeck} style={styles.modalButton} disabled={saving || !shareEmail.trim()}>
+                {saving ? <ActivityIndicator size="small" color="#4F46E5" /> : <Text style={styles.modalPrimary}>Share</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  description: {
+    fontSize: 14,
+    marginBottom: 12,
+  },
+  card: {
+    minHeight: 220,
+    borderRadius: 16,
+    padding: 20,
+    marginTop: 12,
+    justifyContent: 'center',
+    borderWidth: 2,
+    borderColor: '#E0E7FF',
+  },
+  cardFlipped: {
+    borderColor: '#4F46E5',
+  },
+  cardSide: {
+    position: 'absolute',
+    top: 12,
+    left: 20,
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
+  cardText: {
+    fontSize: 18,
+    lineHeight: 26,
+    textAlign: 'center',
+  },
+  cardSource: {
+    marginTop: 16,
+    fontSize: 13,
+    fontStyle: 'italic',
+  },
+  cardTags: {
+    marginTop: 12,
+    fontSize: 12,
+  },
+  controls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginVertical: 16,
+  },
+  controlButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  progress: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginHorizontal: 20,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  linkChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipActive: {
+    borderColor: '#4F46E5',
+    backgroundColor: '#EEF2FF',
+  },
+  linkChipText: {
+    color: '#4F46E5',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modal: {
+    borderRadius: 16,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 10,
+  },
+  inputTall: {
+    minHeight: 90,
+    textAlignVertical: 'top',
+  },
+  modalButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  modalButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  modalPrimary: {
+    color: '#4F46E5',
+    fontWeight: '600',
+  },
+  shareRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  shareName: {
+    flex: 1,
+    fontSize: 14,
+    marginRight: 8,
+  },
+});
@@ -0,0 +1,390 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Alert,
+  Modal,
+  TextInput,
+} from 'react-native';
+import { historyAPI } from '../../services/api';
+import { useTheme } from '../../hooks/useTheme';
+import MathText from '../../components/quiz/MathText';
+
+const METHOD_LABELS = {
+  empty: 'No answer',
+  exact: 'Exact match',
+  normalized: 'Match (ignoring punctuation)',
+  alternative: 'Accepted alternative',
+  fuzzy: 'Spelling variant',
+  semantic: 'Same meaning',
+  'ai-rubric': 'AI rubric',
+  'no-match': 'No match',
+};
+
+const FILTERS = [
+  { key: '', label: 'All' },
+  { key: 'no-match', label: 'No match' },
+  { key: 'ai-rubric', label: 'AI graded' },
+  { key: 'fuzzy', label: 'Spelling' },
+  { key: 'semantic', label: 'Meaning' },
+];
+
+/**
+ * Every student's short answers to a quiz with how each was graded and why.
+ * Graders can give full, no or custom credit (with a reason) or undo their
+ * grade; the attempt's score is recomputed on the server.
+ */
+export default function GradeReviewScreen({ route }) {
+  const { quizId, quizTitle } = route.params || {};
+  const { theme } = useTheme();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [method, setMethod] = useState('');
+  // Answer being graded by hand ({ attemptId, questionId, points, pointsEarned, reason }), or null
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const isLight = theme === 'light';
+  const textPrimary = isLight ? '#111827' : '#F9FAFB';
+  const textSecondary = isLight ? '#6B7280' : '#9CA3AF';
+  const surface = isLight ? '#FFFFFF' : '#1E1E1E';
+
+  useEffect(() => {
+    loadAnswers();
+  }, [quizId, method]);
+
+  const loadAnswers = async () => {
+    try {
+      const res = await historyAPI.getQuizAnswers(quizId, method ? { method } : {});
+      setData(res?.data?.data || null);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load answers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setGrade = async (attemptId, questionId, pointsEarned, reason) => {
+    setSaving(true);
+    try {
+      if (pointsEarned === null) {
+        await historyAPI.clearGrade(attemptId, questionId);
+      } else {
+        await historyAPI.setGrade(attemptId, questionId, pointsEarned, reason);
+      }
+      setDraft(null);
+      await loadAnswers();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update the grade');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveDraft = () => {
+    const points = Number(draft.pointsEarned);
+    if (!Number.isFinite(points) || points < 0 || points > draft.points) {
+      Alert.alert('Invalid points', `Enter a number from 0 to ${draft.points}`);
+      return;
+    }
+    setGrade(draft.attemptId, draft.questionId, points, draft.reason);
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+        <ActivityIndicator size="large" color="#4F46E5" />
+      </View>
+    );
+  }
+
+  const questions = data?.questions || [];
+  const attempts = data?.attempts || [];
+
+  return (
+    <View style={[styles.container, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {!!quizTitle && <Text style={[styles.title, { color: textPrimary }]}>{quizTitle}</Text>}
+
+        <View style={styles.filters}>
+          {FILTERS.map((filter) => (
+            <TouchableOpacity
+              key={filter.key || 'all'}
+              style={[styles.filterChip, method === filter.key && styles.filterChipActive]}
+              onPress={() => setMethod(filter.key)}
+            >
+              <Text style={[styles.filterChipText, method === filter.key && styles.filterChipTextActive]}>{filter.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {questions.length === 0 && (
+          <Text style={[styles.emptyText, { color: textSecondary }]}>This quiz has no short-answer questions</Text>
+        )}
+
+        {questions.map((question) => {
+          // Answers are matched to the question as it was in the version they were given on
+          const rows = attempts.flatMap((attempt) => attempt.answers
+            .filter((answer) => answer.questionKey === question.key)
+            .map((answer) => ({ attempt, answer })));
+          return (
+            <View key={question.key} style={[styles.section, { backgroundColor: surface }]}>
+              <MathText style={[styles.questionText, { color: textPrimary }]}>{`Q${question.number}. ${question.questionText}`}</MathText>
+              {!!question.quizVersion && (
+                <Text style={[styles.meta, { color: textSecondary }]}>As in version {question.quizVersion}, before later edits</Text>
+              )}
+              <Text style={[styles.meta, { color: textSecondary }]}>
+                Answer: {question.correctAnswer}
+                {question.acceptedAnswers?.length ? ` · also: ${question.acceptedAnswers.join(', ')}` : ''}
+                {` · ${question.points} pt`}
+              </Text>
+              {!!question.rubric && <Text style={[styles.meta, { color: textSecondary }]}>Rubric: {question.rubric}</Text>}
+
+              {rows.length === 0 && (
+                <Text style={[styles.meta, { color: textSecondary }]}>No answers{method ? ' graded this way' : ''} yet</Text>
+              )}
+
+              {rows.map(({ attempt, answer }) => {
+                const overridden = !!answer.override?.at;
+                return (
+                  <View key={`${attempt._id}-${answer.questionId}`} style={styles.answerRow}>
+                    <View style={styles.answerHeader}>
+                      <Text style={[styles.student, { color: textPrimary }]}>{attempt.user?.name || 'Student'}</Text>
+                      <Text style={[styles.points, { color: answer.isCorrect ? '#10B981' : answer.pointsEarned > 0 ? '#F59E0B' : '#EF4444' }]}>
+                        {answer.pointsEarned ?? 0} / {question.points}
+                      </Text>
+                    </View>
+                    <MathText style={[styles.answerText, { color: textPrimary }]}>{answer.userAnswer || '—'}</MathText>
+                    <Text style={[styles.method, { color: textSecondary }]}>
+                      {overridden ? 'Teacher grade' : METHOD_LABELS[answer.grading?.method] || 'Automatic'}
+                      {answer.grading?.similarity != null && !overridden ? ` · similarity ${answer.grading.similarity}` : ''}
+                    </Text>
+                    {!!(overridden ? answer.override.reason : answer.grading?.reasoning) && (
+                      <Text style={[styles.reasoning, { color: textSecondary }]}>
+                        {overridden ? answer.override.reason : answer.grading.reasoning}
+                      </Text>
+                    )}
+                    <View style={styles.actions}>
+                      <TouchableOpacity style={styles.actionChip} disabled={saving} onPress={() => setGrade(attempt._id, answer.questionId, question.points)}>
+                        <Text style={styles.actionChipText}>Full credit</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.actionChip} disabled={saving} onPress={() => setGrade(attempt._id, answer.questionId, 0)}>
+                        <Text style={styles.actionChipText}>No credit</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        style={styles.actionChip}
+                        disabled={saving}
+                        onPress={() => setDraft({
+                          attemptId: attempt._id,
+                          questionId: answer.questionId,
+                          points: question.points,
+                          pointsEarned: String(answer.pointsEarned ?? 0),
+                          reason: answer.override?.reason || '',
+                        })}
+                      >
+                        <Text style={styles.actionChipText}>Custom…</Text>
+                      </TouchableOpacity>
+                      {overridden && (
+                        <TouchableOpacity style={styles.actionChip} disabled={saving} onPress={() => setGrade(attempt._id, answer.questionId, null)}>
+                          <Text style={[styles.actionChipText, { color: '#EF4444' }]}>Undo</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  </View>
+                );
+              })}
+            </View>
+          );
+        })}
+      </ScrollView>
+
+      <Modal visible={!!draft} transparent animationType="fade" onRequestClose={() => setDraft(null)}>
+        <View style={styles.modalBackdrop}>
+          <View style={[styles.modal, { backgroundColor: surface }]}>
+            <Text style={[styles.modalTitle, { color: textPrimary }]}>Grade answer</Text>
+            <Text style={[styles.meta, { color: textSecondary }]}>Points (0 to {draft?.points})</Text>
+            <TextInput
+              style={[styles.input, { color: textPrimary }]}
+              value={draft?.pointsEarned}
+              onChangeText={(pointsEarned) => setDraft((current) => ({ ...current, pointsEarned }))}
+              keyboardType="decimal-pad"
+            />
+            <Text style={[styles.meta, { color: textSecondary }]}>Reason (shown to the student)</Text>
+            <TextInput
+              style={[styles.input, styles.multiline, { color: textPrimary }]}
+              value={draft?.reason}
+              onChangeText={(reason) => setDraft((current) => ({ ...current, reason }))}
+              multiline
+            />
+            <View style={styles.modalActions}>
+              <TouchableOpacity style={styles.modalButton} onPress={() => setDraft(null)}>
+                <Text style={[styles.modalButtonText, { color: textSecondary }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalButton} onPress={saveDraft} disabled={saving}>
+                {saving ? <ActivityIndicator color="#4F46E5" /> : <Text style={styles.modalButtonText}>Save</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  filters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  filterChip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#C7D2FE',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  filterChipActive: {
+    backgroundColor: '#4F46E5',
+    borderColor: '#4F46E5',
+  },
+  filterChipText: {
+    color: '#4F46E5',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  filterChipTextActive: {
+    color: '#FFFFFF',
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  section: {
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  questionText: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  meta: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  answerRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    paddingTop: 10,
+    marginTop: 10,
+  },
+  answerHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  student: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  points: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  answerText: {
+    fontSize: 15,
+    marginBottom: 4,
+  },
+  method: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  reasoning: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  actionChip: {
+    backgroundColor: '#EEF2FF',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  actionChipText: {
+    color: '#4F46E5',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  modalBackdrop: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  modal: {
+    borderRadius: 16,
+    padding: 20,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    borderRadius: 10,
+    padding: 10,
+    fontSize: 15,
+    marginBottom: 12,
+  },
+  multiline: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+  },
+  modalActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  modalButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  modalButtonText: {
+    color: '#4F46E5',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+});
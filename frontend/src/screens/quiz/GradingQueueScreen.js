@@ -0,0 +1,253 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { historyAPI } from '../../services/api';
+import { useTheme } from '../../hooks/useTheme';
+
+const STATUSES = [
+  { key: 'pending', label: 'To grade' },
+  { key: 'graded', label: 'Ready to release' },
+  { key: 'released', label: 'Released' },
+];
+
+/**
+ * Attempts with essays waiting for a teacher, oldest first, for one quiz or
+ * class (or everything the teacher can grade). Graded attempts can be
+ * released one by one or, for a quiz, all at once; students are notified.
+ */
+export default function GradingQueueScreen({ route, navigation }) {
+  const { quizId, classId, title } = route.params || {};
+  const { theme } = useTheme();
+  const [status, setStatus] = useState('pending');
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [releasing, setReleasing] = useState(false);
+
+  const isLight = theme === 'light';
+  const textPrimary = isLight ? '#111827' : '#F9FAFB';
+  const textSecondary = isLight ? '#6B7280' : '#9CA3AF';
+  const surface = isLight ? '#FFFFFF' : '#1E1E1E';
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const res = await historyAPI.getGradingQueue({ quizId, classId, status });
+      setData(res?.data?.data || null);
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to load the grading queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [quizId, classId, status]);
+
+  // Reload when coming back from grading an attempt
+  useFocusEffect(
+    useCallback(() => {
+      loadQueue();
+    }, [loadQueue])
+  );
+
+  const release = async (attemptId) => {
+    setReleasing(true);
+    try {
+      const res = attemptId
+        ? await historyAPI.releaseGrades(attemptId)
+        : await historyAPI.releaseQuizGrades(quizId, classId);
+      Alert.alert('Grades released', res?.data?.message || 'Students have been notified');
+      await loadQueue();
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to release grades');
+    } finally {
+      setReleasing(false);
+    }
+  };
+
+  const attempts = data?.attempts || [];
+  const counts = data?.counts || {};
+
+  return (
+    <View style={[styles.container, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {!!title && <Text style={[styles.title, { color: textPrimary }]}>{title}</Text>}
+
+        <View style={styles.filters}>
+          {STATUSES.map((item) => (
+            <TouchableOpacity
+              key={item.key}
+              style={[styles.filterChip, status === item.key && styles.filterChipActive]}
+              onPress={() => {
+                setLoading(true);
+                setStatus(item.key);
+              }}
+            >
+              <Text style={[styles.filterChipText, status === item.key && styles.filterChipTextActive]}>
+                {item.label}{counts[item.key] != null ? ` (${counts[item.key]})` : ''}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {status === 'graded' && !!quizId && attempts.length > 0 && (
+          <TouchableOpacity style={styles.releaseAll} onPress={() => release(null)} disabled={releasing}>
+            {releasing ? (
+              <ActivityIndicator color="#FFFFFF" />
+            ) : (
+              <>
+                <Ionicons name="send-outline" size={16} color="#FFFFFF" />
+                <Text style={styles.releaseAllText}>Release all {attempts.length} and notify students</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {loading ? (
+          <ActivityIndicator size="large" color="#4F46E5" style={styles.loader} />
+        ) : attempts.length === 0 ? (
+          <Text style={[styles.emptyText, { color: textSecondary }]}>
+            {status === 'pending' ? 'Nothing to grade right now' : 'No attempts here'}
+          </Text>
+        ) : (
+          attempts.map((attempt) => (
+            <TouchableOpacity
+              key={attempt._id}
+              style={[styles.card, { backgroundColor: surface }]}
+              onPress={() => navigation.navigate('EssayGrading', { historyId: attempt._id })}
+            >
+              <View style={styles.cardHeader}>
+                <Text style={[styles.student, { color: textPrimary }]}>{attempt.user?.name || 'Student'}</Text>
+                <Text style={[styles.meta, { color: textSecondary }]}>
+                  {attempt.completedAt ? new Date(attempt.completedAt).toLocaleDateString() : ''}
+                </Text>
+              </View>
+              <Text style={[styles.meta, { color: textSecondary }]}>
+                {[!quizId && attempt.quiz?.title, attempt.class?.name].filter(Boolean).join(' · ')}
+              </Text>
+              <View style={styles.cardFooter}>
+                <Text style={[styles.progress, { color: attempt.ungraded > 0 ? '#F59E0B' : '#10B981' }]}>
+                  {attempt.ungraded > 0
+                    ? `${attempt.ungraded} of ${attempt.essays} essay${attempt.essays === 1 ? '' : 's'} to grade`
+                    : `${attempt.essays} essay${attempt.essays === 1 ? '' : 's'} graded · ${attempt.score} pts`}
+                </Text>
+                {attempt.gradingStatus === 'graded' && (
+                  <TouchableOpacity style={styles.actionChip} onPress={() => release(attempt._id)} disabled={releasing}>
+                    <Text style={styles.actionChipText}>Release</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            </TouchableOpacity>
+          ))
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 12,
+  },
+  filters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  filterChip: {
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#C7D2FE',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  filterChipActive: {
+    backgroundColor: '#4F46E5',
+    borderColor: '#4F46E5',
+  },
+  filterChipText: {
+    color: '#4F46E5',
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  filterChipTextActive: {
+    color: '#FFFFFF',
+  },
+  releaseAll: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 12,
+    marginBottom: 16,
+  },
+  releaseAllText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  loader: {
+    marginTop: 32,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+  card: {
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 12,
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  student: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  meta: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  cardFooter: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  progress: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  actionChip: {
+    backgroundColor: '#EEF2FF',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  actionChipText: {
+    color: '#4F46E5',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+});
@@ -13,14 +13,18 @@ import {
   Platform,
   Modal,
   FlatList,
-  Dimensions
+  Dimensions,
+  TextInput
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
+import * as DocumentPicker from 'expo-document-picker';
 import { Ionicons } from '@expo/vector-icons';
-import { quizAPI, classesAPI } from '../../services/api';
+import { quizAPI, classesAPI, flashcardAPI } from '../../services/api';
 import { useI18n } from '../../i18n';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../hooks/useTheme';
+import MathText from '../../components/quiz/MathText';
+import RevisionHistory from '../../components/quiz/RevisionHistory';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -33,6 +37,14 @@ export default function QuizDetailScreen({ route, navigation }) {
   const [classes, setClasses] = useState([]);
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [assigning, setAssigning] = useState(false);
+  const [editingIndex, setEditingIndex] = useState(null);
+  const [actionsIndex, setActionsIndex] = useState(null);
+  // Image/audio picked for a question, waiting for its alt text and caption
+  const [mediaDraft, setMediaDraft] = useState(null);
+  const [uploadingMedia, setUploadingMedia] = useState(false);
+  // Flashcard decks linked to this quiz
+  const [decks, setDecks] = useState([]);
+  const [creatingDeck, setCreatingDeck] = useState(false);
   const fade = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(-20)).current;
   const scaleAnim = useRef(new Animated.Value(0.95)).current;
@@ -40,6 +52,7 @@ export default function QuizDetailScreen({ route, navigation }) {
 
   useEffect(() => {
     loadQuizData();
+    loadDecks();
     if (user?.role === 'teacher') {
       loadTeacherClasses();
     }
@@ -82,6 +95,29 @@ export default function QuizDetailScreen({ route, navigation }) {
     }
   };
 
+  const loadDecks = async () => {
+    try {
+      const res = await flashcardAPI.getForQuiz(id);
+      setDecks(res?.data?.data?.decks || []);
+    } catch (error) {
+      console.warn('Failed to load flashcard decks:', error);
+    }
+  };
+
+  const createDeckFromQuiz = async () => {
+    setCreatingDeck(true);
+    try {
+      const res = await flashcardAPI.createFromQuiz(id);
+      const deck = res?.data?.data?.deck;
+      await loadDecks();
+      if (deck) navigation.navigate('FlashcardDeck', { id: deck._id });
+    } catch (error) {
+      Alert.alert('Error', error?.response?.data?.message || 'Failed to create flashcards');
+    } finally {
+      setCreatingDeck(false);
+    }
+  };
+
   const loadTeacherClasses = async () => {
     try {
       const res = await classesAPI.mine();
@@ -164,6 +200,120 @@ export default function QuizDetailScreen({ route, navigation }) {
     }
   };
 
+  const isCreator = !!quiz?.creator && String(quiz.creator._id || quiz.creator) === String(user?.id || user?._id);
+
+  const QUESTION_ACTIONS = [
+    { mode: 'regenerate', label: 'Regenerate', icon: 'refresh' },
+    { mode: 'harder', label: 'Harder', icon: 'trending-up' },
+    { mode: 'easier', label: 'Easier', icon: 'trending-down' },
+    { mode: 'clearer', label: 'Clearer', icon: 'create-outline' },
+    { mode: 'distractors', label: 'New Distractors', icon: 'shuffle', types: ['mcq', 'multi-select'] },
+  ];
+
+  const editQuestion = async (index, mode) => {
+    setActionsIndex(null);
+    setEditingIndex(index);
+    try {
+      const res = mode === 'regenerate'
+        ? await quizAPI.regenerateQuestion(id, index, quiz.version)
+        : await quizAPI.rewriteQuestion(id, index, mode, quiz.version);
+      const { question: updated, version } = res?.data?.data || {};
+      if (updated) {
+        setQuiz((prev) => ({
+          ...prev,
+          version,
+          questions: prev.questions.map((q, i) => (i === index ? updated : q)),
+        }));
+      }
+    } catch (error) {
+      console.error('Edit question error:', error);
+      showEditError(error, 'Failed to update the question. Please try again.');
+    } finally {
+      setEditingIndex(null);
+    }
+  };
+
+  // Edits are refused (409) when someone else saved the quiz first; reload it then
+  const showEditError = (error, fallback) => {
+    if (error.status === 409) {
+      Alert.alert('Quiz changed', 'This quiz was changed elsewhere. It has been reloaded, please try again.');
+      loadQuizData();
+      return;
+    }
+    Alert.alert('Error', error.message || fallback);
+  };
+
+  const setQuestionMedia = (index, version, update) => {
+    setQuiz((prev) => ({
+      ...prev,
+      version,
+      questions: prev.questions.map((q, i) => (i === index ? { ...q, media: update(q.media || []) } : q)),
+    }));
+  };
+
+  const pickQuestionMedia = async (index) => {
+    setActionsIndex(null);
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'audio/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets?.length) return;
+      const file = result.assets[0];
+      setMediaDraft({ index, file, isImage: (file.mimeType || '').startsWith('image/'), alt: '', caption: '' });
+    } catch (error) {
+      console.error('Pick media error:', error);
+      Alert.alert('Error', 'Could not open the file picker.');
+    }
+  };
+
+  const attachMedia = async () => {
+    if (mediaDraft.isImage && !mediaDraft.alt.trim()) {
+      Alert.alert('Alt text needed', 'Describe the image for students who use a screen reader.');
+      return;
+    }
+    setUploadingMedia(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', {
+        uri: mediaDraft.file.uri,
+        name: mediaDraft.file.name,
+        type: mediaDraft.file.mimeType || 'application/octet-stream',
+      });
+      formData.append('alt', mediaDraft.alt.trim());
+      formData.append('caption', mediaDraft.caption.trim());
+      formData.append('version', String(quiz.version));
+      const res = await quizAPI.uploadQuestionMedia(id, mediaDraft.index, formData);
+      const { media, version } = res?.data?.data || {};
+      if (media) setQuestionMedia(mediaDraft.index, version, (list) => [...list, media]);
+      setMediaDraft(null);
+    } catch (error) {
+      console.error('Attach media error:', error);
+      showEditError(error, 'Failed to attach the file. Please try again.');
+    } finally {
+      setUploadingMedia(false);
+    }
+  };
+
+  const removeMedia = (index, media) => {
+    Alert.alert('Remove attachment', `Remove "${media.alt || media.caption || 'audio clip'}" from this question?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            const res = await quizAPI.deleteQuestionMedia(id, index, media._id, quiz.version);
+            setQuestionMedia(index, res?.data?.data?.version, (list) => list.filter((m) => m._id !== media._id));
+          } catch (error) {
+            console.error('Remove media error:', error);
+            showEditError(error, 'Failed to remove the attachment.');
+          }
+        },
+      },
+    ]);
+  };
+
   const getDifficultyColor = (difficulty) => {
     switch (difficulty?.toLowerCase()) {
       case 'easy': return '#10B981';
@@ -251,6 +401,17 @@ export default function QuizDetailScreen({ route, navigation }) {
             )}
           </View>
 
+          {/* Source quality warnings (e.g. low-confidence OCR) */}
+          {quiz.generation?.warnings?.map((warning) => (
+            <View
+              key={warning}
+              style={[styles.warningCard, { backgroundColor: theme === 'light' ? '#FFFBEB' : '#422006' }]}
+            >
+              <Ionicons name="warning-outline" size={20} color="#D97706" />
+              <Text style={[styles.warningText, { color: theme === 'light' ? '#92400E' : '#FDE68A' }]}>{warning}</Text>
+            </View>
+          ))}
+
           {/* Quiz Stats */}
           <View style={styles.statsContainer}>
             <View style={[styles.statCard, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}>
@@ -299,6 +460,152 @@ export default function QuizDetailScreen({ route, navigation }) {
             </View>
           )}
 
+          {/* Flashcard decks linked to the quiz */}
+          {(decks.length > 0 || (user && quiz.questions?.length > 0)) && (
+            <View style={styles.questionsSection}>
+              <Text style={[styles.sectionTitle, { color: theme === 'light' ? '#111827' : 'white' }]}>Flashcards</Text>
+              {decks.map((deck) => (
+                <TouchableOpacity
+                  key={deck._id}
+                  style={[styles.questionCard, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}
+                  onPress={() => navigation.navigate('FlashcardDeck', { id: deck._id })}
+                  activeOpacity={0.8}
+                >
+                  <View style={styles.questionBody}>
+                    <Text style={[styles.questionText, { color: theme === 'light' ? '#111827' : 'white' }]}>{deck.title}</Text>
+                    <Text style={styles.questionMeta}>
+                      {deck.cardCount || 0} cards{deck.creator?.name ? ` · ${deck.creator.name}` : ''}
+                    </Text>
+                  </View>
+                  <Ionicons name="albums-outline" size={22} color="#4F46E5" />
+                </TouchableOpacity>
+              ))}
+              {user && quiz.questions?.length > 0 && (
+                <TouchableOpacity
+                  style={[styles.questionActionChip, styles.deckChip]}
+                  onPress={createDeckFromQuiz}
+                  disabled={creatingDeck}
+                >
+                  {creatingDeck
+                    ? <ActivityIndicator size="small" color="#4F46E5" />
+                    : <Ionicons name="add-circle-outline" size={16} color="#4F46E5" />}
+                  <Text style={styles.questionActionChipText}>Make flashcards from this quiz</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          {/* Study guide and answer review (creator view; students reach the guide from their results) */}
+          {isCreator && (
+            <View style={styles.questionsSection}>
+              <Text style={[styles.sectionTitle, { color: theme === 'light' ? '#111827' : 'white' }]}>Study and grading</Text>
+              <TouchableOpacity
+                style={[styles.questionActionChip, styles.deckChip]}
+                onPress={() => navigation.navigate('StudyGuide', { quizId: quiz._id, quizTitle: quiz.title, isCreator: true })}
+              >
+                <Ionicons name="book-outline" size={16} color="#4F46E5" />
+                <Text style={styles.questionActionChipText}>Open study guide</Text>
+              </TouchableOpacity>
+              {quiz.questions?.some((q) => q.type === 'short-answer') && (
+                <TouchableOpacity
+                  style={[styles.questionActionChip, styles.deckChip]}
+                  onPress={() => navigation.navigate('GradeReview', { quizId: quiz._id, quizTitle: quiz.title })}
+                >
+                  <Ionicons name="create-outline" size={16} color="#4F46E5" />
+                  <Text style={styles.questionActionChipText}>Review short answers</Text>
+                </TouchableOpacity>
+              )}
+              {quiz.questions?.some((q) => q.type === 'essay') && (
+                <TouchableOpacity
+                  style={[styles.questionActionChip, styles.deckChip]}
+                  onPress={() => navigation.navigate('GradingQueue', { quizId: quiz._id, title: quiz.title })}
+                >
+                  <Ionicons name="document-text-outline" size={16} color="#4F46E5" />
+                  <Text style={styles.questionActionChipText}>Grade essays</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
+
+          {/* Saved versions, diffs and rollback (creator view) */}
+          {isCreator && (
+            <View style={styles.questionsSection}>
+              <RevisionHistory quizId={quiz._id} onRestored={loadQuizData} />
+            </View>
+          )}
+
+          {/* Questions (creator view) */}
+          {isCreator && quiz.questions?.length > 0 && (
+            <View style={styles.questionsSection}>
+              <Text style={[styles.sectionTitle, { color: theme === 'light' ? '#111827' : 'white' }]}>Questions</Text>
+              {quiz.questions.map((question, index) => (
+                <View
+                  key={question._id || index}
+                  style={[styles.questionCard, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}
+                >
+                  <View style={styles.questionBody}>
+                    <MathText style={[styles.questionText, { color: theme === 'light' ? '#111827' : 'white' }]}>
+                      {index + 1}. {question.questionText}
+                    </MathText>
+                    <Text style={[styles.questionMeta, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>
+                      {question.type} · <Text style={{ color: getDifficultyColor(question.difficulty) }}>{question.difficulty}</Text> · {question.points ?? 1} pt
+                      {question.editHistory?.length ? ` · edited ${question.editHistory.length}×` : ''}
+                    </Text>
+                    {question.media?.map((media) => (
+                      <View key={media._id} style={styles.mediaRow}>
+                        <Ionicons name={media.kind === 'image' ? 'image-outline' : 'musical-notes-outline'} size={16} color="#6B7280" />
+                        <Text style={[styles.mediaLabel, { color: theme === 'light' ? '#374151' : '#D1D5DB' }]} numberOfLines={1}>
+                          {media.alt || media.caption || 'Audio clip'}
+                          {media.origin === 'pdf-figure' ? ` (from page ${media.page})` : ''}
+                        </Text>
+                        <TouchableOpacity onPress={() => removeMedia(index, media)} accessibilityLabel="Remove attachment">
+                          <Ionicons name="trash-outline" size={16} color="#EF4444" />
+                        </TouchableOpacity>
+                      </View>
+                    ))}
+                  </View>
+                  {editingIndex === index ? (
+                    <ActivityIndicator size="small" color="#4F46E5" />
+                  ) : (
+                    <TouchableOpacity
+                      style={styles.questionActionButton}
+                      onPress={() => setActionsIndex(actionsIndex === index ? null : index)}
+                      disabled={editingIndex !== null}
+                      activeOpacity={0.7}
+                    >
+                      <Ionicons name={actionsIndex === index ? 'close' : 'sparkles-outline'} size={20} color="#4F46E5" />
+                    </TouchableOpacity>
+                  )}
+                  {actionsIndex === index && (
+                    <View style={styles.questionActions}>
+                      {QUESTION_ACTIONS
+                        .filter((action) => !action.types || action.types.includes(question.type))
+                        .map((action) => (
+                          <TouchableOpacity
+                            key={action.mode}
+                            style={[styles.questionActionChip, { borderColor: theme === 'light' ? '#E5E7EB' : '#272727' }]}
+                            onPress={() => editQuestion(index, action.mode)}
+                            activeOpacity={0.7}
+                          >
+                            <Ionicons name={action.icon} size={14} color="#4F46E5" />
+                            <Text style={styles.questionActionChipText}>{action.label}</Text>
+                          </TouchableOpacity>
+                        ))}
+                      <TouchableOpacity
+                        style={[styles.questionActionChip, { borderColor: theme === 'light' ? '#E5E7EB' : '#272727' }]}
+                        onPress={() => pickQuestionMedia(index)}
+                        activeOpacity={0.7}
+                      >
+                        <Ionicons name="attach" size={14} color="#4F46E5" />
+                        <Text style={styles.questionActionChipText}>Attach Image/Audio</Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
           {/* Action Buttons */}
           <View style={styles.actionContainer}>
             {/* Start Quiz Button */}
@@ -406,6 +713,56 @@ export default function QuizDetailScreen({ route, navigation }) {
           </View>
         </View>
       </Modal>
+
+      {/* Alt text and caption for a new question attachment */}
+      <Modal
+        visible={!!mediaDraft}
+        animationType="slide"
+        presentationStyle="pageSheet"
+        onRequestClose={() => setMediaDraft(null)}
+      >
+        {mediaDraft && (
+          <View style={[styles.modalContainer, { backgroundColor: theme === 'light' ? '#F8FAFC' : '#121212' }]}>
+            <View style={[styles.modalHeader, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e', borderBottomColor: theme === 'light' ? '#E5E7EB' : '#272727' }]}>
+              <Text style={[styles.modalTitle, { color: theme === 'light' ? '#111827' : 'white' }]}>
+                Attach to Question {mediaDraft.index + 1}
+              </Text>
+              <TouchableOpacity
+                onPress={() => setMediaDraft(null)}
+                style={[styles.modalCloseButton, { backgroundColor: theme === 'light' ? '#F3F4F6' : '#272727' }]}
+              >
+                <Ionicons name="close" size={24} color="#6B7280" />
+              </TouchableOpacity>
+            </View>
+
+            <View style={styles.modalContent}>
+              <Text style={[styles.modalSubtitle, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>
+                {mediaDraft.file.name}
+              </Text>
+              <TextInput
+                style={[styles.mediaInput, { color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#E5E7EB' : '#272727' }]}
+                placeholder={mediaDraft.isImage ? 'Alt text (required), e.g. "B-tree of order 3 with root 17"' : 'Description (optional)'}
+                placeholderTextColor="#9CA3AF"
+                value={mediaDraft.alt}
+                onChangeText={(alt) => setMediaDraft((draft) => ({ ...draft, alt }))}
+                multiline
+              />
+              <TextInput
+                style={[styles.mediaInput, { color: theme === 'light' ? '#111827' : 'white', borderColor: theme === 'light' ? '#E5E7EB' : '#272727' }]}
+                placeholder="Caption (optional)"
+                placeholderTextColor="#9CA3AF"
+                value={mediaDraft.caption}
+                onChangeText={(caption) => setMediaDraft((draft) => ({ ...draft, caption }))}
+              />
+              <TouchableOpacity style={[styles.createClassButton, { alignItems: 'center' }]} onPress={attachMedia} disabled={uploadingMedia}>
+                {uploadingMedia
+                  ? <ActivityIndicator size="small" color="white" />
+                  : <Text style={styles.createClassButtonText}>Attach</Text>}
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+      </Modal>
     </View>
   );
 }
@@ -497,6 +854,20 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     paddingHorizontal: 16,
   },
+  warningCard: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 16,
+    marginHorizontal: 8,
+  },
+  warningText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    lineHeight: 20,
+  },
   statsContainer: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -583,6 +954,91 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
+  questionsSection: {
+    marginBottom: 32,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#111827',
+    marginBottom: 12,
+  },
+  questionCard: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  questionBody: {
+    flex: 1,
+    marginRight: 12,
+  },
+  questionText: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#111827',
+    lineHeight: 21,
+  },
+  questionMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 6,
+    textTransform: 'capitalize',
+  },
+  questionActionButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#EEF2FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  questionActions: {
+    width: '100%',
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  questionActionChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  deckChip: {
+    alignSelf: 'flex-start',
+  },
+  questionActionChipText: {
+    color: '#4F46E5',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  mediaRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+  },
+  mediaLabel: {
+    flex: 1,
+    fontSize: 13,
+    marginHorizontal: 6,
+  },
+  mediaInput: {
+    borderWidth: 1,
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 15,
+    marginBottom: 12,
+  },
   actionContainer: {
     gap: 16,
   },
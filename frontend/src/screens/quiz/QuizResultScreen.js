@@ -16,6 +16,8 @@ import { Ionicons } from '@expo/vector-icons';
 import { historyAPI } from '../../services/api';
 import { useI18n } from '../../i18n';
 import { useTheme } from '../../hooks/useTheme';
+import MathText from '../../components/quiz/MathText';
+import QuestionMedia from '../../components/quiz/QuestionMedia';
 
 const { width: screenWidth } = Dimensions.get('window');
 
@@ -142,6 +144,10 @@ export default function QuizResultScreen({ route, navigation }) {
         percentage: historyData.percentage,
         timeTaken: historyData.timeTaken,
         classId: historyData.classId, // Track classroom context for conditional retake
+        // Stored grades ({ isCorrect, pointsEarned, grading, override }), indexed like the questions
+        gradedAnswers: historyData.answers || [],
+        // Highlighted in the study guide (essays waiting for a teacher have no isCorrect yet)
+        missedQuestionIds: historyData.answers?.filter(ans => ans.isCorrect === false).map(ans => ans.questionId) || [],
       });
     } catch (error) {
       console.error('Load results error:', error);
@@ -174,7 +180,17 @@ export default function QuizResultScreen({ route, navigation }) {
 
     const userAnswer = result.answers[index];
     const correctOption = question.options?.find(opt => opt.isCorrect);
-    const isCorrect = userAnswer === correctOption?.text;
+    const graded = result.gradedAnswers?.[index];
+    // Essay grades are hidden (pointsEarned null) until the teacher releases them
+    const isAwaiting = question.type === 'essay' && graded?.pointsEarned == null;
+    const isCorrect = graded ? !!graded.isCorrect : userAnswer === correctOption?.text;
+    const isPartial = !isCorrect && graded?.pointsEarned > 0;
+    const correctText = correctOption?.text || question.correctAnswer;
+    const statusColor = isAwaiting ? '#6366F1' : isCorrect ? '#10B981' : isPartial ? '#F59E0B' : '#EF4444';
+    // Why a short answer got its grade: the teacher's reason, or the automatic grading's
+    const gradingNote = graded?.override?.at
+      ? `Graded by your teacher${graded.override.reason ? `: ${graded.override.reason}` : ''}`
+      : graded?.grading?.reasoning;
 
     return (
       <View key={index} style={[styles.questionCard, { backgroundColor: theme === 'light' ? 'white' : '#1e1e1e' }]}>
@@ -182,36 +198,56 @@ export default function QuizResultScreen({ route, navigation }) {
           <View style={styles.questionNumber}>
             <Text style={styles.questionNumberText}>{index + 1}</Text>
           </View>
-          <View style={[styles.statusBadge, { backgroundColor: isCorrect ? '#10B981' : '#EF4444' }]}>
+          <View style={[styles.statusBadge, { backgroundColor: statusColor }]}>
             <Ionicons
-              name={isCorrect ? "checkmark" : "close"}
+              name={isAwaiting ? "hourglass-outline" : isCorrect ? "checkmark" : isPartial ? "remove" : "close"}
               size={16}
               color="white"
             />
             <Text style={styles.statusText}>
-              {isCorrect ? 'Correct' : 'Wrong'}
+              {isAwaiting
+                ? 'Awaiting grading'
+                : question.type === 'essay'
+                  ? `${graded.pointsEarned} / ${question.points ?? 1}`
+                  : isCorrect ? 'Correct' : isPartial ? `Partial (${graded.pointsEarned} / ${question.points ?? 1})` : 'Wrong'}
             </Text>
           </View>
         </View>
 
-        <Text style={[styles.questionText, { color: theme === 'light' ? '#111827' : 'white' }]}>{question.questionText}</Text>
+        <MathText style={[styles.questionText, { color: theme === 'light' ? '#111827' : 'white' }]}>{question.questionText}</MathText>
+
+        <QuestionMedia quizId={result.quiz._id} media={question.media} style={styles.media} />
 
         <View style={styles.answerSection}>
-          <View style={[styles.answerBox, { borderColor: isCorrect ? '#10B981' : '#EF4444', backgroundColor: theme === 'light' ? '#FAFAFA' : '#272727' }]}>
+          <View style={[styles.answerBox, { borderColor: statusColor, backgroundColor: theme === 'light' ? '#FAFAFA' : '#272727' }]}>
             <Text style={[styles.answerLabel, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>Your Answer:</Text>
-            <Text style={[styles.answerText, { color: isCorrect ? '#10B981' : '#EF4444' }]}>
+            <MathText style={[styles.answerText, { color: question.type === 'essay' ? (theme === 'light' ? '#111827' : 'white') : statusColor }]}>
               {userAnswer || 'Not answered'}
-            </Text>
+            </MathText>
           </View>
 
-          {!isCorrect && correctOption && (
+          {graded?.override?.rubricScores?.length > 0 && (
+            <View style={styles.rubricScores}>
+              {graded.override.rubricScores.map((score) => (
+                <Text key={score.criterion} style={[styles.rubricScore, { color: theme === 'light' ? '#374151' : '#E5E7EB' }]}>
+                  {`${score.criterion}: ${score.level} (${score.points} pts)`}
+                </Text>
+              ))}
+            </View>
+          )}
+
+          {!isCorrect && !!correctText && (
             <View style={[styles.answerBox, { borderColor: '#10B981', backgroundColor: theme === 'light' ? '#F0FDF4' : '#10B98120' }]}>
-              <Text style={[styles.answerLabel, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>Correct Answer:</Text>
-              <Text style={[styles.answerText, { color: '#10B981' }]}>
-                {correctOption.text}
-              </Text>
+              <Text style={[styles.answerLabel, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>{question.type === 'essay' ? 'Model Answer:' : 'Correct Answer:'}</Text>
+              <MathText style={[styles.answerText, { color: '#10B981' }]}>
+                {correctText}
+              </MathText>
             </View>
           )}
+
+          {!!gradingNote && (
+            <Text style={[styles.gradingNote, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>{gradingNote}</Text>
+          )}
         </View>
 
         {question.explanation && (
@@ -220,7 +256,21 @@ export default function QuizResultScreen({ route, navigation }) {
               <Ionicons name="bulb" size={20} color="#F59E0B" />
               <Text style={[styles.explanationTitle, { color: theme === 'light' ? '#92400E' : '#FBBF24' }]}>Explanation</Text>
             </View>
-            <Text style={[styles.explanationText, { color: theme === 'light' ? '#78350F' : '#FDE68A' }]}>{question.explanation}</Text>
+            <MathText style={[styles.explanationText, { color: theme === 'light' ? '#78350F' : '#FDE68A' }]}>{question.explanation}</MathText>
+          </View>
+        )}
+
+        {question.source?.excerpt && (
+          <View style={[styles.sourceBox, { backgroundColor: theme === 'light' ? '#EEF2FF' : '#4F46E520', borderLeftColor: '#6366F1' }]}>
+            <View style={styles.explanationHeader}>
+              <Ionicons name="document-text-outline" size={20} color="#6366F1" />
+              <Text style={[styles.explanationTitle, { color: theme === 'light' ? '#3730A3' : '#A5B4FC' }]}>
+                {question.source.page ? `Source · Page ${question.source.page}` : 'Source'}
+              </Text>
+            </View>
+            <Text style={[styles.explanationText, { color: theme === 'light' ? '#312E81' : '#C7D2FE', fontStyle: 'italic' }]}>
+              “{question.source.excerpt}”
+            </Text>
           </View>
         )}
       </View>
@@ -247,7 +297,11 @@ export default function QuizResultScreen({ route, navigation }) {
     );
   }
 
-  const gradeInfo = getGradeInfo(result.percentage || 0);
+  // Essays still with the teacher: the score so far leaves them out
+  const awaitingGrading = ['pending', 'graded'].includes(result.gradingStatus);
+  const gradeInfo = awaitingGrading
+    ? { grade: '…', color: '#6366F1', emoji: '⏳', message: 'Awaiting Grading' }
+    : getGradeInfo(result.percentage || 0);
   const correctAnswers = result.correctAnswers || result.quiz?.questions?.filter((q, i) => {
     const correctOption = q.options?.find(opt => opt.isCorrect);
     return result.answers[i] === correctOption?.text;
@@ -325,6 +379,11 @@ export default function QuizResultScreen({ route, navigation }) {
             <Text style={styles.progressText}>
               {correctAnswers} of {totalQuestions} correct
             </Text>
+            {awaitingGrading && (
+              <Text style={styles.progressText}>
+                Score so far. You'll be notified when your teacher has graded your written answers.
+              </Text>
+            )}
           </View>
         </Animated.View>
       </LinearGradient>
@@ -399,6 +458,20 @@ export default function QuizResultScreen({ route, navigation }) {
               </LinearGradient>
             </TouchableOpacity>
           )}
+
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => navigation.navigate('StudyGuide', {
+              quizId: result.quiz?._id,
+              quizTitle: result.quiz?.title,
+              missedQuestionIds: result.missedQuestionIds,
+            })}
+          >
+            <LinearGradient colors={['#F59E0B', '#D97706']} style={styles.actionButtonGradient}>
+              <Ionicons name="book-outline" size={20} color="white" />
+              <Text style={styles.actionButtonText}>Study Guide</Text>
+            </LinearGradient>
+          </TouchableOpacity>
         </View>
 
         {/* Question Explanations */}
@@ -649,6 +722,9 @@ const styles = StyleSheet.create({
     lineHeight: 24,
     marginBottom: 16,
   },
+  media: {
+    marginBottom: 8,
+  },
   answerSection: {
     gap: 12,
     marginBottom: 16,
@@ -669,6 +745,18 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  rubricScores: {
+    marginBottom: 8,
+  },
+  rubricScore: {
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  gradingNote: {
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
   explanationBox: {
     backgroundColor: '#FEF3C7',
     borderRadius: 12,
@@ -676,6 +764,12 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: '#F59E0B',
   },
+  sourceBox: {
+    borderRadius: 12,
+    padding: 16,
+    borderLeftWidth: 4,
+    marginTop: 12,
+  },
   explanationHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -0,0 +1,331 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { quizAPI } from '../../services/api';
+import { saveTextToDownloads } from '../../services/exportUtils';
+import { useTheme } from '../../hooks/useTheme';
+import MathText from '../../components/quiz/MathText';
+
+const EXPORT_TYPES = {
+  md: 'text/markdown',
+  html: 'text/html',
+};
+
+/**
+ * A quiz's study guide: summary, key concepts, definitions and outline, each
+ * with the questions that test it. Questions the student got wrong
+ * (`missedQuestionIds`) are highlighted. The creator (`isCreator`) can
+ * regenerate the guide; anyone who can see it can export it.
+ */
+export default function StudyGuideScreen({ route }) {
+  const { quizId, quizTitle, isCreator = false, missedQuestionIds = [] } = route.params || {};
+  const { theme } = useTheme();
+  const [guide, setGuide] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const isLight = theme === 'light';
+  const textPrimary = isLight ? '#111827' : '#F9FAFB';
+  const textSecondary = isLight ? '#6B7280' : '#9CA3AF';
+  const surface = isLight ? '#FFFFFF' : '#1E1E1E';
+  const missed = new Set(missedQuestionIds.map(String));
+
+  useEffect(() => {
+    loadGuide();
+  }, [quizId]);
+
+  const loadGuide = async () => {
+    try {
+      const res = await quizAPI.getStudyGuide(quizId);
+      setGuide(res?.data?.data?.studyGuide || null);
+    } catch (error) {
+      // No guide yet, or not available until the quiz is finished
+      setMessage(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const generate = async () => {
+    setGenerating(true);
+    try {
+      const res = await quizAPI.generateStudyGuide(quizId);
+      setGuide(res?.data?.data?.studyGuide || null);
+      setMessage('');
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to generate the study guide');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const confirmRegenerate = () => {
+    Alert.alert('Regenerate study guide', 'This replaces the current guide for everyone who takes the quiz.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Regenerate', onPress: generate },
+    ]);
+  };
+
+  const exportAs = async (format) => {
+    try {
+      const res = await quizAPI.exportStudyGuide(quizId, format);
+      const name = (quizTitle || 'quiz').replace(/[\s\\/:*?"<>|]+/g, '-').replace(/^-+|-+$/g, '') || 'quiz';
+      const saved = await saveTextToDownloads(res.data, `${name}-study-guide.${format}`, EXPORT_TYPES[format]);
+      if (saved?.error) Alert.alert('Export failed', saved.error); else Alert.alert('Exported', `Saved to: ${saved.uri}`, [
+        { text: 'Share/Save', onPress: () => import('../../services/exportUtils').then(m => m.openFile(saved.uri, EXPORT_TYPES[format]).then(ok => { if (!ok) Alert.alert('Open failed', `File saved at: ${saved.uri}`); })) },
+        { text: 'OK' }
+      ]);
+    } catch (error) {
+      Alert.alert('Export failed', error.message || 'Failed to export the study guide');
+    }
+  };
+
+  const chooseExport = () => {
+    Alert.alert('Export study guide', 'Choose a format', [
+      { text: 'Markdown', onPress: () => exportAs('md') },
+      { text: 'HTML', onPress: () => exportAs('html') },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const renderQuestions = (questions = []) => {
+    if (questions.length === 0) return null;
+    return (
+      <View style={styles.questionRow}>
+        {questions.map((q) => {
+          const wasMissed = missed.has(String(q.id));
+          return (
+            <View key={String(q.id)} style={[styles.questionChip, wasMissed && styles.questionChipMissed]}>
+              <Text style={[styles.questionChipText, wasMissed && styles.questionChipTextMissed]}>Q{q.number}</Text>
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.centered, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+        <ActivityIndicator size="large" color="#4F46E5" />
+      </View>
+    );
+  }
+
+  if (!guide) {
+    return (
+      <View style={[styles.centered, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+        <Ionicons name="book-outline" size={48} color={textSecondary} />
+        <Text style={[styles.emptyText, { color: textSecondary }]}>{message || 'This quiz has no study guide yet'}</Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={generate} disabled={generating}>
+          {generating
+            ? <ActivityIndicator color="#FFFFFF" />
+            : <Text style={styles.primaryButtonText}>Generate study guide</Text>}
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: isLight ? '#F8FAFC' : '#121212' }]}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {!!quizTitle && <Text style={[styles.title, { color: textPrimary }]}>{quizTitle}</Text>}
+        {missed.size > 0 && (
+          <Text style={[styles.hint, { color: textSecondary }]}>
+            Questions you got wrong are marked in red; start with the entries that mention them.
+          </Text>
+        )}
+
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.linkChip} onPress={chooseExport}>
+            <Ionicons name="download-outline" size={16} color="#4F46E5" />
+            <Text style={styles.linkChipText}>Export</Text>
+          </TouchableOpacity>
+          {isCreator && (
+            <TouchableOpacity style={styles.linkChip} onPress={confirmRegenerate} disabled={generating}>
+              <Ionicons name="refresh" size={16} color="#4F46E5" />
+              <Text style={styles.linkChipText}>{generating ? 'Regenerating…' : 'Regenerate'}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {!!guide.summary && (
+          <View style={[styles.section, { backgroundColor: surface }]}>
+            <Text style={[styles.sectionTitle, { color: textPrimary }]}>Summary</Text>
+            <MathText style={[styles.bodyText, { color: textPrimary }]}>{guide.summary}</MathText>
+          </View>
+        )}
+
+        {guide.keyConcepts.length > 0 && (
+          <View style={[styles.section, { backgroundColor: surface }]}>
+            <Text style={[styles.sectionTitle, { color: textPrimary }]}>Key concepts</Text>
+            {guide.keyConcepts.map((concept) => (
+              <View key={concept._id} style={styles.entry}>
+                <MathText style={[styles.entryTitle, { color: textPrimary }]}>{concept.title}</MathText>
+                {!!concept.explanation && (
+                  <MathText style={[styles.bodyText, { color: textSecondary }]}>{concept.explanation}</MathText>
+                )}
+                {renderQuestions(concept.questions)}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {guide.definitions.length > 0 && (
+          <View style={[styles.section, { backgroundColor: surface }]}>
+            <Text style={[styles.sectionTitle, { color: textPrimary }]}>Definitions</Text>
+            {guide.definitions.map((definition) => (
+              <View key={definition._id} style={styles.entry}>
+                <MathText style={[styles.entryTitle, { color: textPrimary }]}>{definition.term}</MathText>
+                <MathText style={[styles.bodyText, { color: textSecondary }]}>{definition.definition}</MathText>
+                {renderQuestions(definition.questions)}
+              </View>
+            ))}
+          </View>
+        )}
+
+        {guide.outline.length > 0 && (
+          <View style={[styles.section, { backgroundColor: surface }]}>
+            <Text style={[styles.sectionTitle, { color: textPrimary }]}>Outline</Text>
+            {guide.outline.map((topic, index) => (
+              <View key={topic._id} style={styles.entry}>
+                <MathText style={[styles.entryTitle, { color: textPrimary }]}>{`${index + 1}. ${topic.title}`}</MathText>
+                {topic.points.map((point, i) => (
+                  <MathText key={i} style={[styles.point, { color: textSecondary }]}>{`• ${point}`}</MathText>
+                ))}
+                {renderQuestions(topic.questions)}
+              </View>
+            ))}
+          </View>
+        )}
+
+        <Text style={[styles.hint, { color: textSecondary }]}>
+          Version {guide.version} · {new Date(guide.generatedAt).toLocaleDateString()}
+        </Text>
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  scrollContent: {
+    padding: 20,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 13,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginVertical: 16,
+  },
+  primaryButton: {
+    backgroundColor: '#4F46E5',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    minWidth: 200,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#FFFFFF',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  linkChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#EEF2FF',
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  linkChipText: {
+    color: '#4F46E5',
+    fontSize: 13,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  section: {
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  entry: {
+    marginTop: 10,
+  },
+  entryTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  bodyText: {
+    fontSize: 14,
+    lineHeight: 21,
+  },
+  point: {
+    fontSize: 14,
+    lineHeight: 21,
+    marginLeft: 8,
+  },
+  questionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 6,
+  },
+  questionChip: {
+    backgroundColor: '#E0E7FF',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  questionChipMissed: {
+    backgroundColor: '#FEE2E2',
+  },
+  questionChipText: {
+    color: '#4F46E5',
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  questionChipTextMissed: {
+    color: '#EF4444',
+  },
+});
@@ -1,5 +1,5 @@
 import React, { useEffect, useState, useRef } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, Alert, Platform, Animated, Dimensions } from 'react-native';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, Alert, Platform, Animated, Dimensions, TextInput } from 'react-native';
 import { quizAPI } from '../../services/api';
 import { useI18n } from '../../i18n';
 import { Ionicons } from '@expo/vector-icons';
@@ -9,6 +9,8 @@ import LoadingIndicator from '../../components/quiz/LoadingIndicator';
 import useAntiPlagiarism from '../../hooks/useAntiPlagiarism';
 import AntiPlagiarismWarning from '../../components/quiz/AntiPlagiarismWarning';
 import ViolationBadge from '../../components/quiz/ViolationBadge';
+import MathText from '../../components/quiz/MathText';
+import QuestionMedia from '../../components/quiz/QuestionMedia';
 import { useTheme } from '../../hooks/useTheme';
 
 const { width: screenWidth } = Dimensions.get('window');
@@ -25,6 +27,8 @@ export default function TakeQuizScreen({ route, navigation }) {
   const [scaleAnim] = useState(new Animated.Value(0.9));
   const [progressAnim] = useState(new Animated.Value(0));
   const startTimeRef = useRef(Date.now());
+  // Sent back on submit so the attempt is graded against the version loaded here
+  const attemptTicketRef = useRef(null);
   const { theme } = useTheme();
   const [timeRemaining, setTimeRemaining] = useState(null);
   const [timeUp, setTimeUp] = useState(false);
@@ -70,6 +74,7 @@ export default function TakeQuizScreen({ route, navigation }) {
       try {
         const res = await quizAPI.getById(id);
         const q = res?.data?.data?.quiz;
+        attemptTicketRef.current = res?.data?.data?.attemptTicket || null;
         setQuiz(q);
         setAnswers(new Array(q?.questions?.length || 0).fill(null));
 
@@ -181,7 +186,7 @@ export default function TakeQuizScreen({ route, navigation }) {
         timeExpired: true,
       } : { autoSubmitted: true, timeExpired: true };
 
-      const res = await quizAPI.submit(id, answers, timeTaken, proctoringData, classId);
+      const res = await quizAPI.submit(id, answers, timeTaken, proctoringData, classId, attemptTicketRef.current);
       const historyId = res?.data?.data?.historyId;
 
       navigation.replace('QuizResult', {
@@ -226,7 +231,7 @@ export default function TakeQuizScreen({ route, navigation }) {
       };
 
       console.log('🚀 Submitting quiz with proctoring data...');
-      const res = await quizAPI.submit(id, answers, timeTaken, proctoringData, classId);
+      const res = await quizAPI.submit(id, answers, timeTaken, proctoringData, classId, attemptTicketRef.current);
       const historyId = res?.data?.data?.historyId;
 
       console.log('✅ Quiz submitted successfully, navigating to results...');
@@ -277,7 +282,7 @@ export default function TakeQuizScreen({ route, navigation }) {
         autoSubmitted: false,
       } : null;
 
-      const res = await quizAPI.submit(id, answers, timeTaken, proctoringData, classId);
+      const res = await quizAPI.submit(id, answers, timeTaken, proctoringData, classId, attemptTicketRef.current);
       const historyId = res?.data?.data?.historyId;
       navigation.replace('QuizResult', { historyId });
     } catch (e) {
@@ -304,6 +309,52 @@ export default function TakeQuizScreen({ route, navigation }) {
     ]).start();
   };
 
+  // Essays are typed, so skip the selection animation; an empty essay counts as unanswered
+  const writeAnswer = (questionIndex, text) => {
+    if (isMaxViolationsReached) {
+      return;
+    }
+
+    setAnswers((current) => {
+      const copy = [...current];
+      copy[questionIndex] = text.trim() ? text : null;
+      return copy;
+    });
+  };
+
+  const renderEssay = (item, index) => {
+    const text = answers[index] || '';
+    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+    return (
+      <View>
+        {item.essayRubric?.length > 0 && (
+          <View style={[styles.rubricBox, { borderColor: theme === 'light' ? '#E5E7EB' : '#374151' }]}>
+            <Text style={[styles.rubricTitle, { color: theme === 'light' ? '#374151' : '#E5E7EB' }]}>Graded by your teacher on</Text>
+            {item.essayRubric.map((criterion) => (
+              <Text key={criterion._id || criterion.criterion} style={[styles.rubricItem, { color: theme === 'light' ? '#6B7280' : '#9CA3AF' }]}>
+                {`• ${criterion.criterion} (${Math.max(0, ...criterion.levels.map((l) => l.points))} pts)${criterion.description ? ` — ${criterion.description}` : ''}`}
+              </Text>
+            ))}
+          </View>
+        )}
+        <TextInput
+          style={[
+            styles.essayInput,
+            { backgroundColor: theme === 'light' ? '#FAFAFA' : '#272727', borderColor: theme === 'light' ? '#E5E7EB' : '#374151', color: theme === 'light' ? '#111827' : 'white' },
+          ]}
+          value={text}
+          onChangeText={(value) => writeAnswer(index, value)}
+          placeholder="Write your answer..."
+          placeholderTextColor="#9CA3AF"
+          multiline
+          editable={!isMaxViolationsReached}
+          textAlignVertical="top"
+        />
+        <Text style={styles.wordCount}>{words} {words === 1 ? 'word' : 'words'}</Text>
+      </View>
+    );
+  };
+
   const renderQuestion = (item, index) => {
     const isAnswered = answers[index] !== null;
     const selectedAnswer = answers[index];
@@ -323,8 +374,11 @@ export default function TakeQuizScreen({ route, navigation }) {
           </View>
         </View>
 
-        <Text style={[styles.questionText, { color: theme === 'light' ? '#111827' : 'white' }]}>{item.questionText}</Text>
+        <MathText style={[styles.questionText, { color: theme === 'light' ? '#111827' : 'white' }]}>{item.questionText}</MathText>
+
+        <QuestionMedia quizId={quiz._id} media={item.media} style={styles.media} />
 
+        {item.type === 'essay' ? renderEssay(item, index) : (
         <View style={styles.optionsContainer}>
           {Array.isArray(item.options) && item.options.map((opt, i) => {
             const isSelected = selectedAnswer === opt.text;
@@ -350,18 +404,19 @@ export default function TakeQuizScreen({ route, navigation }) {
                   ]}>
                     {isSelected && <Ionicons name="checkmark" size={16} color="white" />}
                   </View>
-                  <Text style={[
+                  <MathText style={[
                     styles.optionText,
                     { color: theme === 'light' ? '#374151' : 'white' },
                     isSelected && (theme === 'light' ? styles.optionTextSelected : styles.optionTextSelectedDark)
                   ]}>
                     {opt.text}
-                  </Text>
+                  </MathText>
                 </View>
               </TouchableOpacity>
             );
           })}
         </View>
+        )}
       </View>
     );
   };
@@ -660,9 +715,41 @@ const styles = StyleSheet.create({
     lineHeight: 26,
     marginBottom: 20,
   },
+  media: {
+    marginBottom: 8,
+  },
   optionsContainer: {
     gap: 12,
   },
+  rubricBox: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  rubricTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  rubricItem: {
+    fontSize: 13,
+    lineHeight: 20,
+  },
+  essayInput: {
+    borderWidth: 2,
+    borderRadius: 12,
+    minHeight: 180,
+    padding: 14,
+    fontSize: 16,
+    lineHeight: 24,
+  },
+  wordCount: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    textAlign: 'right',
+    marginTop: 6,
+  },
   optionCard: {
     borderRadius: 12,
     borderWidth: 2,
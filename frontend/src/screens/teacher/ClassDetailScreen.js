@@ -321,6 +321,12 @@ export default function ClassDetailScreen({ route, navigation }) {
               <Text style={styles.heroChipText}>New code</Text>
             </TouchableOpacity>
           )}
+          {isTeacher && (
+            <TouchableOpacity style={styles.heroChip} onPress={() => navigation.navigate('GradingQueue', { classId, title: classData.name })}>
+              <Ionicons name="document-text" size={16} color="#FFFFFF" />
+              <Text style={styles.heroChipText}>Grading</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </LinearGradient>
 
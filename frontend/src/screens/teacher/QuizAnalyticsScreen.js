@@ -57,6 +57,7 @@ export default function QuizAnalyticsScreen({ route, navigation }) {
   const overview = analytics?.overview || {};
   const scoreDistribution = analytics?.scoreDistribution || [];
   const questionAnalytics = analytics?.questionAnalytics || [];
+  const bloomAnalytics = analytics?.bloomAnalytics || [];
   const recentAttempts = analytics?.recentAttempts || [];
 
   const loadAnalytics = useCallback(async () => {
@@ -192,6 +193,26 @@ export default function QuizAnalyticsScreen({ route, navigation }) {
           )}
         </View>
 
+        {bloomAnalytics.length ? (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: palette.textPrimary }]}>Cognitive levels</Text>
+            {bloomAnalytics.map((entry) => (
+              <View key={entry.level} style={styles.distributionRow}>
+                <Text style={[styles.distributionLabel, styles.levelLabel, { color: palette.textSecondary }]}>
+                  {entry.level.charAt(0).toUpperCase() + entry.level.slice(1)}
+                </Text>
+                <View style={[styles.distributionBarContainer, { backgroundColor: palette.surface, borderColor: palette.border }]}>
+                  <View style={[styles.distributionBar, { width: `${Math.min(100, entry.correctRate || 0)}%` }]} />
+                </View>
+                <Text style={[styles.distributionCount, styles.levelRate, { color: palette.textPrimary }]}>{formatPercent(entry.correctRate)}</Text>
+              </View>
+            ))}
+            <Text style={[styles.levelHint, { color: palette.textSecondary }]}>
+              Share of correct answers per Bloom's taxonomy level
+            </Text>
+          </View>
+        ) : null}
+
         <View style={styles.section}>
           <Text style={[styles.sectionTitle, { color: palette.textPrimary }]}>Question performance</Text>
           {questionAnalytics.length ? (
@@ -205,6 +226,9 @@ export default function QuizAnalyticsScreen({ route, navigation }) {
                 <View style={styles.questionStats}>
                   <Text style={[styles.questionStat, { color: palette.textSecondary }]}>Attempts: {question.totalAttempts || 0}</Text>
                   <Text style={[styles.questionStat, { color: palette.textSecondary }]}>Difficulty: {question.difficulty || 'n/a'}</Text>
+                  {question.bloomLevel ? (
+                    <Text style={[styles.questionStat, { color: palette.textSecondary }]}>Level: {question.bloomLevel}</Text>
+                  ) : null}
                 </View>
               </View>
             ))
@@ -345,6 +369,16 @@ const styles = StyleSheet.create({
     fontSize: 13,
     textAlign: 'right',
   },
+  levelLabel: {
+    width: 84,
+  },
+  levelRate: {
+    width: 44,
+  },
+  levelHint: {
+    marginTop: 4,
+    fontSize: 12,
+  },
   questionCard: {
     borderWidth: 1,
     borderRadius: 16,
@@ -6,6 +6,7 @@ import { launchImageLibrary, launchCamera } from 'react-native-image-picker';
 import DocumentPicker from 'react-native-document-picker';
 import { Appearance, AccessibilityInfo } from 'react-native';
 import RNFS from 'react-native-fs';
+import { quizAPI, questionMediaUrl } from './api';
 
 class AdvancedMobileFeatures {
   constructor() {
@@ -90,9 +91,17 @@ class AdvancedMobileFeatures {
         throw new Error('Cannot download quiz while offline');
       }
 
-      // Simulate fetching quiz data from server
       const quizData = await this.fetchQuizData(quizId);
-      
+
+      // Download question images/audio first, so the stored copy can point at the local files
+      if (quizData.mediaFiles?.length) {
+        const localUris = await this.downloadMediaFiles(quizData.mediaFiles, quizId);
+        quizData.questions = quizData.questions.map((question) => ({
+          ...question,
+          media: question.media?.map((media) => ({ ...media, localUri: localUris[media._id] }))
+        }));
+      }
+
       // Store quiz data locally
       const offlineKey = `offline_quiz_${quizId}`;
       await AsyncStorage.setItem(offlineKey, JSON.stringify({
@@ -101,11 +110,6 @@ class AdvancedMobileFeatures {
         isOfflineVersion: true
       }));
       
-      // Download associated media files
-      if (quizData.mediaFiles) {
-        await this.downloadMediaFiles(quizData.mediaFiles, quizId);
-      }
-      
       // Update offline quiz index
       await this.addToOfflineQuizIndex(quizId, quizData.title);
       
@@ -754,35 +758,48 @@ class AdvancedMobileFeatures {
 
   // ========== HELPER METHODS ==========
   async fetchQuizData(quizId) {
-    // Mock API call
+    const res = await quizAPI.getById(quizId);
+    const quiz = res?.data?.data?.quiz;
+    if (!quiz) {
+      throw new Error('Quiz not found');
+    }
     return {
-      id: quizId,
-      title: 'Sample Offline Quiz',
-      subject: 'Mathematics',
-      questions: [
-        {
-          id: 1,
-          question: 'What is 5 + 3?',
-          options: ['6', '7', '8', '9'],
-          correctAnswer: 2
-        }
-      ],
-      mediaFiles: []
+      ...quiz,
+      id: quiz._id,
+      // Question attachments, served with the same access checks as the quiz
+      mediaFiles: (quiz.questions || []).flatMap((question) => (question.media || []).map((media) => ({
+        id: media._id,
+        name: media.filename,
+        url: questionMediaUrl(quiz._id, media._id)
+      })))
     };
   }
 
+  // Returns local file URIs by media id; files that fail to download are left out
+  // and the question shows them from the server when back online
   async downloadMediaFiles(mediaFiles, quizId) {
-    try {
-      for (const file of mediaFiles) {
-        const downloadPath = `${RNFS.DocumentDirectoryPath}/quiz_media/${quizId}/${file.name}`;
-        await RNFS.downloadFile({
+    const directory = `${RNFS.DocumentDirectoryPath}/quiz_media/${quizId}`;
+    const token = await AsyncStorage.getItem('token');
+    const localUris = {};
+    await RNFS.mkdir(directory);
+    for (const file of mediaFiles) {
+      try {
+        const downloadPath = `${directory}/${file.name}`;
+        const { statusCode } = await RNFS.downloadFile({
           fromUrl: file.url,
-          toFile: downloadPath
+          toFile: downloadPath,
+          headers: token ? { Authorization: `Bearer ${token}` } : {}
         }).promise;
+        if (statusCode === 200) {
+          localUris[file.id] = `file://${downloadPath}`;
+        } else {
+          await RNFS.unlink(downloadPath).catch(() => {});
+        }
+      } catch (error) {
+        console.error('Error downloading media file:', error);
       }
-    } catch (error) {
-      console.error('Error downloading media files:', error);
     }
+    return localUris;
   }
 
   async addToOfflineQuizIndex(quizId, title) {
@@ -41,7 +41,9 @@ api.interceptors.response.use(
       // Trigger logout in app
     }
     const errorMessage = error.response?.data?.message || error.message || 'An error occurred';
-    return Promise.reject(new Error(errorMessage));
+    const rejected = new Error(errorMessage);
+    rejected.status = error.response?.status;
+    return Promise.reject(rejected);
   }
 );
 
@@ -66,6 +68,106 @@ export const authAPI = {
   verifyAdminLogin: (email, code) => api.post('/auth/verify-admin-login', { email, code }),
 };
 
+// AsyncStorage key holding the generation job UploadScreen is waiting on
+const ACTIVE_JOB_KEY = 'activeGenerationJob';
+
+// Reconnect attempts for a dropped generation stream before giving up
+const STREAM_MAX_RETRIES = 5;
+
+// Read an NDJSON response as it arrives (React Native's fetch cannot stream,
+// XMLHttpRequest exposes the partial body in onprogress)
+const readNdjson = ({ method, url, body, token }, onEvent) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let offset = 0;
+    let buffer = '';
+
+    const drain = () => {
+      buffer += xhr.responseText.slice(offset);
+      offset = xhr.responseText.length;
+      let idx;
+      while ((idx = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, idx).trim();
+        buffer = buffer.slice(idx + 1);
+        if (!line) continue; // heartbeat
+        try {
+          onEvent(JSON.parse(line));
+        } catch (_) { /* ignore partial or non-JSON lines */ }
+      }
+    };
+
+    xhr.open(method, url);
+    xhr.setRequestHeader('Accept', 'application/x-ndjson');
+    if (token) xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+    if (typeof body === 'string') xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.onprogress = () => {
+      if (xhr.status < 400) drain();
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 400) {
+        let message = 'Failed to generate quiz';
+        try {
+          message = JSON.parse(xhr.responseText).message || message;
+        } catch (_) { /* not JSON */ }
+        const error = new Error(message);
+        error.status = xhr.status;
+        reject(error);
+        return;
+      }
+      drain();
+      resolve();
+    };
+    xhr.onerror = () => reject(new Error('Network error'));
+    xhr.send(body);
+  });
+
+// Run a streaming generation request. Every event carries an id; if the
+// connection drops before the final event, reconnect to the session and
+// receive only the events that were missed. A 'reset' event means the server
+// no longer had some of them; progress catches up with the next events and
+// the quiz itself is loaded in full from the 'completed' event's id.
+const streamGeneration = async (path, body, onEvent) => {
+  const token = await AsyncStorage.getItem('token');
+  let sessionId = null;
+  let lastEventId = 0;
+  let finished = false;
+  let retries = 0;
+
+  const handleEvent = (event) => {
+    if (event.id) {
+      if (event.id <= lastEventId) return; // already delivered
+      lastEventId = event.id;
+    }
+    if (event.sessionId) sessionId = event.sessionId;
+    if (event.event === 'completed' || event.event === 'error') finished = true;
+    retries = 0;
+    onEvent(event);
+  };
+
+  while (!finished) {
+    try {
+      await readNdjson(
+        sessionId
+          ? { method: 'GET', url: `${API_URL}/quiz/stream/${sessionId}?lastEventId=${lastEventId}`, token }
+          : { method: 'POST', url: `${API_URL}${path}`, body, token },
+        handleEvent
+      );
+      if (!finished) throw new Error('Connection closed before the quiz was ready');
+    } catch (error) {
+      // Only a stream that has started can be resumed; HTTP errors are final
+      if (!sessionId || error.status || retries >= STREAM_MAX_RETRIES) {
+        onEvent({ event: 'error', message: error.message || 'Failed to generate quiz' });
+        throw error;
+      }
+      retries += 1;
+      await new Promise((resolve) => setTimeout(resolve, 1000 * retries));
+    }
+  }
+};
+
+// Address of a question attachment; private quizzes need the Authorization header
+export const questionMediaUrl = (quizId, mediaId) => `${API_URL}/quiz/${quizId}/media/${mediaId}`;
+
 // Quiz API
 export const quizAPI = {
   getAll: () => api.get('/quiz'),
@@ -73,150 +175,127 @@ export const quizAPI = {
   create: (data) => api.post('/quiz', data),
   update: (id, data) => api.put(`/quiz/${id}`, data),
   delete: (id) => api.delete(`/quiz/${id}`),
-  submit: (id, answers, timeTaken, proctoring, classId) =>
-    api.post(`/quiz/${id}/submit`, { answers, timeTaken, proctoring, classId }),
+  // attemptTicket comes with the quiz from getById; the attempt is graded against the version loaded
+  submit: (id, answers, timeTaken, proctoring, classId, attemptTicket) =>
+    api.post(`/quiz/${id}/submit`, { answers, timeTaken, proctoring, classId, attemptTicket }),
   getMyQuizzes: () => api.get('/quiz/my/quizzes'),
+  // Manual question edits (creator only). `version` is the quiz version the edit was
+  // made against; an error with status 409 means someone else saved first and the quiz should be reloaded
+  addQuestion: (id, question, version, position) => api.post(`/quiz/${id}/questions`, { question, version, position }),
+  updateQuestion: (id, questionId, question, version) =>
+    api.patch(`/quiz/${id}/questions/${questionId}`, { question, version }),
+  deleteQuestion: (id, questionId, version) => api.delete(`/quiz/${id}/questions/${questionId}`, { params: { version } }),
+  duplicateQuestion: (id, questionId, version) => api.post(`/quiz/${id}/questions/${questionId}/duplicate`, { version }),
+  reorderQuestions: (id, order, version) => api.put(`/quiz/${id}/questions/order`, { order, version }),
+  // Revision history (creator only); rolling back saves the old content as a new version
+  getRevisions: (id) => api.get(`/quiz/${id}/revisions`),
+  getRevision: (id, revisionVersion) => api.get(`/quiz/${id}/revisions/${revisionVersion}`),
+  compareRevisions: (id, from, to) => api.get(`/quiz/${id}/revisions/compare`, { params: { from, to } }),
+  rollbackRevision: (id, revisionVersion, version) =>
+    api.post(`/quiz/${id}/revisions/${revisionVersion}/rollback`, { version }),
+  // Single-question edits (creator only); index is 0-based and `version` is checked like the edits above
+  regenerateQuestion: (id, index, version) => api.post(`/quiz/${id}/questions/${index}/regenerate`, { version }),
+  rewriteQuestion: (id, index, mode, version) => api.post(`/quiz/${id}/questions/${index}/rewrite`, { mode, version }),
+  // Question images/audio: formData has `file`, plus `alt` (required for images), `caption` and `version`
+  uploadQuestionMedia: (id, index, formData) =>
+    api.post(`/quiz/${id}/questions/${index}/media`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  updateQuestionMedia: (id, index, mediaId, data, version) =>
+    api.patch(`/quiz/${id}/questions/${index}/media/${mediaId}`, { ...data, version }),
+  deleteQuestionMedia: (id, index, mediaId, version) =>
+    api.delete(`/quiz/${id}/questions/${index}/media/${mediaId}`, { params: { version } }),
+  // Study guide (creator, or users who finished the quiz); format is 'md' or 'html'
+  getStudyGuide: (id) => api.get(`/quiz/${id}/study-guide`),
+  generateStudyGuide: (id) => api.post(`/quiz/${id}/study-guide`),
+  exportStudyGuide: (id, format = 'md') =>
+    api.get(`/quiz/${id}/study-guide/export`, { params: { format }, responseType: 'text' }),
   uploadAndGenerate: (formData) =>
     api.post('/quiz/upload-and-generate', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
     }),
   generateFromText: (data) => api.post('/quiz/generate-from-text', data),
 
-  // Streaming methods - fallback to non-streaming with simulated progress for React Native
-  streamUploadAndGenerate: async (formData, onEvent) => {
-    // Extract numQuestions for progress simulation
-    const numQuestions = parseInt(formData.get('numQuestions')) || 5;
-    let currentProgress = 0;
-
-    // Simulate ready event
-    onEvent({ event: 'ready' });
-
-    // Simulate extracting
-    setTimeout(() => onEvent({ event: 'extracting' }), 300);
-    setTimeout(() => onEvent({ event: 'extracted' }), 800);
-
-    // Simulate question generation progress - incremental
-    const progressInterval = setInterval(() => {
-      if (currentProgress < numQuestions) {
-        currentProgress++;
-        onEvent({
-          event: 'question',
-          index: currentProgress - 1,
-          received: currentProgress,
-          data: {
-            questionText: `Generating question ${currentProgress}...`,
-            difficulty: formData.get('difficulty') || 'medium'
-          }
-        });
+  // Background generation jobs (survive dropped connections and app restarts)
+  createJob: (formData) =>
+    api.post('/quiz/jobs', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  createTextJob: (data) => api.post('/quiz/jobs', data),
+  getJob: (jobId) => api.get(`/quiz/jobs/${jobId}`),
+  listJobs: (params) => api.get('/quiz/jobs', { params }),
+
+  // Poll a job until it finishes, reporting progress with the same events as the streaming methods
+  watchJob: async (jobId, onEvent, { intervalMs = 2000, shouldStop } = {}) => {
+    const statusEvents = {
+      queued: 'ready',
+      extracting: 'extracting',
+      generating: 'extracted',
+      embedding: 'stream-complete',
+    };
+    let lastStatus = null;
+    let lastOcrPage = null;
+
+    while (!shouldStop?.()) {
+      const response = await api.get(`/quiz/jobs/${jobId}`);
+      const job = response.data.data?.job;
+
+      // Scanned pages are OCR'd one by one (file by file) while the job is extracting
+      const ocrPage = job?.progress && `${job.progress.file ?? 0}:${job.progress.done}`;
+      if (ocrPage && ocrPage !== lastOcrPage) {
+        lastOcrPage = ocrPage;
+        onEvent({ event: 'ocr', ...job.progress });
       }
-    }, 4000); // Every 4 seconds
-
-    try {
-      // Call the non-streaming endpoint with proper config
-      const token = await AsyncStorage.getItem('token');
-      const response = await axios.post(
-        `${API_URL}/quiz/upload-and-generate`,
-        formData,
-        {
-          headers: {
-            'Authorization': token ? `Bearer ${token}` : '',
-            'Content-Type': 'multipart/form-data'
-          },
-          timeout: 300000, // 5 minutes
-        }
-      );
 
-      clearInterval(progressInterval);
-
-      // Simulate stream complete
-      onEvent({ event: 'stream-complete' });
-
-      // Send completion event
-      const quizId = response.data.data?.quiz?.id || response.data.data?.quiz?._id;
-      onEvent({
-        event: 'completed',
-        data: {
-          quiz: {
-            id: quizId,
-            title: response.data.data?.quiz?.title,
-            totalQuestions: response.data.data?.quiz?.questions?.length || numQuestions
-          }
+      if (job?.status !== lastStatus) {
+        lastStatus = job?.status;
+        if (job?.status === 'done') {
+          await AsyncStorage.removeItem(ACTIVE_JOB_KEY);
+          onEvent({ event: 'completed', data: { quiz: { id: job.quizId } } });
+          return job;
         }
-      });
-
-      return response;
-    } catch (error) {
-      clearInterval(progressInterval);
-      const errorMsg = error.response?.data?.message || error.message || 'Failed to generate quiz';
-      onEvent({ event: 'error', message: errorMsg });
-      throw error;
-    }
-  },
-
-  streamFromText: async (data, onEvent) => {
-    const numQuestions = parseInt(data.numQuestions) || 5;
-    let questionCount = 0;
-
-    // Simulate ready event
-    onEvent({ event: 'ready' });
-
-    // Simulate progress - show questions being generated incrementally
-    const progressInterval = setInterval(() => {
-      if (questionCount < numQuestions) {
-        questionCount++;
-        onEvent({
-          event: 'question',
-          index: questionCount - 1,
-          received: questionCount,
-          data: {
-            questionText: `Generating question ${questionCount}...`,
-            difficulty: data.difficulty || 'medium'
-          }
-        });
-      }
-    }, 4000); // Every 4 seconds
-
-    try {
-      // Call the non-streaming endpoint with direct axios call for better timeout control
-      const token = await AsyncStorage.getItem('token');
-      const response = await axios.post(
-        `${API_URL}/quiz/generate-from-text`,
-        data,
-        {
-          headers: {
-            'Authorization': token ? `Bearer ${token}` : '',
-            'Content-Type': 'application/json'
-          },
-          timeout: 300000, // 5 minutes
+        if (job?.status === 'failed') {
+          await AsyncStorage.removeItem(ACTIVE_JOB_KEY);
+          onEvent({ event: 'error', message: job.error || 'Failed to generate quiz' });
+          return job;
         }
-      );
-
-      clearInterval(progressInterval);
-
-      // Simulate stream complete
-      onEvent({ event: 'stream-complete' });
-
-      // Send completion event
-      const quizId = response.data.data?.quiz?.id || response.data.data?.quiz?._id;
-      onEvent({
-        event: 'completed',
-        data: {
-          quiz: {
-            id: quizId,
-            title: response.data.data?.quiz?.title,
-            totalQuestions: response.data.data?.quiz?.questions?.length || numQuestions
-          }
+        if (statusEvents[job?.status]) {
+          onEvent({ event: statusEvents[job.status], job });
         }
-      });
+      }
 
-      return response;
-    } catch (error) {
-      clearInterval(progressInterval);
-      const errorMsg = error.response?.data?.message || error.message || 'Failed to generate quiz';
-      onEvent({ event: 'error', message: errorMsg });
-      throw error;
+      await new Promise((resolve) => setTimeout(resolve, intervalMs));
     }
+    return null;
   },
+  getActiveJobId: () => AsyncStorage.getItem(ACTIVE_JOB_KEY),
+  setActiveJobId: (jobId) => AsyncStorage.setItem(ACTIVE_JOB_KEY, String(jobId)),
+  clearActiveJobId: () => AsyncStorage.removeItem(ACTIVE_JOB_KEY),
+
+  // Streaming generation (NDJSON). Dropped connections are resumed from the last event received.
+  streamUploadAndGenerate: (formData, onEvent) =>
+    streamGeneration('/quiz/stream-upload-and-generate', formData, onEvent),
+  streamFromText: (data, onEvent) =>
+    streamGeneration('/quiz/stream-from-text', JSON.stringify(data), onEvent),
+};
+
+// Flashcards API
+export const flashcardAPI = {
+  getAll: (params) => api.get('/flashcards', { params }),
+  getForQuiz: (quizId) => api.get('/flashcards', { params: { quiz: quizId } }),
+  getMine: () => api.get('/flashcards/my/decks'),
+  getById: (id) => api.get(`/flashcards/${id}`),
+  create: (data) => api.post('/flashcards', data),
+  createFromQuiz: (quizId, data) => api.post(`/flashcards/from-quiz/${quizId}`, data),
+  generateFromText: (data) => api.post('/flashcards/generate-from-text', data),
+  uploadAndGenerate: (formData) =>
+    api.post('/flashcards/upload-and-generate', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }),
+  update: (id, data) => api.put(`/flashcards/${id}`, data),
+  delete: (id) => api.delete(`/flashcards/${id}`),
+  share: (id, email, role = 'view') => api.post(`/flashcards/${id}/share`, { email, role }),
+  unshare: (id, userId) => api.delete(`/flashcards/${id}/share/${userId}`),
 };
 
 // Search API
@@ -259,6 +338,18 @@ export const analyticsAPI = {
 // History API
 export const historyAPI = {
   getById: (historyId) => api.get(`/history/${historyId}`),
+  // Graders: answers to one question type across a quiz's attempts, and per-answer overrides
+  getQuizAnswers: (quizId, params) => api.get(`/history/quiz/${quizId}/answers`, { params }),
+  setGrade: (historyId, questionId, pointsEarned, reason) =>
+    api.put(`/history/${historyId}/answers/${questionId}/grade`, { pointsEarned, reason }),
+  clearGrade: (historyId, questionId) => api.delete(`/history/${historyId}/answers/${questionId}/grade`),
+  // Essay grading: queue ({ quizId, classId, status }), rubric grades, AI suggestions and releasing grades
+  getGradingQueue: (params) => api.get('/history/grading-queue', { params }),
+  setRubricGrade: (historyId, questionId, rubricScores, reason) =>
+    api.put(`/history/${historyId}/answers/${questionId}/grade`, { rubricScores, reason }),
+  suggestGrade: (historyId, questionId) => api.post(`/history/${historyId}/answers/${questionId}/suggest`),
+  releaseGrades: (historyId) => api.post(`/history/${historyId}/release`),
+  releaseQuizGrades: (quizId, classId) => api.post(`/history/quiz/${quizId}/release`, { classId }),
 };
 
 // User API
@@ -343,6 +434,13 @@ export const adminAPI = {
   createPackage: (data) => api.post('/admin/packages', data),
   updatePackage: (packageId, data) => api.put(`/admin/packages/${packageId}`, data),
   deletePackage: (packageId) => api.delete(`/admin/packages/${packageId}`),
+  // Prompt templates
+  getPromptTemplates: (params) => api.get('/admin/prompt-templates', { params }),
+  createPromptTemplate: (data) => api.post('/admin/prompt-templates', data),
+  updatePromptTemplate: (templateId, data) => api.put(`/admin/prompt-templates/${templateId}`, data),
+  previewPromptTemplate: (data) => api.post('/admin/prompt-templates/preview', data),
+  getContentCache: () => api.get('/admin/content-cache'),
+  clearContentCache: (kind) => api.delete('/admin/content-cache', { params: kind ? { kind } : {} }),
 };
 
 export default api;
@@ -0,0 +1,175 @@
+// Math markup used in questions, options and explanations: LaTeX between
+// \( and \) (inline) or \[ and \] (display). Mirrors backend/services/mathMarkup.js,
+// which also uses these Unicode approximations for search and embeddings.
+
+const MATH_PATTERN = /\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]/g;
+
+const SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  rho: 'ρ', sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  times: '×', div: '÷', cdot: '·', pm: '±', mp: '∓', ast: '∗', circ: '∘', bullet: '•',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼', simeq: '≃',
+  cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⇒', iff: '⇔', mapsto: '↦', longrightarrow: '⟶',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩',
+  setminus: '∖', emptyset: '∅', varnothing: '∅', bowtie: '⋈', Join: '⋈', ltimes: '⋉', rtimes: '⋊',
+  land: '∧', wedge: '∧', lor: '∨', vee: '∨', neg: '¬', lnot: '¬', forall: '∀', exists: '∃', nexists: '∄',
+  infty: '∞', partial: '∂', nabla: '∇', sum: '∑', prod: '∏', int: '∫', oint: '∮', sqrt: '√',
+  ldots: '…', cdots: '⋯', dots: '…', vdots: '⋮', ddots: '⋱', mid: '|', vert: '|', Vert: '‖', parallel: '∥',
+  perp: '⊥', angle: '∠', degree: '°', prime: '′', top: '⊤', bot: '⊥', vdash: '⊢', models: '⊨',
+  langle: '⟨', rangle: '⟩', lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', backslash: '\\',
+  log: 'log', ln: 'ln', exp: 'exp', sin: 'sin', cos: 'cos', tan: 'tan', min: 'min', max: 'max',
+  lim: 'lim', det: 'det', gcd: 'gcd', Pr: 'Pr', mod: 'mod', bmod: 'mod',
+};
+
+const BLACKBOARD = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ' };
+
+const SUPERSCRIPTS = {
+  0: '⁰', 1: '¹', 2: '²', 3: '³', 4: '⁴', 5: '⁵', 6: '⁶', 7: '⁷', 8: '⁸', 9: '⁹',
+  '+': '⁺', '-': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', n: 'ⁿ', i: 'ⁱ', T: 'ᵀ', '′': '′', '*': '*',
+};
+
+const SUBSCRIPTS = {
+  0: '₀', 1: '₁', 2: '₂', 3: '₃', 4: '₄', 5: '₅', 6: '₆', 7: '₇', 8: '₈', 9: '₉',
+  '+': '₊', '-': '₋', '=': '₌', '(': '₍', ')': '₎', a: 'ₐ', e: 'ₑ', h: 'ₕ', i: 'ᵢ', j: 'ⱼ', k: 'ₖ',
+  l: 'ₗ', m: 'ₘ', n: 'ₙ', o: 'ₒ', p: 'ₚ', r: 'ᵣ', s: 'ₛ', t: 'ₜ', u: 'ᵤ', v: 'ᵥ', x: 'ₓ',
+};
+
+const TEXT_COMMANDS = ['text', 'textrm', 'textbf', 'textit', 'mathrm', 'mathit', 'mathbf', 'mathsf', 'mathtt', 'operatorname', 'boldsymbol'];
+const IGNORED_COMMANDS = ['left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle', 'limits', 'nolimits'];
+const ACCENTS = { bar: '̄', overline: '̅', hat: '̂', tilde: '̃', vec: '⃗', dot: '̇' };
+
+/**
+ * Split text into plain and math segments
+ * @returns {Array<{ type: 'text'|'inline'|'block', value: string }>}
+ */
+export function splitMath(text) {
+  const value = String(text ?? '');
+  const segments = [];
+  let last = 0;
+  for (const match of value.matchAll(MATH_PATTERN)) {
+    if (match.index > last) segments.push({ type: 'text', value: value.slice(last, match.index) });
+    segments.push(match[1] !== undefined
+      ? { type: 'inline', value: match[1].trim() }
+      : { type: 'block', value: match[2].trim() });
+    last = match.index + match[0].length;
+  }
+  if (last < value.length) segments.push({ type: 'text', value: value.slice(last) });
+  return segments;
+}
+
+export function hasMath(text) {
+  return splitMath(text).some((segment) => segment.type !== 'text');
+}
+
+// One argument: a {group} or a single token. Returns [raw argument, index after it]
+function readArgument(tex, i) {
+  while (tex[i] === ' ') i++;
+  if (tex[i] === '{') {
+    let depth = 0;
+    for (let j = i; j < tex.length; j++) {
+      if (tex[j] === '\\') {
+        j++;
+      } else if (tex[j] === '{') {
+        depth++;
+      } else if (tex[j] === '}' && --depth === 0) {
+        return [tex.slice(i + 1, j), j + 1];
+      }
+    }
+    return [tex.slice(i + 1), tex.length];
+  }
+  if (tex[i] === '\\') {
+    const command = tex.slice(i).match(/^\\([a-zA-Z]+|.)/);
+    return [command[0], i + command[0].length];
+  }
+  return [tex[i] || '', i + 1];
+}
+
+function mapScript(text, table, marker) {
+  const chars = [...text];
+  if (chars.length > 0 && chars.every((ch) => table[ch])) return chars.map((ch) => table[ch]).join('');
+  return chars.length === 1 ? `${marker}${text}` : `${marker}(${text})`;
+}
+
+/**
+ * Unicode approximation of a LaTeX formula, e.g. "\frac{1}{2}x^2" -> "1/2x²"
+ */
+export function latexToPlain(tex) {
+  const source = String(tex ?? '');
+  let out = '';
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\\') {
+      const command = source.slice(i).match(/^\\([a-zA-Z]+|.)/)?.[1] ?? '';
+      i += command.length + 1;
+      if (command === 'frac' || command === 'dfrac' || command === 'tfrac' || command === 'binom') {
+        const [numerator, afterNumerator] = readArgument(source, i);
+        const [denominator, afterDenominator] = readArgument(source, afterNumerator);
+        i = afterDenominator;
+        const wrap = (part) => {
+          const plain = latexToPlain(part);
+          return /^[\p{L}\p{N}.]+$/u.test(plain) ? plain : `(${plain})`;
+        };
+        out += command === 'binom'
+          ? `C(${latexToPlain(numerator)}, ${latexToPlain(denominator)})`
+          : `${wrap(numerator)}/${wrap(denominator)}`;
+      } else if (command === 'sqrt') {
+        const [radicand, after] = readArgument(source, i);
+        i = after;
+        const plain = latexToPlain(radicand);
+        out += plain.length === 1 ? `√${plain}` : `√(${plain})`;
+      } else if (command === 'mathbb') {
+        const [letter, after] = readArgument(source, i);
+        i = after;
+        out += BLACKBOARD[letter] || letter;
+      } else if (TEXT_COMMANDS.includes(command)) {
+        const [argument, after] = readArgument(source, i);
+        i = after;
+        out += command.startsWith('text') ? argument : latexToPlain(argument);
+      } else if (ACCENTS[command]) {
+        const [argument, after] = readArgument(source, i);
+        i = after;
+        out += [...latexToPlain(argument)].map((c) => c + ACCENTS[command]).join('');
+      } else if (command === 'begin' || command === 'end') {
+        i = readArgument(source, i)[1];
+        out += ' ';
+      } else if (IGNORED_COMMANDS.includes(command)) {
+        // Size and spacing only
+      } else if (SYMBOLS[command]) {
+        out += SYMBOLS[command];
+        if (/^[a-zA-Z]{2,}$/.test(command) && source[i] === ' ') out += ' ';
+      } else if ([',', ';', ':', ' ', 'quad', 'qquad', '\\'].includes(command)) {
+        out += ' ';
+      } else if (command !== '!') {
+        out += command;
+      }
+    } else if (ch === '^' || ch === '_') {
+      const [argument, after] = readArgument(source, i + 1);
+      i = after;
+      out += mapScript(latexToPlain(argument), ch === '^' ? SUPERSCRIPTS : SUBSCRIPTS, ch);
+    } else if (ch === '{' || ch === '}') {
+      i++;
+    } else if (ch === '&' || ch === '~') {
+      out += ' ';
+      i++;
+    } else {
+      out += ch;
+      i++;
+    }
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Text with every formula replaced by its Unicode approximation (for
+ * alerts, sharing and other places that only take a plain string)
+ */
+export function mathToPlainText(text) {
+  return splitMath(text)
+    .map((segment) => (segment.type === 'text' ? segment.value : latexToPlain(segment.value)))
+    .join('');
+}